@@ -1,65 +1,61 @@
 /**
  * Database Initialization Script
- * Run this to set up the MySQL database schema
+ * Run this to create the MySQL database and apply pending migrations
  *
  * Usage: node database/init.js
  */
 
-const fs = require('fs');
-const path = require('path');
 const mysql = require('mysql2/promise');
+const { migrate } = require('./migrator');
 require('dotenv').config();
 
-async function initializeSchema() {
-  let connection;
+/**
+ * Connect to the MySQL server and select the application database, creating it if needed
+ * @returns {Promise<mysql.Connection>}
+ */
+async function connectToDatabase() {
+  // Connect to MySQL server (without database)
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
 
   try {
-    console.log('Starting database initialization...\n');
-
-    // Connect to MySQL server (without database)
-    connection = await mysql.createConnection({
-      host: process.env.DB_HOST,
-      port: process.env.DB_PORT || 3306,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-    });
-
-    console.log('✓ Connected to MySQL server');
-
     // Create database if it doesn't exist
     await connection.query(
       `CREATE DATABASE IF NOT EXISTS ${process.env.DB_NAME}
              CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
     );
-    console.log(`✓ Database '${process.env.DB_NAME}' created/verified`);
-
-    // Use the database
     await connection.query(`USE ${process.env.DB_NAME}`);
+  } catch (error) {
+    await connection.end();
+    throw error;
+  }
 
-    // Read and execute schema.sql
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
+  return connection;
+}
+
+async function initializeSchema() {
+  let connection;
 
-    // Remove comment lines and split by semicolons
-    const cleanedSchema = schema
-      .split('\n')
-      .filter((line) => !line.trim().startsWith('--'))
-      .join('\n');
+  try {
+    console.log('Starting database initialization...\n');
 
-    const statements = cleanedSchema
-      .split(';')
-      .map((stmt) => stmt.trim())
-      .filter((stmt) => stmt.length > 0);
+    connection = await connectToDatabase();
+    console.log(`✓ Connected to database '${process.env.DB_NAME}'`);
 
-    console.log(`\nExecuting ${statements.length} SQL statements...\n`);
+    // Apply pending migrations from database/migrations
+    const applied = await migrate(connection, {
+      log: (message) => console.log(`  ${message}`),
+    });
 
-    // eslint-disable-next-line no-await-in-loop
-    for (const statement of statements) {
-      await connection.query(statement);
+    if (applied.length > 0) {
+      console.log(`\n✓ Applied ${applied.length} migration(s)`);
+    } else {
+      console.log('\n✓ Database schema is up to date');
     }
-
-    console.log('✓ Database tables created successfully');
-    console.log('✓ Default availability settings inserted');
     console.log('\n✓✓✓ Database initialization complete! ✓✓✓\n');
     console.log('You can now start the application with: npm start\n');
   } catch (error) {
@@ -86,4 +82,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { initializeSchema };
+module.exports = { connectToDatabase, initializeSchema };
@@ -0,0 +1,7 @@
+-- 001 Initial schema (revert)
+DROP TABLE IF EXISTS email_queue;
+DROP TABLE IF EXISTS appointment_history;
+DROP TABLE IF EXISTS blocked_dates;
+DROP TABLE IF EXISTS availability_settings;
+DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS admin_users;
@@ -1,6 +1,7 @@
 -- =============================================
--- NT - TAXOFFICE Appointment Booking System
--- MySQL Database Schema
+-- 001 Initial schema
+-- Tables as shipped before versioned migrations. Every statement is
+-- idempotent so installs created from the old schema.sql can adopt migrations.
 -- =============================================
 
 -- Admin Users Table
@@ -112,12 +113,3 @@ INSERT INTO availability_settings (day_of_week, is_working_day, start_time, end_
 (5, TRUE, '09:00:00', '17:00:00'), -- Friday: Open
 (6, FALSE, NULL, NULL)             -- Saturday: Closed
 ON DUPLICATE KEY UPDATE day_of_week=day_of_week;
-
--- =============================================
--- Service Types Reference (for documentation)
--- =============================================
--- Φορολογική Δήλωση (Tax return consultation)
--- Λογιστική Υποστήριξη (Accounting support)
--- Έναρξη Επιχείρησης (Business startup consultation)
--- Μισθοδοσία (Payroll services)
--- Γενική Συμβουλευτική (General consultation)
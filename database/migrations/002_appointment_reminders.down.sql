@@ -0,0 +1,4 @@
+-- 002 Appointment reminders (revert)
+ALTER TABLE appointments
+    DROP INDEX idx_appointment_reminder,
+    DROP COLUMN reminder_queued_at;
@@ -0,0 +1,5 @@
+-- 002 Appointment reminders
+-- Set once the 24-hour reminder email has been queued, cleared when the appointment moves
+ALTER TABLE appointments
+    ADD COLUMN reminder_queued_at TIMESTAMP NULL AFTER cancellation_token,
+    ADD INDEX idx_appointment_reminder (status, reminder_queued_at);
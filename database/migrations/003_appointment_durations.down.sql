@@ -0,0 +1,4 @@
+-- 003 Appointment durations (revert)
+ALTER TABLE appointments
+    DROP COLUMN buffer_minutes,
+    DROP COLUMN duration_minutes;
@@ -0,0 +1,5 @@
+-- 003 Appointment durations
+-- Each appointment keeps the duration and buffer of its service at booking time
+ALTER TABLE appointments
+    ADD COLUMN duration_minutes SMALLINT NOT NULL DEFAULT 60 AFTER service_type,
+    ADD COLUMN buffer_minutes SMALLINT NOT NULL DEFAULT 0 AFTER duration_minutes;
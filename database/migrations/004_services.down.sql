@@ -0,0 +1,2 @@
+-- 004 Service catalog (revert)
+DROP TABLE IF EXISTS services;
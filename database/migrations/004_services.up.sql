@@ -0,0 +1,26 @@
+-- 004 Service catalog
+-- duration_minutes/buffer_minutes are copied onto each appointment at booking time,
+-- so later changes to a service don't move existing bookings
+CREATE TABLE IF NOT EXISTS services (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    name_en VARCHAR(255),
+    description TEXT,
+    duration_minutes SMALLINT NOT NULL DEFAULT 60,
+    buffer_minutes SMALLINT NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    display_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_services_active_order (is_active, display_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Insert Default Services
+INSERT INTO services (name, name_en, duration_minutes, buffer_minutes, display_order) VALUES
+('Φορολογική Δήλωση', 'Tax Return', 60, 0, 1),
+('Λογιστική Υποστήριξη', 'Accounting Support', 60, 0, 2),
+('Έναρξη Επιχείρησης', 'Business Startup', 90, 0, 3),
+('Μισθοδοσία', 'Payroll', 30, 0, 4),
+('Γενική Συμβουλευτική', 'General Consultation', 45, 15, 5)
+ON DUPLICATE KEY UPDATE name=name;
@@ -0,0 +1,11 @@
+-- 005 Staff calendars (revert)
+ALTER TABLE appointments
+    DROP INDEX unique_slot,
+    ADD UNIQUE KEY unique_slot (appointment_date, appointment_time, status),
+    DROP INDEX idx_appointment_staff_date,
+    DROP COLUMN staff_id;
+
+DROP TABLE IF EXISTS staff_services;
+DROP TABLE IF EXISTS staff_blocked_dates;
+DROP TABLE IF EXISTS staff_hours;
+DROP TABLE IF EXISTS staff;
@@ -0,0 +1,60 @@
+-- 005 Staff calendars
+-- When no active staff exist, the office calendar is used as a single shared calendar
+CREATE TABLE IF NOT EXISTS staff (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    display_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_staff_active_order (is_active, display_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Staff Weekly Hours Table
+-- Staff hours are limited to the office hours of the same day
+CREATE TABLE IF NOT EXISTS staff_hours (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    staff_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL CHECK(day_of_week >= 0 AND day_of_week <= 6),
+    is_working_day BOOLEAN DEFAULT FALSE,
+    start_time TIME,
+    end_time TIME,
+
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+
+    UNIQUE KEY unique_staff_day (staff_id, day_of_week)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Staff Blocked Dates Table (leave, training)
+CREATE TABLE IF NOT EXISTS staff_blocked_dates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    staff_id INT NOT NULL,
+    blocked_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+
+    UNIQUE KEY unique_staff_blocked_date (staff_id, blocked_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Staff Skills Table
+-- Staff without any skills listed can handle every service
+CREATE TABLE IF NOT EXISTS staff_services (
+    staff_id INT NOT NULL,
+    service_id INT NOT NULL,
+
+    PRIMARY KEY (staff_id, service_id),
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One appointment per staff member and slot (excluding cancelled/declined)
+-- Overlapping ranges are prevented by the locked conflict check when booking
+ALTER TABLE appointments
+    ADD COLUMN staff_id INT NULL AFTER service_type,
+    ADD INDEX idx_appointment_staff_date (staff_id, appointment_date),
+    DROP INDEX unique_slot,
+    ADD UNIQUE KEY unique_slot (staff_id, appointment_date, appointment_time, status);
@@ -0,0 +1,6 @@
+-- 006 Reschedules in appointment history (revert)
+ALTER TABLE appointment_history
+    DROP COLUMN new_time,
+    DROP COLUMN new_date,
+    DROP COLUMN old_time,
+    DROP COLUMN old_date;
@@ -0,0 +1,7 @@
+-- 006 Reschedules in appointment history
+-- Set when the appointment was moved to another date or time
+ALTER TABLE appointment_history
+    ADD COLUMN old_date DATE NULL,
+    ADD COLUMN old_time TIME NULL,
+    ADD COLUMN new_date DATE NULL,
+    ADD COLUMN new_time TIME NULL;
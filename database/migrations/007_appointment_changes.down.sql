@@ -0,0 +1,2 @@
+-- 007 Appointment changes (revert)
+DROP TABLE IF EXISTS appointment_changes;
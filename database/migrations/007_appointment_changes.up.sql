@@ -0,0 +1,18 @@
+-- 007 Appointment changes (field-level audit trail of admin edits)
+CREATE TABLE IF NOT EXISTS appointment_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    admin_id INT NULL,
+    admin_username VARCHAR(50) NOT NULL,
+    field_name VARCHAR(50) NOT NULL,
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    -- The username is kept so the trail survives removal of the admin account
+    FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE SET NULL,
+
+    INDEX idx_changes_appointment (appointment_id),
+    INDEX idx_changes_changed_at (changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+-- 008 Availability intervals (revert)
+DROP TABLE IF EXISTS availability_intervals;
@@ -0,0 +1,19 @@
+-- 008 Availability intervals (several open periods per weekday, e.g. a lunch break)
+-- availability_settings keeps the working-day flag and the overall opening and closing time
+CREATE TABLE IF NOT EXISTS availability_intervals (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    day_of_week TINYINT NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (day_of_week) REFERENCES availability_settings(day_of_week) ON DELETE CASCADE,
+
+    INDEX idx_intervals_day (day_of_week, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Existing working days become a single interval
+INSERT INTO availability_intervals (day_of_week, start_time, end_time)
+SELECT day_of_week, start_time, end_time
+FROM availability_settings
+WHERE is_working_day = TRUE AND start_time IS NOT NULL AND end_time IS NOT NULL;
@@ -0,0 +1,3 @@
+-- 009 Availability overrides (revert)
+DROP TABLE IF EXISTS availability_override_intervals;
+DROP TABLE IF EXISTS availability_overrides;
@@ -0,0 +1,22 @@
+-- 009 Availability overrides (custom opening hours for a date or a date range)
+-- An override replaces the weekly hours of every date from start_date to end_date
+CREATE TABLE IF NOT EXISTS availability_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_overrides_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS availability_override_intervals (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    override_id INT NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+
+    FOREIGN KEY (override_id) REFERENCES availability_overrides(id) ON DELETE CASCADE,
+
+    INDEX idx_override_intervals (override_id, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
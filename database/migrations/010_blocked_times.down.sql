@@ -0,0 +1,2 @@
+-- 010 Blocked times (revert)
+DROP TABLE IF EXISTS blocked_times;
@@ -0,0 +1,12 @@
+-- 010 Blocked times (part of a day closed for meetings or absences)
+-- Whole days are still closed through blocked_dates
+CREATE TABLE IF NOT EXISTS blocked_times (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    blocked_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_blocked_times_date (blocked_date, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+-- 011 Holidays (revert)
+DROP TABLE IF EXISTS local_holidays;
+DROP TABLE IF EXISTS holiday_settings;
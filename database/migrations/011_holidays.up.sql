@@ -0,0 +1,18 @@
+-- 011 Holidays
+-- National holidays are computed in code (utils/holidays.js) and are on unless switched off here
+CREATE TABLE IF NOT EXISTS holiday_settings (
+    holiday_key VARCHAR(50) PRIMARY KEY,
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Local holidays repeat every year on the same day (e.g. the city's patron saint day)
+CREATE TABLE IF NOT EXISTS local_holidays (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    holiday_month TINYINT NOT NULL,
+    holiday_day TINYINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_local_holidays_day (holiday_month, holiday_day)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- 012 Booking policies (revert)
+ALTER TABLE services
+    DROP COLUMN minimum_notice_hours,
+    DROP COLUMN booking_window_days;
+
+DROP TABLE IF EXISTS booking_settings;
@@ -0,0 +1,16 @@
+-- 012 Booking policies
+-- One office-wide row (id 1): how far ahead clients can book and the minimum notice
+CREATE TABLE IF NOT EXISTS booking_settings (
+    id TINYINT PRIMARY KEY,
+    booking_window_days SMALLINT NOT NULL DEFAULT 60,
+    minimum_notice_hours SMALLINT NOT NULL DEFAULT 24,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO booking_settings (id, booking_window_days, minimum_notice_hours) VALUES (1, 60, 24)
+ON DUPLICATE KEY UPDATE id=id;
+
+-- Per-service policy, NULL uses the office-wide value
+ALTER TABLE services
+    ADD COLUMN booking_window_days SMALLINT NULL AFTER buffer_minutes,
+    ADD COLUMN minimum_notice_hours SMALLINT NULL AFTER booking_window_days;
@@ -0,0 +1,11 @@
+-- 013 Slot capacity (revert)
+-- Fails if a slot holds more than one active appointment, cancel the extra bookings first
+ALTER TABLE appointments
+    DROP INDEX idx_appointment_slot,
+    ADD UNIQUE KEY unique_slot (staff_id, appointment_date, appointment_time, status);
+
+ALTER TABLE services
+    DROP COLUMN slot_capacity;
+
+ALTER TABLE booking_settings
+    DROP COLUMN slot_capacity;
@@ -0,0 +1,13 @@
+-- 013 Slot capacity
+-- How many clients can book the same time, office-wide and per service (NULL uses the office value)
+ALTER TABLE booking_settings
+    ADD COLUMN slot_capacity SMALLINT NOT NULL DEFAULT 1 AFTER minimum_notice_hours;
+
+ALTER TABLE services
+    ADD COLUMN slot_capacity SMALLINT NULL AFTER minimum_notice_hours;
+
+-- A slot can now hold several appointments
+-- Capacity is enforced by the locked seat count when booking
+ALTER TABLE appointments
+    DROP INDEX unique_slot,
+    ADD INDEX idx_appointment_slot (staff_id, appointment_date, appointment_time, status);
@@ -0,0 +1,2 @@
+-- 014 Slot holds (revert)
+DROP TABLE IF EXISTS slot_holds;
@@ -0,0 +1,19 @@
+-- 014 Slot holds
+-- A client in the booking wizard reserves a slot for a few minutes before submitting.
+-- Active holds (expires_at in the future) occupy a seat like a booking, except for their holder.
+CREATE TABLE IF NOT EXISTS slot_holds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    hold_token CHAR(36) NOT NULL,
+    appointment_date DATE NOT NULL,
+    appointment_time TIME NOT NULL,
+    duration_minutes SMALLINT NOT NULL,
+    buffer_minutes SMALLINT NOT NULL DEFAULT 0,
+    service_type VARCHAR(255) NULL,
+    staff_id INT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_slot_holds_token (hold_token),
+    INDEX idx_slot_holds_date (appointment_date, expires_at),
+    INDEX idx_slot_holds_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
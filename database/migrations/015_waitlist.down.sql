@@ -0,0 +1,3 @@
+-- 015 Waitlist (revert)
+DROP TABLE IF EXISTS waitlist_dates;
+DROP TABLE IF EXISTS waitlist;
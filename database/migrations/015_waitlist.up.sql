@@ -0,0 +1,33 @@
+-- 015 Waitlist
+-- Clients who found no free slot leave their details and the dates they would take.
+-- When a slot opens on one of those dates, the earliest waiting entries get an email
+-- with a booking link (offer_token) for the offered slot.
+CREATE TABLE IF NOT EXISTS waitlist (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    client_name VARCHAR(255) NOT NULL,
+    client_email VARCHAR(255) NOT NULL,
+    client_phone VARCHAR(20) NULL,
+    service_type VARCHAR(255) NOT NULL,
+    status ENUM('waiting', 'notified', 'booked', 'removed') NOT NULL DEFAULT 'waiting',
+    offer_token CHAR(36) NULL,
+    offered_date DATE NULL,
+    offered_time TIME NULL,
+    notified_at DATETIME NULL,
+    appointment_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_waitlist_offer_token (offer_token),
+    INDEX idx_waitlist_status (status, created_at),
+    INDEX idx_waitlist_email (client_email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS waitlist_dates (
+    waitlist_id INT NOT NULL,
+    preferred_date DATE NOT NULL,
+
+    PRIMARY KEY (waitlist_id, preferred_date),
+    FOREIGN KEY (waitlist_id) REFERENCES waitlist(id) ON DELETE CASCADE,
+
+    INDEX idx_waitlist_dates_date (preferred_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
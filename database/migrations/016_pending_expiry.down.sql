@@ -0,0 +1,9 @@
+-- 016 Pending expiry (revert)
+ALTER TABLE booking_settings
+    DROP COLUMN pending_expiry_hours;
+
+-- Expired appointments go back to declined, which also left the slot free
+UPDATE appointments SET status = 'declined' WHERE status = 'expired';
+
+ALTER TABLE appointments
+    MODIFY COLUMN status ENUM('pending', 'confirmed', 'declined', 'cancelled', 'completed') DEFAULT 'pending';
@@ -0,0 +1,8 @@
+-- 016 Pending expiry
+-- Pending appointments the office never confirmed are released after a while, or once they started
+ALTER TABLE appointments
+    MODIFY COLUMN status ENUM('pending', 'confirmed', 'declined', 'cancelled', 'completed', 'expired') DEFAULT 'pending';
+
+-- Hours a pending appointment waits for confirmation before it expires
+ALTER TABLE booking_settings
+    ADD COLUMN pending_expiry_hours SMALLINT NOT NULL DEFAULT 48 AFTER slot_capacity;
@@ -0,0 +1,10 @@
+-- 017 No-shows (revert)
+ALTER TABLE booking_settings
+    DROP COLUMN no_show_approval_threshold;
+
+-- No-shows go back to completed, the appointment did take place in the calendar
+UPDATE appointments SET status = 'completed' WHERE status = 'no_show';
+
+ALTER TABLE appointments
+    DROP COLUMN requires_approval,
+    MODIFY COLUMN status ENUM('pending', 'confirmed', 'declined', 'cancelled', 'completed', 'expired') DEFAULT 'pending';
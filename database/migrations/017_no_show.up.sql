@@ -0,0 +1,9 @@
+-- 017 No-shows
+-- Clients who did not come to a confirmed appointment
+ALTER TABLE appointments
+    MODIFY COLUMN status ENUM('pending', 'confirmed', 'declined', 'cancelled', 'completed', 'expired', 'no_show') DEFAULT 'pending',
+    ADD COLUMN requires_approval BOOLEAN NOT NULL DEFAULT FALSE AFTER status;
+
+-- No-shows after which a client's next booking waits for the admin, NULL turns the rule off
+ALTER TABLE booking_settings
+    ADD COLUMN no_show_approval_threshold SMALLINT NULL AFTER pending_expiry_hours;
@@ -0,0 +1,8 @@
+-- 018 Recurring appointment series (revert)
+-- The occurrences stay as separate appointments
+ALTER TABLE appointments
+    DROP FOREIGN KEY fk_appointments_series,
+    DROP INDEX idx_appointments_series,
+    DROP COLUMN series_id;
+
+DROP TABLE IF EXISTS appointment_series;
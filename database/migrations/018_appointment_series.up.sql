@@ -0,0 +1,18 @@
+-- 018 Recurring appointment series
+-- Clients who come regularly (e.g. monthly bookkeeping) get one appointment per occurrence,
+-- linked to the series they were created from so later changes can apply to the rest
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pattern ENUM('weekly', 'monthly_weekday', 'monthly_date') NOT NULL,
+    start_date DATE NOT NULL,
+    occurrences SMALLINT NULL,
+    end_date DATE NULL,
+    created_by VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE appointments
+    ADD COLUMN series_id INT NULL AFTER staff_id,
+    ADD CONSTRAINT fk_appointments_series
+        FOREIGN KEY (series_id) REFERENCES appointment_series(id) ON DELETE SET NULL,
+    ADD INDEX idx_appointments_series (series_id, appointment_date);
@@ -0,0 +1,222 @@
+/**
+ * Database Migration Runner
+ * Applies the numbered migration files in database/migrations and records them in schema_migrations
+ *
+ * Files are named NNN_description.up.sql / NNN_description.down.sql.
+ * A MySQL named lock keeps two app instances from migrating the same database at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_NAME = 'nt_taxoffice_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+/**
+ * Split a migration file into statements (comment lines removed, split by semicolons)
+ * @param {string} sql
+ * @returns {Array<string>}
+ */
+function splitStatements(sql) {
+  return sql
+    .split('\n')
+    .filter((line) => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map((stmt) => stmt.trim())
+    .filter((stmt) => stmt.length > 0);
+}
+
+/**
+ * Read the migration files, ordered by version
+ * Every migration needs both an up and a down file
+ * @param {string} [dir]
+ * @returns {Array<object>} - [{ version, name, upPath, downPath }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Duplicate migration version ${version}: ${migration.name} and ${name}`);
+    }
+
+    migration[direction === 'up' ? 'upPath' : 'downPath'] = path.join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  const ordered = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (const migration of ordered) {
+    if (!migration.upPath || !migration.downPath) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both up and down files`
+      );
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Create the tracking table if needed
+ * @param {object} connection
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  );
+}
+
+/**
+ * Get applied migrations, oldest first
+ * @param {object} connection
+ * @returns {Promise<Array>}
+ */
+async function getAppliedMigrations(connection) {
+  const [rows] = await connection.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return rows;
+}
+
+/**
+ * Run fn while holding the migration lock
+ * @param {object} connection
+ * @param {Function} fn
+ * @returns {Promise<*>}
+ */
+async function withMigrationLock(connection, fn) {
+  const [rows] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [
+    LOCK_NAME,
+    LOCK_TIMEOUT_SECONDS,
+  ]);
+
+  if (!rows[0] || rows[0].acquired !== 1) {
+    throw new Error('MIGRATION_LOCKED');
+  }
+
+  try {
+    await ensureMigrationsTable(connection);
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+/**
+ * Execute every statement of a migration file
+ * @param {object} connection
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+async function runFile(connection, filePath) {
+  const statements = splitStatements(fs.readFileSync(filePath, 'utf8'));
+
+  for (const statement of statements) {
+    await connection.query(statement);
+  }
+}
+
+/**
+ * Apply all pending migrations in order
+ * MySQL commits DDL implicitly, so each migration is recorded right after it succeeds
+ * @param {object} connection - Connection to the target database
+ * @param {object} [options] - { dir, log }
+ * @returns {Promise<Array<object>>} - Migrations that were applied
+ */
+async function migrate(connection, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(connection, async () => {
+    const applied = new Set((await getAppliedMigrations(connection)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}`);
+      await runFile(connection, migration.upPath);
+      await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+        migration.version,
+        migration.name,
+      ]);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {object} connection - Connection to the target database
+ * @param {object} [options] - { steps, dir, log }
+ * @returns {Promise<Array<object>>} - Migrations that were reverted, newest first
+ */
+async function rollback(connection, { steps = 1, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = new Map(
+    loadMigrations(dir).map((migration) => [migration.version, migration])
+  );
+
+  return withMigrationLock(connection, async () => {
+    const toRevert = (await getAppliedMigrations(connection)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version}_${row.name} is missing`);
+      }
+
+      log(`Reverting ${migration.version}_${migration.name}`);
+      await runFile(connection, migration.downPath);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * List every migration file with its applied state
+ * @param {object} connection - Connection to the target database
+ * @param {object} [options] - { dir }
+ * @returns {Promise<Array<object>>} - [{ version, name, applied, applied_at }]
+ */
+async function getStatus(connection, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  await ensureMigrationsTable(connection);
+  const applied = new Map(
+    (await getAppliedMigrations(connection)).map((row) => [row.version, row.applied_at])
+  );
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null,
+  }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  splitStatements,
+  loadMigrations,
+  migrate,
+  rollback,
+  getStatus,
+};
@@ -142,6 +142,32 @@ const cancellationLimiter = rateLimit({
   },
 });
 
+/**
+ * Rate limiter for slot holds
+ * Keeps one visitor from holding many slots at once
+ */
+const holdLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 holds per 15 minutes
+  skip: () => process.env.NODE_ENV === 'test', // Disable in test environment
+  message: {
+    success: false,
+    message: 'Πάρα πολλές δεσμεύσεις ωρών. Παρακαλώ δοκιμάστε ξανά αργότερα.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logSecurityEvent('Hold Rate Limit Exceeded', {
+      ip: req.ip || req.connection?.remoteAddress,
+    });
+
+    res.status(429).json({
+      success: false,
+      message: 'Πάρα πολλές δεσμεύσεις ωρών. Παρακαλώ δοκιμάστε ξανά αργότερα.',
+    });
+  },
+});
+
 /**
  * Rate limiter for password reset
  * Prevents email flooding
@@ -195,6 +221,7 @@ module.exports = {
   loginLimiter,
   setupLimiter,
   cancellationLimiter,
+  holdLimiter,
   passwordResetLimiter,
   createRateLimiter,
 };
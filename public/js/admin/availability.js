@@ -1,6 +1,6 @@
 /**
  * Admin Availability JavaScript
- * Manages office hours and blocked dates
+ * Manages office hours, booking policy, date overrides, blocked dates, blocked times and holidays
  */
 
 const sidebar = document.getElementById('sidebar');
@@ -11,12 +11,52 @@ const userName = document.getElementById('userName');
 const userEmail = document.getElementById('userEmail');
 const userInitials = document.getElementById('userInitials');
 const settingsForm = document.getElementById('settingsForm');
+const bookingPolicyForm = document.getElementById('bookingPolicyForm');
+const bookingWindowDays = document.getElementById('bookingWindowDays');
+const minimumNoticeHours = document.getElementById('minimumNoticeHours');
+const slotCapacity = document.getElementById('slotCapacity');
+const pendingExpiryForm = document.getElementById('pendingExpiryForm');
+const pendingExpiryHours = document.getElementById('pendingExpiryHours');
+const noShowRuleForm = document.getElementById('noShowRuleForm');
+const noShowApprovalThreshold = document.getElementById('noShowApprovalThreshold');
 const blockDateForm = document.getElementById('blockDateForm');
 const blockDate = document.getElementById('blockDate');
 const blockReason = document.getElementById('blockReason');
 const blockedDatesList = document.getElementById('blockedDatesList');
+const blockTimeForm = document.getElementById('blockTimeForm');
+const blockTimeDate = document.getElementById('blockTimeDate');
+const blockTimeStart = document.getElementById('blockTimeStart');
+const blockTimeEnd = document.getElementById('blockTimeEnd');
+const blockTimeReason = document.getElementById('blockTimeReason');
+const blockedTimesList = document.getElementById('blockedTimesList');
+const overrideForm = document.getElementById('overrideForm');
+const overrideStartDate = document.getElementById('overrideStartDate');
+const overrideEndDate = document.getElementById('overrideEndDate');
+const overrideReason = document.getElementById('overrideReason');
+const overrideIntervals = document.getElementById('intervals-override');
+const overridesList = document.getElementById('overridesList');
+const holidayYear = document.getElementById('holidayYear');
+const holidaysList = document.getElementById('holidaysList');
+const localHolidayForm = document.getElementById('localHolidayForm');
+const localHolidayName = document.getElementById('localHolidayName');
+const localHolidayDay = document.getElementById('localHolidayDay');
+const localHolidayMonth = document.getElementById('localHolidayMonth');
 
 const dayNames = ['Κυριακή', 'Δευτέρα', 'Τρίτη', 'Τετάρτη', 'Πέμπτη', 'Παρασκευή', 'Σάββατο'];
+const monthNames = [
+  'Ιανουαρίου',
+  'Φεβρουαρίου',
+  'Μαρτίου',
+  'Απριλίου',
+  'Μαΐου',
+  'Ιουνίου',
+  'Ιουλίου',
+  'Αυγούστου',
+  'Σεπτεμβρίου',
+  'Οκτωβρίου',
+  'Νοεμβρίου',
+  'Δεκεμβρίου',
+];
 
 function showAlert(message, type = 'info') {
   const alert = document.createElement('div');
@@ -26,13 +66,55 @@ function showAlert(message, type = 'info') {
   setTimeout(() => alert.remove(), 5000);
 }
 
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('el-GR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+function renderIntervalRow(day, interval) {
+  return `
+            <div class="interval-row" style="display:grid;grid-template-columns:1fr 1fr auto;gap:12px;align-items:end;margin-bottom:8px;">
+                <div>
+                    <label style="display:block;font-size:14px;margin-bottom:6px;">Ώρα Έναρξης</label>
+                    <input type="time"
+                           class="form-control interval-start"
+                           data-day="${day}"
+                           value="${interval.start_time ? interval.start_time.substring(0, 5) : '09:00'}">
+                </div>
+                <div>
+                    <label style="display:block;font-size:14px;margin-bottom:6px;">Ώρα Λήξης</label>
+                    <input type="time"
+                           class="form-control interval-end"
+                           data-day="${day}"
+                           value="${interval.end_time ? interval.end_time.substring(0, 5) : '17:00'}">
+                </div>
+                <button type="button" class="btn btn-sm btn-danger remove-interval">Αφαίρεση</button>
+            </div>
+        `;
+}
+
 function renderDaysForm(days) {
   const container = document.getElementById('daysContainer');
   if (!container) return;
 
   container.innerHTML = days
-    .map(
-      (day) => `
+    .map((day) => {
+      const intervals =
+        day.intervals && day.intervals.length > 0
+          ? day.intervals
+          : [{ start_time: day.start_time, end_time: day.end_time }];
+
+      return `
         <div style="border:1px solid #e5e7eb;border-radius:8px;padding:20px;margin-bottom:16px;">
             <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:12px;">
                 <h3 style="font-size:16px;font-weight:600;margin:0;">${dayNames[day.day_of_week]}</h3>
@@ -44,25 +126,17 @@ function renderDaysForm(days) {
                     <span>Εργάσιμη</span>
                 </label>
             </div>
-            <div class="day-hours" id="hours-${day.day_of_week}" style="display:${day.is_working_day ? 'grid' : 'none'};grid-template-columns:1fr 1fr;gap:12px;">
-                <div>
-                    <label style="display:block;font-size:14px;margin-bottom:6px;">Ώρα Έναρξης</label>
-                    <input type="time"
-                           class="form-control day-start"
-                           data-day="${day.day_of_week}"
-                           value="${day.start_time ? day.start_time.substring(0, 5) : '09:00'}">
-                </div>
-                <div>
-                    <label style="display:block;font-size:14px;margin-bottom:6px;">Ώρα Λήξης</label>
-                    <input type="time"
-                           class="form-control day-end"
-                           data-day="${day.day_of_week}"
-                           value="${day.end_time ? day.end_time.substring(0, 5) : '17:00'}">
+            <div class="day-hours" id="hours-${day.day_of_week}" style="display:${day.is_working_day ? 'block' : 'none'};">
+                <div class="interval-list" id="intervals-${day.day_of_week}">
+                    ${intervals.map((interval) => renderIntervalRow(day.day_of_week, interval)).join('')}
                 </div>
+                <button type="button" class="btn btn-sm btn-secondary add-interval" data-day="${day.day_of_week}">
+                    + Προσθήκη Διαστήματος
+                </button>
             </div>
         </div>
-    `
-    )
+    `;
+    })
     .join('');
 
   // Add event listeners for checkboxes
@@ -70,11 +144,76 @@ function renderDaysForm(days) {
     checkbox.addEventListener('change', (e) => {
       const { day } = e.target.dataset;
       const hoursDiv = document.getElementById(`hours-${day}`);
-      hoursDiv.style.display = e.target.checked ? 'grid' : 'none';
+      hoursDiv.style.display = e.target.checked ? 'block' : 'none';
     });
   });
 }
 
+// Event delegation for adding and removing intervals (weekly hours and overrides)
+function handleIntervalClick(e) {
+  if (e.target.classList.contains('add-interval')) {
+    const { day } = e.target.dataset;
+    const list = document.getElementById(`intervals-${day}`);
+    const lastEnd = list.querySelector('.interval-row:last-child .interval-end');
+    // Start the new interval an hour after the previous one ends (e.g. after lunch)
+    const [hours, minutes] = (lastEnd ? lastEnd.value : '08:00').split(':').map(Number);
+    const startHour = Math.min(hours + 1, 22);
+    const pad = (value) => String(value).padStart(2, '0');
+    list.insertAdjacentHTML(
+      'beforeend',
+      renderIntervalRow(day, {
+        start_time: `${pad(startHour)}:${pad(minutes)}`,
+        end_time: `${pad(startHour + 1)}:${pad(minutes)}`,
+      })
+    );
+  }
+
+  if (e.target.classList.contains('remove-interval')) {
+    const row = e.target.closest('.interval-row');
+    const list = row.parentElement;
+    if (list.querySelectorAll('.interval-row').length === 1) {
+      showAlert('Κάθε εργάσιμη ημέρα χρειάζεται τουλάχιστον ένα διάστημα.', 'error');
+      return;
+    }
+    row.remove();
+  }
+}
+
+document.getElementById('daysContainer').addEventListener('click', handleIntervalClick);
+overrideForm.addEventListener('click', handleIntervalClick);
+
+/**
+ * Read the intervals entered in an interval list
+ * @returns {Array}
+ */
+function collectIntervals(list) {
+  return [...list.querySelectorAll('.interval-row')].map((row) => ({
+    start_time: `${row.querySelector('.interval-start').value}:00`,
+    end_time: `${row.querySelector('.interval-end').value}:00`,
+  }));
+}
+
+/**
+ * Find the first problem in a day's intervals (empty, reversed or overlapping)
+ * @returns {string|null}
+ */
+function getIntervalsError(intervals) {
+  if (intervals.length === 0) {
+    return 'δεν έχει ώρες λειτουργίας';
+  }
+  if (intervals.some((interval) => interval.start_time >= interval.end_time)) {
+    return 'η ώρα λήξης πρέπει να είναι μετά την ώρα έναρξης';
+  }
+
+  const sorted = [...intervals].sort((a, b) => a.start_time.localeCompare(b.start_time));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start_time < sorted[i - 1].end_time) {
+      return 'τα διαστήματα επικαλύπτονται';
+    }
+  }
+  return null;
+}
+
 async function checkAuth() {
   try {
     const response = await fetch('/api/admin/me');
@@ -116,14 +255,22 @@ async function saveSettings(e) {
   const days = [];
   for (let i = 0; i < 7; i++) {
     const checkbox = document.querySelector(`.day-checkbox[data-day="${i}"]`);
-    const startInput = document.querySelector(`.day-start[data-day="${i}"]`);
-    const endInput = document.querySelector(`.day-end[data-day="${i}"]`);
+    const intervals = checkbox.checked
+      ? collectIntervals(document.getElementById(`intervals-${i}`))
+      : [];
+
+    if (checkbox.checked) {
+      const error = getIntervalsError(intervals);
+      if (error) {
+        showAlert(`${dayNames[i]}: ${error}.`, 'error');
+        return;
+      }
+    }
 
     days.push({
       day_of_week: i,
       is_working_day: checkbox.checked,
-      start_time: checkbox.checked ? `${startInput.value}:00` : null,
-      end_time: checkbox.checked ? `${endInput.value}:00` : null,
+      intervals,
     });
   }
 
@@ -150,6 +297,217 @@ async function saveSettings(e) {
   }
 }
 
+async function loadBookingPolicy() {
+  try {
+    const response = await fetch('/api/admin/availability/booking-policy');
+    const data = await response.json();
+    if (data.success) {
+      bookingWindowDays.value = data.data.booking_window_days;
+      minimumNoticeHours.value = data.data.minimum_notice_hours;
+      slotCapacity.value = data.data.slot_capacity;
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης πολιτικής κρατήσεων.', 'error');
+  }
+}
+
+async function saveBookingPolicy(e) {
+  e.preventDefault();
+  try {
+    const response = await fetch('/api/admin/availability/booking-policy', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        booking_window_days: parseInt(bookingWindowDays.value, 10),
+        minimum_notice_hours: parseInt(minimumNoticeHours.value, 10),
+        slot_capacity: parseInt(slotCapacity.value, 10),
+      }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Η πολιτική κρατήσεων αποθηκεύτηκε επιτυχώς!', 'success');
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα αποθήκευσης πολιτικής.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function loadPendingExpiry() {
+  try {
+    const response = await fetch('/api/admin/availability/pending-expiry');
+    const data = await response.json();
+    if (data.success) {
+      pendingExpiryHours.value = data.data.pending_expiry_hours;
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης λήξης εκκρεμών ραντεβού.', 'error');
+  }
+}
+
+async function savePendingExpiry(e) {
+  e.preventDefault();
+  try {
+    const response = await fetch('/api/admin/availability/pending-expiry', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pending_expiry_hours: parseInt(pendingExpiryHours.value, 10) }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Η λήξη εκκρεμών ραντεβού αποθηκεύτηκε επιτυχώς!', 'success');
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα αποθήκευσης λήξης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function loadNoShowRule() {
+  try {
+    const response = await fetch('/api/admin/availability/no-show-rule');
+    const data = await response.json();
+    if (data.success) {
+      noShowApprovalThreshold.value = data.data.no_show_approval_threshold ?? '';
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης κανόνα μη προσέλευσης.', 'error');
+  }
+}
+
+async function saveNoShowRule(e) {
+  e.preventDefault();
+  // An empty field turns the rule off
+  const threshold = noShowApprovalThreshold.value
+    ? parseInt(noShowApprovalThreshold.value, 10)
+    : null;
+  try {
+    const response = await fetch('/api/admin/availability/no-show-rule', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ no_show_approval_threshold: threshold }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Ο κανόνας μη προσέλευσης αποθηκεύτηκε επιτυχώς!', 'success');
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα αποθήκευσης κανόνα.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+function resetOverrideForm() {
+  overrideForm.reset();
+  overrideIntervals.innerHTML = renderIntervalRow('override', {
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+  });
+}
+
+async function loadOverrides() {
+  try {
+    const response = await fetch('/api/admin/availability/overrides');
+    const data = await response.json();
+    if (data.success) {
+      if (data.data.length === 0) {
+        overridesList.innerHTML =
+          '<p style="color:#6b7280;text-align:center;padding:20px;">Δεν υπάρχει ειδικό ωράριο.</p>';
+        return;
+      }
+      overridesList.innerHTML = data.data
+        .map((override) => {
+          const dates =
+            override.start_date === override.end_date
+              ? formatDate(override.start_date)
+              : `${formatDate(override.start_date)} - ${formatDate(override.end_date)}`;
+          const hours = override.intervals
+            .map(
+              (interval) =>
+                `${interval.start_time.substring(0, 5)}-${interval.end_time.substring(0, 5)}`
+            )
+            .join(', ');
+          return `
+                <div style="display:flex;justify-content:space-between;align-items:center;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;">
+                    <div>
+                        <strong>${dates}</strong>: ${hours}
+                        ${override.reason ? `<br><small style="color:#6b7280;">${escapeHtml(override.reason)}</small>` : ''}
+                    </div>
+                    <button class="btn btn-sm btn-danger remove-override" data-id="${override.id}">Αφαίρεση</button>
+                </div>
+                `;
+        })
+        .join('');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης ειδικού ωραρίου.', 'error');
+  }
+}
+
+async function addOverride(e) {
+  e.preventDefault();
+  if (!overrideStartDate.value) return;
+
+  const intervals = collectIntervals(overrideIntervals);
+  const intervalsError = getIntervalsError(intervals);
+  if (intervalsError) {
+    showAlert(`Ειδικό ωράριο: ${intervalsError}.`, 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/admin/availability/overrides', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        start_date: overrideStartDate.value,
+        end_date: overrideEndDate.value || overrideStartDate.value,
+        reason: overrideReason.value || null,
+        intervals,
+      }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Το ειδικό ωράριο αποθηκεύτηκε επιτυχώς!', 'success');
+      resetOverrideForm();
+      holidayYear.value = new Date().getFullYear();
+      localHolidayMonth.innerHTML = monthNames
+        .map((month, index) => `<option value="${index + 1}">${month}</option>`)
+        .join('');
+      await loadOverrides();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα αποθήκευσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function removeOverride(id) {
+  if (!confirm('Είστε σίγουροι ότι θέλετε να αφαιρέσετε αυτό το ειδικό ωράριο;')) return;
+  try {
+    const response = await fetch(`/api/admin/availability/overrides/${id}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Το ειδικό ωράριο αφαιρέθηκε επιτυχώς!', 'success');
+      await loadOverrides();
+    } else {
+      showAlert(data.message || 'Σφάλμα αφαίρεσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
 async function loadBlockedDates() {
   try {
     const response = await fetch('/api/admin/availability/blocked-dates');
@@ -229,6 +587,217 @@ async function removeBlockedDate(id) {
   }
 }
 
+async function loadBlockedTimes() {
+  try {
+    const response = await fetch('/api/admin/availability/blocked-times');
+    const data = await response.json();
+    if (data.success) {
+      if (data.data.length === 0) {
+        blockedTimesList.innerHTML =
+          '<p style="color:#6b7280;text-align:center;padding:20px;">Δεν υπάρχουν αποκλεισμένες ώρες.</p>';
+        return;
+      }
+      blockedTimesList.innerHTML = data.data
+        .map(
+          (block) => `
+                <div style="display:flex;justify-content:space-between;align-items:center;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;">
+                    <div>
+                        <strong>${formatDate(block.blocked_date)}, ${block.start_time.substring(0, 5)}-${block.end_time.substring(0, 5)}</strong>
+                        ${block.reason ? `<br><small style="color:#6b7280;">${escapeHtml(block.reason)}</small>` : ''}
+                    </div>
+                    <button class="btn btn-sm btn-danger remove-blocked-time" data-id="${block.id}">Αφαίρεση</button>
+                </div>
+                `
+        )
+        .join('');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης αποκλεισμένων ωρών.', 'error');
+  }
+}
+
+async function addBlockedTime(e) {
+  e.preventDefault();
+  if (!blockTimeDate.value) return;
+
+  if (blockTimeStart.value >= blockTimeEnd.value) {
+    showAlert('Η ώρα λήξης πρέπει να είναι μετά την ώρα έναρξης.', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/admin/availability/blocked-times', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blocked_date: blockTimeDate.value,
+        start_time: `${blockTimeStart.value}:00`,
+        end_time: `${blockTimeEnd.value}:00`,
+        reason: blockTimeReason.value || null,
+      }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Οι ώρες αποκλείστηκαν επιτυχώς!', 'success');
+      if (data.warning) {
+        showAlert(data.warning, 'warning');
+      }
+      blockTimeDate.value = '';
+      blockTimeReason.value = '';
+      await loadBlockedTimes();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα αποκλεισμού ωρών.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function removeBlockedTime(id) {
+  if (!confirm('Είστε σίγουροι ότι θέλετε να αφαιρέσετε αυτές τις αποκλεισμένες ώρες;')) return;
+  try {
+    const response = await fetch(`/api/admin/availability/blocked-times/${id}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Οι ώρες αφαιρέθηκαν επιτυχώς!', 'success');
+      await loadBlockedTimes();
+    } else {
+      showAlert(data.message || 'Σφάλμα αφαίρεσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function loadHolidays() {
+  try {
+    const response = await fetch(`/api/admin/availability/holidays?year=${holidayYear.value}`);
+    const data = await response.json();
+    if (data.success) {
+      holidaysList.innerHTML = data.data.holidays
+        .map((holiday) => {
+          const action =
+            holiday.type === 'national'
+              ? `<label style="display:flex;align-items:center;gap:6px;font-size:14px;">
+                        <input type="checkbox" class="toggle-holiday" data-key="${holiday.key}" ${holiday.is_enabled ? 'checked' : ''}>
+                        Κλειστό
+                    </label>`
+              : `<button class="btn btn-sm btn-danger remove-local-holiday" data-id="${holiday.id}">Αφαίρεση</button>`;
+          return `
+                <div style="display:flex;justify-content:space-between;align-items:center;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;${holiday.is_enabled ? '' : 'opacity:0.6;'}">
+                    <div>
+                        <strong>${escapeHtml(holiday.name)}</strong>
+                        <br><small style="color:#6b7280;">${formatDate(holiday.date)}${holiday.type === 'local' ? ' · Τοπική αργία' : ''}</small>
+                    </div>
+                    ${action}
+                </div>
+                `;
+        })
+        .join('');
+    } else {
+      showAlert(data.message || 'Σφάλμα φόρτωσης αργιών.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης αργιών.', 'error');
+  }
+}
+
+async function toggleHoliday(key, isEnabled) {
+  try {
+    const response = await fetch(`/api/admin/availability/holidays/national/${key}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ is_enabled: isEnabled }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+    } else {
+      showAlert(data.message || 'Σφάλμα αποθήκευσης αργίας.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+  await loadHolidays();
+}
+
+async function addLocalHoliday(e) {
+  e.preventDefault();
+  try {
+    const response = await fetch('/api/admin/availability/holidays/local', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: localHolidayName.value,
+        month: Number(localHolidayMonth.value),
+        day: Number(localHolidayDay.value),
+      }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Η τοπική αργία προστέθηκε επιτυχώς!', 'success');
+      localHolidayName.value = '';
+      localHolidayDay.value = '';
+      await loadHolidays();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα προσθήκης αργίας.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function removeLocalHoliday(id) {
+  if (!confirm('Είστε σίγουροι ότι θέλετε να αφαιρέσετε αυτή την τοπική αργία;')) return;
+  try {
+    const response = await fetch(`/api/admin/availability/holidays/local/${id}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert('Η τοπική αργία αφαιρέθηκε επιτυχώς!', 'success');
+      await loadHolidays();
+    } else {
+      showAlert(data.message || 'Σφάλμα αφαίρεσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+// Event delegation for holiday switches and remove buttons
+holidaysList.addEventListener('change', async (e) => {
+  if (e.target.classList.contains('toggle-holiday')) {
+    await toggleHoliday(e.target.dataset.key, e.target.checked);
+  }
+});
+holidaysList.addEventListener('click', async (e) => {
+  if (e.target.classList.contains('remove-local-holiday')) {
+    const { id } = e.target.dataset;
+    await removeLocalHoliday(id);
+  }
+});
+
+// Event delegation for remove blocked time buttons
+blockedTimesList.addEventListener('click', async (e) => {
+  if (e.target.classList.contains('remove-blocked-time')) {
+    const { id } = e.target.dataset;
+    await removeBlockedTime(id);
+  }
+});
+
+// Event delegation for remove override buttons
+overridesList.addEventListener('click', async (e) => {
+  if (e.target.classList.contains('remove-override')) {
+    const { id } = e.target.dataset;
+    await removeOverride(id);
+  }
+});
+
 // Event delegation for remove blocked date buttons
 blockedDatesList.addEventListener('click', async (e) => {
   if (e.target.classList.contains('remove-blocked-date')) {
@@ -243,12 +812,26 @@ logoutBtn.addEventListener('click', async () => {
   window.location.href = '/admin/login.html';
 });
 settingsForm.addEventListener('submit', saveSettings);
+bookingPolicyForm.addEventListener('submit', saveBookingPolicy);
+pendingExpiryForm.addEventListener('submit', savePendingExpiry);
+noShowRuleForm.addEventListener('submit', saveNoShowRule);
+overrideForm.addEventListener('submit', addOverride);
 blockDateForm.addEventListener('submit', addBlockedDate);
+blockTimeForm.addEventListener('submit', addBlockedTime);
+localHolidayForm.addEventListener('submit', addLocalHoliday);
+holidayYear.addEventListener('change', loadHolidays);
 
 async function init() {
   if (!(await checkAuth())) return;
+  resetOverrideForm();
   await loadSettings();
+  await loadBookingPolicy();
+  await loadPendingExpiry();
+  await loadNoShowRule();
+  await loadOverrides();
   await loadBlockedDates();
+  await loadBlockedTimes();
+  await loadHolidays();
 }
 
 if (document.readyState === 'loading') {
@@ -8,6 +8,7 @@ let currentPage = 1;
 let currentFilters = {};
 let appointments = [];
 let stats = {};
+let waitlist = [];
 
 // DOM Elements
 const sidebar = document.getElementById('sidebar');
@@ -34,6 +35,8 @@ const filterEndDate = document.getElementById('filterEndDate');
 const searchInput = document.getElementById('searchInput');
 const applyFiltersBtn = document.getElementById('applyFilters');
 const clearFiltersBtn = document.getElementById('clearFilters');
+const exportFormat = document.getElementById('exportFormat');
+const exportBtn = document.getElementById('exportBtn');
 
 // Table
 const loadingOverlay = document.getElementById('loadingOverlay');
@@ -42,6 +45,10 @@ const paginationInfo = document.getElementById('paginationInfo');
 const prevPageBtn = document.getElementById('prevPageBtn');
 const nextPageBtn = document.getElementById('nextPageBtn');
 
+// Waitlist
+const waitlistStatus = document.getElementById('waitlistStatus');
+const waitlistTableBody = document.getElementById('waitlistTableBody');
+
 // Modals
 const detailsModal = document.getElementById('detailsModal');
 const closeDetailsModal = document.getElementById('closeDetailsModal');
@@ -56,6 +63,34 @@ const declineReason = document.getElementById('declineReason');
 const declineReasonGroup = document.getElementById('declineReasonGroup');
 const cancelStatusChange = document.getElementById('cancelStatusChange');
 
+const newAppointmentBtn = document.getElementById('newAppointmentBtn');
+const bookingModal = document.getElementById('bookingModal');
+const closeBookingModal = document.getElementById('closeBookingModal');
+const bookingForm = document.getElementById('bookingForm');
+const bookingService = document.getElementById('bookingService');
+const bookingOverrideNotice = document.getElementById('bookingOverrideNotice');
+const bookingOverrideHours = document.getElementById('bookingOverrideHours');
+const bookingOverrideReason = document.getElementById('bookingOverrideReason');
+const bookingOverrideReasonGroup = document.getElementById('bookingOverrideReasonGroup');
+const cancelBooking = document.getElementById('cancelBooking');
+
+const seriesModal = document.getElementById('seriesModal');
+const closeSeriesModal = document.getElementById('closeSeriesModal');
+const seriesAppointmentId = document.getElementById('seriesAppointmentId');
+const seriesForm = document.getElementById('seriesForm');
+const seriesEnd = document.getElementById('seriesEnd');
+const seriesOccurrencesGroup = document.getElementById('seriesOccurrencesGroup');
+const seriesEndDateGroup = document.getElementById('seriesEndDateGroup');
+const cancelSeriesForm = document.getElementById('cancelSeriesForm');
+const seriesChangeForm = document.getElementById('seriesChangeForm');
+const seriesScope = document.getElementById('seriesScope');
+const seriesTime = document.getElementById('seriesTime');
+const cancelSeriesAppointments = document.getElementById('cancelSeriesAppointments');
+const seriesReport = document.getElementById('seriesReport');
+const seriesReportMessage = document.getElementById('seriesReportMessage');
+const seriesReportList = document.getElementById('seriesReportList');
+const closeSeriesReport = document.getElementById('closeSeriesReport');
+
 const deleteModal = document.getElementById('deleteModal');
 const closeDeleteModal = document.getElementById('closeDeleteModal');
 const deleteAppointmentId = document.getElementById('deleteAppointmentId');
@@ -203,7 +238,11 @@ function renderAppointmentsTable() {
                 <div style="font-size: 12px; color: var(--text-secondary);">${escapeHtml(apt.client_phone)}</div>
             </td>
             <td>${escapeHtml(apt.service_type)}</td>
-            <td><span class="status-badge status-${apt.status}">${getStatusLabel(apt.status)}</span></td>
+            <td>
+                <span class="status-badge status-${apt.status}">${getStatusLabel(apt.status)}</span>
+                ${apt.requires_approval && apt.status === 'pending' ? '<span class="status-badge status-approval" title="Ο πελάτης έχει επανειλημμένες μη προσελεύσεις">Έγκριση</span>' : ''}
+                ${apt.series_id ? '<span class="status-badge status-series" title="Επαναλαμβανόμενο ραντεβού">Σειρά</span>' : ''}
+            </td>
             <td>
                 <div class="action-buttons">
                     <button class="action-btn view-btn" data-action="view" data-id="${apt.id}" title="Προβολή">
@@ -213,7 +252,7 @@ function renderAppointmentsTable() {
                         </svg>
                     </button>
                     ${
-                      apt.status !== 'cancelled'
+                      apt.allowed_statuses.length > 0
                         ? `
                     <button class="action-btn status-btn" data-action="status" data-id="${apt.id}" title="Αλλαγή κατάστασης">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -223,6 +262,20 @@ function renderAppointmentsTable() {
                     `
                         : ''
                     }
+                    ${
+                      apt.series_id || apt.status === 'confirmed'
+                        ? `
+                    <button class="action-btn series-btn" data-action="series" data-id="${apt.id}" title="Επανάληψη">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="17 1 21 5 17 9"></polyline>
+                            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                            <polyline points="7 23 3 19 7 15"></polyline>
+                            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+                        </svg>
+                    </button>
+                    `
+                        : ''
+                    }
                     <button class="action-btn delete-btn" data-action="delete" data-id="${apt.id}" title="Διαγραφή">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"></polyline>
@@ -237,6 +290,140 @@ function renderAppointmentsTable() {
     .join('');
 }
 
+/**
+ * Load waitlist entries
+ */
+async function loadWaitlist() {
+  try {
+    const params = new URLSearchParams();
+    if (waitlistStatus.value) {
+      params.append('status', waitlistStatus.value);
+    }
+
+    const response = await fetch(`/api/admin/waitlist?${params}`);
+    const data = await response.json();
+
+    if (data.success) {
+      waitlist = data.data;
+      renderWaitlistTable();
+    } else {
+      showAlert(data.message || 'Σφάλμα φόρτωσης λίστας αναμονής.', 'error');
+    }
+  } catch (error) {
+    console.error('Error loading waitlist:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+/**
+ * Render waitlist table
+ */
+function renderWaitlistTable() {
+  if (waitlist.length === 0) {
+    waitlistTableBody.innerHTML = `
+            <tr>
+                <td colspan="7" class="text-center">Η λίστα αναμονής είναι κενή.</td>
+            </tr>
+        `;
+    return;
+  }
+
+  waitlistTableBody.innerHTML = waitlist
+    .map(
+      (entry) => `
+        <tr>
+            <td>${formatDateTime(entry.created_at)}</td>
+            <td>${escapeHtml(entry.client_name)}</td>
+            <td>
+                <div>${escapeHtml(entry.client_email)}</div>
+                <div style="font-size: 12px; color: var(--text-secondary);">${escapeHtml(entry.client_phone)}</div>
+            </td>
+            <td>${escapeHtml(entry.service_type)}</td>
+            <td>${entry.preferred_dates.map(formatDate).join('<br>')}</td>
+            <td>${getWaitlistStatusLabel(entry.status)}</td>
+            <td>
+                <div class="action-buttons">
+                    ${
+                      entry.status === 'waiting'
+                        ? `
+                    <button class="action-btn status-btn" data-action="remove" data-id="${entry.id}" title="Αφαίρεση από τη λίστα">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                    </button>
+                    `
+                        : `
+                    <button class="action-btn status-btn" data-action="requeue" data-id="${entry.id}" title="Επαναφορά σε αναμονή">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1 4 1 10 7 10"></polyline>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                        </svg>
+                    </button>
+                    `
+                    }
+                    <button class="action-btn delete-btn" data-action="delete" data-id="${entry.id}" title="Διαγραφή">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `
+    )
+    .join('');
+}
+
+/**
+ * Set the status of a waitlist entry
+ */
+async function updateWaitlistEntry(id, status) {
+  try {
+    const response = await fetch(`/api/admin/waitlist/${id}/status`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      showAlert('Η λίστα αναμονής ενημερώθηκε.', 'success');
+      await loadWaitlist();
+    } else {
+      showAlert(data.message || 'Σφάλμα ενημέρωσης λίστας αναμονής.', 'error');
+    }
+  } catch (error) {
+    console.error('Error updating waitlist entry:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+/**
+ * Delete a waitlist entry
+ */
+async function deleteWaitlistEntry(id) {
+  if (!confirm('Διαγραφή της εγγραφής από τη λίστα αναμονής;')) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/admin/waitlist/${id}`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (data.success) {
+      showAlert('Η εγγραφή διαγράφηκε.', 'success');
+      await loadWaitlist();
+    } else {
+      showAlert(data.message || 'Σφάλμα διαγραφής εγγραφής.', 'error');
+    }
+  } catch (error) {
+    console.error('Error deleting waitlist entry:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
 /**
  * Update pagination
  */
@@ -257,7 +444,7 @@ async function viewAppointment(id) {
 
     if (data.success) {
       const apt = data.data.appointment;
-      const { history } = data.data;
+      const { history, changes } = data.data;
 
       detailsModalBody.innerHTML = `
                 <div class="detail-grid">
@@ -279,6 +466,13 @@ async function viewAppointment(id) {
                             <span class="status-badge status-${apt.status}">${getStatusLabel(apt.status)}</span>
                         </div>
                     </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Μη προσελεύσεις πελάτη</div>
+                        <div class="detail-value">
+                            ${apt.no_show_count}
+                            ${apt.requires_approval && apt.status === 'pending' ? '<span class="status-badge status-approval">Απαιτεί έγκριση</span>' : ''}
+                        </div>
+                    </div>
                     <div class="detail-item">
                         <div class="detail-label">Ημερομηνία</div>
                         <div class="detail-value">${formatDate(apt.appointment_date)}</div>
@@ -291,10 +485,40 @@ async function viewAppointment(id) {
                         <div class="detail-label">Υπηρεσία</div>
                         <div class="detail-value">${escapeHtml(apt.service_type)}</div>
                     </div>
+                    ${
+                      apt.series_id
+                        ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Σειρά</div>
+                        <div class="detail-value">Επαναλαμβανόμενο ραντεβού #${apt.series_id}</div>
+                    </div>
+                    `
+                        : ''
+                    }
+                    ${
+                      apt.staff_name
+                        ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Λογιστής</div>
+                        <div class="detail-value">${escapeHtml(apt.staff_name)}</div>
+                    </div>
+                    `
+                        : ''
+                    }
                     <div class="detail-item">
                         <div class="detail-label">Δημιουργήθηκε</div>
                         <div class="detail-value">${formatDateTime(apt.created_at)}</div>
                     </div>
+                    ${
+                      apt.status === 'confirmed' || apt.reminder_queued_at
+                        ? `
+                    <div class="detail-item">
+                        <div class="detail-label">Υπενθύμιση</div>
+                        <div class="detail-value">${apt.reminder_queued_at ? formatDateTime(apt.reminder_queued_at) : 'Δεν έχει σταλεί'}</div>
+                    </div>
+                    `
+                        : ''
+                    }
                 </div>
 
                 ${
@@ -334,7 +558,11 @@ async function viewAppointment(id) {
                                 </div>
                                 <div class="history-content">
                                     <div class="history-action">
-                                        ${getStatusLabel(h.old_status)} → ${getStatusLabel(h.new_status)}
+                                        ${
+                                          h.new_date
+                                            ? `Μεταφορά: ${formatDate(h.old_date)} ${formatTime(h.old_time)} → ${formatDate(h.new_date)} ${formatTime(h.new_time)}`
+                                            : `${getStatusLabel(h.old_status)} → ${getStatusLabel(h.new_status)}`
+                                        }
                                     </div>
                                     <div class="history-meta">
                                         ${formatDateTime(h.changed_at)} • ${h.changed_by}
@@ -350,6 +578,34 @@ async function viewAppointment(id) {
                 `
                     : ''
                 }
+
+                ${
+                  changes.length > 0
+                    ? `
+                <div class="detail-section">
+                    <h3>Αλλαγές Στοιχείων</h3>
+                    <div class="history-timeline">
+                        ${changes
+                          .map(
+                            (c) => `
+                            <div class="history-item">
+                                <div class="history-content">
+                                    <div class="history-action">
+                                        ${getFieldLabel(c.field_name)}: ${escapeHtml(c.old_value || '—')} → ${escapeHtml(c.new_value || '—')}
+                                    </div>
+                                    <div class="history-meta">
+                                        ${formatDateTime(c.changed_at)} • ${escapeHtml(c.admin_username)}
+                                    </div>
+                                </div>
+                            </div>
+                        `
+                          )
+                          .join('')}
+                    </div>
+                </div>
+                `
+                    : ''
+                }
             `;
 
       detailsModal.classList.add('show');
@@ -366,6 +622,13 @@ async function viewAppointment(id) {
  * Open status change modal
  */
 function openStatusModal(id) {
+  const apt = appointments.find((a) => a.id === id);
+
+  // Offer only the moves the status rules allow from the current status
+  Array.from(newStatus.options).forEach((option) => {
+    option.hidden = option.value !== '' && !apt.allowed_statuses.includes(option.value);
+  });
+
   statusAppointmentId.value = id;
   newStatus.value = '';
   declineReason.value = '';
@@ -419,6 +682,249 @@ statusForm.addEventListener('submit', async (e) => {
   }
 });
 
+/**
+ * Open the new appointment modal, loading the bookable services
+ */
+async function openBookingModal() {
+  try {
+    const response = await fetch('/api/services');
+    const data = await response.json();
+
+    if (data.success) {
+      bookingService.innerHTML = data.data
+        .map(
+          (service) =>
+            `<option value="${escapeHtml(service.name)}">${escapeHtml(service.name)}</option>`
+        )
+        .join('');
+    }
+  } catch (error) {
+    console.error('Error loading services:', error);
+  }
+
+  bookingForm.reset();
+  bookingOverrideReasonGroup.style.display = 'none';
+  bookingModal.classList.add('show');
+}
+
+/**
+ * Show the override reason while any booking rule is overridden
+ */
+function updateOverrideReason() {
+  const overriding = bookingOverrideNotice.checked || bookingOverrideHours.checked;
+  bookingOverrideReasonGroup.style.display = overriding ? 'block' : 'none';
+  bookingOverrideReason.required = overriding;
+}
+
+/**
+ * Handle new appointment submission
+ */
+bookingForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const body = {
+    client_name: document.getElementById('bookingName').value,
+    client_email: document.getElementById('bookingEmail').value,
+    client_phone: document.getElementById('bookingPhone').value,
+    service_type: bookingService.value,
+    appointment_date: document.getElementById('bookingDate').value,
+    appointment_time: `${document.getElementById('bookingTime').value}:00`,
+    notes: document.getElementById('bookingNotes').value,
+    status: document.getElementById('bookingConfirmed').checked ? 'confirmed' : 'pending',
+    send_email: document.getElementById('bookingSendEmail').checked,
+    override_notice: bookingOverrideNotice.checked,
+    override_hours: bookingOverrideHours.checked,
+    override_reason: bookingOverrideReason.value,
+  };
+
+  try {
+    const response = await fetch('/api/admin/appointments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      showAlert('Το ραντεβού δημιουργήθηκε επιτυχώς!', 'success');
+      bookingModal.classList.remove('show');
+      await loadStats();
+      await loadAppointments();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα δημιουργίας ραντεβού.', 'error');
+    }
+  } catch (error) {
+    console.error('Error creating appointment:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+});
+
+/**
+ * Open the series modal: create a series from a confirmed appointment,
+ * or change and cancel appointments of an existing series
+ */
+function openSeriesModal(id) {
+  const apt = appointments.find((a) => a.id === id);
+
+  seriesAppointmentId.value = id;
+  seriesForm.reset();
+  seriesChangeForm.reset();
+  updateSeriesEnd();
+  seriesTime.value = apt.appointment_time.substring(0, 5);
+
+  seriesForm.style.display = apt.series_id ? 'none' : 'block';
+  seriesChangeForm.style.display = apt.series_id ? 'block' : 'none';
+  seriesReport.style.display = 'none';
+  seriesModal.classList.add('show');
+}
+
+/**
+ * Show the number of occurrences or the end date, whichever ends the series
+ */
+function updateSeriesEnd() {
+  const byDate = seriesEnd.value === 'end_date';
+  seriesOccurrencesGroup.style.display = byDate ? 'none' : 'block';
+  seriesEndDateGroup.style.display = byDate ? 'block' : 'none';
+  document.getElementById('seriesEndDate').required = byDate;
+}
+
+/**
+ * List the dates a series could not book or move in the series modal
+ */
+function showSeriesReport(message, skipped) {
+  seriesReportMessage.textContent = message;
+  seriesReportList.innerHTML = skipped
+    .map(
+      (item) =>
+        `<li>${formatDate(item.appointment_date)} - ${item.reason === 'closed' ? 'Το γραφείο είναι κλειστό' : 'Η ώρα δεν είναι διαθέσιμη'}</li>`
+    )
+    .join('');
+
+  seriesForm.style.display = 'none';
+  seriesChangeForm.style.display = 'none';
+  seriesReport.style.display = 'block';
+}
+
+/**
+ * Handle series creation
+ */
+seriesForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const byDate = seriesEnd.value === 'end_date';
+  const body = {
+    pattern: document.getElementById('seriesPattern').value,
+    occurrences: byDate ? null : document.getElementById('seriesOccurrences').value,
+    end_date: byDate ? document.getElementById('seriesEndDate').value : null,
+  };
+
+  try {
+    const response = await fetch(`/api/admin/appointments/${seriesAppointmentId.value}/series`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (data.data && data.data.skipped && data.data.skipped.length > 0) {
+      showSeriesReport(data.message, data.data.skipped);
+    } else if (data.success) {
+      showAlert(data.message, 'success');
+      seriesModal.classList.remove('show');
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα δημιουργίας σειράς.', 'error');
+    }
+
+    if (data.success) {
+      await loadStats();
+      await loadAppointments();
+    }
+  } catch (error) {
+    console.error('Error creating series:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+});
+
+/**
+ * Handle a time change for this appointment or the following ones
+ */
+seriesChangeForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  try {
+    const response = await fetch(`/api/admin/appointments/${seriesAppointmentId.value}/series`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        scope: seriesScope.value,
+        appointment_time: `${seriesTime.value}:00`,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      if (data.data.skipped.length > 0) {
+        showSeriesReport(data.message, data.data.skipped);
+      } else {
+        showAlert(data.message, 'success');
+        seriesModal.classList.remove('show');
+      }
+      await loadAppointments();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(details || data.message || 'Σφάλμα ενημέρωσης ραντεβού.', 'error');
+    }
+  } catch (error) {
+    console.error('Error updating series:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+});
+
+/**
+ * Cancel this appointment or the following ones on the client's behalf
+ */
+cancelSeriesAppointments.addEventListener('click', async () => {
+  const scope = seriesScope.value;
+  const question =
+    scope === 'following'
+      ? 'Ακύρωση αυτού και όλων των επόμενων ραντεβού της σειράς;'
+      : 'Ακύρωση αυτού του ραντεβού;';
+
+  if (!confirm(question)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `/api/admin/appointments/${seriesAppointmentId.value}/series/cancel`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scope }),
+      }
+    );
+
+    const data = await response.json();
+
+    if (data.success) {
+      showAlert(data.message, 'success');
+      seriesModal.classList.remove('show');
+      await loadStats();
+      await loadAppointments();
+    } else {
+      showAlert(data.message || 'Σφάλμα ακύρωσης ραντεβού.', 'error');
+    }
+  } catch (error) {
+    console.error('Error cancelling series:', error);
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+});
+
 /**
  * Open delete modal
  */
@@ -490,6 +996,18 @@ function clearFilters() {
   loadAppointments();
 }
 
+/**
+ * Download all appointments matching the applied filters (not just the current page)
+ */
+function exportAppointments() {
+  const params = new URLSearchParams({
+    format: exportFormat.value,
+    ...currentFilters,
+  });
+
+  window.location.href = `/api/admin/appointments/export?${params}`;
+}
+
 /**
  * Utility functions
  */
@@ -524,10 +1042,36 @@ function getStatusLabel(status) {
     declined: 'Απορριφθέν',
     completed: 'Ολοκληρωμένο',
     cancelled: 'Ακυρωμένο',
+    expired: 'Έληξε',
+    no_show: 'Δεν προσήλθε',
+  };
+  return labels[status] || status;
+}
+
+function getWaitlistStatusLabel(status) {
+  const labels = {
+    waiting: 'Σε αναμονή',
+    notified: 'Ειδοποιήθηκε',
+    booked: 'Έκλεισε ραντεβού',
+    removed: 'Αφαιρέθηκε',
   };
   return labels[status] || status;
 }
 
+function getFieldLabel(field) {
+  const labels = {
+    appointment_date: 'Ημερομηνία',
+    appointment_time: 'Ώρα',
+    client_name: 'Όνομα',
+    client_email: 'Email',
+    client_phone: 'Τηλέφωνο',
+    service_type: 'Υπηρεσία',
+    staff_id: 'Λογιστής',
+    notes: 'Σημειώσεις',
+  };
+  return labels[field] || field;
+}
+
 function getStatusColor(status) {
   const colors = {
     pending: 'warning',
@@ -535,6 +1079,8 @@ function getStatusColor(status) {
     declined: 'danger',
     completed: 'info',
     cancelled: 'secondary',
+    expired: 'secondary',
+    no_show: 'danger',
   };
   return colors[status] || 'secondary';
 }
@@ -569,11 +1115,13 @@ logoutBtn.addEventListener('click', async () => {
 refreshBtn.addEventListener('click', async () => {
   await loadStats();
   await loadAppointments();
+  await loadWaitlist();
 });
 
 // Filters
 applyFiltersBtn.addEventListener('click', applyFilters);
 clearFiltersBtn.addEventListener('click', clearFilters);
+exportBtn.addEventListener('click', exportAppointments);
 searchInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
     applyFilters();
@@ -606,6 +1154,26 @@ cancelStatusChange.addEventListener('click', () => {
   statusModal.classList.remove('show');
 });
 
+closeBookingModal.addEventListener('click', () => {
+  bookingModal.classList.remove('show');
+});
+
+cancelBooking.addEventListener('click', () => {
+  bookingModal.classList.remove('show');
+});
+
+closeSeriesModal.addEventListener('click', () => {
+  seriesModal.classList.remove('show');
+});
+
+cancelSeriesForm.addEventListener('click', () => {
+  seriesModal.classList.remove('show');
+});
+
+closeSeriesReport.addEventListener('click', () => {
+  seriesModal.classList.remove('show');
+});
+
 closeDeleteModal.addEventListener('click', () => {
   deleteModal.classList.remove('show');
 });
@@ -625,8 +1193,13 @@ newStatus.addEventListener('change', (e) => {
   }
 });
 
+newAppointmentBtn.addEventListener('click', openBookingModal);
+bookingOverrideNotice.addEventListener('change', updateOverrideReason);
+bookingOverrideHours.addEventListener('change', updateOverrideReason);
+seriesEnd.addEventListener('change', updateSeriesEnd);
+
 // Close modals on backdrop click
-[detailsModal, statusModal, deleteModal].forEach((modal) => {
+[detailsModal, statusModal, bookingModal, seriesModal, deleteModal].forEach((modal) => {
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
       modal.classList.remove('show');
@@ -636,7 +1209,7 @@ newStatus.addEventListener('change', (e) => {
 
 /**
  * Event delegation for action buttons
- * Handles view, status, and delete actions for appointments
+ * Handles view, status, series and delete actions for appointments
  */
 appointmentsTableBody.addEventListener('click', (e) => {
   const button = e.target.closest('.action-btn');
@@ -654,12 +1227,40 @@ appointmentsTableBody.addEventListener('click', (e) => {
     case 'status':
       openStatusModal(id);
       break;
+    case 'series':
+      openSeriesModal(id);
+      break;
     case 'delete':
       openDeleteModal(id);
       break;
   }
 });
 
+// Waitlist
+waitlistStatus.addEventListener('change', loadWaitlist);
+
+waitlistTableBody.addEventListener('click', (e) => {
+  const button = e.target.closest('.action-btn');
+  if (!button) return;
+
+  const { action } = button.dataset;
+  const id = parseInt(button.dataset.id, 10);
+
+  if (!action || !id) return;
+
+  switch (action) {
+    case 'remove':
+      updateWaitlistEntry(id, 'removed');
+      break;
+    case 'requeue':
+      updateWaitlistEntry(id, 'waiting');
+      break;
+    case 'delete':
+      deleteWaitlistEntry(id);
+      break;
+  }
+});
+
 /**
  * Initialize dashboard
  */
@@ -669,6 +1270,7 @@ async function init() {
 
   await loadStats();
   await loadAppointments();
+  await loadWaitlist();
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,286 @@
+/**
+ * Admin Services JavaScript
+ * Manages the service catalog shown in the booking wizard
+ */
+
+const sidebar = document.getElementById('sidebar');
+const sidebarToggle = document.getElementById('sidebarToggle');
+const logoutBtn = document.getElementById('logoutBtn');
+const alertContainer = document.getElementById('alertContainer');
+const userName = document.getElementById('userName');
+const userEmail = document.getElementById('userEmail');
+const userInitials = document.getElementById('userInitials');
+const serviceForm = document.getElementById('serviceForm');
+const serviceFormTitle = document.getElementById('serviceFormTitle');
+const serviceName = document.getElementById('serviceName');
+const serviceNameEn = document.getElementById('serviceNameEn');
+const serviceDuration = document.getElementById('serviceDuration');
+const serviceBuffer = document.getElementById('serviceBuffer');
+const serviceBookingWindow = document.getElementById('serviceBookingWindow');
+const serviceMinimumNotice = document.getElementById('serviceMinimumNotice');
+const serviceSlotCapacity = document.getElementById('serviceSlotCapacity');
+const serviceDescription = document.getElementById('serviceDescription');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const servicesList = document.getElementById('servicesList');
+
+let services = [];
+let editingId = null;
+
+function showAlert(message, type = 'info') {
+  const alert = document.createElement('div');
+  alert.className = `alert alert-${type}`;
+  alert.textContent = message;
+  alertContainer.appendChild(alert);
+  setTimeout(() => alert.remove(), 5000);
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Empty policy fields mean "use the office booking policy"
+function parseOptionalInt(value) {
+  return value === '' ? null : parseInt(value, 10);
+}
+
+// The service's own booking policy, if it has one
+function formatServicePolicy(service) {
+  const parts = [];
+  if (service.booking_window_days !== null) {
+    parts.push(`κρατήσεις έως ${service.booking_window_days} ημέρες μπροστά`);
+  }
+  if (service.minimum_notice_hours !== null) {
+    parts.push(`προειδοποίηση ${service.minimum_notice_hours} ώρες`);
+  }
+  if (service.slot_capacity !== null) {
+    parts.push(`${service.slot_capacity} ραντεβού ανά ώρα`);
+  }
+  return parts.length > 0
+    ? `<br><small style="color:#6b7280;">Πολιτική υπηρεσίας: ${parts.join(', ')}</small>`
+    : '';
+}
+
+function renderServices() {
+  if (services.length === 0) {
+    servicesList.innerHTML =
+      '<p style="color:#6b7280;text-align:center;padding:20px;">Δεν υπάρχουν υπηρεσίες.</p>';
+    return;
+  }
+
+  servicesList.innerHTML = services
+    .map(
+      (service, index) => `
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;${service.is_active ? '' : 'opacity:0.6;'}">
+            <div>
+                <strong>${escapeHtml(service.name)}</strong>
+                ${service.name_en ? `<small style="color:#6b7280;"> / ${escapeHtml(service.name_en)}</small>` : ''}
+                ${service.is_active ? '' : '<small style="color:#dc2626;"> (Ανενεργή)</small>'}
+                <br><small style="color:#6b7280;">${service.duration_minutes} λεπτά${service.buffer_minutes ? ` + ${service.buffer_minutes} λεπτά προετοιμασία` : ''}</small>
+                ${formatServicePolicy(service)}
+                ${service.description ? `<br><small style="color:#6b7280;">${escapeHtml(service.description)}</small>` : ''}
+            </div>
+            <div style="display:flex;gap:6px;flex-shrink:0;">
+                <button class="btn btn-sm btn-secondary" data-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Μετακίνηση πάνω">↑</button>
+                <button class="btn btn-sm btn-secondary" data-action="down" data-index="${index}" ${index === services.length - 1 ? 'disabled' : ''} title="Μετακίνηση κάτω">↓</button>
+                <button class="btn btn-sm btn-secondary" data-action="edit" data-index="${index}">Επεξεργασία</button>
+                <button class="btn btn-sm ${service.is_active ? 'btn-danger' : 'btn-primary'}" data-action="toggle" data-index="${index}">
+                    ${service.is_active ? 'Απενεργοποίηση' : 'Ενεργοποίηση'}
+                </button>
+            </div>
+        </div>
+    `
+    )
+    .join('');
+}
+
+async function checkAuth() {
+  try {
+    const response = await fetch('/api/admin/me');
+    const data = await response.json();
+    if (!data.success || !data.authenticated) {
+      window.location.href = '/admin/login.html';
+      return false;
+    }
+    userName.textContent = data.data.username;
+    userEmail.textContent = data.data.email;
+    userInitials.textContent = data.data.username.substring(0, 2).toUpperCase();
+    return true;
+  } catch (error) {
+    window.location.href = '/admin/login.html';
+    return false;
+  }
+}
+
+async function loadServices() {
+  try {
+    const response = await fetch('/api/admin/services');
+    const data = await response.json();
+    if (data.success) {
+      services = data.data;
+      renderServices();
+    } else {
+      showAlert(data.message || 'Σφάλμα φόρτωσης υπηρεσιών.', 'error');
+    }
+  } catch (error) {
+    console.error('Error loading services:', error);
+    showAlert('Σφάλμα φόρτωσης υπηρεσιών.', 'error');
+  }
+}
+
+function resetServiceForm() {
+  editingId = null;
+  serviceForm.reset();
+  serviceFormTitle.textContent = 'Νέα Υπηρεσία';
+  cancelEditBtn.style.display = 'none';
+}
+
+function startEdit(service) {
+  editingId = service.id;
+  serviceName.value = service.name;
+  serviceNameEn.value = service.name_en || '';
+  serviceDuration.value = service.duration_minutes;
+  serviceBuffer.value = service.buffer_minutes;
+  serviceBookingWindow.value = service.booking_window_days ?? '';
+  serviceMinimumNotice.value = service.minimum_notice_hours ?? '';
+  serviceSlotCapacity.value = service.slot_capacity ?? '';
+  serviceDescription.value = service.description || '';
+  serviceFormTitle.textContent = `Επεξεργασία: ${service.name}`;
+  cancelEditBtn.style.display = 'inline-block';
+  serviceForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveService(e) {
+  e.preventDefault();
+
+  const payload = {
+    name: serviceName.value.trim(),
+    name_en: serviceNameEn.value.trim() || null,
+    description: serviceDescription.value.trim() || null,
+    duration_minutes: parseInt(serviceDuration.value, 10),
+    buffer_minutes: parseInt(serviceBuffer.value, 10) || 0,
+    booking_window_days: parseOptionalInt(serviceBookingWindow.value),
+    minimum_notice_hours: parseOptionalInt(serviceMinimumNotice.value),
+    slot_capacity: parseOptionalInt(serviceSlotCapacity.value),
+  };
+
+  try {
+    const response = await fetch(
+      editingId ? `/api/admin/services/${editingId}` : '/api/admin/services',
+      {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      }
+    );
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      resetServiceForm();
+      await loadServices();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(`${data.message || 'Σφάλμα αποθήκευσης.'} ${details}`.trim(), 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function toggleService(service) {
+  if (
+    service.is_active &&
+    !confirm(
+      'Η υπηρεσία δεν θα εμφανίζεται πλέον στην κράτηση. Τα υπάρχοντα ραντεβού δεν επηρεάζονται. Συνέχεια;'
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/admin/services/${service.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ is_active: !service.is_active }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      await loadServices();
+    } else {
+      showAlert(data.message || 'Σφάλμα ενημέρωσης υπηρεσίας.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function moveService(index, offset) {
+  const order = services.map((service) => service.id);
+  const target = index + offset;
+  [order[index], order[target]] = [order[target], order[index]];
+
+  try {
+    const response = await fetch('/api/admin/services/reorder', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ order }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      services = data.data;
+      renderServices();
+    } else {
+      showAlert(data.message || 'Σφάλμα αλλαγής σειράς.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+// Event delegation for service action buttons
+servicesList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index, 10);
+  const service = services[index];
+
+  switch (button.dataset.action) {
+    case 'up':
+      await moveService(index, -1);
+      break;
+    case 'down':
+      await moveService(index, 1);
+      break;
+    case 'edit':
+      startEdit(service);
+      break;
+    case 'toggle':
+      await toggleService(service);
+      break;
+    default:
+      break;
+  }
+});
+
+sidebarToggle.addEventListener('click', () => sidebar.classList.toggle('collapsed'));
+logoutBtn.addEventListener('click', async () => {
+  await fetch('/api/admin/logout', { method: 'POST' });
+  window.location.href = '/admin/login.html';
+});
+serviceForm.addEventListener('submit', saveService);
+cancelEditBtn.addEventListener('click', resetServiceForm);
+
+async function init() {
+  if (!(await checkAuth())) return;
+  await loadServices();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
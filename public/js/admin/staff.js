@@ -0,0 +1,429 @@
+/**
+ * Admin Staff JavaScript
+ * Manages staff members, their service skills, weekly hours and blocked dates
+ */
+
+const sidebar = document.getElementById('sidebar');
+const sidebarToggle = document.getElementById('sidebarToggle');
+const logoutBtn = document.getElementById('logoutBtn');
+const alertContainer = document.getElementById('alertContainer');
+const userName = document.getElementById('userName');
+const userEmail = document.getElementById('userEmail');
+const userInitials = document.getElementById('userInitials');
+const staffForm = document.getElementById('staffForm');
+const staffFormTitle = document.getElementById('staffFormTitle');
+const staffName = document.getElementById('staffName');
+const staffEmail = document.getElementById('staffEmail');
+const skillsContainer = document.getElementById('skillsContainer');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const staffList = document.getElementById('staffList');
+const scheduleSection = document.getElementById('scheduleSection');
+const scheduleTitle = document.getElementById('scheduleTitle');
+const hoursForm = document.getElementById('hoursForm');
+const blockDateForm = document.getElementById('blockDateForm');
+const blockDate = document.getElementById('blockDate');
+const blockReason = document.getElementById('blockReason');
+const blockedDatesList = document.getElementById('blockedDatesList');
+
+const dayNames = ['Κυριακή', 'Δευτέρα', 'Τρίτη', 'Τετάρτη', 'Πέμπτη', 'Παρασκευή', 'Σάββατο'];
+
+let staff = [];
+let services = [];
+let editingId = null;
+let scheduleStaffId = null;
+
+function showAlert(message, type = 'info') {
+  const alert = document.createElement('div');
+  alert.className = `alert alert-${type}`;
+  alert.textContent = message;
+  alertContainer.appendChild(alert);
+  setTimeout(() => alert.remove(), 5000);
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+async function checkAuth() {
+  try {
+    const response = await fetch('/api/admin/me');
+    const data = await response.json();
+    if (!data.success || !data.authenticated) {
+      window.location.href = '/admin/login.html';
+      return false;
+    }
+    userName.textContent = data.data.username;
+    userEmail.textContent = data.data.email;
+    userInitials.textContent = data.data.username.substring(0, 2).toUpperCase();
+    return true;
+  } catch (error) {
+    window.location.href = '/admin/login.html';
+    return false;
+  }
+}
+
+function renderSkills(selectedIds = []) {
+  skillsContainer.innerHTML = services
+    .map(
+      (service) => `
+        <label style="display:flex;align-items:center;gap:6px;cursor:pointer;">
+            <input type="checkbox" class="skill-checkbox" value="${service.id}" ${selectedIds.includes(service.id) ? 'checked' : ''}>
+            <span>${escapeHtml(service.name)}</span>
+        </label>
+    `
+    )
+    .join('');
+}
+
+function serviceNames(ids) {
+  if (ids.length === 0) return 'Όλες οι υπηρεσίες';
+  return ids
+    .map((id) => services.find((service) => service.id === id))
+    .filter(Boolean)
+    .map((service) => escapeHtml(service.name))
+    .join(', ');
+}
+
+function renderStaff() {
+  if (staff.length === 0) {
+    staffList.innerHTML =
+      '<p style="color:#6b7280;text-align:center;padding:20px;">Δεν υπάρχει προσωπικό. Όλα τα ραντεβού κλείνονται στο ωράριο του γραφείου.</p>';
+    return;
+  }
+
+  staffList.innerHTML = staff
+    .map(
+      (member, index) => `
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;${member.is_active ? '' : 'opacity:0.6;'}">
+            <div>
+                <strong>${escapeHtml(member.name)}</strong>
+                ${member.email ? `<small style="color:#6b7280;"> ${escapeHtml(member.email)}</small>` : ''}
+                ${member.is_active ? '' : '<small style="color:#dc2626;"> (Ανενεργό)</small>'}
+                <br><small style="color:#6b7280;">${serviceNames(member.service_ids)}</small>
+            </div>
+            <div style="display:flex;gap:6px;flex-shrink:0;">
+                <button class="btn btn-sm btn-secondary" data-action="schedule" data-index="${index}">Ωράριο</button>
+                <button class="btn btn-sm btn-secondary" data-action="edit" data-index="${index}">Επεξεργασία</button>
+                <button class="btn btn-sm ${member.is_active ? 'btn-danger' : 'btn-primary'}" data-action="toggle" data-index="${index}">
+                    ${member.is_active ? 'Απενεργοποίηση' : 'Ενεργοποίηση'}
+                </button>
+            </div>
+        </div>
+    `
+    )
+    .join('');
+}
+
+async function loadServices() {
+  try {
+    const response = await fetch('/api/admin/services');
+    const data = await response.json();
+    if (data.success) {
+      services = data.data;
+      renderSkills();
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης υπηρεσιών.', 'error');
+  }
+}
+
+async function loadStaff() {
+  try {
+    const response = await fetch('/api/admin/staff');
+    const data = await response.json();
+    if (data.success) {
+      staff = data.data;
+      renderStaff();
+    } else {
+      showAlert(data.message || 'Σφάλμα φόρτωσης προσωπικού.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης προσωπικού.', 'error');
+  }
+}
+
+function resetStaffForm() {
+  editingId = null;
+  staffForm.reset();
+  renderSkills();
+  staffFormTitle.textContent = 'Νέο Μέλος Προσωπικού';
+  cancelEditBtn.style.display = 'none';
+}
+
+function startEdit(member) {
+  editingId = member.id;
+  staffName.value = member.name;
+  staffEmail.value = member.email || '';
+  renderSkills(member.service_ids);
+  staffFormTitle.textContent = `Επεξεργασία: ${member.name}`;
+  cancelEditBtn.style.display = 'inline-block';
+  staffForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveStaff(e) {
+  e.preventDefault();
+
+  const payload = {
+    name: staffName.value.trim(),
+    email: staffEmail.value.trim() || null,
+    service_ids: Array.from(document.querySelectorAll('.skill-checkbox:checked')).map((cb) =>
+      parseInt(cb.value, 10)
+    ),
+  };
+
+  try {
+    const response = await fetch(editingId ? `/api/admin/staff/${editingId}` : '/api/admin/staff', {
+      method: editingId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      resetStaffForm();
+      await loadStaff();
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(`${data.message || 'Σφάλμα αποθήκευσης.'} ${details}`.trim(), 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function toggleStaff(member) {
+  if (
+    member.is_active &&
+    !confirm('Το μέλος δεν θα δέχεται νέα ραντεβού. Τα υπάρχοντα ραντεβού διατηρούνται. Συνέχεια;')
+  ) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/admin/staff/${member.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ is_active: !member.is_active }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      await loadStaff();
+    } else {
+      showAlert(data.message || 'Σφάλμα ενημέρωσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+function renderDaysForm(days) {
+  const container = document.getElementById('daysContainer');
+
+  container.innerHTML = days
+    .map(
+      (day) => `
+        <div style="display:grid;grid-template-columns:140px 120px 1fr 1fr;gap:12px;align-items:center;margin-bottom:8px;">
+            <strong>${dayNames[day.day_of_week]}</strong>
+            <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+                <input type="checkbox" class="day-checkbox" data-day="${day.day_of_week}" ${day.is_working_day ? 'checked' : ''}>
+                <span>Εργάσιμη</span>
+            </label>
+            <input type="time" class="form-control day-start" data-day="${day.day_of_week}"
+                   value="${day.start_time ? day.start_time.substring(0, 5) : '09:00'}">
+            <input type="time" class="form-control day-end" data-day="${day.day_of_week}"
+                   value="${day.end_time ? day.end_time.substring(0, 5) : '17:00'}">
+        </div>
+    `
+    )
+    .join('');
+}
+
+async function loadBlockedDates() {
+  try {
+    const response = await fetch(`/api/admin/staff/${scheduleStaffId}/blocked-dates`);
+    const data = await response.json();
+    if (!data.success) return;
+
+    if (data.data.length === 0) {
+      blockedDatesList.innerHTML =
+        '<p style="color:#6b7280;text-align:center;padding:20px;">Δεν υπάρχουν αποκλεισμένες ημερομηνίες.</p>';
+      return;
+    }
+
+    blockedDatesList.innerHTML = data.data
+      .map((bd) => {
+        const formattedDate = new Date(`${bd.blocked_date}T00:00:00`).toLocaleDateString('el-GR', {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+        });
+        return `
+                <div style="display:flex;justify-content:space-between;align-items:center;padding:12px;border:1px solid #e5e7eb;border-radius:6px;margin-bottom:8px;">
+                    <div>
+                        <strong>${formattedDate}</strong>
+                        ${bd.reason ? `<br><small style="color:#6b7280;">${escapeHtml(bd.reason)}</small>` : ''}
+                    </div>
+                    <button class="btn btn-sm btn-danger remove-blocked-date" data-id="${bd.id}">Αφαίρεση</button>
+                </div>
+                `;
+      })
+      .join('');
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης αποκλεισμένων ημερομηνιών.', 'error');
+  }
+}
+
+async function openSchedule(member) {
+  scheduleStaffId = member.id;
+  scheduleTitle.textContent = `Ωράριο: ${member.name}`;
+  scheduleSection.style.display = 'block';
+
+  try {
+    const response = await fetch(`/api/admin/staff/${member.id}/hours`);
+    const data = await response.json();
+    if (data.success) {
+      renderDaysForm(data.data.days);
+    }
+  } catch (error) {
+    showAlert('Σφάλμα φόρτωσης ωραρίου.', 'error');
+  }
+
+  await loadBlockedDates();
+  scheduleSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveHours(e) {
+  e.preventDefault();
+
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const checkbox = document.querySelector(`.day-checkbox[data-day="${i}"]`);
+    const startInput = document.querySelector(`.day-start[data-day="${i}"]`);
+    const endInput = document.querySelector(`.day-end[data-day="${i}"]`);
+
+    days.push({
+      day_of_week: i,
+      is_working_day: checkbox.checked,
+      start_time: checkbox.checked ? `${startInput.value}:00` : null,
+      end_time: checkbox.checked ? `${endInput.value}:00` : null,
+    });
+  }
+
+  try {
+    const response = await fetch(`/api/admin/staff/${scheduleStaffId}/hours`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ days }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+    } else {
+      const details = data.errors ? Object.values(data.errors).join(' ') : '';
+      showAlert(`${data.message || 'Σφάλμα αποθήκευσης.'} ${details}`.trim(), 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function addBlockedDate(e) {
+  e.preventDefault();
+  if (!blockDate.value) return;
+
+  try {
+    const response = await fetch(`/api/admin/staff/${scheduleStaffId}/blocked-dates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blocked_date: blockDate.value,
+        reason: blockReason.value || null,
+      }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      blockDate.value = '';
+      blockReason.value = '';
+      await loadBlockedDates();
+    } else {
+      showAlert(data.message || 'Σφάλμα αποκλεισμού ημερομηνίας.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+async function removeBlockedDate(id) {
+  if (!confirm('Είστε σίγουροι ότι θέλετε να αφαιρέσετε αυτή την αποκλεισμένη ημερομηνία;')) return;
+
+  try {
+    const response = await fetch(`/api/admin/staff/${scheduleStaffId}/blocked-dates/${id}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+    if (data.success) {
+      showAlert(data.message, 'success');
+      await loadBlockedDates();
+    } else {
+      showAlert(data.message || 'Σφάλμα αφαίρεσης.', 'error');
+    }
+  } catch (error) {
+    showAlert('Σφάλμα σύνδεσης με τον διακομιστή.', 'error');
+  }
+}
+
+// Event delegation for staff action buttons
+staffList.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  const member = staff[parseInt(button.dataset.index, 10)];
+
+  switch (button.dataset.action) {
+    case 'schedule':
+      await openSchedule(member);
+      break;
+    case 'edit':
+      startEdit(member);
+      break;
+    case 'toggle':
+      await toggleStaff(member);
+      break;
+    default:
+      break;
+  }
+});
+
+// Event delegation for remove blocked date buttons
+blockedDatesList.addEventListener('click', async (e) => {
+  if (e.target.classList.contains('remove-blocked-date')) {
+    await removeBlockedDate(e.target.dataset.id);
+  }
+});
+
+sidebarToggle.addEventListener('click', () => sidebar.classList.toggle('collapsed'));
+logoutBtn.addEventListener('click', async () => {
+  await fetch('/api/admin/logout', { method: 'POST' });
+  window.location.href = '/admin/login.html';
+});
+staffForm.addEventListener('submit', saveStaff);
+cancelEditBtn.addEventListener('click', resetStaffForm);
+hoursForm.addEventListener('submit', saveHours);
+blockDateForm.addEventListener('submit', addBlockedDate);
+
+async function init() {
+  if (!(await checkAuth())) return;
+  await loadServices();
+  await loadStaff();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -2,9 +2,10 @@
  * Appointments Booking Module
  *
  * Handles 3-step appointment booking wizard:
- * - Step 1: Service selection
- * - Step 2: Date and time selection with DD/MM/YYYY format
+ * - Step 1: Service selection (services loaded from /api/services)
+ * - Step 2: Date and time selection with DD/MM/YYYY format (the chosen slot is held on leaving)
  * - Step 3: Personal information
+ * - Waitlist for fully booked dates, and booking links from waitlist emails (?waitlist=<token>)
  *
  * Features:
  * - Flatpickr date picker with Greek date format (DD/MM/YYYY)
@@ -28,12 +29,15 @@
  * Booking form data structure
  * @typedef {Object} FormData
  * @property {string} service_type - Selected service (e.g., "Φορολογική Δήλωση")
+ * @property {number|null} staff_id - Chosen staff member, or null for any available
  * @property {string} appointment_date - Date in YYYY-MM-DD format for API
  * @property {string} appointment_time - Time in HH:MM:SS format (e.g., "10:00:00")
  * @property {string} client_name - Client full name (min 2 chars)
  * @property {string} client_email - Client email address (validated)
  * @property {string} client_phone - Greek phone number (validated)
  * @property {string} notes - Optional notes (max 1000 chars)
+ * @property {string|null} hold_token - Hold on the chosen slot from /api/availability/hold
+ * @property {string|null} waitlist_token - Offer token when booking from a waitlist email
  */
 
 /**
@@ -41,23 +45,42 @@
  * @typedef {Object} AppointmentState
  * @property {number} currentStep - Current wizard step (1-3)
  * @property {string[]} availableDates - Array of available dates in YYYY-MM-DD format
+ * @property {BookingPolicy} policy - Booking policy of the selected service
+ * @property {string[]} waitlistDates - Fully booked dates (YYYY-MM-DD) the client would wait for
  * @property {FormData} formData - Booking form data
  */
 
+/**
+ * Booking policy from /api/availability/policy
+ * @typedef {Object} BookingPolicy
+ * @property {number} booking_window_days - How many days ahead clients can book
+ * @property {number} minimum_notice_hours - Minimum notice before an appointment
+ * @property {number} slot_capacity - How many clients can book the same time
+ */
+
 /**
  * @type {AppointmentState}
  */
 const state = {
   currentStep: 1,
   availableDates: [],
+  waitlistDates: [],
+  policy: {
+    booking_window_days: 60,
+    minimum_notice_hours: 24,
+    slot_capacity: 1,
+  },
   formData: {
     service_type: '',
+    staff_id: null,
     appointment_date: '',
     appointment_time: '',
     client_name: '',
     client_email: '',
     client_phone: '',
     notes: '',
+    hold_token: null,
+    waitlist_token: null,
   },
 };
 
@@ -66,6 +89,8 @@ const elements = {
   form: null,
   steps: [],
   serviceType: null,
+  staffGroup: null,
+  staffSelect: null,
   appointmentDate: null,
   appointmentTime: null,
   clientName: null,
@@ -77,6 +102,7 @@ const elements = {
   loadingIndicator: null,
   bookingSummary: null,
   formContainer: null,
+  waitlistPanel: null,
 };
 
 /**
@@ -91,6 +117,8 @@ function init() {
     document.getElementById('step-3'),
   ];
   elements.serviceType = document.getElementById('service_type');
+  elements.staffGroup = document.getElementById('staff-group');
+  elements.staffSelect = document.getElementById('staff_id');
   elements.appointmentDate = document.getElementById('appointment_date');
   elements.appointmentTime = document.getElementById('appointment_time');
   elements.clientName = document.getElementById('client_name');
@@ -102,24 +130,46 @@ function init() {
   elements.loadingIndicator = document.getElementById('loading-indicator');
   elements.bookingSummary = document.getElementById('booking-summary');
   elements.formContainer = document.getElementById('booking-form-container');
+  elements.waitlistPanel = document.getElementById('waitlist-panel');
 
   // Set up event listeners
   setupEventListeners();
 
+  // Build the service step from the service catalog, then open a waitlist booking link if any
+  const waitlistToken = new URLSearchParams(window.location.search).get('waitlist');
+  loadServices().then(() => {
+    if (waitlistToken) {
+      loadWaitlistOffer(waitlistToken);
+    }
+  });
+
   // Load available dates
   loadAvailableDates();
 
   // Set min/max dates for date picker
   setupDatePicker();
+
+  // Apply the office booking policy to the date picker
+  loadBookingPolicy();
 }
 
 /**
  * Set up all event listeners
  */
 function setupEventListeners() {
+  // Staff who handle the chosen service
+  elements.serviceType?.addEventListener('change', (e) => {
+    loadStaffForService(e.target.value);
+    loadBookingPolicy(e.target.value);
+  });
+
   // Step navigation
   document.getElementById('next-to-step-2')?.addEventListener('click', () => {
     if (validateStep1()) {
+      // Slot lengths depend on the service, so refresh times if a date was already picked
+      if (state.formData.appointment_date) {
+        loadAvailableTimesForDate(state.formData.appointment_date);
+      }
       goToStep(2);
     }
   });
@@ -128,8 +178,8 @@ function setupEventListeners() {
     goToStep(1);
   });
 
-  document.getElementById('next-to-step-3')?.addEventListener('click', () => {
-    if (validateStep2()) {
+  document.getElementById('next-to-step-3')?.addEventListener('click', async () => {
+    if (validateStep2() && (await holdSelectedSlot())) {
       showBookingSummary();
       goToStep(3);
     }
@@ -170,6 +220,9 @@ function setupEventListeners() {
     }
   });
 
+  // Waitlist for fully booked dates
+  document.getElementById('join-waitlist')?.addEventListener('click', joinWaitlist);
+
   // Real-time summary updates for Step 3
   elements.clientName?.addEventListener('input', updateBookingSummary);
   elements.clientEmail?.addEventListener('input', updateBookingSummary);
@@ -182,8 +235,7 @@ function setupEventListeners() {
  *
  * Configures:
  * - Date format: DD/MM/YYYY (Greek standard)
- * - Min date: Tomorrow (24-hour advance booking required)
- * - Max date: 60 days from today
+ * - Min/max date: From the booking policy (minimum notice and booking window)
  * - Disabled days: Weekends (Saturday, Sunday)
  * - First day of week: Monday
  *
@@ -213,16 +265,12 @@ function setupDatePicker() {
   }
 
   try {
-    const today = new Date();
-    today.setDate(today.getDate() + 1); // Minimum: tomorrow
-
-    const maxDate = new Date();
-    maxDate.setDate(maxDate.getDate() + 60); // Maximum: 60 days ahead
+    const { minDate, maxDate } = getBookingDateRange();
 
     // Initialize Flatpickr with DD/MM/YYYY format
     const picker = flatpickr(elements.appointmentDate, {
       dateFormat: 'd/m/Y',
-      minDate: today,
+      minDate,
       maxDate,
       locale: {
         firstDayOfWeek: 1, // Monday
@@ -263,6 +311,64 @@ function setupDatePicker() {
   }
 }
 
+/**
+ * Get the first and last bookable dates of the booking policy
+ * The first date is the day the minimum notice ends; the server checks the exact time
+ * @returns {{minDate: Date, maxDate: Date}}
+ */
+function getBookingDateRange() {
+  const minDate = new Date();
+  minDate.setHours(minDate.getHours() + state.policy.minimum_notice_hours);
+  minDate.setHours(0, 0, 0, 0);
+
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + state.policy.booking_window_days);
+  maxDate.setHours(23, 59, 59, 999);
+
+  return { minDate, maxDate };
+}
+
+/**
+ * Load the booking policy of a service and apply it to the date picker and info box
+ * Keeps the current policy if the request fails; the server enforces it anyway
+ * @param {string} [serviceName] - Selected service, or none for the office policy
+ * @returns {Promise<void>}
+ */
+async function loadBookingPolicy(serviceName = '') {
+  try {
+    const params = new URLSearchParams();
+    if (serviceName) {
+      params.set('service', serviceName);
+    }
+    const response = await fetch(`/api/availability/policy?${params}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load booking policy');
+    }
+
+    state.policy = data.data;
+  } catch (error) {
+    console.error('Error loading booking policy:', error);
+    return;
+  }
+
+  const { minDate, maxDate } = getBookingDateRange();
+  elements.datePickerInstance?.set('minDate', minDate);
+  elements.datePickerInstance?.set('maxDate', maxDate);
+
+  const windowText = document.getElementById('policy-window-text');
+  if (windowText) {
+    windowText.textContent = `Τα ραντεβού μπορούν να κλειστούν έως ${state.policy.booking_window_days} ημέρες μπροστά`;
+  }
+
+  const noticeText = document.getElementById('policy-notice-text');
+  if (noticeText) {
+    const hours = state.policy.minimum_notice_hours;
+    noticeText.textContent = `Απαιτείται τουλάχιστον ${hours === 1 ? '1 ώρα' : `${hours} ώρες`} προειδοποίηση`;
+  }
+}
+
 /**
  * Validates manually entered date in DD/MM/YYYY format
  *
@@ -270,7 +376,7 @@ function setupDatePicker() {
  * 1. Format: Must match DD/MM/YYYY (e.g., "29/11/2024")
  * 2. Date validity: Must be real date (no 32/13/2024)
  * 3. Day of week: Must not be weekend (Saturday/Sunday)
- * 4. Range: Must be between tomorrow and 60 days ahead
+ * 4. Range: Must be within the booking policy (minimum notice to booking window)
  *
  * @param {string} dateStr - Date string in DD/MM/YYYY format
  * @returns {Date|null} Valid Date object if all checks pass, null otherwise
@@ -310,15 +416,9 @@ function validateManualDateEntry(dateStr) {
   }
 
   // Check it's within allowed range
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(0, 0, 0, 0);
+  const { minDate, maxDate } = getBookingDateRange();
 
-  const maxDate = new Date();
-  maxDate.setDate(maxDate.getDate() + 60);
-  maxDate.setHours(23, 59, 59, 999);
-
-  if (date < tomorrow || date > maxDate) {
+  if (date < minDate || date > maxDate) {
     return null;
   }
 
@@ -354,6 +454,7 @@ function validateStep1() {
   }
 
   state.formData.service_type = serviceType;
+  state.formData.staff_id = parseInt(elements.staffSelect?.value, 10) || null;
   return true;
 }
 
@@ -432,6 +533,78 @@ function isValidGreekPhone(phone) {
   return mobileRegex.test(cleaned) || landlineRegex.test(cleaned);
 }
 
+/**
+ * Load bookable services from API and fill the service select
+ */
+async function loadServices() {
+  const serviceSelect = elements.serviceType;
+  if (!serviceSelect) return;
+
+  try {
+    serviceSelect.disabled = true;
+
+    const response = await fetch('/api/services');
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load services');
+    }
+
+    serviceSelect.innerHTML = '<option value="">-- Επιλέξτε Υπηρεσία --</option>';
+    data.data.forEach((service) => {
+      const option = document.createElement('option');
+      option.value = service.name;
+      option.textContent = service.name;
+      if (service.description) {
+        option.title = service.description;
+      }
+      serviceSelect.appendChild(option);
+    });
+    serviceSelect.disabled = false;
+  } catch (error) {
+    console.error('Error loading services:', error);
+    showError('Αποτυχία φόρτωσης υπηρεσιών. Παρακαλώ ανανεώστε τη σελίδα.');
+  }
+}
+
+/**
+ * Load staff members who handle a service and fill the staff select
+ * The select stays hidden when the office has no staff configured
+ * @param {string} serviceName
+ */
+async function loadStaffForService(serviceName) {
+  const { staffGroup, staffSelect } = elements;
+  if (!staffGroup || !staffSelect) return;
+
+  staffSelect.innerHTML = '<option value="">Οποιοσδήποτε διαθέσιμος</option>';
+  staffGroup.style.display = 'none';
+  if (!serviceName) return;
+
+  try {
+    const params = new URLSearchParams({ service: serviceName });
+    const response = await fetch(`/api/staff?${params}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load staff');
+    }
+
+    data.data.forEach((member) => {
+      const option = document.createElement('option');
+      option.value = member.id;
+      option.textContent = member.name;
+      staffSelect.appendChild(option);
+    });
+
+    if (data.data.length > 0) {
+      staffGroup.style.display = '';
+    }
+  } catch (error) {
+    // Booking still works without a choice: the next available staff member is assigned
+    console.error('Error loading staff:', error);
+  }
+}
+
 /**
  * Load available dates from API
  */
@@ -468,23 +641,35 @@ async function loadAvailableTimesForDate(date) {
     timeSelect.disabled = true;
     timeSelect.innerHTML = '<option value="">Φόρτωση...</option>';
 
-    const response = await fetch(`/api/availability/slots/${date}`);
+    const params = new URLSearchParams({ service: state.formData.service_type });
+    if (state.formData.staff_id) {
+      params.set('staff', state.formData.staff_id);
+    }
+    // Keep listing the slot this client holds
+    if (state.formData.hold_token) {
+      params.set('hold', state.formData.hold_token);
+    }
+    const response = await fetch(`/api/availability/slots/${date}?${params}`);
     const data = await response.json();
 
     if (data.success) {
-      const { slots } = data.data;
+      const { slots, seats_left: seatsLeft, capacity } = data.data;
 
       if (slots.length === 0) {
         timeSelect.innerHTML = '<option value="">Δεν υπάρχουν διαθέσιμες ώρες</option>';
         document.getElementById('time-help-text').textContent =
           'Δεν υπάρχουν διαθέσιμες ώρες για αυτή την ημερομηνία.';
+        addWaitlistDate(date);
       } else {
         timeSelect.innerHTML = '<option value="">-- Επιλέξτε ώρα --</option>';
         slots.forEach((slot) => {
           const option = document.createElement('option');
           option.value = slot;
-          // Format time as HH:MM
+          // Format time as HH:MM, with the seats left when a slot is shared
           option.textContent = slot.substring(0, 5);
+          if (capacity > 1 && seatsLeft && seatsLeft[slot]) {
+            option.textContent += ` (${seatsLeft[slot]} ${seatsLeft[slot] === 1 ? 'θέση' : 'θέσεις'})`;
+          }
           timeSelect.appendChild(option);
         });
         timeSelect.disabled = false;
@@ -499,6 +684,201 @@ async function loadAvailableTimesForDate(date) {
   }
 }
 
+/**
+ * Hold the chosen slot while the client fills in their details
+ * A new hold replaces the client's previous one
+ * @returns {Promise<boolean>} - False when someone else took the slot in the meantime
+ */
+async function holdSelectedSlot() {
+  try {
+    const response = await fetch('/api/availability/hold', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        date: state.formData.appointment_date,
+        time: state.formData.appointment_time,
+        service_type: state.formData.service_type,
+        staff_id: state.formData.staff_id,
+        hold_token: state.formData.hold_token,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      state.formData.hold_token = data.data.hold_token;
+      return true;
+    }
+
+    if (response.status === 409) {
+      showError(data.message);
+      loadAvailableTimesForDate(state.formData.appointment_date);
+      return false;
+    }
+
+    // Booking still works without a hold, the slot is just not reserved
+    console.warn('Slot hold failed:', data.message);
+    return true;
+  } catch (error) {
+    console.error('Error holding slot:', error);
+    return true;
+  }
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD/MM/YYYY
+ * @param {string} apiDate
+ * @returns {string}
+ */
+function formatDisplayDate(apiDate) {
+  const [year, month, day] = apiDate.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Add a fully booked date to the waitlist panel and show it
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+function addWaitlistDate(date) {
+  if (!state.waitlistDates.includes(date)) {
+    state.waitlistDates = [...state.waitlistDates, date].sort();
+  }
+  renderWaitlistPanel();
+}
+
+/**
+ * Show the waitlist panel while there are fully booked dates to wait for
+ */
+function renderWaitlistPanel() {
+  if (!elements.waitlistPanel) return;
+
+  elements.waitlistPanel.style.display = state.waitlistDates.length > 0 ? 'block' : 'none';
+  document.getElementById('waitlist-dates').textContent = state.waitlistDates
+    .map(formatDisplayDate)
+    .join(', ');
+}
+
+/**
+ * Join the waitlist for the fully booked dates
+ */
+async function joinWaitlist() {
+  const name = document.getElementById('waitlist_name')?.value.trim() || '';
+  const email = document.getElementById('waitlist_email')?.value.trim() || '';
+  const phone = document.getElementById('waitlist_phone')?.value.trim() || '';
+
+  if (name.length < 2) {
+    showError('Παρακαλώ εισάγετε έγκυρο όνομα (τουλάχιστον 2 χαρακτήρες).');
+    return;
+  }
+
+  if (!isValidEmail(email)) {
+    showError('Παρακαλώ εισάγετε έγκυρη διεύθυνση email.');
+    return;
+  }
+
+  if (phone && !isValidGreekPhone(phone)) {
+    showError('Παρακαλώ εισάγετε έγκυρο ελληνικό τηλέφωνο.');
+    return;
+  }
+
+  try {
+    showLoading(true);
+
+    const response = await fetch('/api/waitlist', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        client_name: name,
+        client_email: email,
+        client_phone: phone,
+        service_type: state.formData.service_type,
+        preferred_dates: state.waitlistDates,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      showSuccess(data.message);
+      resetForm();
+    } else {
+      const firstError = data.errors ? Object.values(data.errors)[0] : null;
+      throw new Error(firstError || data.message || 'Failed to join waitlist');
+    }
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    showError(error.message || 'Αποτυχία εγγραφής στη λίστα αναμονής. Παρακαλώ δοκιμάστε ξανά.');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Open a booking link from a waitlist email: fill in the offered slot and the client's
+ * details, hold the slot and go straight to the last step
+ * @param {string} token - Offer token from the link
+ */
+async function loadWaitlistOffer(token) {
+  try {
+    const response = await fetch(`/api/waitlist/offer/${encodeURIComponent(token)}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load waitlist offer');
+    }
+
+    const offer = data.data;
+    if (!offer.available) {
+      showError(
+        'Η ώρα που σας προσφέρθηκε δεν είναι πλέον διαθέσιμη. Παρακαλώ επιλέξτε άλλη ημερομηνία.'
+      );
+      return;
+    }
+
+    if (elements.serviceType) {
+      elements.serviceType.value = offer.service_type;
+    }
+    await loadBookingPolicy(offer.service_type);
+
+    Object.assign(state.formData, {
+      service_type: offer.service_type,
+      appointment_date: offer.appointment_date,
+      appointment_time: offer.appointment_time,
+      client_name: offer.client_name,
+      client_email: offer.client_email,
+      client_phone: offer.client_phone || '',
+      waitlist_token: token,
+    });
+
+    // Keep step 2 consistent in case the client goes back
+    elements.datePickerInstance?.setDate(new Date(`${offer.appointment_date}T00:00:00`), false);
+
+    if (!(await holdSelectedSlot())) {
+      goToStep(2);
+      return;
+    }
+
+    await loadAvailableTimesForDate(offer.appointment_date);
+    if (elements.appointmentTime) {
+      elements.appointmentTime.value = offer.appointment_time;
+    }
+
+    if (elements.clientName) elements.clientName.value = offer.client_name;
+    if (elements.clientEmail) elements.clientEmail.value = offer.client_email;
+    if (elements.clientPhone) elements.clientPhone.value = offer.client_phone || '';
+
+    showBookingSummary();
+    goToStep(3);
+  } catch (error) {
+    console.error('Error loading waitlist offer:', error);
+    showError(error.message || 'Αποτυχία φόρτωσης του συνδέσμου κράτησης.');
+  }
+}
+
 /**
  * Show booking summary
  */
@@ -517,6 +897,17 @@ function showBookingSummary() {
 
   // Update summary
   document.getElementById('summary-service').textContent = state.formData.service_type;
+
+  // Staff row only applies when the office has staff to choose from
+  const showStaff = elements.staffGroup?.style.display !== 'none';
+  document.querySelectorAll('.summary-staff').forEach((el) => {
+    el.style.display = showStaff ? '' : 'none';
+  });
+  if (showStaff) {
+    const { staffSelect } = elements;
+    document.getElementById('summary-staff').textContent =
+      staffSelect.options[staffSelect.selectedIndex].textContent;
+  }
   document.getElementById('summary-date').textContent = formattedDate;
   document.getElementById('summary-time').textContent = formattedTime;
   document.getElementById('summary-name').textContent = state.formData.client_name;
@@ -688,18 +1079,29 @@ function resetForm() {
   }
 
   state.currentStep = 1;
+  if (elements.staffGroup) {
+    elements.staffGroup.style.display = 'none';
+  }
+
+  state.waitlistDates = [];
+  renderWaitlistPanel();
+
   state.formData = {
     service_type: '',
+    staff_id: null,
     appointment_date: '',
     appointment_time: '',
     client_name: '',
     client_email: '',
     client_phone: '',
     notes: '',
+    hold_token: null,
+    waitlist_token: null,
   };
 
-  // Reinitialize date picker for next booking
+  // Reinitialize date picker for next booking, with the office policy
   setupDatePicker();
+  loadBookingPolicy();
 
   goToStep(1);
 }
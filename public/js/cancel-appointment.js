@@ -1,8 +1,10 @@
 /**
  * Cancellation Page JavaScript
- * Handles appointment cancellation via token
+ * Handles appointment rescheduling and cancellation via token
  */
 
+// Flatpickr loaded as global variable from /js/vendor/flatpickr/flatpickr.min.js (UMD build)
+
 // DOM Elements
 const messageDiv = document.getElementById('message');
 const loadingContainer = document.getElementById('loadingContainer');
@@ -11,6 +13,10 @@ const warningBox = document.getElementById('warningBox');
 const actionsContainer = document.getElementById('actionsContainer');
 const successContainer = document.getElementById('successContainer');
 const confirmCancelBtn = document.getElementById('confirmCancelBtn');
+const rescheduleSection = document.getElementById('rescheduleSection');
+const rescheduleDate = document.getElementById('rescheduleDate');
+const rescheduleTime = document.getElementById('rescheduleTime');
+const confirmRescheduleBtn = document.getElementById('confirmRescheduleBtn');
 
 // Detail fields
 const clientName = document.getElementById('clientName');
@@ -22,6 +28,8 @@ const serviceType = document.getElementById('serviceType');
 // State
 let currentToken = null;
 let appointment = null;
+let datePicker = null;
+let selectedDate = null;
 
 /**
  * Show message
@@ -87,8 +95,8 @@ async function loadAppointment(token) {
       return;
     }
 
-    // Check if can be cancelled
-    if (appointment.status === 'declined' || appointment.status === 'completed') {
+    // The server decides from its status rules whether the client can still cancel
+    if (!appointment.can_cancel) {
       showMessage(
         `Δεν μπορείτε να ακυρώσετε αυτό το ραντεβού (Κατάσταση: ${getStatusLabel(appointment.status)}).`,
         'error'
@@ -105,8 +113,11 @@ async function loadAppointment(token) {
 
     // Show UI elements
     appointmentDetails.classList.add('show');
+    rescheduleSection.classList.add('show');
     warningBox.classList.add('show');
     actionsContainer.style.display = 'flex';
+
+    await setupReschedulePicker();
   } catch (error) {
     console.error('Error loading appointment:', error);
     showMessage(error.message || 'Σφάλμα φόρτωσης ραντεβού.', 'error');
@@ -145,6 +156,7 @@ async function cancelAppointment() {
 
     // Hide current UI
     appointmentDetails.classList.remove('show');
+    rescheduleSection.classList.remove('show');
     warningBox.classList.remove('show');
     actionsContainer.style.display = 'none';
     hideMessage();
@@ -161,6 +173,154 @@ async function cancelAppointment() {
   }
 }
 
+/**
+ * Format a Date as YYYY-MM-DD for the API
+ */
+function toApiDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Set up the date picker with the dates that have free slots for this service
+ */
+async function setupReschedulePicker() {
+  if (typeof flatpickr !== 'function') {
+    console.error('Flatpickr library not loaded');
+    rescheduleSection.classList.remove('show');
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ service: appointment.service_type });
+    const response = await fetch(`/api/availability/dates?${params}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load available dates');
+    }
+
+    if (datePicker) {
+      datePicker.destroy();
+    }
+
+    datePicker = flatpickr(rescheduleDate, {
+      dateFormat: 'd/m/Y',
+      enable: data.data.map((day) => day.date),
+      locale: {
+        firstDayOfWeek: 1, // Monday
+      },
+      onChange(selectedDates) {
+        if (selectedDates.length > 0) {
+          selectedDate = toApiDate(selectedDates[0]);
+          loadRescheduleTimes(selectedDate);
+        }
+      },
+    });
+
+    if (data.data.length === 0) {
+      rescheduleDate.placeholder = 'Δεν υπάρχουν διαθέσιμες ημερομηνίες';
+      rescheduleDate.disabled = true;
+    }
+  } catch (error) {
+    console.error('Error loading available dates:', error);
+    rescheduleSection.classList.remove('show');
+  }
+}
+
+/**
+ * Load free times for the selected date
+ */
+async function loadRescheduleTimes(date) {
+  rescheduleTime.disabled = true;
+  confirmRescheduleBtn.disabled = true;
+  rescheduleTime.innerHTML = '<option value="">Φόρτωση...</option>';
+
+  try {
+    const params = new URLSearchParams({
+      service: appointment.service_type,
+      reschedule: currentToken,
+    });
+    const response = await fetch(`/api/availability/slots/${date}?${params}`);
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to load time slots');
+    }
+
+    const { slots } = data.data;
+
+    if (slots.length === 0) {
+      rescheduleTime.innerHTML = '<option value="">Δεν υπάρχουν διαθέσιμες ώρες</option>';
+      return;
+    }
+
+    rescheduleTime.innerHTML = '<option value="">-- Επιλέξτε ώρα --</option>';
+    slots.forEach((slot) => {
+      const option = document.createElement('option');
+      option.value = slot;
+      option.textContent = formatTime(slot);
+      rescheduleTime.appendChild(option);
+    });
+    rescheduleTime.disabled = false;
+  } catch (error) {
+    console.error('Error loading time slots:', error);
+    rescheduleTime.innerHTML = '<option value="">-- Επιλέξτε πρώτα ημερομηνία --</option>';
+    showMessage('Αποτυχία φόρτωσης διαθέσιμων ωρών. Παρακαλώ δοκιμάστε ξανά.', 'error');
+  }
+}
+
+/**
+ * Reschedule appointment to the selected date and time
+ */
+async function rescheduleAppointment() {
+  if (!selectedDate || !rescheduleTime.value) {
+    return;
+  }
+
+  confirmRescheduleBtn.disabled = true;
+  confirmRescheduleBtn.textContent = 'Αλλαγή...';
+
+  try {
+    const response = await fetch(`/api/appointments/${currentToken}/reschedule`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        appointment_date: selectedDate,
+        appointment_time: rescheduleTime.value,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Σφάλμα κατά την αλλαγή.');
+    }
+
+    // Show the new date and time, and refresh the picker for further changes
+    appointment.appointment_date = data.data.appointment_date;
+    appointment.appointment_time = data.data.appointment_time;
+    appointmentDate.textContent = formatDate(appointment.appointment_date);
+    appointmentTime.textContent = formatTime(appointment.appointment_time);
+    showMessage(data.message, 'success');
+
+    selectedDate = null;
+    rescheduleTime.innerHTML = '<option value="">-- Επιλέξτε πρώτα ημερομηνία --</option>';
+    rescheduleTime.disabled = true;
+    await setupReschedulePicker();
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    showMessage(error.message || 'Σφάλμα κατά την αλλαγή του ραντεβού.', 'error');
+  } finally {
+    confirmRescheduleBtn.textContent = 'Επιβεβαίωση Αλλαγής';
+    confirmRescheduleBtn.disabled = !rescheduleTime.value;
+  }
+}
+
 /**
  * Get status label
  */
@@ -171,6 +331,8 @@ function getStatusLabel(status) {
     declined: 'Απορριφθέν',
     completed: 'Ολοκληρωμένο',
     cancelled: 'Ακυρωμένο',
+    expired: 'Έληξε',
+    no_show: 'Δεν προσήλθε',
   };
   return labels[status] || status;
 }
@@ -195,8 +357,12 @@ async function init() {
   await loadAppointment(currentToken);
 }
 
-// Attach event listener
+// Attach event listeners
 confirmCancelBtn.addEventListener('click', cancelAppointment);
+confirmRescheduleBtn.addEventListener('click', rescheduleAppointment);
+rescheduleTime.addEventListener('change', () => {
+  confirmRescheduleBtn.disabled = !rescheduleTime.value;
+});
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -4,20 +4,176 @@
  */
 
 const express = require('express');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const router = express.Router();
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { requireAuth } = require('../../middleware/auth');
 const { apiLimiter } = require('../../middleware/rateLimiter');
 const { getDb } = require('../../services/database');
-const { toMySQLDate } = require('../../utils/timezone');
-const { logAppointmentStatusChange, logSecurityEvent, warn } = require('../../utils/logger');
+const { toMySQLDate, toMySQLDateTime, getCurrentDate } = require('../../utils/timezone');
+const { UTF8_BOM, toCsvRow } = require('../../utils/csv');
+const {
+  buildCalendarHeader,
+  buildCalendarFooter,
+  buildAppointmentEvent,
+} = require('../../utils/calendar');
+const { logSecurityEvent, warn } = require('../../utils/logger');
 const { queueEmail } = require('../../services/emailQueue');
+const {
+  findOccupiedSeats,
+  hasFreeSeat,
+  lockBookings,
+  recordReschedule,
+  collectFieldChanges,
+  recordFieldChanges,
+  getAppointmentChanges,
+  getNoShowCount,
+  updateAppointmentStatus,
+  createAppointment,
+  getAppointmentById,
+} = require('../../services/appointments');
+const { createSeries, updateSeries, cancelSeries } = require('../../services/appointmentSeries');
+const {
+  STATUS_LABELS,
+  hasStarted,
+  getAllowedTransitions,
+  getTransitionMessage,
+} = require('../../services/appointmentStatus');
+const { getServiceByName, getActiveServiceNames } = require('../../services/serviceCatalog');
+const { getSlotCapacity, getBookingPolicy } = require('../../services/bookingPolicy');
+const { isSlotAvailable } = require('../../services/availability');
+const {
+  validateAdminBookingRequest,
+  validateSeriesRequest,
+  validateSeriesChange,
+} = require('../../utils/validation');
+const {
+  sanitizeAdminBookingRequest,
+  sanitizeSeriesRequest,
+  sanitizeSeriesChange,
+} = require('../../utils/sanitization');
+const { getStaffById } = require('../../services/staff');
+const { invalidateDates, clearAvailabilityCache } = require('../../services/availabilityCache');
+
+// Appointment export columns (CSV header labels and row values)
+const CSV_COLUMNS = [
+  ['Ημερομηνία', (row) => toMySQLDate(row.appointment_date)],
+  ['Ώρα', (row) => row.appointment_time.substring(0, 5)],
+  ['Διάρκεια (λεπτά)', (row) => row.duration_minutes],
+  ['Πελάτης', (row) => row.client_name],
+  ['Email', (row) => row.client_email],
+  ['Τηλέφωνο', (row) => row.client_phone],
+  ['Υπηρεσία', (row) => row.service_type],
+  ['Λογιστής', (row) => row.staff_name],
+  ['Κατάσταση', (row) => STATUS_LABELS[row.status] || row.status],
+  ['Σημειώσεις', (row) => row.notes],
+  ['Δημιουργήθηκε', (row) => toMySQLDateTime(row.created_at)],
+];
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => UTF8_BOM + toCsvRow(CSV_COLUMNS.map(([label]) => label)),
+    formatRow: (row) => toCsvRow(CSV_COLUMNS.map(([, value]) => value(row))),
+    footer: () => '',
+  },
+  ics: {
+    contentType: 'text/calendar; charset=utf-8',
+    header: () => buildCalendarHeader({ name: 'NT TAXOFFICE - Ραντεβού' }),
+    formatRow: (row) =>
+      buildAppointmentEvent(row, {
+        summary: `${row.service_type} - ${row.client_name}`,
+        description: [row.client_phone, row.client_email, row.staff_name, row.notes]
+          .filter(Boolean)
+          .join('\n'),
+      }),
+    footer: buildCalendarFooter,
+  },
+};
 
 // Apply authentication to all routes
 router.use(requireAuth);
 router.use(apiLimiter);
 
+/**
+ * Build the WHERE clause for the appointment list filters
+ * @param {object} query - { status, startDate, endDate, search, staffId }
+ * @returns {object} - { whereClause, params }
+ */
+function buildAppointmentFilters({ status, startDate, endDate, search, staffId }) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (startDate) {
+    conditions.push('appointment_date >= ?');
+    params.push(toMySQLDate(startDate));
+  }
+
+  if (endDate) {
+    conditions.push('appointment_date <= ?');
+    params.push(toMySQLDate(endDate));
+  }
+
+  if (staffId) {
+    conditions.push('staff_id = ?');
+    params.push(parseInt(staffId, 10));
+  }
+
+  if (search) {
+    conditions.push('(client_name LIKE ? OR client_email LIKE ? OR client_phone LIKE ?)');
+    const searchPattern = `%${search}%`;
+    params.push(searchPattern, searchPattern, searchPattern);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Respond to the errors shared by the series routes
+ * @param {object} res
+ * @param {Error} error
+ * @returns {boolean} - False if the error is not a series error
+ */
+function sendSeriesError(res, error) {
+  const messages = {
+    APPOINTMENT_NOT_FOUND: [404, 'Το ραντεβού δεν βρέθηκε.'],
+    NOT_CONFIRMED: [409, 'Σειρά ραντεβού δημιουργείται μόνο από επιβεβαιωμένο ραντεβού.'],
+    ALREADY_IN_SERIES: [409, 'Το ραντεβού ανήκει ήδη σε σειρά.'],
+    NOT_IN_SERIES: [409, 'Το ραντεβού δεν ανήκει σε σειρά.'],
+    NOT_ACTIVE: [409, 'Μόνο εκκρεμή ή επιβεβαιωμένα ραντεβού μπορούν να αλλάξουν.'],
+    NO_ACTIVE_APPOINTMENTS: [
+      409,
+      'Δεν υπάρχουν ενεργά ραντεβού της σειράς από αυτή την ημερομηνία.',
+    ],
+  };
+
+  if (error.message === 'INVALID_TRANSITION') {
+    res.status(409).json({
+      success: false,
+      message: getTransitionMessage(error.fromStatus, error.toStatus),
+    });
+    return true;
+  }
+
+  if (!messages[error.message]) {
+    return false;
+  }
+
+  const [status, message] = messages[error.message];
+  res.status(status).json({ success: false, message });
+  return true;
+}
+
 /**
  * GET /api/admin/appointments
  * Get all appointments with filtering and pagination
@@ -26,45 +182,13 @@ router.get(
   '/',
   asyncHandler(async (req, res) => {
     const db = getDb();
-    const {
-      status,
-      startDate,
-      endDate,
-      search,
-      sortBy = 'appointment_date',
-      sortOrder = 'DESC',
-    } = req.query;
+    const { sortBy = 'appointment_date', sortOrder = 'DESC' } = req.query;
 
     // Validate and sanitize pagination parameters
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
 
-    // Build WHERE clause
-    const conditions = [];
-    const params = [];
-
-    if (status) {
-      conditions.push('status = ?');
-      params.push(status);
-    }
-
-    if (startDate) {
-      conditions.push('appointment_date >= ?');
-      params.push(toMySQLDate(startDate));
-    }
-
-    if (endDate) {
-      conditions.push('appointment_date <= ?');
-      params.push(toMySQLDate(endDate));
-    }
-
-    if (search) {
-      conditions.push('(client_name LIKE ? OR client_email LIKE ? OR client_phone LIKE ?)');
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern);
-    }
-
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { whereClause, params } = buildAppointmentFilters(req.query);
 
     // Validate sort fields
     const allowedSortFields = [
@@ -90,7 +214,8 @@ router.get(
     // Get appointments
     const [appointments] = await db.query(
       `SELECT id, client_name, client_email, client_phone,
-                appointment_date, appointment_time, service_type,
+                appointment_date, appointment_time, service_type, staff_id, series_id,
+                (SELECT name FROM staff WHERE staff.id = appointments.staff_id) AS staff_name,
                 notes, status, decline_reason, cancellation_token,
                 created_at, updated_at
          FROM appointments
@@ -104,6 +229,9 @@ router.get(
     const formattedAppointments = appointments.map((apt) => ({
       ...apt,
       appointment_date: toMySQLDate(apt.appointment_date),
+      allowed_statuses: getAllowedTransitions(apt.status, 'admin').filter(
+        (status) => status !== 'no_show' || hasStarted(apt)
+      ),
     }));
 
     res.json({
@@ -121,6 +249,96 @@ router.get(
   })
 );
 
+/**
+ * POST /api/admin/appointments
+ * Book an appointment for a phone or walk-in client
+ * Minimum notice and working hours can be overridden with a reason, kept in the history;
+ * the booking can start confirmed and the client email can be skipped
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const data = sanitizeAdminBookingRequest(req.body);
+
+    const serviceNames = await getActiveServiceNames();
+    const policy = await getBookingPolicy(
+      serviceNames.includes(data.service_type) ? data.service_type : null
+    );
+    const validation = validateAdminBookingRequest(data, serviceNames, policy);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    // Within working hours the time must be an offered slot; outside them only seats count
+    if (
+      !data.override_hours &&
+      !(await isSlotAvailable(
+        data.appointment_date,
+        data.appointment_time,
+        data.service_type,
+        data.staff_id
+      ))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: 'Η επιλεγμένη χρονική υποδοχή δεν είναι διαθέσιμη.',
+      });
+    }
+
+    const overrides = [];
+    if (data.override_notice) overrides.push('minimum notice');
+    if (data.override_hours) overrides.push('working hours');
+
+    let appointment;
+    try {
+      appointment = await createAppointment(data, {
+        createdBy: 'admin',
+        status: data.status,
+        overrideHours: data.override_hours,
+        sendEmail: data.send_email,
+        notes:
+          overrides.length > 0
+            ? `Booked by admin, overriding ${overrides.join(' and ')}: ${data.override_reason}`
+            : 'Booked by admin',
+      });
+    } catch (error) {
+      if (error.message === 'SLOT_ALREADY_BOOKED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Η επιλεγμένη χρονική υποδοχή δεν είναι διαθέσιμη.',
+        });
+      }
+      throw error;
+    }
+
+    logSecurityEvent('Appointment booked by admin', {
+      adminUsername: req.session.username,
+      appointmentId: appointment.id,
+      status: appointment.status,
+      overrides,
+      sendEmail: data.send_email,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Το ραντεβού δημιουργήθηκε επιτυχώς.',
+      data: {
+        id: appointment.id,
+        appointment_date: appointment.appointment_date,
+        appointment_time: appointment.appointment_time,
+        service_type: appointment.service_type,
+        staff_id: appointment.staff_id,
+        status: appointment.status,
+        cancellation_token: appointment.cancellation_token,
+      },
+    });
+  })
+);
+
 /**
  * GET /api/admin/appointments/stats
  * Get appointment statistics
@@ -177,6 +395,83 @@ router.get(
   })
 );
 
+/**
+ * GET /api/admin/appointments/export
+ * Stream all appointments matching the list filters as CSV (default) or iCalendar (format=ics)
+ */
+router.get(
+  '/export',
+  asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρη μορφή εξαγωγής.',
+      });
+    }
+
+    const { whereClause, params } = buildAppointmentFilters(req.query);
+    const connection = await getDb().getConnection();
+    let interrupted = false;
+
+    try {
+      // Stream rows straight from MySQL so large exports don't load into memory
+      const rows = connection.connection
+        .query(
+          `SELECT id, client_name, client_email, client_phone,
+                  appointment_date, appointment_time, duration_minutes, service_type,
+                  (SELECT name FROM staff WHERE staff.id = appointments.staff_id) AS staff_name,
+                  notes, status, created_at
+             FROM appointments
+             ${whereClause}
+             ORDER BY appointment_date ASC, appointment_time ASC`,
+          params
+        )
+        .stream();
+
+      const formatter = new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+          callback(null, exporter.formatRow(row));
+        },
+        flush(callback) {
+          callback(null, exporter.footer());
+        },
+      });
+
+      res.setHeader('Content-Type', exporter.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="appointments-${getCurrentDate()}.${format}"`
+      );
+      res.write(exporter.header());
+
+      logSecurityEvent('Appointments exported', {
+        adminUsername: req.session.username,
+        format,
+      });
+
+      await pipeline(rows, formatter, res).catch((err) => {
+        // Headers are already sent, so the download just ends early
+        interrupted = true;
+        warn('Appointment export interrupted:', { error: err.message });
+      });
+    } catch (error) {
+      interrupted = true;
+      throw error;
+    } finally {
+      // A query stream cut off mid-result leaves the connection unusable for the next request
+      if (interrupted) {
+        connection.destroy();
+      } else {
+        connection.release();
+      }
+    }
+  })
+);
+
 /**
  * GET /api/admin/appointments/:id
  * Get single appointment details
@@ -187,7 +482,13 @@ router.get(
     const db = getDb();
     const { id } = req.params;
 
-    const [appointments] = await db.query(`SELECT * FROM appointments WHERE id = ?`, [id]);
+    const [appointments] = await db.query(
+      `SELECT a.*, s.name AS staff_name
+         FROM appointments a
+         LEFT JOIN staff s ON s.id = a.staff_id
+         WHERE a.id = ?`,
+      [id]
+    );
 
     if (appointments.length === 0) {
       return res.status(404).json({
@@ -204,17 +505,26 @@ router.get(
       [id]
     );
 
-    // Format appointment date
+    // Field-level edits made by admins
+    const changes = await getAppointmentChanges(id);
+
+    // Format appointment and history dates
     const appointment = {
       ...appointments[0],
       appointment_date: toMySQLDate(appointments[0].appointment_date),
+      no_show_count: await getNoShowCount(appointments[0].client_email),
     };
 
     res.json({
       success: true,
       data: {
         appointment,
-        history,
+        history: history.map((entry) => ({
+          ...entry,
+          old_date: toMySQLDate(entry.old_date),
+          new_date: toMySQLDate(entry.new_date),
+        })),
+        changes,
       },
     });
   })
@@ -222,18 +532,17 @@ router.get(
 
 /**
  * PUT /api/admin/appointments/:id/status
- * Update appointment status (confirm, decline, complete)
+ * Update appointment status (confirm, decline, cancel, complete, no-show)
+ * Moves not allowed by the status transition table return 409
  */
 router.put(
   '/:id/status',
   asyncHandler(async (req, res) => {
-    const db = getDb();
-    const connection = await db.getConnection();
     const { id } = req.params;
     const { status, decline_reason } = req.body;
 
     // Validate status
-    const validStatuses = ['confirmed', 'declined', 'completed'];
+    const validStatuses = ['confirmed', 'declined', 'cancelled', 'completed', 'no_show'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -249,90 +558,247 @@ router.put(
       });
     }
 
+    let appointment;
     try {
-      await connection.beginTransaction();
-
-      // Get current appointment
-      const [appointments] = await connection.query(
-        'SELECT * FROM appointments WHERE id = ? FOR UPDATE',
-        [id]
-      );
-
-      if (appointments.length === 0) {
-        await connection.rollback();
+      appointment = await updateAppointmentStatus(id, status, 'admin', {
+        notes: decline_reason || null,
+        declineReason: status === 'declined' ? decline_reason : null,
+        username: req.session.username,
+      });
+    } catch (error) {
+      if (error.message === 'APPOINTMENT_NOT_FOUND') {
         return res.status(404).json({
           success: false,
           message: 'Το ραντεβού δεν βρέθηκε.',
         });
       }
-
-      const appointment = appointments[0];
-      const oldStatus = appointment.status;
-
-      // Don't allow status change if already cancelled
-      if (oldStatus === 'cancelled') {
-        await connection.rollback();
-        return res.status(400).json({
+      if (error.message === 'INVALID_TRANSITION') {
+        return res.status(409).json({
           success: false,
-          message: 'Δεν είναι δυνατή η αλλαγή κατάστασης ακυρωμένου ραντεβού.',
+          message: getTransitionMessage(error.fromStatus, error.toStatus),
         });
       }
+      if (error.message === 'NOT_STARTED') {
+        return res.status(409).json({
+          success: false,
+          message:
+            'Το ραντεβού δεν έχει ξεκινήσει ακόμα. Δεν μπορεί να σημειωθεί ως «Δεν προσήλθε».',
+        });
+      }
+      if (error.message === 'CONCURRENT_MODIFICATION') {
+        return res.status(409).json({
+          success: false,
+          message: 'Το ραντεβού τροποποιήθηκε από άλλον χρήστη. Παρακαλώ δοκιμάστε ξανά.',
+        });
+      }
+      throw error;
+    }
 
-      // Update appointment
-      await connection.query(
-        `UPDATE appointments
-             SET status = ?, decline_reason = ?, version = version + 1
-             WHERE id = ? AND version = ?`,
-        [status, decline_reason || null, id, appointment.version]
+    // Queue email notification based on new status (async, non-blocking)
+    if (status === 'confirmed') {
+      queueEmail('appointment-confirmed', appointment.client_email, appointment).catch((err) => {
+        warn('Failed to queue appointment confirmed email:', {
+          error: err.message,
+          email: appointment.client_email,
+        });
+      });
+    } else if (status === 'declined') {
+      queueEmail('appointment-declined', appointment.client_email, appointment).catch((err) => {
+        warn('Failed to queue appointment declined email:', {
+          error: err.message,
+          email: appointment.client_email,
+        });
+      });
+    } else if (status === 'cancelled') {
+      queueEmail('cancellation-confirmation', appointment.client_email, appointment).catch(
+        (err) => {
+          warn('Failed to queue cancellation confirmation email:', {
+            error: err.message,
+            email: appointment.client_email,
+          });
+        }
       );
+    }
 
-      // Record in history
-      await connection.query(
-        `INSERT INTO appointment_history
-             (appointment_id, old_status, new_status, changed_by, changed_at, notes)
-             VALUES (?, ?, ?, 'admin', NOW(), ?)`,
-        [id, oldStatus, status, decline_reason || null]
-      );
+    res.json({
+      success: true,
+      message: 'Η κατάσταση του ραντεβού ενημερώθηκε επιτυχώς.',
+      data: {
+        id,
+        oldStatus: appointment.previous_status,
+        newStatus: status,
+      },
+    });
+  })
+);
 
-      await connection.commit();
+/**
+ * POST /api/admin/appointments/:id/series
+ * Repeat a confirmed appointment weekly, monthly on the same weekday or monthly on the same date,
+ * ending after a number of occurrences or at a date
+ * Occurrences on closed days or taken times are skipped and listed in the response
+ */
+router.post(
+  '/:id/series',
+  asyncHandler(async (req, res) => {
+    const appointment = await getAppointmentById(req.params.id);
 
-      logAppointmentStatusChange(id, oldStatus, status, req.session.username);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Το ραντεβού δεν βρέθηκε.',
+      });
+    }
 
-      // Queue email notification based on new status (async, non-blocking)
-      if (status === 'confirmed') {
-        queueEmail('appointment-confirmed', appointment.client_email, appointment).catch((err) => {
-          warn('Failed to queue appointment confirmed email:', {
-            error: err.message,
-            email: appointment.client_email,
-          });
-        });
-      } else if (status === 'declined') {
-        queueEmail('appointment-declined', appointment.client_email, {
-          ...appointment,
-          decline_reason,
-        }).catch((err) => {
-          warn('Failed to queue appointment declined email:', {
-            error: err.message,
-            email: appointment.client_email,
-          });
+    const recurrence = sanitizeSeriesRequest(req.body);
+    const validation = validateSeriesRequest(recurrence, toMySQLDate(appointment.appointment_date));
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    let series;
+    try {
+      series = await createSeries(appointment, recurrence, req.session.username);
+    } catch (error) {
+      if (error.message === 'SERIES_NOT_BOOKED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Καμία ημερομηνία της σειράς δεν ήταν διαθέσιμη.',
+          data: { skipped: error.skipped },
         });
       }
+      if (sendSeriesError(res, error)) {
+        return;
+      }
+      throw error;
+    }
 
-      res.json({
-        success: true,
-        message: 'Η κατάσταση του ραντεβού ενημερώθηκε επιτυχώς.',
-        data: {
-          id,
-          oldStatus,
-          newStatus: status,
-        },
+    logSecurityEvent('Appointment series created by admin', {
+      adminUsername: req.session.username,
+      appointmentId: appointment.id,
+      seriesId: series.series_id,
+      pattern: recurrence.pattern,
+      created: series.created.length,
+      skipped: series.skipped.length,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        series.skipped.length > 0
+          ? `Η σειρά δημιουργήθηκε. ${series.skipped.length} ημερομηνίες δεν ήταν διαθέσιμες.`
+          : 'Η σειρά δημιουργήθηκε επιτυχώς.',
+      data: series,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/appointments/:id/series
+ * Change the time, client details or notes of this appointment (scope 'this')
+ * or of it and the following active appointments of its series (scope 'following')
+ */
+router.put(
+  '/:id/series',
+  asyncHandler(async (req, res) => {
+    const { scope, ...updates } = sanitizeSeriesChange(req.body);
+
+    const validation = validateSeriesChange({ scope, ...updates });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Δεν υπάρχουν αλλαγές για ενημέρωση.',
+      });
+    }
+
+    let result;
+    try {
+      result = await updateSeries(req.params.id, scope, updates, {
+        id: req.session.adminId,
+        username: req.session.username,
       });
     } catch (error) {
-      await connection.rollback();
+      if (sendSeriesError(res, error)) {
+        return;
+      }
       throw error;
-    } finally {
-      connection.release();
     }
+
+    logSecurityEvent('Appointment series updated by admin', {
+      appointmentId: req.params.id,
+      adminUsername: req.session.username,
+      scope,
+      updated: result.updated.length,
+      skipped: result.skipped.length,
+    });
+
+    res.json({
+      success: true,
+      message:
+        result.skipped.length > 0
+          ? `Ενημερώθηκαν ${result.updated.length} ραντεβού. ${result.skipped.length} δεν μετακινήθηκαν, η ώρα δεν ήταν διαθέσιμη.`
+          : `Ενημερώθηκαν ${result.updated.length} ραντεβού.`,
+      data: result,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/appointments/:id/series/cancel
+ * Cancel this appointment (scope 'this') or it and the following active appointments
+ * of its series (scope 'following') on the client's behalf
+ */
+router.post(
+  '/:id/series/cancel',
+  asyncHandler(async (req, res) => {
+    const { scope } = req.body;
+
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Επιλέξτε αν η ακύρωση αφορά μόνο αυτό ή και τα επόμενα ραντεβού.',
+      });
+    }
+
+    let cancelled;
+    try {
+      cancelled = await cancelSeries(req.params.id, scope, req.session.username);
+    } catch (error) {
+      if (sendSeriesError(res, error)) {
+        return;
+      }
+      throw error;
+    }
+
+    logSecurityEvent('Appointment series cancelled by admin', {
+      appointmentId: req.params.id,
+      adminUsername: req.session.username,
+      scope,
+      cancelled: cancelled.length,
+    });
+
+    res.json({
+      success: true,
+      message: `Ακυρώθηκαν ${cancelled.length} ραντεβού.`,
+      data: {
+        cancelled: cancelled.map((appointment) => ({
+          id: appointment.id,
+          appointment_date: toMySQLDate(appointment.appointment_date),
+        })),
+      },
+    });
   })
 );
 
@@ -353,12 +819,16 @@ router.put(
       client_email,
       client_phone,
       service_type,
+      staff_id,
       notes,
     } = req.body;
 
     try {
       await connection.beginTransaction();
 
+      // Same lock order as client bookings: the booking lock first, then the appointment
+      await lockBookings(connection);
+
       // Get current appointment
       const [appointments] = await connection.query(
         'SELECT * FROM appointments WHERE id = ? FOR UPDATE',
@@ -374,25 +844,57 @@ router.put(
       }
 
       const appointment = appointments[0];
+      const oldDate = toMySQLDate(appointment.appointment_date);
+      const newDate = appointment_date ? toMySQLDate(appointment_date) : oldDate;
+      const newTime = appointment_time || appointment.appointment_time;
+      const moved = newDate !== oldDate || newTime !== appointment.appointment_time;
 
-      // If changing date/time, check if new slot is available
-      if (appointment_date || appointment_time) {
-        const newDate = appointment_date
-          ? toMySQLDate(appointment_date)
-          : appointment.appointment_date;
-        const newTime = appointment_time || appointment.appointment_time;
-
-        // Check if slot is available (excluding current appointment)
-        const [conflicting] = await connection.query(
-          `SELECT id FROM appointments
-                 WHERE appointment_date = ?
-                 AND appointment_time = ?
-                 AND status IN ('pending', 'confirmed')
-                 AND id != ?`,
-          [newDate, newTime, id]
-        );
-
-        if (conflicting.length > 0) {
+      // A new service brings its own duration and buffer
+      let service = null;
+      if (service_type) {
+        service = await getServiceByName(service_type);
+
+        if (!service) {
+          await connection.rollback();
+          return res.status(400).json({
+            success: false,
+            message: 'Μη έγκυρος τύπος υπηρεσίας.',
+          });
+        }
+      }
+
+      // Reassigning to another staff member (null leaves it unassigned)
+      const staffChanged = staff_id !== undefined && staff_id !== appointment.staff_id;
+      if (staffChanged && staff_id !== null) {
+        const member = await getStaffById(staff_id);
+
+        if (!member || !member.is_active) {
+          await connection.rollback();
+          return res.status(400).json({
+            success: false,
+            message: 'Μη έγκυρο μέλος προσωπικού.',
+          });
+        }
+      }
+
+      // If changing date/time, service length or staff member, check the new time range has a free seat
+      if (appointment_date || appointment_time || service || staffChanged) {
+        const range = {
+          date: newDate,
+          time: newTime,
+          durationMinutes: service ? service.duration_minutes : appointment.duration_minutes,
+          bufferMinutes: service ? service.buffer_minutes : appointment.buffer_minutes,
+          capacity: await getSlotCapacity(
+            service || (await getServiceByName(appointment.service_type))
+          ),
+          staffId: staff_id !== undefined ? staff_id : appointment.staff_id,
+          excludeId: id,
+        };
+
+        // Check for overlapping bookings (excluding current appointment) and clients' slot holds
+        const occupied = await findOccupiedSeats(connection, range);
+
+        if (!hasFreeSeat(occupied, range)) {
           await connection.rollback();
           return res.status(409).json({
             success: false,
@@ -413,6 +915,10 @@ router.put(
         updates.push('appointment_time = ?');
         params.push(appointment_time);
       }
+      if (appointment_date || appointment_time) {
+        // Moved appointments need a fresh reminder for the new slot
+        updates.push('reminder_queued_at = NULL');
+      }
       if (client_name) {
         updates.push('client_name = ?');
         params.push(client_name);
@@ -425,9 +931,13 @@ router.put(
         updates.push('client_phone = ?');
         params.push(client_phone);
       }
-      if (service_type) {
-        updates.push('service_type = ?');
-        params.push(service_type);
+      if (service) {
+        updates.push('service_type = ?', 'duration_minutes = ?', 'buffer_minutes = ?');
+        params.push(service.name, service.duration_minutes, service.buffer_minutes);
+      }
+      if (staffChanged) {
+        updates.push('staff_id = ?');
+        params.push(staff_id);
       }
       if (notes !== undefined) {
         updates.push('notes = ?');
@@ -442,6 +952,18 @@ router.put(
         });
       }
 
+      // Before/after values of the fields this edit actually changes
+      const changes = collectFieldChanges(appointment, {
+        appointment_date: appointment_date ? newDate : undefined,
+        appointment_time: appointment_time || undefined,
+        client_name: client_name || undefined,
+        client_email: client_email || undefined,
+        client_phone: client_phone || undefined,
+        service_type: service ? service.name : undefined,
+        staff_id: staffChanged ? staff_id : undefined,
+        notes: notes !== undefined ? notes || null : undefined,
+      });
+
       updates.push('version = version + 1');
       params.push(id, appointment.version);
 
@@ -450,13 +972,53 @@ router.put(
         params
       );
 
+      if (moved) {
+        await recordReschedule(connection, appointment, {
+          newDate,
+          newTime,
+          changedBy: 'admin',
+          notes: `Rescheduled by ${req.session.username}`,
+        });
+      }
+
+      await recordFieldChanges(connection, id, changes, {
+        id: req.session.adminId,
+        username: req.session.username,
+      });
+
       await connection.commit();
 
+      await invalidateDates(oldDate, newDate);
+
       logSecurityEvent('Appointment updated by admin', {
         appointmentId: id,
         adminUsername: req.session.username,
+        changes: changes.map((change) => change.field).join(','),
       });
 
+      // Let the client know about the new date/time (async, non-blocking)
+      if (moved && ['pending', 'confirmed'].includes(appointment.status)) {
+        const recipient = client_email || appointment.client_email;
+
+        queueEmail('appointment-rescheduled', recipient, {
+          ...appointment,
+          client_name: client_name || appointment.client_name,
+          client_email: recipient,
+          service_type: service ? service.name : appointment.service_type,
+          duration_minutes: service ? service.duration_minutes : appointment.duration_minutes,
+          appointment_date: newDate,
+          appointment_time: newTime,
+          version: appointment.version + 1,
+          previous_date: oldDate,
+          previous_time: appointment.appointment_time,
+        }).catch((err) => {
+          warn('Failed to queue appointment rescheduled email:', {
+            error: err.message,
+            email: recipient,
+          });
+        });
+      }
+
       res.json({
         success: true,
         message: 'Το ραντεβού ενημερώθηκε επιτυχώς.',
@@ -480,8 +1042,9 @@ router.delete(
     const db = getDb();
     const { id } = req.params;
 
-    // Delete appointment history first (foreign key constraint)
+    // Delete appointment history and audit trail first (foreign key constraint)
     await db.query('DELETE FROM appointment_history WHERE appointment_id = ?', [id]);
+    await db.query('DELETE FROM appointment_changes WHERE appointment_id = ?', [id]);
 
     // Delete appointment
     const [result] = await db.query('DELETE FROM appointments WHERE id = ?', [id]);
@@ -493,6 +1056,9 @@ router.delete(
       });
     }
 
+    // The date of the deleted appointment is not known here
+    await clearAvailabilityCache();
+
     logSecurityEvent('Appointment deleted by admin', {
       appointmentId: id,
       adminUsername: req.session.username,
@@ -1,6 +1,7 @@
 /**
  * Admin Availability Routes
- * Protected routes for managing office hours and blocked dates
+ * Protected routes for managing office hours, booking policy, date overrides, blocked dates,
+ * blocked times and holidays
  */
 
 const express = require('express');
@@ -10,26 +11,77 @@ const { asyncHandler } = require('../../middleware/errorHandler');
 const { requireAuth } = require('../../middleware/auth');
 const { apiLimiter } = require('../../middleware/rateLimiter');
 const { getDb } = require('../../services/database');
-const { toMySQLDate } = require('../../utils/timezone');
+const {
+  getAvailabilitySettings,
+  updateAvailabilitySettings,
+  getUpcomingOverrides,
+  createOverride,
+  deleteOverride,
+  getUpcomingBlockedTimes,
+  createBlockedTime,
+  deleteBlockedTime,
+} = require('../../services/availability');
+const {
+  getHolidaysForYear,
+  setHolidayEnabled,
+  createLocalHoliday,
+  deleteLocalHoliday,
+} = require('../../services/holidays');
+const {
+  getOfficeBookingPolicy,
+  updateBookingPolicy,
+  getPendingExpiryHours,
+  updatePendingExpiryHours,
+  getNoShowApprovalThreshold,
+  updateNoShowApprovalThreshold,
+} = require('../../services/bookingPolicy');
+const {
+  invalidateDates,
+  clearAvailabilityCache,
+  getCacheStats,
+} = require('../../services/availabilityCache');
+const { toMySQLDate, getCurrentDate } = require('../../utils/timezone');
+const {
+  validateWorkingIntervals,
+  validateAvailabilityOverride,
+  validateBlockedTime,
+  validateLocalHoliday,
+  validateBookingPolicy,
+  validatePendingExpiry,
+  validateNoShowRule,
+  sanitizeString,
+} = require('../../utils/validation');
 const { logSecurityEvent } = require('../../utils/logger');
 
 // Apply authentication to all routes
 router.use(requireAuth);
 router.use(apiLimiter);
 
+/**
+ * Get the open intervals sent for a day
+ * Clients that send only start_time/end_time get a single interval
+ * @param {object} day - { intervals } or { start_time, end_time }
+ * @returns {Array}
+ */
+function getRequestedIntervals(day) {
+  if (Array.isArray(day.intervals)) {
+    return day.intervals;
+  }
+  if (day.start_time && day.end_time) {
+    return [{ start_time: day.start_time, end_time: day.end_time }];
+  }
+  return [];
+}
+
 /**
  * GET /api/admin/availability/settings
- * Get current availability settings (per-day structure)
+ * Get current availability settings (per-day structure with open intervals)
  */
 router.get(
   '/settings',
   asyncHandler(async (req, res) => {
-    const db = getDb();
-
     // Fetch all 7 days
-    const [settings] = await db.query(
-      'SELECT day_of_week, is_working_day, start_time, end_time FROM availability_settings ORDER BY day_of_week'
-    );
+    const settings = await getAvailabilitySettings();
 
     if (settings.length === 0) {
       // Return empty structure (should not happen if schema populated correctly)
@@ -45,6 +97,7 @@ router.get(
       is_working_day: Boolean(row.is_working_day),
       start_time: row.start_time,
       end_time: row.end_time,
+      intervals: row.intervals,
     }));
 
     res.json({
@@ -57,11 +110,11 @@ router.get(
 /**
  * PUT /api/admin/availability/settings
  * Update availability settings (per-day structure)
+ * Each working day takes a list of non-overlapping open intervals
  */
 router.put(
   '/settings',
   asyncHandler(async (req, res) => {
-    const db = getDb();
     const { days } = req.body;
 
     // Validation: must have all 7 days
@@ -72,56 +125,313 @@ router.put(
       });
     }
 
-    // Validate each working day has hours
-    for (const day of days) {
-      if (day.is_working_day && (!day.start_time || !day.end_time)) {
+    const normalizedDays = days.map((day) => ({
+      day_of_week: day.day_of_week,
+      is_working_day: Boolean(day.is_working_day),
+      intervals: getRequestedIntervals(day),
+    }));
+
+    // Validate each working day has hours that do not overlap
+    for (const day of normalizedDays) {
+      if (!day.is_working_day) continue;
+
+      if (day.intervals.length === 0) {
         return res.status(400).json({
           success: false,
           message: `Η ημέρα ${day.day_of_week} είναι εργάσιμη αλλά δεν έχει ώρες λειτουργίας.`,
         });
       }
+
+      const validation = validateWorkingIntervals(day.intervals);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Ημέρα ${day.day_of_week}: ${validation.error}`,
+        });
+      }
+    }
+
+    await updateAvailabilitySettings(normalizedDays);
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Availability settings updated', {
+      adminUsername: req.session.username,
+      changes: `${normalizedDays.filter((d) => d.is_working_day).length} working days configured`,
+    });
+
+    res.json({
+      success: true,
+      message: 'Οι ρυθμίσεις διαθεσιμότητας ενημερώθηκαν επιτυχώς.',
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/booking-policy
+ * Get the office-wide booking window and minimum notice
+ */
+router.get(
+  '/booking-policy',
+  asyncHandler(async (req, res) => {
+    const policy = await getOfficeBookingPolicy();
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/availability/booking-policy
+ * Update the office-wide booking window, minimum notice and seats per slot
+ * Services with their own policy keep it
+ */
+router.put(
+  '/booking-policy',
+  asyncHandler(async (req, res) => {
+    const validation = validateBookingPolicy(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const policy = await updateBookingPolicy(req.body);
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Booking policy updated', {
+      adminUsername: req.session.username,
+      booking_window_days: policy.booking_window_days,
+      minimum_notice_hours: policy.minimum_notice_hours,
+      slot_capacity: policy.slot_capacity,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η πολιτική κρατήσεων ενημερώθηκε επιτυχώς.',
+      data: policy,
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/pending-expiry
+ * Get how many hours pending appointments wait for confirmation before they expire
+ */
+router.get(
+  '/pending-expiry',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { pending_expiry_hours: await getPendingExpiryHours() },
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/availability/pending-expiry
+ * Update how many hours pending appointments wait for confirmation
+ * Pending appointments also expire once their start time passed
+ */
+router.put(
+  '/pending-expiry',
+  asyncHandler(async (req, res) => {
+    const validation = validatePendingExpiry(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const hours = await updatePendingExpiryHours(req.body.pending_expiry_hours);
+
+    logSecurityEvent('Pending expiry updated', {
+      adminUsername: req.session.username,
+      pending_expiry_hours: hours,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η λήξη εκκρεμών ραντεβού ενημερώθηκε επιτυχώς.',
+      data: { pending_expiry_hours: hours },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/no-show-rule
+ * Get after how many no-shows a client's bookings are held for approval (null when off)
+ */
+router.get(
+  '/no-show-rule',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { no_show_approval_threshold: await getNoShowApprovalThreshold() },
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/availability/no-show-rule
+ * Update the no-show rule, null turns it off
+ * Held bookings stay pending until an admin decides, they do not expire after the usual hours
+ */
+router.put(
+  '/no-show-rule',
+  asyncHandler(async (req, res) => {
+    const validation = validateNoShowRule(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
     }
 
-    // Update each day using transaction with proper connection handling
-    const connection = await db.getConnection();
+    const threshold = await updateNoShowApprovalThreshold(req.body.no_show_approval_threshold);
+
+    logSecurityEvent('No-show rule updated', {
+      adminUsername: req.session.username,
+      no_show_approval_threshold: threshold,
+    });
+
+    res.json({
+      success: true,
+      message: 'Ο κανόνας μη προσέλευσης ενημερώθηκε επιτυχώς.',
+      data: { no_show_approval_threshold: threshold },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/cache
+ * Get the hit and miss counters of the availability cache
+ */
+router.get(
+  '/cache',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: getCacheStats(),
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/overrides
+ * Get opening-hour overrides that have not ended yet
+ */
+router.get(
+  '/overrides',
+  asyncHandler(async (req, res) => {
+    const overrides = await getUpcomingOverrides();
+
+    res.json({
+      success: true,
+      data: overrides.map((override) => ({
+        id: override.id,
+        start_date: toMySQLDate(override.start_date),
+        end_date: toMySQLDate(override.end_date),
+        reason: override.reason,
+        intervals: override.intervals,
+      })),
+    });
+  })
+);
+
+/**
+ * POST /api/admin/availability/overrides
+ * Replace the weekly hours of a date or a date range with custom intervals
+ */
+router.post(
+  '/overrides',
+  asyncHandler(async (req, res) => {
+    const override = {
+      start_date: req.body.start_date,
+      end_date: req.body.end_date || req.body.start_date,
+      reason: req.body.reason ? sanitizeString(req.body.reason) : null,
+      intervals: req.body.intervals,
+    };
+
+    const validation = validateAvailabilityOverride(override);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
 
     try {
-      await connection.beginTransaction();
-
-      for (const day of days) {
-        await connection.query(
-          `UPDATE availability_settings
-                 SET is_working_day = ?, start_time = ?, end_time = ?
-                 WHERE day_of_week = ?`,
-          [
-            day.is_working_day,
-            day.is_working_day ? day.start_time : null,
-            day.is_working_day ? day.end_time : null,
-            day.day_of_week,
-          ]
-        );
-      }
+      const id = await createOverride(override);
 
-      await connection.commit();
+      await clearAvailabilityCache();
 
-      logSecurityEvent('Availability settings updated', {
+      logSecurityEvent('Availability override added', {
         adminUsername: req.session.username,
-        changes: `${days.filter((d) => d.is_working_day).length} working days configured`,
+        start_date: override.start_date,
+        end_date: override.end_date,
+        intervals: override.intervals
+          .map((interval) => `${interval.start_time}-${interval.end_time}`)
+          .join(','),
       });
 
-      res.json({
+      res.status(201).json({
         success: true,
-        message: 'Οι ρυθμίσεις διαθεσιμότητας ενημερώθηκαν επιτυχώς.',
+        message: 'Το ειδικό ωράριο αποθηκεύτηκε επιτυχώς.',
+        data: { id, ...override },
       });
     } catch (error) {
-      await connection.rollback();
+      if (error.message === 'OVERRIDE_OVERLAP') {
+        return res.status(409).json({
+          success: false,
+          message: 'Υπάρχει ήδη ειδικό ωράριο για κάποια από αυτές τις ημερομηνίες.',
+        });
+      }
       throw error;
-    } finally {
-      connection.release();
     }
   })
 );
 
+/**
+ * DELETE /api/admin/availability/overrides/:id
+ * Remove an override, restoring the weekly hours for its dates
+ */
+router.delete(
+  '/overrides/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await deleteOverride(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Το ειδικό ωράριο δεν βρέθηκε.',
+      });
+    }
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Availability override removed', {
+      adminUsername: req.session.username,
+      overrideId: id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Το ειδικό ωράριο αφαιρέθηκε.',
+    });
+  })
+);
+
 /**
  * GET /api/admin/availability/blocked-dates
  * Get all blocked dates
@@ -182,6 +492,8 @@ router.post(
       [mysqlDate, reason || null]
     );
 
+    await invalidateDates(mysqlDate);
+
     logSecurityEvent('Blocked date added', {
       adminUsername: req.session.username,
       blocked_date: mysqlDate,
@@ -219,6 +531,8 @@ router.delete(
       });
     }
 
+    await clearAvailabilityCache();
+
     logSecurityEvent('Blocked date removed', {
       adminUsername: req.session.username,
       blockedDateId: id,
@@ -231,4 +545,270 @@ router.delete(
   })
 );
 
+/**
+ * GET /api/admin/availability/blocked-times
+ * Get upcoming time blocks (parts of a day closed for meetings or absences)
+ */
+router.get(
+  '/blocked-times',
+  asyncHandler(async (req, res) => {
+    const blockedTimes = await getUpcomingBlockedTimes();
+
+    res.json({
+      success: true,
+      data: blockedTimes.map((block) => ({
+        ...block,
+        blocked_date: toMySQLDate(block.blocked_date),
+      })),
+    });
+  })
+);
+
+/**
+ * POST /api/admin/availability/blocked-times
+ * Block a time range on a date
+ * Existing appointments in the range are kept; the response warns about them
+ */
+router.post(
+  '/blocked-times',
+  asyncHandler(async (req, res) => {
+    const block = {
+      blocked_date: req.body.blocked_date,
+      start_time: req.body.start_time,
+      end_time: req.body.end_time,
+      reason: req.body.reason ? sanitizeString(req.body.reason) : null,
+    };
+
+    const validation = validateBlockedTime(block);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const { id, conflicts } = await createBlockedTime(block);
+
+    await invalidateDates(block.blocked_date);
+
+    logSecurityEvent('Blocked time added', {
+      adminUsername: req.session.username,
+      blocked_date: block.blocked_date,
+      start_time: block.start_time,
+      end_time: block.end_time,
+      reason: block.reason || 'No reason provided',
+      conflicts: conflicts.length,
+    });
+
+    const response = {
+      success: true,
+      message: 'Το χρονικό διάστημα αποκλείστηκε επιτυχώς.',
+      data: {
+        id,
+        ...block,
+        conflicts: conflicts.map((appointment) => ({
+          id: appointment.id,
+          client_name: appointment.client_name,
+          appointment_time: appointment.appointment_time,
+          status: appointment.status,
+        })),
+      },
+    };
+
+    if (conflicts.length > 0) {
+      const times = conflicts
+        .map((appointment) => String(appointment.appointment_time).substring(0, 5))
+        .join(', ');
+      const verb = conflicts.length === 1 ? 'Υπάρχει' : 'Υπάρχουν';
+      response.warning = `${verb} ${conflicts.length} ραντεβού μέσα στο διάστημα (${times}). Τα ραντεβού δεν ακυρώθηκαν.`;
+    }
+
+    res.status(201).json(response);
+  })
+);
+
+/**
+ * DELETE /api/admin/availability/blocked-times/:id
+ * Remove a time block
+ */
+router.delete(
+  '/blocked-times/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await deleteBlockedTime(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Το αποκλεισμένο διάστημα δεν βρέθηκε.',
+      });
+    }
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Blocked time removed', {
+      adminUsername: req.session.username,
+      blockedTimeId: id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Το διάστημα αφαιρέθηκε από τον αποκλεισμό.',
+    });
+  })
+);
+
+/**
+ * GET /api/admin/availability/holidays
+ * Get the national and local holidays of a year, with their on/off state
+ * Query: ?year=YYYY (default: current year)
+ */
+router.get(
+  '/holidays',
+  asyncHandler(async (req, res) => {
+    const year = req.query.year
+      ? parseInt(req.query.year, 10)
+      : Number(getCurrentDate().substring(0, 4));
+
+    // Orthodox Easter is computed for 1900-2099
+    if (!Number.isInteger(year) || year < 1900 || year > 2099) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρο έτος.',
+      });
+    }
+
+    const holidays = await getHolidaysForYear(year);
+
+    res.json({
+      success: true,
+      data: { year, holidays },
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/availability/holidays/national/:key
+ * Switch a national holiday on or off
+ */
+router.put(
+  '/holidays/national/:key',
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { is_enabled: isEnabled } = req.body;
+
+    if (typeof isEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: { is_enabled: 'Παρακαλώ επιλέξτε αν η αργία ισχύει.' },
+      });
+    }
+
+    const updated = await setHolidayEnabled(key, isEnabled);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Η αργία δεν βρέθηκε.',
+      });
+    }
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('National holiday updated', {
+      adminUsername: req.session.username,
+      holidayKey: key,
+      is_enabled: isEnabled,
+    });
+
+    res.json({
+      success: true,
+      message: isEnabled ? 'Η αργία ενεργοποιήθηκε.' : 'Η αργία απενεργοποιήθηκε.',
+    });
+  })
+);
+
+/**
+ * POST /api/admin/availability/holidays/local
+ * Add a local holiday that closes the office on the same day every year
+ */
+router.post(
+  '/holidays/local',
+  asyncHandler(async (req, res) => {
+    const validation = validateLocalHoliday(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const holiday = {
+      name: sanitizeString(req.body.name),
+      month: Number(req.body.month),
+      day: Number(req.body.day),
+    };
+
+    try {
+      const id = await createLocalHoliday(holiday);
+
+      await clearAvailabilityCache();
+
+      logSecurityEvent('Local holiday added', {
+        adminUsername: req.session.username,
+        name: holiday.name,
+        month: holiday.month,
+        day: holiday.day,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Η τοπική αργία προστέθηκε επιτυχώς.',
+        data: { id, ...holiday },
+      });
+    } catch (error) {
+      if (error.message === 'HOLIDAY_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          message: 'Υπάρχει ήδη τοπική αργία σε αυτή την ημερομηνία.',
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * DELETE /api/admin/availability/holidays/local/:id
+ * Remove a local holiday
+ */
+router.delete(
+  '/holidays/local/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await deleteLocalHoliday(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Η τοπική αργία δεν βρέθηκε.',
+      });
+    }
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Local holiday removed', {
+      adminUsername: req.session.username,
+      localHolidayId: id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η τοπική αργία αφαιρέθηκε.',
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,198 @@
+/**
+ * Admin Services Routes
+ * Protected routes for managing the service catalog
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler, badRequest, conflict, notFound } = require('../../middleware/errorHandler');
+const { requireAuth } = require('../../middleware/auth');
+const { apiLimiter } = require('../../middleware/rateLimiter');
+const {
+  getServices,
+  createService,
+  updateService,
+  reorderServices,
+} = require('../../services/serviceCatalog');
+const { clearAvailabilityCache } = require('../../services/availabilityCache');
+const { validateServiceData, sanitizeString } = require('../../utils/validation');
+const { logSecurityEvent } = require('../../utils/logger');
+
+// Apply authentication to all routes
+router.use(requireAuth);
+router.use(apiLimiter);
+
+/**
+ * Pick and trim the editable service fields from a request body
+ * @param {object} body
+ * @returns {object}
+ */
+function pickServiceFields(body) {
+  const fields = {};
+  ['name', 'name_en', 'description'].forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? null : sanitizeString(body[field]);
+    }
+  });
+  [
+    'duration_minutes',
+    'buffer_minutes',
+    'booking_window_days',
+    'minimum_notice_hours',
+    'slot_capacity',
+    'is_active',
+  ].forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * GET /api/admin/services
+ * Get all services, including inactive ones
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const services = await getServices();
+
+    res.json({
+      success: true,
+      data: services,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/services
+ * Create a new service
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const serviceData = pickServiceFields(req.body);
+
+    const validation = validateServiceData(serviceData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    try {
+      const service = await createService(serviceData);
+
+      logSecurityEvent('Service created', {
+        adminUsername: req.session.username,
+        serviceId: service.id,
+        name: service.name,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Η υπηρεσία δημιουργήθηκε επιτυχώς.',
+        data: service,
+      });
+    } catch (error) {
+      if (error.message === 'SERVICE_NAME_EXISTS') {
+        throw conflict('Υπάρχει ήδη υπηρεσία με αυτό το όνομα.');
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * PUT /api/admin/services/reorder
+ * Set the display order of all services
+ */
+router.put(
+  '/reorder',
+  asyncHandler(async (req, res) => {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0 || !order.every(Number.isInteger)) {
+      throw badRequest('Η σειρά πρέπει να είναι λίστα με τα αναγνωριστικά των υπηρεσιών.');
+    }
+
+    try {
+      const services = await reorderServices(order);
+
+      logSecurityEvent('Services reordered', {
+        adminUsername: req.session.username,
+        order: order.join(','),
+      });
+
+      res.json({
+        success: true,
+        message: 'Η σειρά των υπηρεσιών ενημερώθηκε.',
+        data: services,
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_SERVICE_ORDER') {
+        throw badRequest('Η σειρά πρέπει να περιλαμβάνει κάθε υπηρεσία ακριβώς μία φορά.');
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * PUT /api/admin/services/:id
+ * Update a service (set is_active to false to deactivate it)
+ * Existing appointments keep their service and duration when it is deactivated
+ */
+router.put(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updates = pickServiceFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      throw badRequest('Δεν υπάρχουν αλλαγές για αποθήκευση.');
+    }
+
+    const validation = validateServiceData(updates, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    try {
+      const service = await updateService(id, updates);
+
+      // Duration, buffer and seats per slot change the slots of every date
+      await clearAvailabilityCache();
+
+      logSecurityEvent('Service updated', {
+        adminUsername: req.session.username,
+        serviceId: id,
+        changes: Object.keys(updates).join(','),
+      });
+
+      res.json({
+        success: true,
+        message: 'Η υπηρεσία ενημερώθηκε επιτυχώς.',
+        data: service,
+      });
+    } catch (error) {
+      if (error.message === 'SERVICE_NOT_FOUND') {
+        throw notFound('Η υπηρεσία δεν βρέθηκε.');
+      }
+      if (error.message === 'SERVICE_NAME_EXISTS') {
+        throw conflict('Υπάρχει ήδη υπηρεσία με αυτό το όνομα.');
+      }
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,318 @@
+/**
+ * Admin Staff Routes
+ * Protected routes for managing staff members, their hours, blocked dates and skills
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler, badRequest, conflict, notFound } = require('../../middleware/errorHandler');
+const { requireAuth } = require('../../middleware/auth');
+const { apiLimiter } = require('../../middleware/rateLimiter');
+const {
+  getStaff,
+  getStaffById,
+  createStaff,
+  updateStaff,
+  getStaffHours,
+  updateStaffHours,
+  getStaffBlockedDates,
+  addStaffBlockedDate,
+  removeStaffBlockedDate,
+} = require('../../services/staff');
+const {
+  validateStaffData,
+  validateAvailabilitySettings,
+  validateBlockedDate,
+  sanitizeString,
+} = require('../../utils/validation');
+const { invalidateDates, clearAvailabilityCache } = require('../../services/availabilityCache');
+const { toMySQLDate } = require('../../utils/timezone');
+const { logSecurityEvent } = require('../../utils/logger');
+
+// Apply authentication to all routes
+router.use(requireAuth);
+router.use(apiLimiter);
+
+/**
+ * Pick the editable staff fields from a request body
+ * @param {object} body
+ * @returns {object}
+ */
+function pickStaffFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = sanitizeString(body.name);
+  if (body.email !== undefined) fields.email = body.email ? sanitizeString(body.email) : null;
+  if (body.is_active !== undefined) fields.is_active = body.is_active;
+  if (body.service_ids !== undefined) fields.service_ids = body.service_ids;
+  return fields;
+}
+
+/**
+ * Load the staff member from :id or respond 404
+ */
+const loadStaffMember = asyncHandler(async (req, res, next) => {
+  const member = await getStaffById(req.params.id);
+
+  if (!member) {
+    throw notFound('Το μέλος του προσωπικού δεν βρέθηκε.');
+  }
+
+  req.staffMember = member;
+  next();
+});
+
+/**
+ * GET /api/admin/staff
+ * Get all staff members, including inactive ones
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const staff = await getStaff();
+
+    res.json({
+      success: true,
+      data: staff,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/staff
+ * Create a staff member (weekly hours start as a copy of the office hours)
+ */
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const staffData = pickStaffFields(req.body);
+
+    const validation = validateStaffData(staffData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const member = await createStaff(staffData);
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Staff member created', {
+      adminUsername: req.session.username,
+      staffId: member.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Το μέλος του προσωπικού δημιουργήθηκε επιτυχώς.',
+      data: member,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/staff/:id
+ * Update a staff member (set is_active to false to stop new bookings)
+ */
+router.put(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const updates = pickStaffFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      throw badRequest('Δεν υπάρχουν αλλαγές για αποθήκευση.');
+    }
+
+    const validation = validateStaffData(updates, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    try {
+      const member = await updateStaff(req.params.id, updates);
+
+      await clearAvailabilityCache();
+
+      logSecurityEvent('Staff member updated', {
+        adminUsername: req.session.username,
+        staffId: req.params.id,
+        changes: Object.keys(updates).join(','),
+      });
+
+      res.json({
+        success: true,
+        message: 'Το μέλος του προσωπικού ενημερώθηκε επιτυχώς.',
+        data: member,
+      });
+    } catch (error) {
+      if (error.message === 'STAFF_NOT_FOUND') {
+        throw notFound('Το μέλος του προσωπικού δεν βρέθηκε.');
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * GET /api/admin/staff/:id/hours
+ * Get the weekly hours of a staff member
+ */
+router.get(
+  '/:id/hours',
+  loadStaffMember,
+  asyncHandler(async (req, res) => {
+    const days = await getStaffHours(req.staffMember.id);
+
+    res.json({
+      success: true,
+      data: { days },
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/staff/:id/hours
+ * Replace the weekly hours of a staff member (same per-day structure as office settings)
+ */
+router.put(
+  '/:id/hours',
+  loadStaffMember,
+  asyncHandler(async (req, res) => {
+    const { days } = req.body;
+
+    if (!days || !Array.isArray(days) || days.length !== 7) {
+      throw badRequest('Πρέπει να παρέχετε ρυθμίσεις για όλες τις 7 ημέρες.');
+    }
+
+    for (const day of days) {
+      const validation = validateAvailabilitySettings(day);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Μη έγκυρα δεδομένα.',
+          errors: validation.errors,
+        });
+      }
+    }
+
+    await updateStaffHours(req.staffMember.id, days);
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Staff hours updated', {
+      adminUsername: req.session.username,
+      staffId: req.staffMember.id,
+      changes: `${days.filter((d) => d.is_working_day).length} working days configured`,
+    });
+
+    res.json({
+      success: true,
+      message: 'Το ωράριο ενημερώθηκε επιτυχώς.',
+    });
+  })
+);
+
+/**
+ * GET /api/admin/staff/:id/blocked-dates
+ * Get upcoming blocked dates of a staff member
+ */
+router.get(
+  '/:id/blocked-dates',
+  loadStaffMember,
+  asyncHandler(async (req, res) => {
+    const blockedDates = await getStaffBlockedDates(req.staffMember.id);
+
+    res.json({
+      success: true,
+      data: blockedDates,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/staff/:id/blocked-dates
+ * Block a date for a staff member
+ */
+router.post(
+  '/:id/blocked-dates',
+  loadStaffMember,
+  asyncHandler(async (req, res) => {
+    const { blocked_date, reason } = req.body;
+
+    const validation = validateBlockedDate({ blocked_date, reason });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const mysqlDate = toMySQLDate(blocked_date);
+
+    try {
+      const id = await addStaffBlockedDate(req.staffMember.id, mysqlDate, reason || null);
+
+      await invalidateDates(mysqlDate);
+
+      logSecurityEvent('Staff blocked date added', {
+        adminUsername: req.session.username,
+        staffId: req.staffMember.id,
+        blocked_date: mysqlDate,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Η ημερομηνία αποκλείστηκε επιτυχώς.',
+        data: {
+          id,
+          blocked_date: mysqlDate,
+          reason: reason || null,
+        },
+      });
+    } catch (error) {
+      if (error.message === 'DATE_ALREADY_BLOCKED') {
+        throw conflict('Αυτή η ημερομηνία είναι ήδη αποκλεισμένη.');
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * DELETE /api/admin/staff/:id/blocked-dates/:blockedDateId
+ * Remove a blocked date of a staff member
+ */
+router.delete(
+  '/:id/blocked-dates/:blockedDateId',
+  loadStaffMember,
+  asyncHandler(async (req, res) => {
+    const removed = await removeStaffBlockedDate(req.staffMember.id, req.params.blockedDateId);
+
+    if (!removed) {
+      throw notFound('Η αποκλεισμένη ημερομηνία δεν βρέθηκε.');
+    }
+
+    await clearAvailabilityCache();
+
+    logSecurityEvent('Staff blocked date removed', {
+      adminUsername: req.session.username,
+      staffId: req.staffMember.id,
+      blockedDateId: req.params.blockedDateId,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η ημερομηνία αφαιρέθηκε από τον αποκλεισμό.',
+    });
+  })
+);
+
+module.exports = router;
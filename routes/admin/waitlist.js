@@ -0,0 +1,146 @@
+/**
+ * Admin Waitlist Routes
+ * Protected routes for viewing and managing the clients waiting for a free slot
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler, badRequest, notFound } = require('../../middleware/errorHandler');
+const { requireAuth } = require('../../middleware/auth');
+const { apiLimiter } = require('../../middleware/rateLimiter');
+const {
+  WAITLIST_STATUSES,
+  getWaitlist,
+  getWaitlistEntryById,
+  updateWaitlistStatus,
+  deleteWaitlistEntry,
+  notifyWaitlist,
+} = require('../../services/waitlist');
+const { isValidDate } = require('../../utils/timezone');
+const { logSecurityEvent } = require('../../utils/logger');
+
+// Apply authentication to all routes
+router.use(requireAuth);
+router.use(apiLimiter);
+
+/**
+ * GET /api/admin/waitlist
+ * Get waitlist entries, oldest first
+ * Query: ?status=<status>, ?date=<YYYY-MM-DD> for entries that prefer that date
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { status, date } = req.query;
+
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      throw badRequest('Μη έγκυρη κατάσταση λίστας αναμονής.');
+    }
+
+    if (date && !isValidDate(date)) {
+      throw badRequest('Μη έγκυρη μορφή ημερομηνίας. Χρησιμοποιήστε YYYY-MM-DD.');
+    }
+
+    const entries = await getWaitlist({ status, date });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/waitlist/:id/status
+ * Put an entry back in line (waiting) or take it off the list (removed)
+ */
+router.put(
+  '/:id/status',
+  asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    if (!['waiting', 'removed'].includes(status)) {
+      throw badRequest('Μη έγκυρη κατάσταση λίστας αναμονής.');
+    }
+
+    const updated = await updateWaitlistStatus(req.params.id, status);
+
+    if (!updated) {
+      throw notFound('Η εγγραφή της λίστας αναμονής δεν βρέθηκε.');
+    }
+
+    logSecurityEvent('Waitlist entry status changed', {
+      adminUsername: req.session.username,
+      waitlistId: req.params.id,
+      status,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η εγγραφή της λίστας αναμονής ενημερώθηκε.',
+      data: await getWaitlistEntryById(req.params.id),
+    });
+  })
+);
+
+/**
+ * POST /api/admin/waitlist/notify
+ * Offer the free slots of a date to its waiting entries now
+ * Body: { date }
+ */
+router.post(
+  '/notify',
+  asyncHandler(async (req, res) => {
+    const { date } = req.body;
+
+    if (!date || !isValidDate(date)) {
+      throw badRequest('Μη έγκυρη μορφή ημερομηνίας. Χρησιμοποιήστε YYYY-MM-DD.');
+    }
+
+    const notified = await notifyWaitlist(date);
+
+    logSecurityEvent('Waitlist notified', {
+      adminUsername: req.session.username,
+      date,
+      notified,
+    });
+
+    res.json({
+      success: true,
+      message:
+        notified > 0
+          ? `Ειδοποιήθηκαν ${notified} πελάτες της λίστας αναμονής.`
+          : 'Δεν υπάρχουν πελάτες σε αναμονή που χωρούν σε ελεύθερη ώρα αυτής της ημέρας.',
+      data: { notified },
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/waitlist/:id
+ * Delete a waitlist entry
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteWaitlistEntry(req.params.id);
+
+    if (!deleted) {
+      throw notFound('Η εγγραφή της λίστας αναμονής δεν βρέθηκε.');
+    }
+
+    logSecurityEvent('Waitlist entry deleted', {
+      adminUsername: req.session.username,
+      waitlistId: req.params.id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Η εγγραφή διαγράφηκε από τη λίστα αναμονής.',
+    });
+  })
+);
+
+module.exports = router;
@@ -12,10 +12,16 @@ const {
   createAppointment,
   getAppointmentByToken,
   cancelAppointment,
+  rescheduleAppointment,
 } = require('../../services/appointments');
 const { isSlotAvailable } = require('../../services/availability');
-const { validateBookingRequest } = require('../../utils/validation');
-const { sanitizeBookingRequest } = require('../../utils/sanitization');
+const { markWaitlistBooked } = require('../../services/waitlist');
+const { canTransition, getTransitionMessage } = require('../../services/appointmentStatus');
+const { getActiveServiceNames } = require('../../services/serviceCatalog');
+const { getBookingPolicy } = require('../../services/bookingPolicy');
+const { validateBookingRequest, validateAppointmentDateTime } = require('../../utils/validation');
+const { sanitizeBookingRequest, sanitizeString } = require('../../utils/sanitization');
+const { toMySQLDate } = require('../../utils/timezone');
 
 /**
  * POST /api/appointments/book
@@ -29,8 +35,12 @@ router.post(
     // Sanitize input
     const sanitized = sanitizeBookingRequest(req.body);
 
-    // Validate input
-    const validation = validateBookingRequest(sanitized);
+    // Validate input against the currently bookable services and the service's booking policy
+    const serviceNames = await getActiveServiceNames();
+    const policy = await getBookingPolicy(
+      serviceNames.includes(sanitized.service_type) ? sanitized.service_type : null
+    );
+    const validation = validateBookingRequest(sanitized, serviceNames, policy);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -39,8 +49,14 @@ router.post(
       });
     }
 
-    // Double-check slot availability
-    const available = await isSlotAvailable(sanitized.appointment_date, sanitized.appointment_time);
+    // Double-check slot availability (the client's own hold does not count)
+    const available = await isSlotAvailable(
+      sanitized.appointment_date,
+      sanitized.appointment_time,
+      sanitized.service_type,
+      sanitized.staff_id,
+      sanitized.hold_token
+    );
 
     if (!available) {
       throw conflict(
@@ -52,6 +68,11 @@ router.post(
     try {
       const appointment = await createAppointment(sanitized);
 
+      // Booked from a waitlist offer: the entry is done
+      if (sanitized.waitlist_token) {
+        await markWaitlistBooked(sanitized.waitlist_token, appointment.id);
+      }
+
       res.status(201).json({
         success: true,
         message: 'Το ραντεβού σας δημιουργήθηκε επιτυχώς! Θα λάβετε email επιβεβαίωσης σύντομα.',
@@ -60,6 +81,7 @@ router.post(
           appointment_date: appointment.appointment_date,
           appointment_time: appointment.appointment_time,
           service_type: appointment.service_type,
+          staff_id: appointment.staff_id,
           status: appointment.status,
           cancellation_token: appointment.cancellation_token,
         },
@@ -106,6 +128,7 @@ router.get(
         appointment_time: appointment.appointment_time,
         service_type: appointment.service_type,
         status: appointment.status,
+        can_cancel: canTransition(appointment.status, 'cancelled', 'client'),
         decline_reason: appointment.decline_reason,
         created_at: appointment.created_at,
       },
@@ -145,11 +168,106 @@ router.post(
       if (error.message === 'APPOINTMENT_NOT_FOUND') {
         throw notFound('Το ραντεβού δεν βρέθηκε.');
       }
-      if (error.message === 'ALREADY_CANCELLED') {
-        throw badRequest('Το ραντεβού έχει ήδη ακυρωθεί.');
+      if (error.message === 'INVALID_TRANSITION') {
+        throw conflict(getTransitionMessage(error.fromStatus, error.toStatus));
+      }
+      if (error.message === 'CONCURRENT_MODIFICATION') {
+        throw conflict('Το ραντεβού τροποποιήθηκε από άλλον χρήστη. Παρακαλώ δοκιμάστε ξανά.');
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /api/appointments/:token/reschedule
+ * Move a pending or confirmed appointment to another free slot
+ * Body: { appointment_date, appointment_time }
+ * Rate limited to prevent abuse
+ */
+router.post(
+  '/:token/reschedule',
+  cancellationLimiter,
+  asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    if (!token || token.length !== 36) {
+      throw badRequest('Μη έγκυρο token ακύρωσης.');
+    }
+
+    const appointmentDate = sanitizeString(req.body.appointment_date || '');
+    const appointmentTime = sanitizeString(req.body.appointment_time || '');
+
+    if (!appointmentDate || !appointmentTime) {
+      throw badRequest('Παρακαλώ επιλέξτε ημερομηνία και ώρα ραντεβού.');
+    }
+
+    const appointment = await getAppointmentByToken(token);
+
+    if (!appointment) {
+      throw notFound('Το ραντεβού δεν βρέθηκε.');
+    }
+
+    // The new time must respect the booking policy of the appointment's service
+    const policy = await getBookingPolicy(appointment.service_type);
+    const validation = validateAppointmentDateTime(appointmentDate, appointmentTime, policy);
+    if (!validation.valid) {
+      throw badRequest(validation.error);
+    }
+
+    if (
+      toMySQLDate(appointment.appointment_date) === appointmentDate &&
+      appointment.appointment_time === appointmentTime
+    ) {
+      throw badRequest('Το ραντεβού σας είναι ήδη σε αυτή την ημερομηνία και ώρα.');
+    }
+
+    // Double-check slot availability for the appointment's service,
+    // leaving out the appointment itself so it can move within its own time range
+    const available = await isSlotAvailable(
+      appointmentDate,
+      appointmentTime,
+      appointment.service_type,
+      null,
+      null,
+      appointment.id
+    );
+
+    if (!available) {
+      throw conflict(
+        'Αυτή η χρονική υποδοχή δεν είναι πλέον διαθέσιμη. Παρακαλώ επιλέξτε άλλη ώρα.'
+      );
+    }
+
+    try {
+      const rescheduled = await rescheduleAppointment(token, appointmentDate, appointmentTime);
+
+      res.json({
+        success: true,
+        message: 'Το ραντεβού σας μεταφέρθηκε επιτυχώς. Θα λάβετε email επιβεβαίωσης σύντομα.',
+        data: {
+          id: rescheduled.id,
+          status: rescheduled.status,
+          appointment_date: rescheduled.appointment_date,
+          appointment_time: rescheduled.appointment_time,
+          previous_date: rescheduled.previous_date,
+          previous_time: rescheduled.previous_time,
+        },
+      });
+    } catch (error) {
+      if (error.message === 'APPOINTMENT_NOT_FOUND') {
+        throw notFound('Το ραντεβού δεν βρέθηκε.');
+      }
+      if (error.message === 'CANNOT_RESCHEDULE') {
+        throw badRequest('Αυτό το ραντεβού δεν μπορεί να μεταφερθεί.');
       }
-      if (error.message === 'CANNOT_CANCEL') {
-        throw badRequest('Αυτό το ραντεβού δεν μπορεί να ακυρωθεί.');
+      if (error.message === 'SAME_SLOT') {
+        throw badRequest('Το ραντεβού σας είναι ήδη σε αυτή την ημερομηνία και ώρα.');
+      }
+      if (error.message === 'SLOT_ALREADY_BOOKED') {
+        throw conflict(
+          'Αυτή η χρονική υποδοχή μόλις κρατήθηκε από άλλον χρήστη. Παρακαλώ επιλέξτε άλλη ώρα.'
+        );
       }
       if (error.message === 'CONCURRENT_MODIFICATION') {
         throw conflict('Το ραντεβού τροποποιήθηκε από άλλον χρήστη. Παρακαλώ δοκιμάστε ξανά.');
@@ -6,23 +6,72 @@
 const express = require('express');
 
 const router = express.Router();
-const { asyncHandler } = require('../../middleware/errorHandler');
+const { asyncHandler, conflict } = require('../../middleware/errorHandler');
+const { holdLimiter } = require('../../middleware/rateLimiter');
 const {
   getAvailableDatesAndSlots,
-  getAvailableSlotsForDate,
+  getSlotSeatsForDate,
+  getStaffSlotsForDate,
   isSlotAvailable,
   getNextAvailableSlot,
+  filterNoticeSlots,
 } = require('../../services/availability');
-const { validateAppointmentDate } = require('../../utils/validation');
+const { holdSlot, getAppointmentByToken } = require('../../services/appointments');
+const { getActiveServiceNames } = require('../../services/serviceCatalog');
+const { getBookingPolicy } = require('../../services/bookingPolicy');
+const { validateAppointmentDate, validateAppointmentDateTime } = require('../../utils/validation');
+const { sanitizeString } = require('../../utils/sanitization');
+
+/**
+ * Read the optional staff member filter from a query string or body value
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseStaffId(value) {
+  return parseInt(value, 10) || null;
+}
+
+/**
+ * Read the optional hold token of the client asking
+ * @param {*} value
+ * @returns {string|null}
+ */
+function parseHoldToken(value) {
+  return typeof value === 'string' && value.length === 36 ? value : null;
+}
+
+/**
+ * Find the appointment a client is moving from its cancellation token
+ * Its own booking does not take a seat in the slots offered for the move
+ * @param {*} value
+ * @returns {Promise<number|null>} - Appointment ID, or null for no or an inactive appointment
+ */
+async function getRescheduledAppointmentId(value) {
+  if (typeof value !== 'string' || value.length !== 36) {
+    return null;
+  }
+
+  const appointment = await getAppointmentByToken(value);
+  if (!appointment || !['pending', 'confirmed'].includes(appointment.status)) {
+    return null;
+  }
+
+  return appointment.id;
+}
 
 /**
  * GET /api/availability/dates
  * Get all available dates with their time slots for the booking window
+ * Query: ?service=<name> to size slots for a specific service, ?staff=<id> for one staff member
  */
 router.get(
   '/dates',
   asyncHandler(async (req, res) => {
-    const availability = await getAvailableDatesAndSlots();
+    const availability = await getAvailableDatesAndSlots(
+      undefined,
+      req.query.service || null,
+      parseStaffId(req.query.staff)
+    );
 
     res.json({
       success: true,
@@ -32,17 +81,50 @@ router.get(
   })
 );
 
+/**
+ * GET /api/availability/policy
+ * Get the booking window and minimum notice clients must respect
+ * Query: ?service=<name> for the policy of a specific service
+ */
+router.get(
+  '/policy',
+  asyncHandler(async (req, res) => {
+    const policy = await getBookingPolicy(req.query.service || null);
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  })
+);
+
+/**
+ * Keep the seat counts of the listed slots only
+ * @param {object} seats - Start time to seats left
+ * @param {Array<string>} slots - Time strings (HH:mm:ss)
+ * @returns {object}
+ */
+function pickSeats(seats, slots) {
+  return Object.fromEntries(slots.map((slot) => [slot, seats[slot]]));
+}
+
 /**
  * GET /api/availability/slots/:date
- * Get available time slots for a specific date
+ * Get available time slots for a specific date, pooled and per staff member,
+ * with the seats left in each slot
+ * Query: ?service=<name> to size slots for a specific service, ?staff=<id> for one staff member,
+ * ?hold=<token> so the client's own held slot is still listed,
+ * ?reschedule=<cancellation token> so the times of the appointment being moved are still listed
  */
 router.get(
   '/slots/:date',
   asyncHandler(async (req, res) => {
     const { date } = req.params;
+    const serviceName = req.query.service || null;
+    const policy = await getBookingPolicy(serviceName);
 
-    // Validate date format
-    const validation = validateAppointmentDate(date);
+    // Validate date format and booking window
+    const validation = validateAppointmentDate(date, policy);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -50,13 +132,38 @@ router.get(
       });
     }
 
-    const slots = await getAvailableSlotsForDate(date);
+    // Times inside the minimum notice are not offered
+    const staffId = parseStaffId(req.query.staff);
+    const holdToken = parseHoldToken(req.query.hold);
+    const excludeId = await getRescheduledAppointmentId(req.query.reschedule);
+    const seats = await getSlotSeatsForDate(date, serviceName, staffId, holdToken, excludeId);
+    const slots = filterNoticeSlots(date, Object.keys(seats).sort(), policy);
+
+    // Empty when the office has no staff configured
+    const staffEntries = await getStaffSlotsForDate(
+      date,
+      serviceName,
+      staffId,
+      holdToken,
+      excludeId
+    );
+    const staff = staffEntries.map((entry) => {
+      const staffSlots = filterNoticeSlots(date, entry.slots, policy);
+      return {
+        ...entry,
+        slots: staffSlots,
+        seats_left: pickSeats(entry.seats_left, staffSlots),
+      };
+    });
 
     res.json({
       success: true,
       data: {
         date,
         slots,
+        seats_left: pickSeats(seats, slots),
+        capacity: policy.slot_capacity,
+        staff,
       },
       count: slots.length,
     });
@@ -66,15 +173,16 @@ router.get(
 /**
  * POST /api/availability/check
  * Check if a specific date and time slot is available
- * Body: { date, time }
+ * Body: { date, time, service_type?, staff_id? }
  */
 router.post(
   '/check',
   asyncHandler(async (req, res) => {
-    const { date, time } = req.body;
+    const { date, time, service_type, staff_id } = req.body;
 
-    // Validate date
-    const dateValidation = validateAppointmentDate(date);
+    // Validate date against the service's booking window
+    const policy = await getBookingPolicy(service_type || null);
+    const dateValidation = validateAppointmentDate(date, policy);
     if (!dateValidation.valid) {
       return res.status(400).json({
         success: false,
@@ -90,7 +198,12 @@ router.post(
       });
     }
 
-    const available = await isSlotAvailable(date, time);
+    const available = await isSlotAvailable(
+      date,
+      time,
+      service_type || null,
+      parseStaffId(staff_id)
+    );
 
     res.json({
       success: true,
@@ -103,14 +216,86 @@ router.post(
   })
 );
 
+/**
+ * POST /api/availability/hold
+ * Hold a slot for a few minutes while the client completes the booking
+ * Body: { date, time, service_type, staff_id?, hold_token? }
+ * (hold_token is the client's previous hold, which the new one replaces)
+ * Rate limited so one visitor cannot hold every slot
+ */
+router.post(
+  '/hold',
+  holdLimiter,
+  asyncHandler(async (req, res) => {
+    const date = sanitizeString(req.body.date || '');
+    const time = sanitizeString(req.body.time || '');
+    const serviceType = sanitizeString(req.body.service_type || '');
+
+    const serviceNames = await getActiveServiceNames();
+    if (!serviceNames.includes(serviceType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Παρακαλώ επιλέξτε έγκυρο τύπο υπηρεσίας.',
+      });
+    }
+
+    // Validate date and time against the service's booking policy
+    const policy = await getBookingPolicy(serviceType);
+    const validation = validateAppointmentDateTime(date, time, policy);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+      });
+    }
+
+    const staffId = parseStaffId(req.body.staff_id);
+    const previousToken = parseHoldToken(req.body.hold_token);
+
+    const available = await isSlotAvailable(date, time, serviceType, staffId, previousToken);
+    if (!available) {
+      throw conflict(
+        'Αυτή η χρονική υποδοχή δεν είναι πλέον διαθέσιμη. Παρακαλώ επιλέξτε άλλη ώρα.'
+      );
+    }
+
+    try {
+      const hold = await holdSlot({
+        appointment_date: date,
+        appointment_time: time,
+        service_type: serviceType,
+        staff_id: staffId,
+        hold_token: previousToken,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: hold,
+      });
+    } catch (error) {
+      // Another client took or held the slot in the meantime
+      if (error.message === 'SLOT_ALREADY_BOOKED') {
+        throw conflict(
+          'Αυτή η χρονική υποδοχή μόλις κρατήθηκε από άλλον χρήστη. Παρακαλώ επιλέξτε άλλη ώρα.'
+        );
+      }
+      throw error;
+    }
+  })
+);
+
 /**
  * GET /api/availability/next
  * Get the next available appointment slot
+ * Query: ?service=<name> to size the slot for a specific service, ?staff=<id> for one staff member
  */
 router.get(
   '/next',
   asyncHandler(async (req, res) => {
-    const nextSlot = await getNextAvailableSlot();
+    const nextSlot = await getNextAvailableSlot(
+      req.query.service || null,
+      parseStaffId(req.query.staff)
+    );
 
     if (!nextSlot) {
       return res.json({
@@ -0,0 +1,34 @@
+/**
+ * Services API Routes
+ * Public endpoint listing the services clients can book
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { getServices } = require('../../services/serviceCatalog');
+
+/**
+ * GET /api/services
+ * Get active services in display order
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const services = await getServices({ activeOnly: true });
+
+    res.json({
+      success: true,
+      data: services.map((service) => ({
+        id: service.id,
+        name: service.name,
+        name_en: service.name_en,
+        description: service.description,
+        duration_minutes: service.duration_minutes,
+      })),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Staff API Routes
+ * Public endpoint listing the staff members clients can book with
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { getStaffForService } = require('../../services/staff');
+
+/**
+ * GET /api/staff
+ * Get active staff members in display order
+ * Query: ?service=<name> to list only staff who handle that service
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const staff = await getStaffForService(req.query.service || null);
+
+    res.json({
+      success: true,
+      data: staff.map((member) => ({
+        id: member.id,
+        name: member.name,
+      })),
+    });
+  })
+);
+
+module.exports = router;
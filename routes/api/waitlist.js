@@ -0,0 +1,99 @@
+/**
+ * Waitlist API Routes
+ * Public endpoints for joining the waitlist and opening a waitlist booking link
+ */
+
+const express = require('express');
+
+const router = express.Router();
+const { asyncHandler, badRequest, notFound } = require('../../middleware/errorHandler');
+const { bookingLimiter } = require('../../middleware/rateLimiter');
+const { addToWaitlist, getWaitlistOffer } = require('../../services/waitlist');
+const { isSlotAvailable } = require('../../services/availability');
+const { getActiveServiceNames } = require('../../services/serviceCatalog');
+const { getBookingPolicy } = require('../../services/bookingPolicy');
+const { validateWaitlistRequest } = require('../../utils/validation');
+const { sanitizeWaitlistRequest } = require('../../utils/sanitization');
+const { toMySQLDate } = require('../../utils/timezone');
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for one or more dates
+ * Rate limited like bookings to prevent spam
+ */
+router.post(
+  '/',
+  bookingLimiter,
+  asyncHandler(async (req, res) => {
+    const sanitized = sanitizeWaitlistRequest(req.body);
+
+    const serviceNames = await getActiveServiceNames();
+    const policy = await getBookingPolicy(
+      serviceNames.includes(sanitized.service_type) ? sanitized.service_type : null
+    );
+    const validation = validateWaitlistRequest(sanitized, serviceNames, policy);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Μη έγκυρα δεδομένα.',
+        errors: validation.errors,
+      });
+    }
+
+    const entry = await addToWaitlist(sanitized);
+
+    res.status(201).json({
+      success: true,
+      message:
+        'Προστεθήκατε στη λίστα αναμονής. Θα σας ειδοποιήσουμε με email μόλις ελευθερωθεί ώρα.',
+      data: {
+        id: entry.id,
+        service_type: entry.service_type,
+        preferred_dates: entry.preferred_dates,
+        status: entry.status,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/waitlist/offer/:token
+ * Get the slot offered by a waitlist email, to prefill the booking form
+ */
+router.get(
+  '/offer/:token',
+  asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    if (!token || token.length !== 36) {
+      throw badRequest('Μη έγκυρος σύνδεσμος κράτησης.');
+    }
+
+    const entry = await getWaitlistOffer(token);
+
+    if (!entry) {
+      throw notFound('Ο σύνδεσμος κράτησης δεν βρέθηκε.');
+    }
+
+    const offeredDate = toMySQLDate(entry.offered_date);
+    const available =
+      entry.status === 'notified' &&
+      (await isSlotAvailable(offeredDate, entry.offered_time, entry.service_type));
+
+    res.json({
+      success: true,
+      data: {
+        client_name: entry.client_name,
+        client_email: entry.client_email,
+        client_phone: entry.client_phone,
+        service_type: entry.service_type,
+        appointment_date: offeredDate,
+        appointment_time: entry.offered_time,
+        status: entry.status,
+        available,
+      },
+    });
+  })
+);
+
+module.exports = router;
@@ -7,9 +7,8 @@
  * Usage: npm run test:db:init
  */
 
-const fs = require('fs');
-const path = require('path');
 const mysql = require('mysql2/promise');
+const { migrate } = require('../database/migrator');
 require('dotenv').config({ path: '.env.test' });
 
 async function initializeTestDatabase() {
@@ -42,29 +41,12 @@ async function initializeTestDatabase() {
     // Use the test database
     await connection.query(`USE ${process.env.DB_NAME}`);
 
-    // Read and execute schema.sql
-    const schemaPath = path.join(__dirname, '..', 'database', 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-
-    // Remove comment lines and split by semicolons
-    const cleanedSchema = schema
-      .split('\n')
-      .filter((line) => !line.trim().startsWith('--'))
-      .join('\n');
-
-    const statements = cleanedSchema
-      .split(';')
-      .map((stmt) => stmt.trim())
-      .filter((stmt) => stmt.length > 0);
-
-    console.log(`\nExecuting ${statements.length} SQL statements...\n`);
-
-    for (const statement of statements) {
-      await connection.query(statement);
-    }
+    // Build the schema from the migrations
+    const applied = await migrate(connection, {
+      log: (message) => console.log(`  ${message}`),
+    });
 
-    console.log('✓ Database tables created successfully');
-    console.log('✓ Default availability settings inserted');
+    console.log(`\n✓ Applied ${applied.length} migration(s)`);
     console.log('\n✅✅✅ Test database initialization complete! ✅✅✅\n');
     console.log('Database:', process.env.DB_NAME);
     console.log('Host:', process.env.DB_HOST);
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Status
+ * Lists every migration and whether it has been applied
+ *
+ * Usage: npm run db:status
+ */
+
+const { connectToDatabase } = require('../database/init');
+const { getStatus } = require('../database/migrator');
+
+async function printStatus() {
+  const connection = await connectToDatabase();
+
+  try {
+    const migrations = await getStatus(connection);
+
+    console.log(`\nMigrations for database '${process.env.DB_NAME}':\n`);
+    for (const migration of migrations) {
+      const state = migration.applied
+        ? `applied ${new Date(migration.applied_at).toISOString()}`
+        : 'pending';
+      console.log(
+        `  ${migration.applied ? '✓' : '·'} ${migration.version}_${migration.name} (${state})`
+      );
+    }
+
+    const pending = migrations.filter((migration) => !migration.applied).length;
+    console.log(`\n${pending} pending migration(s)\n`);
+  } finally {
+    await connection.end();
+  }
+}
+
+printStatus()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n✗ Could not read migration status:', error.message);
+    process.exit(1);
+  });
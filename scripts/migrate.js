@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Apply Pending Migrations
+ * Creates the database if needed and applies every pending migration in database/migrations
+ *
+ * Usage: npm run db:migrate
+ */
+
+const { initializeSchema } = require('../database/init');
+
+initializeSchema()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch(() => {
+    console.error('\n✗✗✗ Migration failed ✗✗✗\n');
+    process.exit(1);
+  });
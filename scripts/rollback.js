@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Roll Back Migrations
+ * Reverts the most recently applied migrations (one by default)
+ *
+ * Usage: npm run db:rollback [-- --steps=N]
+ */
+
+const { connectToDatabase } = require('../database/init');
+const { rollback } = require('../database/migrator');
+
+async function rollbackMigrations() {
+  const stepsArg = process.argv.find((arg) => arg.startsWith('--steps='));
+  const steps = stepsArg ? parseInt(stepsArg.split('=')[1], 10) : 1;
+
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps must be a positive number');
+  }
+
+  const connection = await connectToDatabase();
+
+  try {
+    const reverted = await rollback(connection, {
+      steps,
+      log: (message) => console.log(`  ${message}`),
+    });
+
+    if (reverted.length === 0) {
+      console.log('\n✓ No applied migrations to roll back\n');
+    } else {
+      console.log(`\n✓ Rolled back ${reverted.length} migration(s)\n`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+rollbackMigrations()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n✗ Rollback failed:', error.message);
+    process.exit(1);
+  });
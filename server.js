@@ -25,14 +25,33 @@ const {
   startProcessor: startEmailQueue,
   stopProcessor: stopEmailQueue,
 } = require('./services/emailQueue');
+const {
+  startScheduler: startReminderScheduler,
+  stopScheduler: stopReminderScheduler,
+} = require('./services/reminderScheduler');
+const { startHoldCleanup, stopHoldCleanup } = require('./services/slotHolds');
+const {
+  startScheduler: startExpiryScheduler,
+  stopScheduler: stopExpiryScheduler,
+} = require('./services/pendingExpiry');
+const {
+  startScheduler: startCompletionScheduler,
+  stopScheduler: stopCompletionScheduler,
+} = require('./services/appointmentCompletion');
 
 // Import routes
 const indexRoutes = require('./routes/index');
 const availabilityRoutes = require('./routes/api/availability');
 const appointmentsRoutes = require('./routes/api/appointments');
+const servicesRoutes = require('./routes/api/services');
+const staffRoutes = require('./routes/api/staff');
+const waitlistRoutes = require('./routes/api/waitlist');
 const adminAuthRoutes = require('./routes/admin/auth');
 const adminAppointmentsRoutes = require('./routes/admin/appointments');
 const adminAvailabilityRoutes = require('./routes/admin/availability');
+const adminServicesRoutes = require('./routes/admin/services');
+const adminStaffRoutes = require('./routes/admin/staff');
+const adminWaitlistRoutes = require('./routes/admin/waitlist');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -125,9 +144,15 @@ app.use('/', indexRoutes);
 // API routes with rate limiting
 app.use('/api/availability', apiLimiter, availabilityRoutes);
 app.use('/api/appointments', appointmentsRoutes); // Has its own specific rate limiters
+app.use('/api/services', apiLimiter, servicesRoutes);
+app.use('/api/staff', apiLimiter, staffRoutes);
+app.use('/api/waitlist', apiLimiter, waitlistRoutes);
 app.use('/api/admin', adminAuthRoutes); // Has its own specific rate limiters
 app.use('/api/admin/appointments', adminAppointmentsRoutes); // Protected admin routes
 app.use('/api/admin/availability', adminAvailabilityRoutes); // Protected admin routes
+app.use('/api/admin/services', adminServicesRoutes); // Protected admin routes
+app.use('/api/admin/staff', adminStaffRoutes); // Protected admin routes
+app.use('/api/admin/waitlist', adminWaitlistRoutes); // Protected admin routes
 
 /**
  * Error Handling
@@ -151,6 +176,22 @@ async function startServer() {
     startEmailQueue();
     info('Email queue processor started');
 
+    // Start appointment reminder scheduler
+    startReminderScheduler();
+    info('Reminder scheduler started');
+
+    // Start expired slot hold cleanup
+    startHoldCleanup();
+    info('Slot hold cleanup started');
+
+    // Start pending appointment expiry
+    startExpiryScheduler();
+    info('Pending expiry scheduler started');
+
+    // Start nightly completion of past appointments
+    startCompletionScheduler();
+    info('Appointment completion scheduler started');
+
     // Start Express server
     app.listen(PORT, () => {
       info(`NT - TAXOFFICE server running on http://localhost:${PORT}`);
@@ -166,12 +207,20 @@ async function startServer() {
 process.on('SIGTERM', () => {
   info('SIGTERM signal received: closing HTTP server');
   stopEmailQueue();
+  stopReminderScheduler();
+  stopHoldCleanup();
+  stopExpiryScheduler();
+  stopCompletionScheduler();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   info('SIGINT signal received: closing HTTP server');
   stopEmailQueue();
+  stopReminderScheduler();
+  stopHoldCleanup();
+  stopExpiryScheduler();
+  stopCompletionScheduler();
   process.exit(0);
 });
 
@@ -184,6 +233,10 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('uncaughtException', (error) => {
   logError('Uncaught Exception:', error);
   stopEmailQueue();
+  stopReminderScheduler();
+  stopHoldCleanup();
+  stopExpiryScheduler();
+  stopCompletionScheduler();
   process.exit(1);
 });
 
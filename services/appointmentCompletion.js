@@ -0,0 +1,132 @@
+/**
+ * Appointment Completion Service
+ * Marks confirmed appointments as completed once they ended, every night
+ * Admins flag clients who did not come as no_show, from confirmed or afterwards from completed
+ */
+
+const { getDb } = require('./database');
+const { canTransition, changeStatus } = require('./appointmentStatus');
+const { now, toMySQLDateTime } = require('../utils/timezone');
+const { info, error: logError, debug } = require('../utils/logger');
+
+// Office-local hour of the nightly run, late enough that the day's no-shows are flagged
+const COMPLETION_HOUR = 23;
+
+let schedulerTimer = null;
+
+/**
+ * Complete all confirmed appointments that ended
+ * @returns {Promise<number>} - Number of appointments completed
+ */
+async function completePastAppointments() {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Appointment date/time are stored as office-local values, so the end is compared in TIMEZONE
+    const [rows] = await connection.query(
+      `SELECT * FROM appointments
+           WHERE status = 'confirmed'
+           AND TIMESTAMP(appointment_date, appointment_time) + INTERVAL duration_minutes MINUTE <= ?
+           FOR UPDATE`,
+      [toMySQLDateTime(now())]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      debug('No past appointments to complete');
+      return 0;
+    }
+
+    let completed = 0;
+
+    for (const appointment of rows) {
+      if (!canTransition(appointment.status, 'completed', 'system')) {
+        continue;
+      }
+
+      await changeStatus(connection, appointment, 'completed', 'system', {
+        notes: 'Completed automatically',
+      });
+      completed++;
+    }
+
+    await connection.commit();
+
+    info(`Appointment completion done: ${completed} appointments completed`);
+    return completed;
+  } catch (error) {
+    await connection.rollback();
+    logError('Error completing past appointments:', error);
+    return 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Milliseconds until the next nightly run
+ * @returns {number}
+ */
+function getDelayUntilNextRun() {
+  const current = now();
+  const next = current.clone().hour(COMPLETION_HOUR).minute(0).second(0).millisecond(0);
+
+  if (!next.isAfter(current)) {
+    next.add(1, 'day');
+  }
+
+  return next.diff(current);
+}
+
+/**
+ * Wait for the next nightly run, then schedule the one after
+ */
+function scheduleNextRun() {
+  schedulerTimer = setTimeout(async () => {
+    await completePastAppointments();
+
+    // Unless the scheduler was stopped while the run was in progress
+    if (schedulerTimer) {
+      scheduleNextRun();
+    }
+  }, getDelayUntilNextRun());
+}
+
+/**
+ * Start appointment completion scheduler
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    info('Appointment completion scheduler already running');
+    return;
+  }
+
+  info(`Starting appointment completion scheduler (nightly at ${COMPLETION_HOUR}:00)`);
+
+  // Complete immediately on start so nights missed during downtime are caught up
+  completePastAppointments();
+
+  scheduleNextRun();
+}
+
+/**
+ * Stop appointment completion scheduler
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+    info('Appointment completion scheduler stopped');
+  }
+}
+
+module.exports = {
+  completePastAppointments,
+  getDelayUntilNextRun,
+  startScheduler,
+  stopScheduler,
+  COMPLETION_HOUR,
+};
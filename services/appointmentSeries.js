@@ -0,0 +1,469 @@
+/**
+ * Appointment Series Service
+ * Recurring appointments for clients who come regularly (e.g. monthly bookkeeping).
+ * A series is created from a confirmed appointment; every occurrence is its own appointment,
+ * linked by series_id, so it can be changed or cancelled alone or together with the following ones.
+ */
+
+const { getDb } = require('./database');
+const {
+  createAppointment,
+  findOccupiedSeats,
+  hasFreeSeat,
+  lockBookings,
+  recordReschedule,
+  collectFieldChanges,
+  recordFieldChanges,
+} = require('./appointments');
+const { changeStatus } = require('./appointmentStatus');
+const { isDateBlocked, getOpeningHoursForDate, isSlotAvailable } = require('./availability');
+const { getHolidayForDate } = require('./holidays');
+const { getServiceByName } = require('./serviceCatalog');
+const { getSlotCapacity } = require('./bookingPolicy');
+const { invalidateDates } = require('./availabilityCache');
+const { notifyWaitlist } = require('./waitlist');
+const { queueEmail } = require('./emailQueue');
+const { parseDate, toMySQLDate, normalizeTime } = require('../utils/timezone');
+const { warn, logAppointmentStatusChange } = require('../utils/logger');
+
+// Fields a series change may set on each selected appointment
+const SERIES_FIELDS = ['appointment_time', 'client_name', 'client_email', 'client_phone', 'notes'];
+
+/**
+ * Date of the nth occurrence after the first
+ * Monthly on a weekday keeps the weekday's position in the month (e.g. 2nd Tuesday);
+ * a 5th weekday becomes the month's last one. Monthly on a date keeps the day of the month,
+ * or the month's last day when it is shorter.
+ * @param {moment.Moment} start - First occurrence
+ * @param {string} pattern - 'weekly', 'monthly_weekday' or 'monthly_date'
+ * @param {number} index - Occurrences after the first
+ * @returns {moment.Moment}
+ */
+function getOccurrenceDate(start, pattern, index) {
+  if (pattern === 'weekly') {
+    return start.clone().add(index, 'weeks');
+  }
+
+  if (pattern === 'monthly_date') {
+    return start.clone().add(index, 'months');
+  }
+
+  const month = start.clone().startOf('month').add(index, 'months');
+  const ordinal = Math.ceil(start.date() / 7);
+  const firstWeekday = (start.day() - month.day() + 7) % 7;
+  const date = month.clone().add(firstWeekday + (ordinal - 1) * 7, 'days');
+
+  return date.month() === month.month() ? date : date.subtract(7, 'days');
+}
+
+/**
+ * Dates of a series after its first occurrence
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {object} recurrence - { pattern, occurrences, end_date } (occurrences includes the first)
+ * @returns {Array<string>} - Dates in YYYY-MM-DD format
+ */
+function getSeriesDates(startDate, { pattern, occurrences, end_date: endDate }) {
+  const start = parseDate(startDate);
+  const dates = [];
+
+  for (let index = 1; occurrences === null || index < occurrences; index++) {
+    const date = getOccurrenceDate(start, pattern, index).format('YYYY-MM-DD');
+    if (endDate && date > endDate) {
+      break;
+    }
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+/**
+ * Why an occurrence cannot be booked
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} appointment - Client, service, time and staff member to book
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<string|null>} - 'closed' (blocked date, holiday or day off),
+ * 'unavailable' (time taken or outside working hours) or null if it can be booked
+ */
+async function getUnavailableReason(date, appointment, excludeId = null) {
+  const hours = await getOpeningHoursForDate(date);
+
+  if (
+    (await isDateBlocked(date)) ||
+    (await getHolidayForDate(date)) ||
+    !hours ||
+    !hours.is_working_day
+  ) {
+    return 'closed';
+  }
+
+  const available = await isSlotAvailable(
+    date,
+    appointment.appointment_time,
+    appointment.service_type,
+    appointment.staff_id,
+    null,
+    excludeId
+  );
+
+  return available ? null : 'unavailable';
+}
+
+/**
+ * Unlink an appointment from a series that booked nothing and remove the series
+ * @param {number} seriesId
+ * @param {number} appointmentId
+ * @returns {Promise<void>}
+ */
+async function discardSeries(seriesId, appointmentId) {
+  const db = getDb();
+  await db.query('UPDATE appointments SET series_id = NULL WHERE id = ?', [appointmentId]);
+  await db.query('DELETE FROM appointment_series WHERE id = ?', [seriesId]);
+}
+
+/**
+ * Create a recurring series from a confirmed appointment
+ * Each later occurrence is booked confirmed with the same client, service, time and staff member,
+ * without a confirmation email (the reminder still goes out before each one).
+ * Occurrences that cannot be booked are skipped and reported.
+ * @param {object} appointment - Appointment row that becomes the first occurrence
+ * @param {object} recurrence - { pattern, occurrences, end_date }
+ * @param {string} createdBy - Admin username
+ * @returns {Promise<object>} - { series_id, created: [{ id, appointment_date }], skipped: [{ appointment_date, reason }] }
+ */
+async function createSeries(appointment, recurrence, createdBy) {
+  if (appointment.status !== 'confirmed') {
+    throw new Error('NOT_CONFIRMED');
+  }
+  if (appointment.series_id) {
+    throw new Error('ALREADY_IN_SERIES');
+  }
+
+  const startDate = toMySQLDate(appointment.appointment_date);
+  const db = getDb();
+
+  const [result] = await db.query(
+    `INSERT INTO appointment_series (pattern, start_date, occurrences, end_date, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+    [recurrence.pattern, startDate, recurrence.occurrences, recurrence.end_date, createdBy]
+  );
+  const seriesId = result.insertId;
+
+  // Another admin may have started a series from the same appointment meanwhile
+  const [linkResult] = await db.query(
+    'UPDATE appointments SET series_id = ? WHERE id = ? AND series_id IS NULL',
+    [seriesId, appointment.id]
+  );
+
+  if (linkResult.affectedRows === 0) {
+    await db.query('DELETE FROM appointment_series WHERE id = ?', [seriesId]);
+    throw new Error('ALREADY_IN_SERIES');
+  }
+
+  const created = [];
+  const skipped = [];
+
+  for (const date of getSeriesDates(startDate, recurrence)) {
+    const reason = await getUnavailableReason(date, appointment);
+    if (reason) {
+      skipped.push({ appointment_date: date, reason });
+      continue;
+    }
+
+    try {
+      const occurrence = await createAppointment(
+        {
+          client_name: appointment.client_name,
+          client_email: appointment.client_email,
+          client_phone: appointment.client_phone,
+          appointment_date: date,
+          appointment_time: appointment.appointment_time,
+          service_type: appointment.service_type,
+          staff_id: appointment.staff_id,
+          notes: appointment.notes,
+        },
+        {
+          createdBy: 'admin',
+          status: 'confirmed',
+          sendEmail: false,
+          notes: `Booked by admin as part of series #${seriesId}`,
+          seriesId,
+        }
+      );
+      created.push({ id: occurrence.id, appointment_date: date });
+    } catch (error) {
+      if (error.message !== 'SLOT_ALREADY_BOOKED') {
+        throw error;
+      }
+      skipped.push({ appointment_date: date, reason: 'unavailable' });
+    }
+  }
+
+  if (created.length === 0) {
+    await discardSeries(seriesId, appointment.id);
+    const error = new Error('SERIES_NOT_BOOKED');
+    error.skipped = skipped;
+    throw error;
+  }
+
+  return { series_id: seriesId, created, skipped };
+}
+
+/**
+ * Lock an active appointment and, for scope 'following', the active appointments of its series from its date on
+ * @param {object} connection - Transaction connection
+ * @param {number} appointmentId
+ * @param {string} scope - 'this' or 'following'
+ * @returns {Promise<Array>} - Appointment rows to change
+ */
+async function lockSeriesAppointments(connection, appointmentId, scope) {
+  const [rows] = await connection.query('SELECT * FROM appointments WHERE id = ? FOR UPDATE', [
+    appointmentId,
+  ]);
+
+  if (rows.length === 0) {
+    throw new Error('APPOINTMENT_NOT_FOUND');
+  }
+
+  const appointment = rows[0];
+
+  if (scope === 'this') {
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      throw new Error('NOT_ACTIVE');
+    }
+    return [appointment];
+  }
+
+  if (!appointment.series_id) {
+    throw new Error('NOT_IN_SERIES');
+  }
+
+  const [following] = await connection.query(
+    `SELECT * FROM appointments
+         WHERE series_id = ? AND appointment_date >= ?
+         AND status IN ('pending', 'confirmed')
+         ORDER BY appointment_date ASC
+         FOR UPDATE`,
+    [appointment.series_id, toMySQLDate(appointment.appointment_date)]
+  );
+
+  if (following.length === 0) {
+    throw new Error('NO_ACTIVE_APPOINTMENTS');
+  }
+
+  return following;
+}
+
+/**
+ * Change one appointment of a series, or it and the following ones
+ * A new time is checked against each date's opening hours, time blocks and free seats;
+ * dates where it cannot be booked keep their time and are reported.
+ * The client is emailed about each moved appointment, which also gets a fresh reminder.
+ * @param {number} appointmentId
+ * @param {string} scope - 'this' or 'following'
+ * @param {object} updates - { appointment_time, client_name, client_email, client_phone, notes }
+ * @param {object} admin - { id, username }
+ * @returns {Promise<object>} - { updated: [ids], skipped: [{ id, appointment_date, reason }] }
+ */
+async function updateSeries(appointmentId, scope, updates, admin) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Same lock order as client bookings: the booking lock first, then the appointments
+    await lockBookings(connection);
+
+    const appointments = await lockSeriesAppointments(connection, appointmentId, scope);
+    // Times are stored as HH:mm:ss, the request may send HH:mm
+    const fieldUpdates = {
+      ...updates,
+      appointment_time: updates.appointment_time && normalizeTime(updates.appointment_time),
+    };
+    const updated = [];
+    const skipped = [];
+    const movedAppointments = [];
+
+    for (const appointment of appointments) {
+      const date = toMySQLDate(appointment.appointment_date);
+      const newTime = fieldUpdates.appointment_time || appointment.appointment_time;
+      const moved = newTime !== appointment.appointment_time;
+
+      if (moved) {
+        // The calendar rules of a client booking, ignoring the appointment's own seat
+        const reason = await getUnavailableReason(
+          date,
+          { ...appointment, appointment_time: newTime },
+          appointment.id
+        );
+
+        if (reason) {
+          skipped.push({ id: appointment.id, appointment_date: date, reason });
+          continue;
+        }
+
+        const range = {
+          date,
+          time: newTime,
+          durationMinutes: appointment.duration_minutes,
+          bufferMinutes: appointment.buffer_minutes,
+          capacity: await getSlotCapacity(await getServiceByName(appointment.service_type)),
+          staffId: appointment.staff_id,
+          excludeId: appointment.id,
+        };
+
+        // Lock the new range; bookings or holds made since the check above still count
+        const occupied = await findOccupiedSeats(connection, range);
+
+        if (!hasFreeSeat(occupied, range)) {
+          skipped.push({ id: appointment.id, appointment_date: date, reason: 'unavailable' });
+          continue;
+        }
+      }
+
+      const changes = collectFieldChanges(
+        appointment,
+        Object.fromEntries(
+          SERIES_FIELDS.map((field) => [
+            field,
+            field === 'notes' && fieldUpdates.notes !== undefined
+              ? fieldUpdates.notes || null
+              : fieldUpdates[field],
+          ])
+        )
+      );
+
+      if (changes.length === 0) {
+        continue;
+      }
+
+      const assignments = changes.map((change) => `${change.field} = ?`);
+      if (moved) {
+        // Moved appointments need a fresh reminder for the new time
+        assignments.push('reminder_queued_at = NULL');
+      }
+
+      await connection.query(
+        `UPDATE appointments SET ${assignments.join(', ')}, version = version + 1
+             WHERE id = ? AND version = ?`,
+        [...changes.map((change) => change.newValue), appointment.id, appointment.version]
+      );
+
+      if (moved) {
+        await recordReschedule(connection, appointment, {
+          newDate: date,
+          newTime,
+          changedBy: 'admin',
+          notes: `Rescheduled by ${admin.username}`,
+        });
+        movedAppointments.push({
+          ...appointment,
+          ...Object.fromEntries(changes.map((change) => [change.field, change.newValue])),
+          appointment_date: date,
+          version: appointment.version + 1,
+          previous_date: date,
+          previous_time: appointment.appointment_time,
+        });
+      }
+
+      await recordFieldChanges(connection, appointment.id, changes, admin);
+      updated.push(appointment.id);
+    }
+
+    await connection.commit();
+
+    if (movedAppointments.length > 0) {
+      await invalidateDates(
+        ...movedAppointments.map((appointment) => appointment.appointment_date)
+      );
+    }
+
+    // Let the client know about each new time (async, non-blocking)
+    for (const appointment of movedAppointments) {
+      queueEmail('appointment-rescheduled', appointment.client_email, appointment).catch((err) => {
+        warn('Failed to queue appointment rescheduled email:', {
+          error: err.message,
+          email: appointment.client_email,
+        });
+      });
+    }
+
+    return { updated, skipped };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Cancel one appointment of a series, or it and the following ones, on the client's behalf
+ * The client is emailed about each cancellation; the freed slots are offered to the waitlist.
+ * @param {number} appointmentId
+ * @param {string} scope - 'this' or 'following'
+ * @param {string} username - Admin cancelling
+ * @returns {Promise<Array>} - Cancelled appointments
+ */
+async function cancelSeries(appointmentId, scope, username) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const appointments = await lockSeriesAppointments(connection, appointmentId, scope);
+    const cancelled = [];
+
+    for (const appointment of appointments) {
+      cancelled.push(
+        await changeStatus(connection, appointment, 'cancelled', 'admin', {
+          notes: `Cancelled by ${username}`,
+        })
+      );
+    }
+
+    await connection.commit();
+
+    await invalidateDates(...cancelled.map((appointment) => appointment.appointment_date));
+
+    for (const appointment of cancelled) {
+      logAppointmentStatusChange(
+        appointment.id,
+        appointment.previous_status,
+        'cancelled',
+        username
+      );
+
+      // Queue cancellation confirmation email (async, non-blocking)
+      queueEmail('cancellation-confirmation', appointment.client_email, appointment).catch(
+        (err) => {
+          warn('Failed to queue cancellation confirmation email:', {
+            error: err.message,
+            email: appointment.client_email,
+          });
+        }
+      );
+
+      // Offer the freed slot to the waitlist (async, non-blocking)
+      notifyWaitlist(appointment.appointment_date, appointment.appointment_time).catch((err) => {
+        warn('Failed to notify waitlist:', { error: err.message });
+      });
+    }
+
+    return cancelled;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  getSeriesDates,
+  createSeries,
+  updateSeries,
+  cancelSeries,
+};
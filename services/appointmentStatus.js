@@ -0,0 +1,158 @@
+/**
+ * Appointment Status Service
+ * The one table of allowed status moves and who may make them.
+ * Every status change goes through changeStatus: admin changes, cancellations (by the
+ * client, or by the office on the client's behalf) and the 'system' moves of the
+ * expiry and completion jobs.
+ */
+
+const { now, toMySQLDate, toMySQLDateTime } = require('../utils/timezone');
+
+// Greek status labels, shared by error messages and exports
+const STATUS_LABELS = {
+  pending: 'Εκκρεμές',
+  confirmed: 'Επιβεβαιωμένο',
+  declined: 'Απορριφθέν',
+  cancelled: 'Ακυρωμένο',
+  completed: 'Ολοκληρωμένο',
+  expired: 'Έληξε',
+  no_show: 'Δεν προσήλθε',
+};
+
+// From status -> { to status: actors allowed to make the move }
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin'],
+    declined: ['admin'],
+    cancelled: ['client', 'admin'],
+    expired: ['system'],
+  },
+  confirmed: {
+    completed: ['admin', 'system'],
+    declined: ['admin'],
+    cancelled: ['client', 'admin'],
+    no_show: ['admin'],
+  },
+  // The nightly completion may run before the admin flags a client who did not come
+  completed: {
+    no_show: ['admin'],
+  },
+  declined: {},
+  cancelled: {},
+  expired: {},
+  no_show: {},
+};
+
+/**
+ * Whether an actor may move an appointment between two statuses
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @param {string} actor - 'admin', 'client' or 'system'
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus, actor) {
+  const moves = STATUS_TRANSITIONS[fromStatus] || {};
+  return (moves[toStatus] || []).includes(actor);
+}
+
+/**
+ * Whether an appointment's start time has passed
+ * A client can only be flagged as a no-show once their appointment has started
+ * @param {object} appointment - { appointment_date, appointment_time }
+ * @returns {boolean}
+ */
+function hasStarted(appointment) {
+  const start = `${toMySQLDate(appointment.appointment_date)} ${appointment.appointment_time}`;
+  return start <= toMySQLDateTime(now());
+}
+
+/**
+ * Statuses an actor may move an appointment to
+ * @param {string} fromStatus
+ * @param {string} actor - 'admin', 'client' or 'system'
+ * @returns {string[]}
+ */
+function getAllowedTransitions(fromStatus, actor) {
+  const moves = STATUS_TRANSITIONS[fromStatus] || {};
+  return Object.keys(moves).filter((toStatus) => moves[toStatus].includes(actor));
+}
+
+/**
+ * Greek message for a rejected status move
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {string}
+ */
+function getTransitionMessage(fromStatus, toStatus) {
+  const from = STATUS_LABELS[fromStatus] || fromStatus;
+
+  if (fromStatus === toStatus) {
+    return `Το ραντεβού είναι ήδη σε κατάσταση «${from}».`;
+  }
+
+  const to = STATUS_LABELS[toStatus] || toStatus;
+  return `Δεν επιτρέπεται η αλλαγή κατάστασης από «${from}» σε «${to}».`;
+}
+
+/**
+ * Change an appointment's status inside the caller's transaction
+ * The move is checked against STATUS_TRANSITIONS, written with optimistic locking
+ * and recorded in the history. INVALID_TRANSITION errors carry fromStatus and toStatus;
+ * NOT_STARTED is thrown for a no-show before the appointment's start time.
+ * @param {object} connection - Transaction connection
+ * @param {object} appointment - Appointment row locked FOR UPDATE
+ * @param {string} newStatus
+ * @param {string} actor - 'admin', 'client' or 'system' (stored as changed_by)
+ * @param {object} [options] - { notes, declineReason }
+ * @returns {Promise<object>} - Updated appointment with previous_status
+ */
+async function changeStatus(connection, appointment, newStatus, actor, options = {}) {
+  const { notes = null, declineReason = null } = options;
+
+  if (!canTransition(appointment.status, newStatus, actor)) {
+    const error = new Error('INVALID_TRANSITION');
+    error.fromStatus = appointment.status;
+    error.toStatus = newStatus;
+    throw error;
+  }
+
+  if (newStatus === 'no_show' && !hasStarted(appointment)) {
+    throw new Error('NOT_STARTED');
+  }
+
+  const [updateResult] = await connection.query(
+    `UPDATE appointments
+         SET status = ?, decline_reason = ?, version = version + 1
+         WHERE id = ? AND version = ?`,
+    [newStatus, declineReason, appointment.id, appointment.version]
+  );
+
+  if (updateResult.affectedRows === 0) {
+    throw new Error('CONCURRENT_MODIFICATION');
+  }
+
+  await connection.query(
+    `INSERT INTO appointment_history
+         (appointment_id, old_status, new_status, changed_by, notes)
+         VALUES (?, ?, ?, ?, ?)`,
+    [appointment.id, appointment.status, newStatus, actor, notes]
+  );
+
+  return {
+    ...appointment,
+    status: newStatus,
+    decline_reason: declineReason,
+    version: appointment.version + 1,
+    previous_status: appointment.status,
+  };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  canTransition,
+  hasStarted,
+  getAllowedTransitions,
+  getTransitionMessage,
+  changeStatus,
+};
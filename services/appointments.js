@@ -5,37 +5,394 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('./database');
-const { logAppointmentCreated, logAppointmentStatusChange, warn } = require('../utils/logger');
+const {
+  logAppointmentCreated,
+  logAppointmentStatusChange,
+  logAppointmentRescheduled,
+  warn,
+  debug,
+} = require('../utils/logger');
+const { timeToMinutes, minutesToTime, toMySQLDate } = require('../utils/timezone');
 const { queueEmail } = require('./emailQueue');
+const { getServiceByName } = require('./serviceCatalog');
+const { getSlotCapacity, getNoShowApprovalThreshold } = require('./bookingPolicy');
+const { SLOT_DURATION, getAvailableStaffForSlot, getServiceStaffIds } = require('./availability');
+const { invalidateDates } = require('./availabilityCache');
+const { findConflictingHolds, insertHold, deleteHold, HOLD_MINUTES } = require('./slotHolds');
+const { notifyWaitlist } = require('./waitlist');
+const { changeStatus } = require('./appointmentStatus');
+const { toBookedRange, getSeatsLeft } = require('../utils/slots');
+
+/**
+ * Find active appointments whose time range overlaps the given one, locking them
+ * Ranges include each appointment's buffer, so back-to-back bookings respect cleanup time
+ * With staffId, only that staff member's appointments (and unassigned ones) conflict
+ * @param {object} connection - Transaction connection
+ * @param {object} range - { date, time, durationMinutes, bufferMinutes, excludeId, staffId }
+ * @returns {Promise<Array>} - Conflicting appointments { id, appointment_time, duration_minutes, buffer_minutes }
+ */
+async function findConflictingAppointments(connection, range) {
+  const start = timeToMinutes(range.time);
+  const end = start + range.durationMinutes + range.bufferMinutes;
+
+  let query = `SELECT id, appointment_time, duration_minutes, buffer_minutes FROM appointments
+         WHERE appointment_date = ?
+         AND status IN ('pending', 'confirmed')
+         AND appointment_time < ?
+         AND ADDTIME(appointment_time, SEC_TO_TIME((duration_minutes + buffer_minutes) * 60)) > ?`;
+  const params = [range.date, minutesToTime(end), minutesToTime(start)];
+
+  if (range.staffId) {
+    query += ' AND (staff_id = ? OR staff_id IS NULL)';
+    params.push(range.staffId);
+  }
+
+  if (range.excludeId) {
+    query += ' AND id != ?';
+    params.push(range.excludeId);
+  }
+
+  const [rows] = await connection.query(`${query} FOR UPDATE`, params);
+  return rows;
+}
+
+/**
+ * Find everything that takes a seat in the given range: appointments (locked) and
+ * other clients' active slot holds
+ * @param {object} connection - Transaction connection
+ * @param {object} range - See findConflictingAppointments, plus holdToken (the caller's own hold)
+ * @returns {Promise<Array>} - Array of { appointment_time, duration_minutes, buffer_minutes }
+ */
+async function findOccupiedSeats(connection, range) {
+  const appointments = await findConflictingAppointments(connection, range);
+  const holds = await findConflictingHolds(connection, range);
+  return [...appointments, ...holds];
+}
+
+/**
+ * Check whether another appointment fits next to the overlapping ones
+ * @param {Array} existing - Overlapping appointments from findConflictingAppointments
+ * @param {object} range - { time, durationMinutes, bufferMinutes, capacity }
+ * @returns {boolean}
+ */
+function hasFreeSeat(existing, range) {
+  const capacity = range.capacity || 1;
+
+  // Every row overlaps the range: fewer rows than seats always fit, one seat never does
+  if (existing.length < capacity) {
+    return true;
+  }
+  if (capacity === 1) {
+    return false;
+  }
+
+  const start = timeToMinutes(range.time);
+  const requested = { start, end: start + range.durationMinutes + range.bufferMinutes };
+  return getSeatsLeft(requested, existing.map(toBookedRange), capacity) > 0;
+}
+
+/**
+ * Take the booking lock for the rest of the transaction
+ * Seat counts are only read by one transaction at a time, so two concurrent bookings
+ * never both take the last free seat
+ * @param {object} connection - Transaction connection
+ * @returns {Promise<void>}
+ */
+async function lockBookings(connection) {
+  await connection.query('SELECT id FROM booking_settings WHERE id = 1 FOR UPDATE');
+}
+
+/**
+ * Lock the requested time range and pick who takes it
+ * With staff, each candidate's overlapping bookings are locked in turn and the first
+ * candidate with a free seat is returned; otherwise the whole office calendar is checked
+ * Call lockBookings first
+ * @param {object} connection - Transaction connection
+ * @param {object} range - See findOccupiedSeats, plus capacity (seats per slot)
+ * @param {Array<number>|null} candidateStaffIds - Staff IDs in preference order, or null
+ * @returns {Promise<number|null>} - Assigned staff ID, or null in single-calendar mode
+ */
+async function lockFreeStaffMember(connection, range, candidateStaffIds) {
+  if (!candidateStaffIds) {
+    // Lock any overlapping bookings for this date using SELECT FOR UPDATE
+    const existing = await findOccupiedSeats(connection, range);
+
+    if (!hasFreeSeat(existing, range)) {
+      throw new Error('SLOT_ALREADY_BOOKED');
+    }
+    return null;
+  }
+
+  for (const candidateId of candidateStaffIds) {
+    const existing = await findOccupiedSeats(connection, {
+      ...range,
+      staffId: candidateId,
+    });
+    if (hasFreeSeat(existing, range)) {
+      return candidateId;
+    }
+  }
+
+  throw new Error('SLOT_ALREADY_BOOKED');
+}
+
+/**
+ * Record a move to another date or time in appointment_history
+ * @param {object} connection - Transaction connection
+ * @param {object} appointment - Appointment row before the move
+ * @param {object} move - { newDate, newTime, changedBy, notes }
+ * @returns {Promise<void>}
+ */
+async function recordReschedule(connection, appointment, { newDate, newTime, changedBy, notes }) {
+  await connection.query(
+    `INSERT INTO appointment_history
+         (appointment_id, old_status, new_status, changed_by, notes,
+          old_date, old_time, new_date, new_time)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      appointment.id,
+      appointment.status,
+      appointment.status,
+      changedBy,
+      notes,
+      toMySQLDate(appointment.appointment_date),
+      appointment.appointment_time,
+      newDate,
+      newTime,
+    ]
+  );
+}
+
+/**
+ * Normalize a column value for the audit trail (dates as YYYY-MM-DD, empty as null)
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toAuditValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return toMySQLDate(value);
+  }
+  return String(value);
+}
+
+/**
+ * Compare requested field values with the stored appointment
+ * Fields set to undefined were not part of the edit and are skipped
+ * @param {object} appointment - Appointment row before the edit
+ * @param {object} updates - Field name to new value
+ * @returns {Array<object>} - [{ field, oldValue, newValue }] for fields that actually changed
+ */
+function collectFieldChanges(appointment, updates) {
+  return Object.entries(updates)
+    .filter(([, newValue]) => newValue !== undefined)
+    .map(([field, newValue]) => ({
+      field,
+      oldValue: toAuditValue(appointment[field]),
+      newValue: toAuditValue(newValue),
+    }))
+    .filter((change) => change.oldValue !== change.newValue);
+}
+
+/**
+ * Record field-level changes made by an admin
+ * @param {object} connection - Transaction connection
+ * @param {number} appointmentId
+ * @param {Array<object>} changes - From collectFieldChanges()
+ * @param {object} admin - { id, username }
+ * @returns {Promise<void>}
+ */
+async function recordFieldChanges(connection, appointmentId, changes, admin) {
+  for (const change of changes) {
+    await connection.query(
+      `INSERT INTO appointment_changes
+           (appointment_id, admin_id, admin_username, field_name, old_value, new_value)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+      [appointmentId, admin.id, admin.username, change.field, change.oldValue, change.newValue]
+    );
+  }
+}
+
+/**
+ * Hold a slot for a few minutes while the client completes the booking
+ * The hold takes a seat for everyone else until it expires or its booking is made.
+ * A client changing their pick passes their previous hold_token, which is replaced.
+ * @param {object} holdData - { appointment_date, appointment_time, service_type, staff_id, hold_token }
+ * @returns {Promise<object>} - { hold_token, appointment_date, appointment_time, staff_id, expires_in_seconds }
+ */
+async function holdSlot(holdData) {
+  const service = await getServiceByName(holdData.service_type);
+  const durationMinutes = service ? service.duration_minutes : SLOT_DURATION;
+  const bufferMinutes = service ? service.buffer_minutes : 0;
+  const capacity = await getSlotCapacity(service);
+  const previousToken = holdData.hold_token || null;
+
+  // Staff who can take this slot, or null when the office is a single calendar
+  const candidateStaffIds = await getAvailableStaffForSlot(
+    holdData.appointment_date,
+    holdData.appointment_time,
+    holdData.service_type,
+    holdData.staff_id || null,
+    previousToken
+  );
+
+  if (candidateStaffIds && candidateStaffIds.length === 0) {
+    throw new Error('SLOT_ALREADY_BOOKED');
+  }
+
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await lockBookings(connection);
+
+    const staffId = await lockFreeStaffMember(
+      connection,
+      {
+        date: holdData.appointment_date,
+        time: holdData.appointment_time,
+        durationMinutes,
+        bufferMinutes,
+        capacity,
+        holdToken: previousToken,
+      },
+      candidateStaffIds
+    );
+
+    const previousDate = await deleteHold(connection, previousToken);
+
+    const holdToken = uuidv4();
+    await insertHold(connection, {
+      token: holdToken,
+      date: holdData.appointment_date,
+      time: holdData.appointment_time,
+      durationMinutes,
+      bufferMinutes,
+      serviceType: holdData.service_type,
+      staffId,
+    });
+
+    await connection.commit();
+
+    // The held seat is gone for everyone else, the previous one is free again
+    await invalidateDates(holdData.appointment_date, previousDate);
+
+    debug('Slot held', {
+      date: holdData.appointment_date,
+      time: holdData.appointment_time,
+      staffId,
+    });
+
+    return {
+      hold_token: holdToken,
+      appointment_date: holdData.appointment_date,
+      appointment_time: holdData.appointment_time,
+      staff_id: staffId,
+      expires_in_seconds: HOLD_MINUTES * 60,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Count the appointments a client did not show up to
+ * @param {string} clientEmail
+ * @returns {Promise<number>}
+ */
+async function getNoShowCount(clientEmail) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT COUNT(*) AS count FROM appointments
+         WHERE client_email = ? AND status = 'no_show'`,
+    [clientEmail]
+  );
+  return rows[0].count;
+}
+
+/**
+ * Whether the no-show rule sends a client's booking to the admin for approval
+ * @param {string} clientEmail
+ * @returns {Promise<boolean>}
+ */
+async function needsApproval(clientEmail) {
+  const threshold = await getNoShowApprovalThreshold();
+  if (!threshold) {
+    return false;
+  }
+
+  return (await getNoShowCount(clientEmail)) >= threshold;
+}
 
 /**
  * Create a new appointment with transaction protection
+ * When the office has staff, the booking goes to the chosen staff member (staff_id)
+ * or to the next free staff member in round-robin order.
+ * With a hold_token, the client's hold does not count against the slot and is removed.
+ * Admins booking for a client pass options; with overrideHours the booking only needs
+ * a free seat, not a slot within working hours. Occurrences of a recurring series pass seriesId.
  * @param {object} appointmentData
+ * @param {object} [options] - { createdBy, status, overrideHours, sendEmail, notes, seriesId }
  * @returns {Promise<object>}
  */
-async function createAppointment(appointmentData) {
+async function createAppointment(appointmentData, options = {}) {
+  const {
+    createdBy = 'client',
+    status = 'pending',
+    overrideHours = false,
+    sendEmail = true,
+    notes = 'Appointment created',
+    seriesId = null,
+  } = options;
+
+  // Snapshot the service timing so later catalog edits don't move this booking
+  const service = await getServiceByName(appointmentData.service_type);
+  const durationMinutes = service ? service.duration_minutes : SLOT_DURATION;
+  const bufferMinutes = service ? service.buffer_minutes : 0;
+  const capacity = await getSlotCapacity(service);
+  const holdToken = appointmentData.hold_token || null;
+  // Bookings the admin makes are already approved
+  const requiresApproval =
+    createdBy === 'client' ? await needsApproval(appointmentData.client_email) : false;
+
+  // Staff who can take this slot, or null when the office is a single calendar
+  const candidateStaffIds = overrideHours
+    ? await getServiceStaffIds(appointmentData.service_type, appointmentData.staff_id || null)
+    : await getAvailableStaffForSlot(
+        appointmentData.appointment_date,
+        appointmentData.appointment_time,
+        appointmentData.service_type,
+        appointmentData.staff_id || null,
+        holdToken
+      );
+
+  if (candidateStaffIds && candidateStaffIds.length === 0) {
+    throw new Error('SLOT_ALREADY_BOOKED');
+  }
+
   const db = getDb();
   const connection = await db.getConnection();
 
   try {
     // Start transaction
     await connection.beginTransaction();
-
-    // Lock the time slot for this date/time using SELECT FOR UPDATE
-    const [existing] = await connection.query(
-      `SELECT id FROM appointments
-             WHERE appointment_date = ?
-             AND appointment_time = ?
-             AND status IN ('pending', 'confirmed')
-             FOR UPDATE`,
-      [appointmentData.appointment_date, appointmentData.appointment_time]
-    );
-
-    // If slot is already booked, rollback and throw error
-    if (existing.length > 0) {
-      await connection.rollback();
-      throw new Error('SLOT_ALREADY_BOOKED');
-    }
+    await lockBookings(connection);
+
+    const range = {
+      date: appointmentData.appointment_date,
+      time: appointmentData.appointment_time,
+      durationMinutes,
+      bufferMinutes,
+      capacity,
+      holdToken,
+    };
+    const staffId = await lockFreeStaffMember(connection, range, candidateStaffIds);
 
     // Generate cancellation token
     const cancellationToken = uuidv4();
@@ -44,8 +401,9 @@ async function createAppointment(appointmentData) {
     const [result] = await connection.query(
       `INSERT INTO appointments
              (client_name, client_email, client_phone, appointment_date, appointment_time,
-              service_type, notes, status, cancellation_token, version)
-             VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, 1)`,
+              service_type, staff_id, series_id, duration_minutes, buffer_minutes, notes, status,
+              requires_approval, cancellation_token, version)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
       [
         appointmentData.client_name,
         appointmentData.client_email,
@@ -53,7 +411,13 @@ async function createAppointment(appointmentData) {
         appointmentData.appointment_date,
         appointmentData.appointment_time,
         appointmentData.service_type,
+        staffId,
+        seriesId,
+        durationMinutes,
+        bufferMinutes,
         appointmentData.notes || null,
+        status,
+        requiresApproval,
         cancellationToken,
       ]
     );
@@ -64,13 +428,19 @@ async function createAppointment(appointmentData) {
     await connection.query(
       `INSERT INTO appointment_history
              (appointment_id, old_status, new_status, changed_by, notes)
-             VALUES (?, NULL, 'pending', 'client', 'Appointment created')`,
-      [appointmentId]
+             VALUES (?, NULL, ?, ?, ?)`,
+      [appointmentId, status, createdBy, notes]
     );
 
+    // The booking takes over the client's hold
+    const heldDate = await deleteHold(connection, holdToken);
+
     // Commit transaction
     await connection.commit();
 
+    // Slots of the date are taken now
+    await invalidateDates(appointmentData.appointment_date, heldDate);
+
     // Log the creation
     logAppointmentCreated(
       appointmentData.client_name,
@@ -81,24 +451,33 @@ async function createAppointment(appointmentData) {
     const createdAppointment = {
       id: appointmentId,
       ...appointmentData,
-      status: 'pending',
+      staff_id: staffId,
+      series_id: seriesId,
+      duration_minutes: durationMinutes,
+      buffer_minutes: bufferMinutes,
+      status,
+      requires_approval: requiresApproval,
       cancellation_token: cancellationToken,
       version: 1,
     };
 
     // Queue email notifications (async, non-blocking)
-    queueEmail('booking-confirmation', appointmentData.client_email, createdAppointment).catch(
-      (err) => {
+    if (sendEmail) {
+      const emailType = status === 'confirmed' ? 'appointment-confirmed' : 'booking-confirmation';
+      queueEmail(emailType, appointmentData.client_email, createdAppointment).catch((err) => {
         warn('Failed to queue booking confirmation email:', {
           error: err.message,
           email: appointmentData.client_email,
         });
-      }
-    );
+      });
+    }
 
-    queueEmail('admin-notification', process.env.ADMIN_EMAIL, createdAppointment).catch((err) => {
-      warn('Failed to queue admin notification email:', { error: err.message });
-    });
+    // The office only needs to hear about bookings it did not make
+    if (createdBy === 'client') {
+      queueEmail('admin-notification', process.env.ADMIN_EMAIL, createdAppointment).catch((err) => {
+        warn('Failed to queue admin notification email:', { error: err.message });
+      });
+    }
 
     // Return created appointment
     return createdAppointment;
@@ -175,24 +554,144 @@ async function cancelAppointment(cancellationToken) {
 
     const appointment = rows[0];
 
-    // Check if already cancelled
-    if (appointment.status === 'cancelled') {
+    // The transition table decides which statuses a client may cancel
+    const cancelledAppointment = await changeStatus(
+      connection,
+      appointment,
+      'cancelled',
+      'client',
+      {
+        notes: 'Cancelled by client',
+      }
+    );
+
+    await connection.commit();
+
+    // The cancelled slot is free again
+    await invalidateDates(appointment.appointment_date);
+
+    logAppointmentStatusChange(appointment.id, appointment.status, 'cancelled', 'client');
+
+    // Queue cancellation confirmation email (async, non-blocking)
+    queueEmail('cancellation-confirmation', appointment.client_email, cancelledAppointment).catch(
+      (err) => {
+        warn('Failed to queue cancellation confirmation email:', {
+          error: err.message,
+          email: appointment.client_email,
+        });
+      }
+    );
+
+    // Offer the freed slot to the waitlist (async, non-blocking)
+    notifyWaitlist(appointment.appointment_date, appointment.appointment_time).catch((err) => {
+      warn('Failed to notify waitlist:', { error: err.message });
+    });
+
+    return cancelledAppointment;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Reschedule appointment to another free slot (client-initiated)
+ * The appointment keeps its service timing and, when possible, its staff member
+ * @param {string} cancellationToken
+ * @param {string} newDate - Date in YYYY-MM-DD format
+ * @param {string} newTime - Time in HH:mm:ss format
+ * @returns {Promise<object>} - Updated appointment with previous_date/previous_time
+ */
+async function rescheduleAppointment(cancellationToken, newDate, newTime) {
+  const current = await getAppointmentByToken(cancellationToken);
+
+  if (!current) {
+    throw new Error('APPOINTMENT_NOT_FOUND');
+  }
+
+  // Staff who can take the new slot, current staff member first
+  // (the appointment's own booking does not stand in its way)
+  let candidateStaffIds = await getAvailableStaffForSlot(
+    newDate,
+    newTime,
+    current.service_type,
+    null,
+    null,
+    current.id
+  );
+
+  if (candidateStaffIds) {
+    if (candidateStaffIds.length === 0) {
+      throw new Error('SLOT_ALREADY_BOOKED');
+    }
+    if (candidateStaffIds.includes(current.staff_id)) {
+      candidateStaffIds = [
+        current.staff_id,
+        ...candidateStaffIds.filter((id) => id !== current.staff_id),
+      ];
+    }
+  }
+
+  // The new slot may be shared by as many appointments as the service allows
+  const capacity = await getSlotCapacity(await getServiceByName(current.service_type));
+
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await lockBookings(connection);
+
+    // Get appointment with lock
+    const [rows] = await connection.query(
+      `SELECT * FROM appointments WHERE cancellation_token = ? FOR UPDATE`,
+      [cancellationToken]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      throw new Error('APPOINTMENT_NOT_FOUND');
+    }
+
+    const appointment = rows[0];
+
+    // Only active appointments can be moved
+    if (appointment.status !== 'pending' && appointment.status !== 'confirmed') {
       await connection.rollback();
-      throw new Error('ALREADY_CANCELLED');
+      throw new Error('CANNOT_RESCHEDULE');
     }
 
-    // Check if can be cancelled (not declined or completed)
-    if (appointment.status === 'declined' || appointment.status === 'completed') {
+    const previousDate = toMySQLDate(appointment.appointment_date);
+    const previousTime = appointment.appointment_time;
+
+    if (previousDate === newDate && previousTime === newTime) {
       await connection.rollback();
-      throw new Error('CANNOT_CANCEL');
+      throw new Error('SAME_SLOT');
     }
 
-    // Update status to cancelled with optimistic locking
+    // Lock the new range, ignoring the appointment's own booking
+    const staffId = await lockFreeStaffMember(
+      connection,
+      {
+        date: newDate,
+        time: newTime,
+        durationMinutes: appointment.duration_minutes,
+        bufferMinutes: appointment.buffer_minutes,
+        capacity,
+        excludeId: appointment.id,
+      },
+      candidateStaffIds
+    );
+
+    // Move with optimistic locking; a new reminder is due for the new date
     const [updateResult] = await connection.query(
       `UPDATE appointments
-             SET status = 'cancelled', version = version + 1
+             SET appointment_date = ?, appointment_time = ?, staff_id = ?,
+                 reminder_queued_at = NULL, version = version + 1
              WHERE id = ? AND version = ?`,
-      [appointment.id, appointment.version]
+      [newDate, newTime, staffId, appointment.id, appointment.version]
     );
 
     if (updateResult.affectedRows === 0) {
@@ -201,34 +700,41 @@ async function cancelAppointment(cancellationToken) {
     }
 
     // Add to history
-    await connection.query(
-      `INSERT INTO appointment_history
-             (appointment_id, old_status, new_status, changed_by, notes)
-             VALUES (?, ?, 'cancelled', 'client', 'Cancelled by client')`,
-      [appointment.id, appointment.status]
-    );
+    await recordReschedule(connection, appointment, {
+      newDate,
+      newTime,
+      changedBy: 'client',
+      notes: 'Rescheduled by client',
+    });
 
     await connection.commit();
 
-    logAppointmentStatusChange(appointment.id, appointment.status, 'cancelled', 'client');
+    await invalidateDates(previousDate, newDate);
 
-    const cancelledAppointment = {
+    logAppointmentRescheduled(appointment.id, previousDate, previousTime, newDate, newTime);
+
+    const rescheduledAppointment = {
       ...appointment,
-      status: 'cancelled',
+      appointment_date: newDate,
+      appointment_time: newTime,
+      staff_id: staffId,
+      reminder_queued_at: null,
       version: appointment.version + 1,
+      previous_date: previousDate,
+      previous_time: previousTime,
     };
 
-    // Queue cancellation confirmation email (async, non-blocking)
-    queueEmail('cancellation-confirmation', appointment.client_email, cancelledAppointment).catch(
+    // Queue reschedule confirmation email (async, non-blocking)
+    queueEmail('reschedule-confirmation', appointment.client_email, rescheduledAppointment).catch(
       (err) => {
-        warn('Failed to queue cancellation confirmation email:', {
+        warn('Failed to queue reschedule confirmation email:', {
           error: err.message,
           email: appointment.client_email,
         });
       }
     );
 
-    return cancelledAppointment;
+    return rescheduledAppointment;
   } catch (error) {
     await connection.rollback();
     throw error;
@@ -321,14 +827,15 @@ async function countAppointments(filters = {}) {
 }
 
 /**
- * Update appointment status (admin)
+ * Update appointment status (admin or system)
+ * The move must be allowed by the status transition table for changedBy
  * @param {number} id
  * @param {string} newStatus
  * @param {string} changedBy - 'admin' or 'system'
- * @param {string} notes
- * @returns {Promise<object>}
+ * @param {object} [options] - { notes, declineReason, username }
+ * @returns {Promise<object>} - Updated appointment with previous_status
  */
-async function updateAppointmentStatus(id, newStatus, changedBy = 'admin', notes = null) {
+async function updateAppointmentStatus(id, newStatus, changedBy = 'admin', options = {}) {
   const db = getDb();
   const connection = await db.getConnection();
 
@@ -345,39 +852,30 @@ async function updateAppointmentStatus(id, newStatus, changedBy = 'admin', notes
       throw new Error('APPOINTMENT_NOT_FOUND');
     }
 
-    const appointment = rows[0];
-    const oldStatus = appointment.status;
+    const updated = await changeStatus(connection, rows[0], newStatus, changedBy, {
+      notes: options.notes,
+      declineReason: options.declineReason,
+    });
 
-    // Update status with optimistic locking
-    const [updateResult] = await connection.query(
-      `UPDATE appointments
-             SET status = ?, version = version + 1
-             WHERE id = ? AND version = ?`,
-      [newStatus, id, appointment.version]
-    );
+    await connection.commit();
 
-    if (updateResult.affectedRows === 0) {
-      await connection.rollback();
-      throw new Error('CONCURRENT_MODIFICATION');
-    }
+    await invalidateDates(updated.appointment_date);
 
-    // Add to history
-    await connection.query(
-      `INSERT INTO appointment_history
-             (appointment_id, old_status, new_status, changed_by, notes)
-             VALUES (?, ?, ?, ?, ?)`,
-      [id, oldStatus, newStatus, changedBy, notes]
+    logAppointmentStatusChange(
+      id,
+      updated.previous_status,
+      newStatus,
+      options.username || changedBy
     );
 
-    await connection.commit();
-
-    logAppointmentStatusChange(id, oldStatus, newStatus, changedBy);
+    // Offer the freed slot to the waitlist (async, non-blocking)
+    if (newStatus === 'declined' || newStatus === 'cancelled') {
+      notifyWaitlist(updated.appointment_date, updated.appointment_time).catch((err) => {
+        warn('Failed to notify waitlist:', { error: err.message });
+      });
+    }
 
-    return {
-      ...appointment,
-      status: newStatus,
-      version: appointment.version + 1,
-    };
+    return updated;
   } catch (error) {
     await connection.rollback();
     throw error;
@@ -393,62 +891,10 @@ async function updateAppointmentStatus(id, newStatus, changedBy = 'admin', notes
  * @returns {Promise<object>}
  */
 async function declineAppointment(id, reason) {
-  const db = getDb();
-  const connection = await db.getConnection();
-
-  try {
-    await connection.beginTransaction();
-
-    // Get appointment with lock
-    const [rows] = await connection.query(`SELECT * FROM appointments WHERE id = ? FOR UPDATE`, [
-      id,
-    ]);
-
-    if (rows.length === 0) {
-      await connection.rollback();
-      throw new Error('APPOINTMENT_NOT_FOUND');
-    }
-
-    const appointment = rows[0];
-    const oldStatus = appointment.status;
-
-    // Update status and decline reason
-    const [updateResult] = await connection.query(
-      `UPDATE appointments
-             SET status = 'declined', decline_reason = ?, version = version + 1
-             WHERE id = ? AND version = ?`,
-      [reason, id, appointment.version]
-    );
-
-    if (updateResult.affectedRows === 0) {
-      await connection.rollback();
-      throw new Error('CONCURRENT_MODIFICATION');
-    }
-
-    // Add to history
-    await connection.query(
-      `INSERT INTO appointment_history
-             (appointment_id, old_status, new_status, changed_by, notes)
-             VALUES (?, ?, 'declined', 'admin', ?)`,
-      [id, oldStatus, reason]
-    );
-
-    await connection.commit();
-
-    logAppointmentStatusChange(id, oldStatus, 'declined', 'admin');
-
-    return {
-      ...appointment,
-      status: 'declined',
-      decline_reason: reason,
-      version: appointment.version + 1,
-    };
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
+  return updateAppointmentStatus(id, 'declined', 'admin', {
+    notes: reason,
+    declineReason: reason,
+  });
 }
 
 /**
@@ -467,6 +913,23 @@ async function getAppointmentHistory(appointmentId) {
   return rows;
 }
 
+/**
+ * Get the field-level audit trail of an appointment, newest first
+ * @param {number} appointmentId
+ * @returns {Promise<Array>}
+ */
+async function getAppointmentChanges(appointmentId) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT id, admin_id, admin_username, field_name, old_value, new_value, changed_at
+         FROM appointment_changes
+         WHERE appointment_id = ?
+         ORDER BY changed_at DESC, id DESC`,
+    [appointmentId]
+  );
+  return rows;
+}
+
 /**
  * Get appointment statistics (admin)
  * @returns {Promise<object>}
@@ -507,10 +970,24 @@ async function getAppointmentStats() {
 module.exports = {
   // Client operations
   createAppointment,
+  holdSlot,
   getAppointmentById,
   getAppointmentByToken,
   getAppointmentsByEmail,
+  getNoShowCount,
   cancelAppointment,
+  rescheduleAppointment,
+
+  // Scheduling
+  findConflictingAppointments,
+  findOccupiedSeats,
+  hasFreeSeat,
+  lockBookings,
+  recordReschedule,
+
+  // Audit trail
+  collectFieldChanges,
+  recordFieldChanges,
 
   // Admin operations
   getAllAppointments,
@@ -518,5 +995,6 @@ module.exports = {
   updateAppointmentStatus,
   declineAppointment,
   getAppointmentHistory,
+  getAppointmentChanges,
   getAppointmentStats,
 };
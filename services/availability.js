@@ -1,6 +1,6 @@
 /**
  * Availability Service
- * Calculate available appointment slots based on business hours, blocked dates, and existing appointments
+ * Calculate available appointment slots based on business hours, blocked dates and times, and existing appointments
  */
 
 const { getDb } = require('./database');
@@ -10,37 +10,150 @@ const {
   getDayOfWeek,
   toMySQLDate,
   getCurrentDate,
-  BOOKING_WINDOW_DAYS,
+  timeToMinutes,
+  minutesToTime,
+  isWithinMinimumNotice,
 } = require('../utils/timezone');
+const { getServiceByName } = require('./serviceCatalog');
+const {
+  getStaffForService,
+  getStaffHoursForDay,
+  getHoursForStaff,
+  isStaffDateBlocked,
+  getBlockedDatesForStaff,
+  orderByRoundRobin,
+} = require('./staff');
+const { getHolidayForDate, getHolidayDatesInRange } = require('./holidays');
+const { getBookingPolicy, getSlotCapacity } = require('./bookingPolicy');
+const {
+  SLOT_DURATION,
+  generateTimeSlots,
+  generateIntervalSlots,
+  clipIntervals,
+  rangesOverlap,
+  toBookedRange,
+  calculateSlotSeats,
+  poolSeats,
+} = require('../utils/slots');
+const { getCacheVersion, getCachedSeats, setCachedSeats } = require('./availabilityCache');
 const { debug } = require('../utils/logger');
 
-// Appointment slot duration in minutes
-const SLOT_DURATION = 60; // 1 hour slots
+// Granularity of bookable start times in minutes
+const SLOT_INTERVAL = parseInt(process.env.DEFAULT_SLOT_DURATION, 10) || 30;
+
+// Open intervals of a day as one column: "09:00:00-14:00:00,15:00:00-17:00:00"
+const INTERVALS_COLUMN = `(SELECT GROUP_CONCAT(CONCAT(i.start_time, '-', i.end_time) ORDER BY i.start_time)
+             FROM availability_intervals i
+             WHERE i.day_of_week = availability_settings.day_of_week) AS intervals`;
+
+/**
+ * Turn a settings row into the open intervals of its day
+ * Days without interval rows are open from start_time to end_time
+ * @param {object} row - availability_settings row with the intervals column
+ * @returns {object} - Row with intervals as an array of { start_time, end_time }
+ */
+function withIntervals(row) {
+  let intervals = [];
+
+  if (row.is_working_day && row.intervals) {
+    intervals = String(row.intervals)
+      .split(',')
+      .map((interval) => {
+        const [startTime, endTime] = interval.split('-');
+        return { start_time: startTime, end_time: endTime };
+      });
+  } else if (row.is_working_day && row.start_time && row.end_time) {
+    intervals = [{ start_time: row.start_time, end_time: row.end_time }];
+  }
+
+  return { ...row, intervals };
+}
 
 /**
  * Get availability settings for all days of the week
- * @returns {Promise<Array>}
+ * @returns {Promise<Array>} - Rows with their open intervals
  */
 async function getAvailabilitySettings() {
   const db = getDb();
   const [rows] = await db.query(
-    'SELECT day_of_week, is_working_day, start_time, end_time FROM availability_settings ORDER BY day_of_week'
+    `SELECT day_of_week, is_working_day, start_time, end_time, ${INTERVALS_COLUMN}
+         FROM availability_settings
+         ORDER BY day_of_week`
   );
-  return rows;
+  return rows.map(withIntervals);
 }
 
 /**
  * Get availability settings for a specific day of week
  * @param {number} dayOfWeek - 0=Sunday, 6=Saturday
- * @returns {Promise<object|null>}
+ * @returns {Promise<object|null>} - Row with its open intervals
  */
 async function getAvailabilityForDay(dayOfWeek) {
   const db = getDb();
   const [rows] = await db.query(
-    'SELECT day_of_week, is_working_day, start_time, end_time FROM availability_settings WHERE day_of_week = ?',
+    `SELECT day_of_week, is_working_day, start_time, end_time, ${INTERVALS_COLUMN}
+         FROM availability_settings
+         WHERE day_of_week = ?`,
     [dayOfWeek]
   );
-  return rows[0] || null;
+  return rows[0] ? withIntervals(rows[0]) : null;
+}
+
+/**
+ * Replace the weekly office hours
+ * The overall start_time/end_time of each day is kept in step with its intervals
+ * @param {Array} days - Seven { day_of_week, is_working_day, intervals }
+ * @returns {Promise<void>}
+ */
+async function updateAvailabilitySettings(days) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    for (const day of days) {
+      const intervals = day.is_working_day
+        ? [...day.intervals]
+            .map((interval) => ({
+              start_time: minutesToTime(timeToMinutes(interval.start_time)),
+              end_time: minutesToTime(timeToMinutes(interval.end_time)),
+            }))
+            .sort((a, b) => a.start_time.localeCompare(b.start_time))
+        : [];
+
+      await connection.query(
+        `UPDATE availability_settings
+             SET is_working_day = ?, start_time = ?, end_time = ?
+             WHERE day_of_week = ?`,
+        [
+          day.is_working_day,
+          intervals.length > 0 ? intervals[0].start_time : null,
+          intervals.length > 0 ? intervals[intervals.length - 1].end_time : null,
+          day.day_of_week,
+        ]
+      );
+
+      await connection.query('DELETE FROM availability_intervals WHERE day_of_week = ?', [
+        day.day_of_week,
+      ]);
+
+      for (const interval of intervals) {
+        await connection.query(
+          `INSERT INTO availability_intervals (day_of_week, start_time, end_time)
+               VALUES (?, ?, ?)`,
+          [day.day_of_week, interval.start_time, interval.end_time]
+        );
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 }
 
 /**
@@ -69,6 +182,305 @@ async function isDateBlocked(date) {
   return rows.length > 0;
 }
 
+/**
+ * Get the blocked dates within a date range
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Set<string>>} - Dates in YYYY-MM-DD format
+ */
+async function getBlockedDatesInRange(startDate, endDate) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT blocked_date FROM blocked_dates
+         WHERE blocked_date BETWEEN ? AND ? AND deleted_at IS NULL`,
+    [startDate, endDate]
+  );
+  return new Set(rows.map((row) => toMySQLDate(row.blocked_date)));
+}
+
+/**
+ * Get the time blocks of a date as ranges
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Array of { start, end } in minutes since midnight
+ */
+async function getBlockedRangesForDate(date) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT start_time, end_time
+         FROM blocked_times
+         WHERE blocked_date = ?
+         ORDER BY start_time`,
+    [date]
+  );
+  return rows.map((row) => ({
+    start: timeToMinutes(row.start_time),
+    end: timeToMinutes(row.end_time),
+  }));
+}
+
+/**
+ * Get the time blocks within a date range as ranges, grouped by date
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Map>} - Date (YYYY-MM-DD) to an array of { start, end } in minutes
+ */
+async function getBlockedRangesInRange(startDate, endDate) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT blocked_date, start_time, end_time
+         FROM blocked_times
+         WHERE blocked_date BETWEEN ? AND ?
+         ORDER BY blocked_date, start_time`,
+    [startDate, endDate]
+  );
+
+  const ranges = new Map();
+  rows.forEach((row) => {
+    const date = toMySQLDate(row.blocked_date);
+    if (!ranges.has(date)) {
+      ranges.set(date, []);
+    }
+    ranges
+      .get(date)
+      .push({ start: timeToMinutes(row.start_time), end: timeToMinutes(row.end_time) });
+  });
+  return ranges;
+}
+
+/**
+ * Get time blocks that have not passed yet
+ * @returns {Promise<Array>}
+ */
+async function getUpcomingBlockedTimes() {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT id, blocked_date, start_time, end_time, reason
+         FROM blocked_times
+         WHERE blocked_date >= ?
+         ORDER BY blocked_date ASC, start_time ASC`,
+    [getCurrentDate()]
+  );
+  return rows;
+}
+
+/**
+ * Get pending and confirmed appointments that overlap a time range
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} startTime - HH:mm:ss
+ * @param {string} endTime - HH:mm:ss
+ * @returns {Promise<Array>}
+ */
+async function getAppointmentsInTimeRange(date, startTime, endTime) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT id, client_name, appointment_time, duration_minutes, status
+         FROM appointments
+         WHERE appointment_date = ?
+         AND status IN ('pending', 'confirmed')
+         ORDER BY appointment_time`,
+    [date]
+  );
+
+  const block = { start: timeToMinutes(startTime), end: timeToMinutes(endTime) };
+  return rows.filter((row) => {
+    const start = timeToMinutes(row.appointment_time);
+    return rangesOverlap(block, { start, end: start + row.duration_minutes });
+  });
+}
+
+/**
+ * Block part of a day
+ * Appointments already booked in the range are kept and returned so the admin can follow up
+ * @param {object} block - { blocked_date, start_time, end_time, reason }
+ * @returns {Promise<object>} - { id, conflicts }
+ */
+async function createBlockedTime({
+  blocked_date: blockedDate,
+  start_time: startTime,
+  end_time: endTime,
+  reason,
+}) {
+  const db = getDb();
+  const start = minutesToTime(timeToMinutes(startTime));
+  const end = minutesToTime(timeToMinutes(endTime));
+
+  const [result] = await db.query(
+    `INSERT INTO blocked_times (blocked_date, start_time, end_time, reason)
+         VALUES (?, ?, ?, ?)`,
+    [blockedDate, start, end, reason || null]
+  );
+
+  const conflicts = await getAppointmentsInTimeRange(blockedDate, start, end);
+
+  return { id: result.insertId, conflicts };
+}
+
+/**
+ * Remove a time block
+ * @param {number} id
+ * @returns {Promise<boolean>} - False if the block does not exist
+ */
+async function deleteBlockedTime(id) {
+  const db = getDb();
+  const [result] = await db.query('DELETE FROM blocked_times WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+// Intervals of an override as one column, in the same format as the weekly intervals
+const OVERRIDE_INTERVALS_COLUMN = `(SELECT GROUP_CONCAT(CONCAT(i.start_time, '-', i.end_time) ORDER BY i.start_time)
+             FROM availability_override_intervals i
+             WHERE i.override_id = o.id) AS intervals`;
+
+/**
+ * Turn an override row into opening hours, shaped like a working day of the weekly settings
+ * @param {object} row - availability_overrides row with the intervals column
+ * @returns {object}
+ */
+function toOverrideHours(row) {
+  const hours = withIntervals({ ...row, is_working_day: true });
+  const { intervals } = hours;
+
+  return {
+    ...hours,
+    start_time: intervals.length > 0 ? intervals[0].start_time : null,
+    end_time: intervals.length > 0 ? intervals[intervals.length - 1].end_time : null,
+  };
+}
+
+/**
+ * Get the override covering a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<object|null>} - { id, start_date, end_date, reason, intervals, ... } or null
+ */
+async function getOverrideForDate(date) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT o.id, o.start_date, o.end_date, o.reason, ${OVERRIDE_INTERVALS_COLUMN}
+         FROM availability_overrides o
+         WHERE ? BETWEEN o.start_date AND o.end_date
+         ORDER BY o.start_date DESC
+         LIMIT 1`,
+    [date]
+  );
+  return rows[0] ? toOverrideHours(rows[0]) : null;
+}
+
+/**
+ * Get the overrides that cover any date within a range, latest start first
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Overrides with start_date and end_date as YYYY-MM-DD
+ */
+async function getOverridesInRange(startDate, endDate) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT o.id, o.start_date, o.end_date, o.reason, ${OVERRIDE_INTERVALS_COLUMN}
+         FROM availability_overrides o
+         WHERE o.start_date <= ? AND o.end_date >= ?
+         ORDER BY o.start_date DESC`,
+    [endDate, startDate]
+  );
+  return rows.map((row) => ({
+    ...toOverrideHours(row),
+    start_date: toMySQLDate(row.start_date),
+    end_date: toMySQLDate(row.end_date),
+  }));
+}
+
+/**
+ * Get overrides that have not ended yet, soonest first
+ * @returns {Promise<Array>}
+ */
+async function getUpcomingOverrides() {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT o.id, o.start_date, o.end_date, o.reason, ${OVERRIDE_INTERVALS_COLUMN}
+         FROM availability_overrides o
+         WHERE o.end_date >= ?
+         ORDER BY o.start_date ASC`,
+    [getCurrentDate()]
+  );
+  return rows.map(toOverrideHours);
+}
+
+/**
+ * Create an override with its intervals
+ * Overrides may not overlap, so each date has at most one
+ * @param {object} override - { start_date, end_date, reason, intervals }
+ * @returns {Promise<number>} - New override ID
+ */
+async function createOverride({ start_date: startDate, end_date: endDate, reason, intervals }) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [overlapping] = await connection.query(
+      `SELECT id FROM availability_overrides
+           WHERE start_date <= ? AND end_date >= ?
+           FOR UPDATE`,
+      [endDate, startDate]
+    );
+
+    if (overlapping.length > 0) {
+      await connection.rollback();
+      throw new Error('OVERRIDE_OVERLAP');
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO availability_overrides (start_date, end_date, reason)
+           VALUES (?, ?, ?)`,
+      [startDate, endDate, reason || null]
+    );
+
+    for (const interval of intervals) {
+      await connection.query(
+        `INSERT INTO availability_override_intervals (override_id, start_time, end_time)
+             VALUES (?, ?, ?)`,
+        [
+          result.insertId,
+          minutesToTime(timeToMinutes(interval.start_time)),
+          minutesToTime(timeToMinutes(interval.end_time)),
+        ]
+      );
+    }
+
+    await connection.commit();
+    return result.insertId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Delete an override (its intervals are removed with it)
+ * @param {number} id
+ * @returns {Promise<boolean>} - False if the override does not exist
+ */
+async function deleteOverride(id) {
+  const db = getDb();
+  const [result] = await db.query('DELETE FROM availability_overrides WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get the opening hours of a date: its override if there is one, otherwise the weekly hours
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<object|null>} - { is_working_day, start_time, end_time, intervals, ... }
+ */
+async function getOpeningHoursForDate(date) {
+  const override = await getOverrideForDate(date);
+  if (override) {
+    return override;
+  }
+
+  return getAvailabilityForDay(getDayOfWeek(date));
+}
+
 /**
  * Get booked appointment times for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
@@ -88,109 +500,599 @@ async function getBookedTimesForDate(date) {
 }
 
 /**
- * Generate time slots for a given time range
- * @param {string} startTime - Start time (HH:mm:ss)
- * @param {string} endTime - End time (HH:mm:ss)
- * @returns {Array} - Array of time slot strings (HH:mm:ss)
+ * Get booked time ranges for a specific date
+ * Each range covers the appointment duration plus its buffer
+ * Active slot holds count as bookings, except the caller's own hold
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [staffId] - Only ranges that occupy this staff member
+ * (appointments without a staff member occupy everyone)
+ * @param {string} [holdToken] - Hold of the client asking, left out
+ * @param {number} [excludeId] - Appointment being moved, left out
+ * @returns {Promise<Array>} - Array of { start, end } in minutes since midnight
  */
-function generateTimeSlots(startTime, endTime) {
-  const slots = [];
+async function getBookedRangesForDate(date, staffId = null, holdToken = null, excludeId = null) {
+  const db = getDb();
+  const params = [date];
+  let staffCondition = '';
+  let holdCondition = '';
+  let appointmentCondition = '';
 
-  // Parse start and end times
-  const [startHour, startMinute] = startTime.split(':').map(Number);
-  const [endHour, endMinute] = endTime.split(':').map(Number);
+  if (staffId) {
+    staffCondition = 'AND (staff_id = ? OR staff_id IS NULL)';
+    params.push(staffId);
+  }
 
-  let currentHour = startHour;
-  let currentMinute = startMinute;
+  const appointmentParams = [...params];
+  if (excludeId) {
+    appointmentCondition = 'AND id != ?';
+    appointmentParams.push(excludeId);
+  }
 
-  while (true) {
-    // Format current time
-    const timeSlot = `${String(currentHour).padStart(2, '0')}:${String(currentMinute).padStart(2, '0')}:00`;
+  const holdParams = [...params];
+  if (holdToken) {
+    holdCondition = 'AND hold_token != ?';
+    holdParams.push(holdToken);
+  }
 
-    // Check if we've reached or passed the end time
-    if (currentHour > endHour || (currentHour === endHour && currentMinute >= endMinute)) {
-      break;
-    }
+  const [rows] = await db.query(
+    `SELECT appointment_time, duration_minutes, buffer_minutes
+         FROM appointments
+         WHERE appointment_date = ?
+         AND status IN ('pending', 'confirmed')
+         ${staffCondition}
+         ${appointmentCondition}
+     UNION ALL
+     SELECT appointment_time, duration_minutes, buffer_minutes
+         FROM slot_holds
+         WHERE appointment_date = ?
+         AND expires_at > NOW()
+         ${staffCondition}
+         ${holdCondition}
+     ORDER BY appointment_time`,
+    [...appointmentParams, ...holdParams]
+  );
+  return rows.map(toBookedRange);
+}
 
-    slots.push(timeSlot);
+/**
+ * Get booked time ranges within a date range, grouped by date
+ * Active slot holds are included and flagged with is_hold
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Map>} - Date (YYYY-MM-DD) to an array of { start, end, staff_id, is_hold }
+ */
+async function getBookedRangesInRange(startDate, endDate) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT appointment_date, appointment_time, duration_minutes, buffer_minutes, staff_id,
+            FALSE AS is_hold
+         FROM appointments
+         WHERE appointment_date BETWEEN ? AND ?
+         AND status IN ('pending', 'confirmed')
+     UNION ALL
+     SELECT appointment_date, appointment_time, duration_minutes, buffer_minutes, staff_id,
+            TRUE AS is_hold
+         FROM slot_holds
+         WHERE appointment_date BETWEEN ? AND ?
+         AND expires_at > NOW()
+     ORDER BY appointment_date, appointment_time`,
+    [startDate, endDate, startDate, endDate]
+  );
 
-    // Add slot duration
-    currentMinute += SLOT_DURATION;
-    if (currentMinute >= 60) {
-      currentHour += Math.floor(currentMinute / 60);
-      currentMinute %= 60;
+  const ranges = new Map();
+  rows.forEach((row) => {
+    const date = toMySQLDate(row.appointment_date);
+    if (!ranges.has(date)) {
+      ranges.set(date, []);
     }
-  }
+    ranges.get(date).push({
+      ...toBookedRange(row),
+      staff_id: row.staff_id,
+      is_hold: Boolean(row.is_hold),
+    });
+  });
+  return ranges;
+}
 
-  return slots;
+/**
+ * Get duration, buffer and seats per slot for a service, falling back to the default slot length
+ * @param {string|null} serviceName
+ * @returns {Promise<object>} - { durationMinutes, bufferMinutes, capacity }
+ */
+async function getServiceTiming(serviceName) {
+  const service = serviceName ? await getServiceByName(serviceName) : null;
+  const capacity = await getSlotCapacity(service);
+
+  if (!service) {
+    return { durationMinutes: SLOT_DURATION, bufferMinutes: 0, capacity };
+  }
+  return {
+    durationMinutes: service.duration_minutes,
+    bufferMinutes: service.buffer_minutes,
+    capacity,
+  };
 }
 
 /**
- * Get available slots for a specific date
+ * Load the office-level facts every slot calculation for a date needs
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Array>} - Array of available time slots
+ * @param {string|null} serviceName
+ * @param {string|null} [holdToken] - Hold of the client asking, which does not take a seat
+ * @param {number|null} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<object|null>} - { dayOfWeek, settings, blockedRanges, timing, holdToken, excludeId }
+ * or null if the office is closed
  */
-async function getAvailableSlotsForDate(date) {
+async function getOfficeDay(date, serviceName, holdToken = null, excludeId = null) {
   // Check if date is blocked
   const blocked = await isDateBlocked(date);
   if (blocked) {
-    return [];
+    return null;
+  }
+
+  // Public and local holidays close the office without a blocked date
+  if (await getHolidayForDate(date)) {
+    return null;
   }
 
   // Get day of week
   const dayOfWeek = getDayOfWeek(date);
 
-  // Get availability settings for this day
-  const settings = await getAvailabilityForDay(dayOfWeek);
+  // Get the override for this date, or the weekly settings for this day
+  const settings = await getOpeningHoursForDate(date);
 
-  // If not a working day, return empty array
+  // If not a working day, the office is closed
   if (!settings || !settings.is_working_day) {
+    return null;
+  }
+
+  // Parts of the day blocked for meetings or absences
+  const blockedRanges = await getBlockedRangesForDate(date);
+
+  const timing = await getServiceTiming(serviceName);
+
+  return { dayOfWeek, settings, blockedRanges, timing, holdToken, excludeId };
+}
+
+/**
+ * Get the seats left in one staff member's free slots for a date
+ * Staff hours are limited to the office intervals of the same day
+ * @param {object} member - Staff member { id, name }
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} officeDay - Result of getOfficeDay
+ * @returns {Promise<object>} - Start time to seats left
+ */
+async function getSeatsForStaffMember(
+  member,
+  date,
+  { dayOfWeek, settings, blockedRanges, timing, holdToken, excludeId }
+) {
+  if (await isStaffDateBlocked(member.id, date)) {
+    return {};
+  }
+
+  const hours = await getStaffHoursForDay(member.id, dayOfWeek);
+  if (!hours || !hours.is_working_day) {
+    return {};
+  }
+
+  const intervals = clipIntervals(settings.intervals, hours.start_time, hours.end_time);
+  if (intervals.length === 0) {
+    return {};
+  }
+
+  const bookedRanges = await getBookedRangesForDate(date, member.id, holdToken, excludeId);
+
+  return calculateSlotSeats({ intervals, bookedRanges, blockedRanges }, timing, SLOT_INTERVAL);
+}
+
+/**
+ * Get available slots for each staff member who can handle the service
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [serviceName] - Service to size the slots for
+ * @param {number} [staffId] - Only this staff member
+ * @param {string} [holdToken] - Hold of the client asking, which does not take a seat
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<Array>} - Array of { staff_id, staff_name, slots, seats_left }
+ */
+async function getStaffSlotsForDate(
+  date,
+  serviceName = null,
+  staffId = null,
+  holdToken = null,
+  excludeId = null
+) {
+  const officeDay = await getOfficeDay(date, serviceName, holdToken, excludeId);
+  if (!officeDay) {
     return [];
   }
 
-  // Generate all possible time slots for this day
-  const allSlots = generateTimeSlots(settings.start_time, settings.end_time);
+  const staffMembers = (await getStaffForService(serviceName)).filter(
+    (member) => !staffId || member.id === Number(staffId)
+  );
+
+  const result = [];
+  for (const member of staffMembers) {
+    const seats = await getSeatsForStaffMember(member, date, officeDay);
+    result.push({
+      staff_id: member.id,
+      staff_name: member.name,
+      slots: Object.keys(seats),
+      seats_left: seats,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Calculate the seats left in each available slot of a date
+ * With staff configured, seats are added up across every staff member who can handle the service
+ * (or limited to one staff member); otherwise the office hours form a single calendar
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} serviceName - Service to size the slots for (default: SLOT_DURATION)
+ * @param {number|null} staffId - Only slots of this staff member
+ * @param {string|null} holdToken - Hold of the client asking, which does not take a seat
+ * @param {number|null} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<object>} - Start time to seats left, for slots with at least one seat
+ */
+async function calculateSeatsForDate(date, serviceName, staffId, holdToken, excludeId = null) {
+  const officeDay = await getOfficeDay(date, serviceName, holdToken, excludeId);
+  if (!officeDay) {
+    return {};
+  }
 
-  // Get already booked times
-  const bookedTimes = await getBookedTimesForDate(date);
+  const { dayOfWeek, settings, blockedRanges, timing } = officeDay;
+  const staffMembers = await getStaffForService(serviceName);
+
+  if (staffMembers.length > 0) {
+    const seatsList = [];
+    for (const member of staffMembers) {
+      if (!staffId || member.id === Number(staffId)) {
+        seatsList.push(await getSeatsForStaffMember(member, date, officeDay));
+      }
+    }
+    const pooled = poolSeats(seatsList);
+
+    debug('Available slots calculated', {
+      date,
+      dayOfWeek,
+      serviceName,
+      staffId,
+      staffMembers: staffMembers.length,
+      availableSlots: Object.keys(pooled).length,
+    });
+
+    return pooled;
+  }
 
-  // Filter out booked slots
-  const availableSlots = allSlots.filter((slot) => !bookedTimes.includes(slot));
+  // Get already booked (or held) ranges
+  const bookedRanges = await getBookedRangesForDate(date, null, holdToken, excludeId);
+
+  // Keep start times whose duration + buffer avoids the time blocks and still has a free seat
+  const seats = calculateSlotSeats(
+    { intervals: settings.intervals, bookedRanges, blockedRanges },
+    timing,
+    SLOT_INTERVAL
+  );
 
   debug('Available slots calculated', {
     date,
     dayOfWeek,
-    totalSlots: allSlots.length,
-    bookedSlots: bookedTimes.length,
-    availableSlots: availableSlots.length,
+    serviceName,
+    capacity: timing.capacity,
+    bookedSlots: bookedRanges.length,
+    blockedRanges: blockedRanges.length,
+    availableSlots: Object.keys(seats).length,
   });
 
-  return availableSlots;
+  return seats;
+}
+
+/**
+ * Get the seats left in each available slot of a date, from the cache when possible
+ * The cache holds what every visitor sees, so a client with a hold or moving an appointment
+ * gets a fresh calculation
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [serviceName] - Service to size the slots for (default: SLOT_DURATION)
+ * @param {number} [staffId] - Only slots of this staff member
+ * @param {string} [holdToken] - Hold of the client asking, which does not take a seat
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<object>} - Start time to seats left, for slots with at least one seat
+ */
+async function getSlotSeatsForDate(
+  date,
+  serviceName = null,
+  staffId = null,
+  holdToken = null,
+  excludeId = null
+) {
+  if (holdToken || excludeId) {
+    return calculateSeatsForDate(date, serviceName, staffId, holdToken, excludeId);
+  }
+
+  const cached = await getCachedSeats(date, serviceName, staffId);
+  if (cached) {
+    return cached;
+  }
+
+  const calculatedAt = getCacheVersion();
+  const seats = await calculateSeatsForDate(date, serviceName, staffId, null);
+  await setCachedSeats(date, serviceName, staffId, seats, calculatedAt);
+
+  return seats;
+}
+
+/**
+ * Get available slots for a specific date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [serviceName] - Service to size the slots for (default: SLOT_DURATION)
+ * @param {number} [staffId] - Only slots of this staff member
+ * @param {string} [holdToken] - Hold of the client asking; other holds hide their slots
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<Array>} - Array of available time slots
+ */
+async function getAvailableSlotsForDate(
+  date,
+  serviceName = null,
+  staffId = null,
+  holdToken = null,
+  excludeId = null
+) {
+  const seats = await getSlotSeatsForDate(date, serviceName, staffId, holdToken, excludeId);
+  return Object.keys(seats).sort();
+}
+
+/**
+ * Get the staff members who can take a booking at a specific date and time
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:mm:ss format
+ * @param {string} [serviceName] - Service being booked
+ * @param {number} [staffId] - Staff member chosen by the client
+ * @param {string} [holdToken] - The client's hold, which does not take a seat
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
+ * @returns {Promise<Array<number>|null>} - Staff IDs in round-robin order,
+ * or null when the office has no staff configured
+ */
+async function getAvailableStaffForSlot(
+  date,
+  time,
+  serviceName = null,
+  staffId = null,
+  holdToken = null,
+  excludeId = null
+) {
+  const staffMembers = await getStaffForService(serviceName);
+  if (staffMembers.length === 0) {
+    return null;
+  }
+
+  const staffSlots = await getStaffSlotsForDate(date, serviceName, staffId, holdToken, excludeId);
+  const freeStaffIds = staffSlots
+    .filter((entry) => entry.slots.includes(time))
+    .map((entry) => entry.staff_id);
+
+  return orderByRoundRobin(freeStaffIds);
+}
+
+/**
+ * Get the staff members who offer a service, whatever their working hours
+ * For admin bookings outside working hours; seats are still checked when booking
+ * @param {string} [serviceName] - Service being booked
+ * @param {number} [staffId] - Staff member chosen by the admin
+ * @returns {Promise<Array<number>|null>} - Staff IDs in round-robin order,
+ * or null when the office has no staff configured
+ */
+async function getServiceStaffIds(serviceName = null, staffId = null) {
+  const staffMembers = await getStaffForService(serviceName);
+  if (staffMembers.length === 0) {
+    return null;
+  }
+
+  return orderByRoundRobin(
+    staffMembers.map((member) => member.id).filter((id) => !staffId || id === Number(staffId))
+  );
+}
+
+/**
+ * Remove the slots that start within the minimum notice of a booking policy
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Array<string>} slots - Time strings (HH:mm:ss)
+ * @param {object} policy - { minimum_notice_hours }
+ * @returns {Array<string>}
+ */
+function filterNoticeSlots(date, slots, { minimum_notice_hours: noticeHours }) {
+  return slots.filter((time) => !isWithinMinimumNotice(date, time, noticeHours));
+}
+
+/**
+ * Load the office calendar of a date range with one query per table
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<object>} - { weekly, overrides, blockedDates, holidayDates, blockedRanges, bookings }
+ */
+async function loadOfficeWindow(startDate, endDate) {
+  return {
+    weekly: await getAvailabilitySettings(),
+    overrides: await getOverridesInRange(startDate, endDate),
+    blockedDates: await getBlockedDatesInRange(startDate, endDate),
+    holidayDates: await getHolidayDatesInRange(startDate, endDate),
+    blockedRanges: await getBlockedRangesInRange(startDate, endDate),
+    bookings: await getBookedRangesInRange(startDate, endDate),
+  };
+}
+
+/**
+ * Load everything the slot calculation needs for the N days from a start date
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days in the window
+ * @param {string|null} [serviceName] - Service to size the slots for
+ * @param {number|null} [staffId] - Only this staff member
+ * @returns {Promise<object>} - Office window plus { timing, staff, staffHours, staffBlockedDates };
+ * staff is null when the office has no staff configured
+ */
+async function loadAvailabilityWindow(startDate, days, serviceName = null, staffId = null) {
+  const endDate = toMySQLDate(addDays(parseDate(startDate), Math.max(days, 1) - 1));
+  const office = await loadOfficeWindow(startDate, endDate);
+  const timing = await getServiceTiming(serviceName);
+  const staffMembers = await getStaffForService(serviceName);
+
+  if (staffMembers.length === 0) {
+    return { ...office, timing, staff: null };
+  }
+
+  const staff = staffMembers.filter((member) => !staffId || member.id === Number(staffId));
+  const staffIds = staff.map((member) => member.id);
+
+  return {
+    ...office,
+    timing,
+    staff,
+    staffHours: await getHoursForStaff(staffIds),
+    staffBlockedDates: await getBlockedDatesForStaff(staffIds, startDate, endDate),
+  };
+}
+
+/**
+ * Get the opening hours of a date from a loaded window
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} window - Result of loadOfficeWindow or loadAvailabilityWindow
+ * @returns {object|null} - Hours with their open intervals, or null if the office is closed
+ */
+function getDayHours(date, { weekly, overrides, blockedDates, holidayDates }) {
+  if (blockedDates.has(date) || holidayDates.has(date)) {
+    return null;
+  }
+
+  const override = overrides.find((o) => o.start_date <= date && date <= o.end_date);
+  const settings = override || weekly.find((day) => day.day_of_week === getDayOfWeek(date));
+
+  if (!settings || !settings.is_working_day) {
+    return null;
+  }
+  return settings;
+}
+
+/**
+ * Get the seats left in each slot of a date from a loaded window, without touching the database
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} window - Result of loadAvailabilityWindow
+ * @returns {object} - Start time to seats left, for slots with at least one seat
+ */
+function getDaySeats(date, window) {
+  const settings = getDayHours(date, window);
+  if (!settings) {
+    return {};
+  }
+
+  const { timing } = window;
+  const blockedRanges = window.blockedRanges.get(date) || [];
+  const bookings = window.bookings.get(date) || [];
+
+  if (!window.staff) {
+    return calculateSlotSeats(
+      { intervals: settings.intervals, bookedRanges: bookings, blockedRanges },
+      timing,
+      SLOT_INTERVAL
+    );
+  }
+
+  const dayOfWeek = getDayOfWeek(date);
+
+  return poolSeats(
+    window.staff.map((member) => {
+      const hours = window.staffHours.get(member.id).get(dayOfWeek);
+      if (window.staffBlockedDates.get(member.id).has(date) || !hours || !hours.is_working_day) {
+        return {};
+      }
+
+      // Appointments without a staff member occupy everyone
+      const bookedRanges = bookings.filter(
+        (booking) => booking.staff_id === null || booking.staff_id === member.id
+      );
+      const intervals = clipIntervals(settings.intervals, hours.start_time, hours.end_time);
+
+      return calculateSlotSeats({ intervals, bookedRanges, blockedRanges }, timing, SLOT_INTERVAL);
+    })
+  );
+}
+
+/**
+ * Get the seats of consecutive dates, from the cache when possible
+ * The window is only loaded from the first date missing from the cache onwards
+ * @param {Array<string>} dates - Consecutive dates in YYYY-MM-DD format
+ * @param {string|null} serviceName
+ * @param {number|null} staffId
+ * @returns {Promise<Map>} - Date to (start time to seats left)
+ */
+async function getSeatsForDates(dates, serviceName, staffId) {
+  const seatsByDate = new Map();
+  const missing = [];
+
+  for (const date of dates) {
+    const cached = await getCachedSeats(date, serviceName, staffId);
+    if (cached) {
+      seatsByDate.set(date, cached);
+    } else {
+      missing.push(date);
+    }
+  }
+
+  if (missing.length === 0) {
+    return seatsByDate;
+  }
+
+  const calculatedAt = getCacheVersion();
+  const window = await loadAvailabilityWindow(
+    missing[0],
+    dates.length - dates.indexOf(missing[0]),
+    serviceName,
+    staffId
+  );
+
+  for (const date of missing) {
+    const seats = getDaySeats(date, window);
+    seatsByDate.set(date, seats);
+    await setCachedSeats(date, serviceName, staffId, seats, calculatedAt);
+  }
+
+  return seatsByDate;
+}
+
+/**
+ * List the dates of a window starting today
+ * @param {number} days - Number of days
+ * @returns {Array<string>} - Dates in YYYY-MM-DD format
+ */
+function getWindowDates(days) {
+  const today = parseDate(getCurrentDate());
+  return Array.from({ length: days }, (_, i) => toMySQLDate(addDays(today, i)));
 }
 
 /**
  * Get available dates and slots for the next N days
- * @param {number} days - Number of days to look ahead (default: BOOKING_WINDOW_DAYS)
+ * Slots inside the minimum notice of the service's booking policy are left out
+ * @param {number} [days] - Number of days to look ahead (default: the policy's booking window)
+ * @param {string} [serviceName] - Service to size the slots for
+ * @param {number} [staffId] - Only slots of this staff member
  * @returns {Promise<Array>} - Array of objects with date and available slots
  */
-async function getAvailableDatesAndSlots(days = BOOKING_WINDOW_DAYS) {
+async function getAvailableDatesAndSlots(days = null, serviceName = null, staffId = null) {
   const availability = [];
-  const today = parseDate(getCurrentDate());
-
-  for (let i = 0; i < days; i++) {
-    const date = addDays(today, i);
-    const dateStr = toMySQLDate(date);
+  const policy = await getBookingPolicy(serviceName);
+  const dates = getWindowDates(days || policy.booking_window_days);
+  const seatsByDate = await getSeatsForDates(dates, serviceName, staffId);
 
-    const slots = await getAvailableSlotsForDate(dateStr);
+  dates.forEach((date) => {
+    const slots = filterNoticeSlots(date, Object.keys(seatsByDate.get(date)), policy);
 
     if (slots.length > 0) {
       availability.push({
-        date: dateStr,
+        date,
         dayOfWeek: getDayOfWeek(date),
         availableSlots: slots,
       });
     }
-  }
+  });
 
   return availability;
 }
@@ -199,29 +1101,47 @@ async function getAvailableDatesAndSlots(days = BOOKING_WINDOW_DAYS) {
  * Check if a specific date and time is available
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} time - Time in HH:mm:ss format
+ * @param {string} [serviceName] - Service being booked
+ * @param {number} [staffId] - Staff member chosen by the client
+ * @param {string} [holdToken] - The client's hold, which does not take a seat
+ * @param {number} [excludeId] - Appointment being moved, which does not take a seat
  * @returns {Promise<boolean>}
  */
-async function isSlotAvailable(date, time) {
-  const availableSlots = await getAvailableSlotsForDate(date);
+async function isSlotAvailable(
+  date,
+  time,
+  serviceName = null,
+  staffId = null,
+  holdToken = null,
+  excludeId = null
+) {
+  const availableSlots = await getAvailableSlotsForDate(
+    date,
+    serviceName,
+    staffId,
+    holdToken,
+    excludeId
+  );
   return availableSlots.includes(time);
 }
 
 /**
  * Get next available appointment slot
+ * @param {string} [serviceName] - Service to size the slot for
+ * @param {number} [staffId] - Only slots of this staff member
  * @returns {Promise<object|null>} - {date, time} or null if no slots available
  */
-async function getNextAvailableSlot() {
-  const today = parseDate(getCurrentDate());
-
-  for (let i = 0; i < BOOKING_WINDOW_DAYS; i++) {
-    const date = addDays(today, i);
-    const dateStr = toMySQLDate(date);
+async function getNextAvailableSlot(serviceName = null, staffId = null) {
+  const policy = await getBookingPolicy(serviceName);
+  const dates = getWindowDates(policy.booking_window_days);
+  const seatsByDate = await getSeatsForDates(dates, serviceName, staffId);
 
-    const slots = await getAvailableSlotsForDate(dateStr);
+  for (const date of dates) {
+    const slots = filterNoticeSlots(date, Object.keys(seatsByDate.get(date)), policy);
 
     if (slots.length > 0) {
       return {
-        date: dateStr,
+        date,
         time: slots[0],
       };
     }
@@ -236,34 +1156,33 @@ async function getNextAvailableSlot() {
  */
 async function getAvailabilityStats() {
   const today = parseDate(getCurrentDate());
+  const policy = await getBookingPolicy();
+  const window = await loadOfficeWindow(
+    toMySQLDate(today),
+    toMySQLDate(addDays(today, Math.max(policy.booking_window_days, 1) - 1))
+  );
   let totalSlots = 0;
   let availableSlots = 0;
   let bookedSlots = 0;
 
-  for (let i = 0; i < BOOKING_WINDOW_DAYS; i++) {
-    const date = addDays(today, i);
-    const dateStr = toMySQLDate(date);
-
-    // Check if date is blocked
-    if (await isDateBlocked(dateStr)) {
-      continue;
-    }
-
-    // Get day of week
-    const dayOfWeek = getDayOfWeek(date);
-    const settings = await getAvailabilityForDay(dayOfWeek);
+  for (let i = 0; i < policy.booking_window_days; i++) {
+    const dateStr = toMySQLDate(addDays(today, i));
 
-    if (!settings || !settings.is_working_day) {
+    // Skip blocked dates, holidays and closed days
+    const settings = getDayHours(dateStr, window);
+    if (!settings) {
       continue;
     }
 
     // Count slots for this day
-    const allSlots = generateTimeSlots(settings.start_time, settings.end_time);
-    const bookedTimes = await getBookedTimesForDate(dateStr);
+    const daySlots = generateIntervalSlots(settings.intervals).length;
+    const dayBookings = (window.bookings.get(dateStr) || []).filter(
+      (booking) => !booking.is_hold
+    ).length;
 
-    totalSlots += allSlots.length;
-    bookedSlots += bookedTimes.length;
-    availableSlots += allSlots.length - bookedTimes.length;
+    totalSlots += daySlots;
+    bookedSlots += dayBookings;
+    availableSlots += daySlots - dayBookings;
   }
 
   return {
@@ -278,24 +1197,56 @@ module.exports = {
   // Settings
   getAvailabilitySettings,
   getAvailabilityForDay,
+  updateAvailabilitySettings,
 
-  // Blocked dates
+  // Blocked dates and times
   getBlockedDates,
   isDateBlocked,
+  getBlockedDatesInRange,
+  getBlockedRangesForDate,
+  getBlockedRangesInRange,
+  getUpcomingBlockedTimes,
+  getAppointmentsInTimeRange,
+  createBlockedTime,
+  deleteBlockedTime,
+
+  // Date overrides
+  getOverrideForDate,
+  getOverridesInRange,
+  getUpcomingOverrides,
+  createOverride,
+  deleteOverride,
+  getOpeningHoursForDate,
 
   // Slot availability
+  getSlotSeatsForDate,
   getAvailableSlotsForDate,
+  getStaffSlotsForDate,
+  getAvailableStaffForSlot,
+  getServiceStaffIds,
   getAvailableDatesAndSlots,
   isSlotAvailable,
   getNextAvailableSlot,
 
+  // Date range calculation
+  loadAvailabilityWindow,
+  getDayHours,
+  getDaySeats,
+
   // Booked times
   getBookedTimesForDate,
+  getBookedRangesForDate,
+  getBookedRangesInRange,
 
   // Stats
   getAvailabilityStats,
 
   // Utilities
   generateTimeSlots,
+  generateIntervalSlots,
+  clipIntervals,
+  filterNoticeSlots,
+  rangesOverlap,
   SLOT_DURATION,
+  SLOT_INTERVAL,
 };
@@ -0,0 +1,209 @@
+/**
+ * Availability Cache
+ * Keeps the calculated slot seats per date, so repeated visits to the booking wizard
+ * skip the calculation until bookings or office hours change
+ *
+ * Entries live in a store with async get(key), set(key, value, ttlSeconds), delete(key)
+ * and clear(). The in-process store is the default; setCacheStore swaps in a shared one.
+ */
+
+const { toMySQLDate } = require('../utils/timezone');
+const { debug, warn } = require('../utils/logger');
+
+// Entries also expire on their own, in case data changes outside the app
+const CACHE_TTL_SECONDS = parseInt(process.env.AVAILABILITY_CACHE_TTL_SECONDS, 10) || 300;
+
+/**
+ * Create an in-process store
+ * @returns {object} - Store with get, set, delete and clear
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+// Bumped on every invalidation, so a calculation that started before a change is not cached
+let version = 0;
+
+const counters = { hits: 0, misses: 0, invalidations: 0 };
+
+/**
+ * Replace the store, e.g. with one shared between app instances
+ * @param {object} newStore - Store with get, set, delete and clear
+ */
+function setCacheStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Key of a service/staff combination within a date's entry
+ * @param {string|null} serviceName
+ * @param {number|null} staffId
+ * @returns {string}
+ */
+function variantKey(serviceName, staffId) {
+  return `${serviceName || '*'}|${staffId || '*'}`;
+}
+
+/**
+ * Get the current cache version, to pass to setCachedSeats after a calculation
+ * @returns {number}
+ */
+function getCacheVersion() {
+  return version;
+}
+
+/**
+ * Get the cached seats of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} serviceName
+ * @param {number|null} staffId
+ * @returns {Promise<object|null>} - Start time to seats left, or null on a miss
+ */
+async function getCachedSeats(date, serviceName = null, staffId = null) {
+  let entry;
+  try {
+    entry = await store.get(date);
+  } catch (err) {
+    warn('Availability cache read failed:', { error: err.message });
+  }
+
+  const seats = entry ? entry[variantKey(serviceName, staffId)] : undefined;
+
+  if (seats === undefined) {
+    counters.misses++;
+    return null;
+  }
+
+  counters.hits++;
+  return seats;
+}
+
+/**
+ * Cache the seats of a date
+ * Skipped if the cache was invalidated since the calculation started
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} serviceName
+ * @param {number|null} staffId
+ * @param {object} seats - Start time to seats left
+ * @param {number} calculatedAt - Cache version read before the calculation
+ * @returns {Promise<void>}
+ */
+async function setCachedSeats(date, serviceName, staffId, seats, calculatedAt) {
+  if (calculatedAt !== version) {
+    return;
+  }
+
+  try {
+    const entry = (await store.get(date)) || {};
+    await store.set(
+      date,
+      { ...entry, [variantKey(serviceName, staffId)]: seats },
+      CACHE_TTL_SECONDS
+    );
+  } catch (err) {
+    warn('Availability cache write failed:', { error: err.message });
+  }
+}
+
+/**
+ * Drop the cached seats of some dates, e.g. after a booking changes
+ * Never throws: callers invalidate after committing, and the booking checks do not use the cache
+ * @param {...(string|Date)} dates - Dates of the changed bookings (empty values are ignored)
+ * @returns {Promise<void>}
+ */
+async function invalidateDates(...dates) {
+  version++;
+  counters.invalidations++;
+
+  const keys = [...new Set(dates.filter(Boolean).map(toMySQLDate))];
+  try {
+    for (const key of keys) {
+      await store.delete(key);
+    }
+  } catch (err) {
+    warn('Availability cache invalidation failed:', { error: err.message, dates: keys });
+  }
+
+  debug('Availability cache invalidated', { dates: keys });
+}
+
+/**
+ * Drop every cached date, e.g. after the office hours or booking policy change
+ * Never throws, like invalidateDates
+ * @returns {Promise<void>}
+ */
+async function clearAvailabilityCache() {
+  version++;
+  counters.invalidations++;
+
+  try {
+    await store.clear();
+  } catch (err) {
+    warn('Availability cache clear failed:', { error: err.message });
+    return;
+  }
+
+  debug('Availability cache cleared');
+}
+
+/**
+ * Get the hit and miss counters since the app started
+ * @returns {object} - { hits, misses, hit_rate, invalidations, ttl_seconds }
+ */
+function getCacheStats() {
+  const lookups = counters.hits + counters.misses;
+
+  return {
+    hits: counters.hits,
+    misses: counters.misses,
+    hit_rate: lookups > 0 ? ((counters.hits / lookups) * 100).toFixed(2) : 0,
+    invalidations: counters.invalidations,
+    ttl_seconds: CACHE_TTL_SECONDS,
+  };
+}
+
+/**
+ * Reset the hit and miss counters
+ */
+function resetCacheStats() {
+  counters.hits = 0;
+  counters.misses = 0;
+  counters.invalidations = 0;
+}
+
+module.exports = {
+  createMemoryStore,
+  setCacheStore,
+  getCacheVersion,
+  getCachedSeats,
+  setCachedSeats,
+  invalidateDates,
+  clearAvailabilityCache,
+  getCacheStats,
+  resetCacheStats,
+};
@@ -0,0 +1,178 @@
+/**
+ * Booking Policy Service
+ * How far ahead clients can book, the minimum notice and the seats per slot,
+ * office-wide or per service
+ */
+
+const { getDb } = require('./database');
+const { getServiceByName } = require('./serviceCatalog');
+const { BOOKING_WINDOW_DAYS, MINIMUM_NOTICE_HOURS } = require('../utils/timezone');
+
+// One appointment per slot unless the admin allows more
+const DEFAULT_SLOT_CAPACITY = 1;
+
+// Hours a pending appointment waits for confirmation before it expires
+const DEFAULT_PENDING_EXPIRY_HOURS = 48;
+
+/**
+ * Get the office-wide booking policy
+ * Falls back to the built-in defaults if no policy has been stored
+ * @returns {Promise<object>} - { booking_window_days, minimum_notice_hours, slot_capacity }
+ */
+async function getOfficeBookingPolicy() {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT booking_window_days, minimum_notice_hours, slot_capacity
+         FROM booking_settings WHERE id = 1`
+  );
+
+  if (rows.length === 0) {
+    return {
+      booking_window_days: BOOKING_WINDOW_DAYS,
+      minimum_notice_hours: MINIMUM_NOTICE_HOURS,
+      slot_capacity: DEFAULT_SLOT_CAPACITY,
+    };
+  }
+
+  return {
+    booking_window_days: rows[0].booking_window_days,
+    minimum_notice_hours: rows[0].minimum_notice_hours,
+    slot_capacity: rows[0].slot_capacity,
+  };
+}
+
+/**
+ * Get the booking policy that applies to a service
+ * A service's own settings replace the office-wide ones; NULL settings are inherited
+ * @param {string|null} [serviceName] - Service name, or null for the office policy
+ * @returns {Promise<object>} - { booking_window_days, minimum_notice_hours, slot_capacity }
+ */
+async function getBookingPolicy(serviceName = null) {
+  const policy = await getOfficeBookingPolicy();
+  if (!serviceName) {
+    return policy;
+  }
+
+  const service = await getServiceByName(serviceName);
+  if (!service) {
+    return policy;
+  }
+
+  return {
+    booking_window_days: service.booking_window_days ?? policy.booking_window_days,
+    minimum_notice_hours: service.minimum_notice_hours ?? policy.minimum_notice_hours,
+    slot_capacity: service.slot_capacity ?? policy.slot_capacity,
+  };
+}
+
+/**
+ * Get how many appointments can share a slot of a service
+ * @param {object|null} service - Service row, or null for the office default
+ * @returns {Promise<number>}
+ */
+async function getSlotCapacity(service) {
+  if (service && service.slot_capacity !== null && service.slot_capacity !== undefined) {
+    return service.slot_capacity;
+  }
+
+  const policy = await getOfficeBookingPolicy();
+  return policy.slot_capacity;
+}
+
+/**
+ * Save the office-wide booking policy
+ * @param {object} policy - Validated { booking_window_days, minimum_notice_hours, slot_capacity }
+ * @returns {Promise<object>} - The saved policy
+ */
+async function updateBookingPolicy({
+  booking_window_days: bookingWindowDays,
+  minimum_notice_hours: minimumNoticeHours,
+  slot_capacity: slotCapacity,
+}) {
+  const db = getDb();
+  await db.query(
+    `INSERT INTO booking_settings (id, booking_window_days, minimum_notice_hours, slot_capacity)
+         VALUES (1, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+             booking_window_days = VALUES(booking_window_days),
+             minimum_notice_hours = VALUES(minimum_notice_hours),
+             slot_capacity = VALUES(slot_capacity)`,
+    [bookingWindowDays, minimumNoticeHours, slotCapacity]
+  );
+
+  return {
+    booking_window_days: bookingWindowDays,
+    minimum_notice_hours: minimumNoticeHours,
+    slot_capacity: slotCapacity,
+  };
+}
+
+/**
+ * Get how long pending appointments wait for confirmation before they expire
+ * @returns {Promise<number>} - Hours
+ */
+async function getPendingExpiryHours() {
+  const db = getDb();
+  const [rows] = await db.query('SELECT pending_expiry_hours FROM booking_settings WHERE id = 1');
+
+  return rows.length > 0 ? rows[0].pending_expiry_hours : DEFAULT_PENDING_EXPIRY_HOURS;
+}
+
+/**
+ * Save how long pending appointments wait for confirmation
+ * @param {number} hours - Validated hours
+ * @returns {Promise<number>} - The saved hours
+ */
+async function updatePendingExpiryHours(hours) {
+  const db = getDb();
+  await db.query(
+    `INSERT INTO booking_settings (id, pending_expiry_hours)
+         VALUES (1, ?)
+         ON DUPLICATE KEY UPDATE pending_expiry_hours = VALUES(pending_expiry_hours)`,
+    [hours]
+  );
+
+  return hours;
+}
+
+/**
+ * Get the no-show rule
+ * @returns {Promise<number|null>} - No-shows after which a client's bookings need approval, null if off
+ */
+async function getNoShowApprovalThreshold() {
+  const db = getDb();
+  const [rows] = await db.query(
+    'SELECT no_show_approval_threshold FROM booking_settings WHERE id = 1'
+  );
+
+  return rows.length > 0 ? rows[0].no_show_approval_threshold : null;
+}
+
+/**
+ * Save the no-show rule
+ * @param {number|null} threshold - Validated no-shows, or null to turn the rule off
+ * @returns {Promise<number|null>} - The saved threshold
+ */
+async function updateNoShowApprovalThreshold(threshold) {
+  const db = getDb();
+  await db.query(
+    `INSERT INTO booking_settings (id, no_show_approval_threshold)
+         VALUES (1, ?)
+         ON DUPLICATE KEY UPDATE no_show_approval_threshold = VALUES(no_show_approval_threshold)`,
+    [threshold]
+  );
+
+  return threshold;
+}
+
+module.exports = {
+  getOfficeBookingPolicy,
+  getBookingPolicy,
+  getSlotCapacity,
+  updateBookingPolicy,
+  getPendingExpiryHours,
+  updatePendingExpiryHours,
+  getNoShowApprovalThreshold,
+  updateNoShowApprovalThreshold,
+  DEFAULT_PENDING_EXPIRY_HOURS,
+};
@@ -8,6 +8,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const { formatGreekDate, formatGreekTime } = require('../utils/timezone');
 const { info, error: logError } = require('../utils/logger');
+const {
+  buildAppointmentCalendar,
+  getGoogleCalendarUrl,
+  getOutlookCalendarUrl,
+} = require('../utils/calendar');
 
 // Email configuration
 const EMAIL_CONFIG = {
@@ -91,9 +96,59 @@ function replacePlaceholders(template, data) {
   return result;
 }
 
+/**
+ * Calendar event details shared by .ics attachments and "add to calendar" links
+ * @param {object} appointment - Appointment data
+ * @returns {object} - { title, details, location }
+ */
+function getCalendarEventDetails(appointment) {
+  return {
+    title: `Ραντεβού NT TAXOFFICE - ${appointment.service_type}`,
+    details: `Αλλαγή ή ακύρωση: ${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
+    location: process.env.OFFICE_ADDRESS || 'Οδός Παραδείγματος 123, Αθήνα',
+  };
+}
+
+/**
+ * Google and Outlook "add to calendar" links for email templates
+ * @param {object} appointment - Appointment data
+ * @returns {object} - { googleCalendarUrl, outlookCalendarUrl }
+ */
+function getCalendarLinks(appointment) {
+  const event = getCalendarEventDetails(appointment);
+
+  return {
+    googleCalendarUrl: getGoogleCalendarUrl(appointment, event),
+    outlookCalendarUrl: getOutlookCalendarUrl(appointment, event),
+  };
+}
+
+/**
+ * Build the .ics attachment for an appointment
+ * PUBLISH adds or updates the event, CANCEL removes it from the client's calendar
+ * @param {object} appointment - Appointment data
+ * @param {string} [method] - 'PUBLISH' or 'CANCEL'
+ * @returns {object} - Nodemailer attachment
+ */
+function buildCalendarAttachment(appointment, method = 'PUBLISH') {
+  const { title, details, location } = getCalendarEventDetails(appointment);
+
+  return {
+    filename: 'rantevou.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildAppointmentCalendar(appointment, {
+      method,
+      summary: title,
+      description: details,
+      location,
+      organizer: { name: 'NT TAXOFFICE', email: process.env.ADMIN_EMAIL },
+    }),
+  };
+}
+
 /**
  * Send email
- * @param {object} options - Email options
+ * @param {object} options - { to, subject, html, text, attachments } (attachments in Nodemailer format)
  * @returns {Promise<object>}
  */
 async function sendEmail(options) {
@@ -110,6 +165,10 @@ async function sendEmail(options) {
     html: options.html,
   };
 
+  if (options.attachments && options.attachments.length > 0) {
+    mailOptions.attachments = options.attachments;
+  }
+
   try {
     const result = await transport.sendMail(mailOptions);
     info(`Email sent to ${options.to}: ${options.subject}`);
@@ -137,6 +196,7 @@ async function sendBookingConfirmation(appointment) {
     cancellationUrl: `${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
     officePhone: process.env.OFFICE_PHONE || '210-1234567',
     officeEmail: process.env.ADMIN_EMAIL,
+    ...getCalendarLinks(appointment),
   };
 
   const html = replacePlaceholders(htmlTemplate, data);
@@ -147,6 +207,7 @@ async function sendBookingConfirmation(appointment) {
     subject: 'Επιβεβαίωση Ραντεβού - NT TAXOFFICE',
     html,
     text,
+    attachments: [buildCalendarAttachment(appointment)],
   });
 }
 
@@ -198,6 +259,7 @@ async function sendAppointmentConfirmed(appointment) {
     officeAddress: process.env.OFFICE_ADDRESS || 'Οδός Παραδείγματος 123, Αθήνα',
     officePhone: process.env.OFFICE_PHONE || '210-1234567',
     cancellationUrl: `${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
+    ...getCalendarLinks(appointment),
   };
 
   const html = replacePlaceholders(htmlTemplate, data);
@@ -208,6 +270,7 @@ async function sendAppointmentConfirmed(appointment) {
     subject: 'Το Ραντεβού σας Επιβεβαιώθηκε - NT TAXOFFICE',
     html,
     text,
+    attachments: [buildCalendarAttachment({ ...appointment, status: 'confirmed' })],
   });
 }
 
@@ -237,6 +300,37 @@ async function sendAppointmentDeclined(appointment) {
     subject: 'Ενημέρωση για το Ραντεβού σας - NT TAXOFFICE',
     html,
     text,
+    attachments: [buildCalendarAttachment({ ...appointment, status: 'declined' }, 'CANCEL')],
+  });
+}
+
+/**
+ * Send notice that an unconfirmed appointment expired and its slot was released
+ * @param {object} appointment - Appointment data
+ * @returns {Promise<object>}
+ */
+async function sendAppointmentExpired(appointment) {
+  const htmlTemplate = await loadTemplate('appointment-expired', 'html');
+  const txtTemplate = await loadTemplate('appointment-expired', 'txt');
+
+  const data = {
+    clientName: appointment.client_name,
+    appointmentDate: formatGreekDate(appointment.appointment_date),
+    appointmentTime: formatGreekTime(appointment.appointment_time),
+    serviceType: appointment.service_type,
+    bookingUrl: `${process.env.APP_URL}/appointments.html`,
+    officePhone: process.env.OFFICE_PHONE || '210-1234567',
+  };
+
+  const html = replacePlaceholders(htmlTemplate, data);
+  const text = replacePlaceholders(txtTemplate, data);
+
+  return sendEmail({
+    to: appointment.client_email,
+    subject: 'Το Αίτημα Ραντεβού σας Έληξε - NT TAXOFFICE',
+    html,
+    text,
+    attachments: [buildCalendarAttachment({ ...appointment, status: 'expired' }, 'CANCEL')],
   });
 }
 
@@ -257,6 +351,7 @@ async function sendAppointmentReminder(appointment) {
     officeAddress: process.env.OFFICE_ADDRESS || 'Οδός Παραδείγματος 123, Αθήνα',
     officePhone: process.env.OFFICE_PHONE || '210-1234567',
     cancellationUrl: `${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
+    ...getCalendarLinks(appointment),
   };
 
   const html = replacePlaceholders(htmlTemplate, data);
@@ -267,6 +362,40 @@ async function sendAppointmentReminder(appointment) {
     subject: 'Υπενθύμιση Ραντεβού - Αύριο - NT TAXOFFICE',
     html,
     text,
+    attachments: [buildCalendarAttachment(appointment)],
+  });
+}
+
+/**
+ * Send notice to client that the office moved their appointment
+ * @param {object} appointment - Appointment data with previous_date/previous_time
+ * @returns {Promise<object>}
+ */
+async function sendAppointmentRescheduled(appointment) {
+  const htmlTemplate = await loadTemplate('appointment-rescheduled', 'html');
+  const txtTemplate = await loadTemplate('appointment-rescheduled', 'txt');
+
+  const data = {
+    clientName: appointment.client_name,
+    appointmentDate: formatGreekDate(appointment.appointment_date),
+    appointmentTime: formatGreekTime(appointment.appointment_time),
+    previousDate: formatGreekDate(appointment.previous_date),
+    previousTime: formatGreekTime(appointment.previous_time),
+    serviceType: appointment.service_type,
+    officePhone: process.env.OFFICE_PHONE || '210-1234567',
+    cancellationUrl: `${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
+    ...getCalendarLinks(appointment),
+  };
+
+  const html = replacePlaceholders(htmlTemplate, data);
+  const text = replacePlaceholders(txtTemplate, data);
+
+  return sendEmail({
+    to: appointment.client_email,
+    subject: 'Αλλαγή στο Ραντεβού σας - NT TAXOFFICE',
+    html,
+    text,
+    attachments: [buildCalendarAttachment(appointment)],
   });
 }
 
@@ -295,6 +424,69 @@ async function sendCancellationConfirmation(appointment) {
     subject: 'Επιβεβαίωση Ακύρωσης Ραντεβού - NT TAXOFFICE',
     html,
     text,
+    attachments: [buildCalendarAttachment({ ...appointment, status: 'cancelled' }, 'CANCEL')],
+  });
+}
+
+/**
+ * Send reschedule confirmation email to client
+ * @param {object} appointment - Appointment data with previous_date/previous_time
+ * @returns {Promise<object>}
+ */
+async function sendRescheduleConfirmation(appointment) {
+  const htmlTemplate = await loadTemplate('reschedule-confirmation', 'html');
+  const txtTemplate = await loadTemplate('reschedule-confirmation', 'txt');
+
+  const data = {
+    clientName: appointment.client_name,
+    appointmentDate: formatGreekDate(appointment.appointment_date),
+    appointmentTime: formatGreekTime(appointment.appointment_time),
+    previousDate: formatGreekDate(appointment.previous_date),
+    previousTime: formatGreekTime(appointment.previous_time),
+    serviceType: appointment.service_type,
+    officePhone: process.env.OFFICE_PHONE || '210-1234567',
+    cancellationUrl: `${process.env.APP_URL}/cancel-appointment.html?token=${appointment.cancellation_token}`,
+    ...getCalendarLinks(appointment),
+  };
+
+  const html = replacePlaceholders(htmlTemplate, data);
+  const text = replacePlaceholders(txtTemplate, data);
+
+  return sendEmail({
+    to: appointment.client_email,
+    subject: 'Αλλαγή Ραντεβού - NT TAXOFFICE',
+    html,
+    text,
+    attachments: [buildCalendarAttachment(appointment)],
+  });
+}
+
+/**
+ * Send a waitlist client the booking link for a slot that opened
+ * @param {object} entry - Waitlist entry with offer_token, offered_date and offered_time
+ * @returns {Promise<object>}
+ */
+async function sendWaitlistSlotAvailable(entry) {
+  const htmlTemplate = await loadTemplate('waitlist-slot-available', 'html');
+  const txtTemplate = await loadTemplate('waitlist-slot-available', 'txt');
+
+  const data = {
+    clientName: entry.client_name,
+    serviceType: entry.service_type,
+    appointmentDate: formatGreekDate(entry.offered_date),
+    appointmentTime: formatGreekTime(entry.offered_time),
+    bookingUrl: `${process.env.APP_URL}/appointments.html?waitlist=${entry.offer_token}`,
+    officePhone: process.env.OFFICE_PHONE || '210-1234567',
+  };
+
+  const html = replacePlaceholders(htmlTemplate, data);
+  const text = replacePlaceholders(txtTemplate, data);
+
+  return sendEmail({
+    to: entry.client_email,
+    subject: 'Ελευθερώθηκε Ώρα για Ραντεβού - NT TAXOFFICE',
+    html,
+    text,
   });
 }
 
@@ -305,6 +497,10 @@ module.exports = {
   sendAdminNotification,
   sendAppointmentConfirmed,
   sendAppointmentDeclined,
+  sendAppointmentExpired,
   sendAppointmentReminder,
+  sendAppointmentRescheduled,
   sendCancellationConfirmation,
+  sendRescheduleConfirmation,
+  sendWaitlistSlotAvailable,
 };
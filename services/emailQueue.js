@@ -20,10 +20,11 @@ let isProcessing = false;
  * @param {string} type - Email type
  * @param {string} recipient - Recipient email
  * @param {object} data - Email data
+ * @param {object} [connection] - Transaction connection, so the email is only queued if the caller commits
  * @returns {Promise<number>} - Queue item ID
  */
-async function queueEmail(type, recipient, data) {
-  const db = getDb();
+async function queueEmail(type, recipient, data, connection = null) {
+  const db = connection || getDb();
 
   try {
     const [result] = await db.query(
@@ -71,14 +72,30 @@ async function processEmail(queueItem) {
         await emailService.sendAppointmentDeclined(data);
         break;
 
+      case 'appointment-expired':
+        await emailService.sendAppointmentExpired(data);
+        break;
+
       case 'appointment-reminder':
         await emailService.sendAppointmentReminder(data);
         break;
 
+      case 'appointment-rescheduled':
+        await emailService.sendAppointmentRescheduled(data);
+        break;
+
       case 'cancellation-confirmation':
         await emailService.sendCancellationConfirmation(data);
         break;
 
+      case 'reschedule-confirmation':
+        await emailService.sendRescheduleConfirmation(data);
+        break;
+
+      case 'waitlist-slot-available':
+        await emailService.sendWaitlistSlotAvailable(data);
+        break;
+
       default:
         throw new Error(`Unknown email type: ${queueItem.email_type}`);
     }
@@ -0,0 +1,189 @@
+/**
+ * Holidays Service
+ * National holidays (computed, switchable by the admin) and local holidays that close the office
+ */
+
+const { getDb } = require('./database');
+const {
+  NATIONAL_HOLIDAYS,
+  formatDateParts,
+  getNationalHolidays,
+  getNationalHolidaysForDate,
+} = require('../utils/holidays');
+const { toMySQLDate } = require('../utils/timezone');
+
+/**
+ * Get the holiday keys the admin has switched off
+ * @returns {Promise<Set<string>>}
+ */
+async function getDisabledHolidayKeys() {
+  const db = getDb();
+  const [rows] = await db.query(
+    'SELECT holiday_key FROM holiday_settings WHERE is_enabled = FALSE'
+  );
+  return new Set(rows.map((row) => row.holiday_key));
+}
+
+/**
+ * Get the local holidays, in calendar order
+ * @returns {Promise<Array>} - Array of { id, name, holiday_month, holiday_day }
+ */
+async function getLocalHolidays() {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT id, name, holiday_month, holiday_day
+         FROM local_holidays
+         ORDER BY holiday_month, holiday_day`
+  );
+  return rows;
+}
+
+/**
+ * Get every holiday of a year, national and local, in date order
+ * @param {number} year
+ * @returns {Promise<Array>} - Array of { type, key|id, name, date, is_enabled }
+ */
+async function getHolidaysForYear(year) {
+  const disabled = await getDisabledHolidayKeys();
+  const localHolidays = await getLocalHolidays();
+
+  const national = getNationalHolidays(year).map((holiday) => ({
+    type: 'national',
+    ...holiday,
+    is_enabled: !disabled.has(holiday.key),
+  }));
+
+  const local = localHolidays.map((holiday) => ({
+    type: 'local',
+    id: holiday.id,
+    name: holiday.name,
+    date: formatDateParts(year, holiday.holiday_month, holiday.holiday_day),
+    is_enabled: true,
+  }));
+
+  return [...national, ...local].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the holiday that closes the office on a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<object|null>} - { type, name } or null if the date is not a holiday
+ */
+async function getHolidayForDate(date) {
+  const db = getDb();
+  const dateStr = toMySQLDate(date);
+
+  const nationalHolidays = getNationalHolidaysForDate(dateStr);
+  if (nationalHolidays.length > 0) {
+    // National holidays are on unless the admin switched them off
+    const disabled = await getDisabledHolidayKeys();
+    const national = nationalHolidays.find((holiday) => !disabled.has(holiday.key));
+
+    if (national) {
+      return { type: 'national', key: national.key, name: national.name };
+    }
+  }
+
+  const [local] = await db.query(
+    `SELECT id, name FROM local_holidays
+         WHERE holiday_month = ? AND holiday_day = ?`,
+    [Number(dateStr.substring(5, 7)), Number(dateStr.substring(8, 10))]
+  );
+
+  if (local.length > 0) {
+    return { type: 'local', id: local[0].id, name: local[0].name };
+  }
+
+  return null;
+}
+
+/**
+ * Get the dates within a range on which a holiday closes the office
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Set<string>>} - Dates in YYYY-MM-DD format
+ */
+async function getHolidayDatesInRange(startDate, endDate) {
+  const start = toMySQLDate(startDate);
+  const end = toMySQLDate(endDate);
+  const disabled = await getDisabledHolidayKeys();
+  const localHolidays = await getLocalHolidays();
+  const dates = new Set();
+
+  for (let year = Number(start.substring(0, 4)); year <= Number(end.substring(0, 4)); year++) {
+    getNationalHolidays(year)
+      .filter((holiday) => !disabled.has(holiday.key))
+      .forEach((holiday) => dates.add(holiday.date));
+
+    localHolidays.forEach((holiday) =>
+      dates.add(formatDateParts(year, holiday.holiday_month, holiday.holiday_day))
+    );
+  }
+
+  return new Set([...dates].filter((date) => date >= start && date <= end));
+}
+
+/**
+ * Switch a national holiday on or off
+ * @param {string} key - Holiday key (see NATIONAL_HOLIDAYS)
+ * @param {boolean} isEnabled
+ * @returns {Promise<boolean>} - False if there is no national holiday with this key
+ */
+async function setHolidayEnabled(key, isEnabled) {
+  if (!NATIONAL_HOLIDAYS.some((holiday) => holiday.key === key)) {
+    return false;
+  }
+
+  const db = getDb();
+  await db.query(
+    `INSERT INTO holiday_settings (holiday_key, is_enabled)
+         VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled)`,
+    [key, Boolean(isEnabled)]
+  );
+  return true;
+}
+
+/**
+ * Add a local holiday that repeats every year
+ * @param {object} holiday - { name, month, day }
+ * @returns {Promise<number>} - ID of the new holiday
+ */
+async function createLocalHoliday({ name, month, day }) {
+  const db = getDb();
+
+  const [existing] = await db.query(
+    'SELECT id FROM local_holidays WHERE holiday_month = ? AND holiday_day = ?',
+    [month, day]
+  );
+  if (existing.length > 0) {
+    throw new Error('HOLIDAY_EXISTS');
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO local_holidays (name, holiday_month, holiday_day) VALUES (?, ?, ?)',
+    [name, month, day]
+  );
+  return result.insertId;
+}
+
+/**
+ * Remove a local holiday
+ * @param {number} id
+ * @returns {Promise<boolean>} - False if the holiday does not exist
+ */
+async function deleteLocalHoliday(id) {
+  const db = getDb();
+  const [result] = await db.query('DELETE FROM local_holidays WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  getLocalHolidays,
+  getHolidaysForYear,
+  getHolidayForDate,
+  getHolidayDatesInRange,
+  setHolidayEnabled,
+  createLocalHoliday,
+  deleteLocalHoliday,
+};
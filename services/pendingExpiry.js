@@ -0,0 +1,191 @@
+/**
+ * Pending Expiry Service
+ * Releases pending appointments the office never confirmed, once they waited too long
+ * or their start time passed, so their slots can be booked again
+ */
+
+const { getDb } = require('./database');
+const { queueEmail } = require('./emailQueue');
+const { getPendingExpiryHours } = require('./bookingPolicy');
+const { invalidateDates } = require('./availabilityCache');
+const { notifyWaitlist } = require('./waitlist');
+const { canTransition, changeStatus } = require('./appointmentStatus');
+const { now, toMySQLDate, toMySQLDateTime } = require('../utils/timezone');
+const {
+  info,
+  warn,
+  error: logError,
+  debug,
+  logAppointmentStatusChange,
+} = require('../utils/logger');
+
+// Scheduler configuration
+const PROCESSING_INTERVAL = 900000; // 15 minutes
+
+let schedulerTimer = null;
+let isProcessing = false;
+
+/**
+ * Get pending appointments that waited longer than the threshold or have already started
+ * Bookings held for approval by the no-show rule wait for the admin until they start
+ * Appointment date/time are stored as office-local values, so the start is compared in TIMEZONE
+ * @param {number} expiryHours - Hours a pending appointment waits for confirmation
+ * @returns {Promise<Array>}
+ */
+async function getExpiredPending(expiryHours) {
+  const db = getDb();
+
+  const [rows] = await db.query(
+    `SELECT * FROM appointments
+         WHERE status = 'pending'
+         AND ((created_at <= DATE_SUB(NOW(), INTERVAL ? HOUR) AND requires_approval = FALSE)
+              OR TIMESTAMP(appointment_date, appointment_time) <= ?)
+         ORDER BY appointment_date ASC, appointment_time ASC`,
+    [expiryHours, toMySQLDateTime(now())]
+  );
+
+  return rows;
+}
+
+/**
+ * Expire one pending appointment
+ * The row is locked and changed through changeStatus; the status change, its history
+ * and the client email are written in one transaction, so an appointment the admin
+ * confirmed meanwhile is left alone
+ * @param {object} appointment - Appointment row
+ * @returns {Promise<boolean>} - False if the appointment can no longer expire
+ */
+async function expireAppointment(appointment) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM appointments WHERE id = ? FOR UPDATE', [
+      appointment.id,
+    ]);
+
+    if (rows.length === 0 || !canTransition(rows[0].status, 'expired', 'system')) {
+      await connection.rollback();
+      return false;
+    }
+
+    const expired = await changeStatus(connection, rows[0], 'expired', 'system', {
+      notes: 'Expired without confirmation',
+    });
+
+    await queueEmail(
+      'appointment-expired',
+      expired.client_email,
+      {
+        ...expired,
+        appointment_date: toMySQLDate(expired.appointment_date),
+      },
+      connection
+    );
+
+    await connection.commit();
+
+    logAppointmentStatusChange(appointment.id, 'pending', 'expired', 'system');
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Expire all pending appointments past the threshold or their start
+ * @returns {Promise<number>} - Number of appointments expired
+ */
+async function processExpiredAppointments() {
+  // Prevent concurrent processing
+  if (isProcessing) {
+    debug('Pending expiry already in progress, skipping');
+    return 0;
+  }
+
+  isProcessing = true;
+  let expired = 0;
+
+  try {
+    const expiryHours = await getPendingExpiryHours();
+    const candidates = await getExpiredPending(expiryHours);
+
+    if (candidates.length === 0) {
+      debug('No pending appointments to expire');
+      return 0;
+    }
+
+    const startsAfter = toMySQLDateTime(now());
+
+    for (const appointment of candidates) {
+      try {
+        if (await expireAppointment(appointment)) {
+          expired++;
+          // Drop the cached slots first so a notified client sees the freed time
+          await invalidateDates(appointment.appointment_date);
+
+          // Slots that have not started yet can go to the waitlist
+          const start = `${toMySQLDate(appointment.appointment_date)} ${appointment.appointment_time}`;
+          if (start > startsAfter) {
+            notifyWaitlist(appointment.appointment_date, appointment.appointment_time).catch(
+              (err) => {
+                warn('Failed to notify waitlist:', { error: err.message });
+              }
+            );
+          }
+        }
+      } catch (error) {
+        logError(`Failed to expire appointment ${appointment.id}:`, error);
+      }
+    }
+
+    info(`Pending expiry complete: ${expired} appointments expired`);
+    return expired;
+  } catch (error) {
+    logError('Error expiring pending appointments:', error);
+    return expired;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Start pending expiry scheduler
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    info('Pending expiry scheduler already running');
+    return;
+  }
+
+  info(`Starting pending expiry scheduler (interval: ${PROCESSING_INTERVAL}ms)`);
+
+  // Process immediately on start so appointments that expired during downtime are released
+  processExpiredAppointments();
+
+  schedulerTimer = setInterval(processExpiredAppointments, PROCESSING_INTERVAL);
+}
+
+/**
+ * Stop pending expiry scheduler
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    info('Pending expiry scheduler stopped');
+  }
+}
+
+module.exports = {
+  getExpiredPending,
+  expireAppointment,
+  processExpiredAppointments,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,164 @@
+/**
+ * Reminder Scheduler Service
+ * Queues a reminder email for confirmed appointments starting within the next 24 hours
+ */
+
+const { getDb } = require('./database');
+const { queueEmail } = require('./emailQueue');
+const { now, toMySQLDate, toMySQLDateTime } = require('../utils/timezone');
+const { info, error: logError, debug } = require('../utils/logger');
+
+// Scheduler configuration
+const PROCESSING_INTERVAL = 900000; // 15 minutes
+const REMINDER_HOURS_BEFORE = 24;
+
+let schedulerTimer = null;
+let isProcessing = false;
+
+/**
+ * Get confirmed appointments that start within the reminder window and have no reminder yet
+ * Appointment date/time are stored as office-local values, so the window is computed in TIMEZONE
+ * @returns {Promise<Array>}
+ */
+async function getDueReminders() {
+  const db = getDb();
+  const windowStart = now();
+  const windowEnd = now().add(REMINDER_HOURS_BEFORE, 'hours');
+
+  const [rows] = await db.query(
+    `SELECT * FROM appointments
+         WHERE status = 'confirmed'
+         AND reminder_queued_at IS NULL
+         AND TIMESTAMP(appointment_date, appointment_time) > ?
+         AND TIMESTAMP(appointment_date, appointment_time) <= ?
+         ORDER BY appointment_date ASC, appointment_time ASC`,
+    [toMySQLDateTime(windowStart), toMySQLDateTime(windowEnd)]
+  );
+
+  return rows;
+}
+
+/**
+ * Queue the reminder email for one appointment
+ * The appointment is stamped in the same transaction as the queue insert,
+ * so a reminder is queued at most once even across restarts or overlapping runs
+ * @param {object} appointment - Appointment row
+ * @returns {Promise<boolean>} - False if another run already queued the reminder
+ */
+async function queueReminder(appointment) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [updateResult] = await connection.query(
+      `UPDATE appointments
+             SET reminder_queued_at = NOW()
+             WHERE id = ? AND status = 'confirmed' AND reminder_queued_at IS NULL`,
+      [appointment.id]
+    );
+
+    if (updateResult.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    await queueEmail(
+      'appointment-reminder',
+      appointment.client_email,
+      {
+        ...appointment,
+        appointment_date: toMySQLDate(appointment.appointment_date),
+      },
+      connection
+    );
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Queue reminders for all due appointments
+ * @returns {Promise<number>} - Number of reminders queued
+ */
+async function processReminders() {
+  // Prevent concurrent processing
+  if (isProcessing) {
+    debug('Reminder processing already in progress, skipping');
+    return 0;
+  }
+
+  isProcessing = true;
+  let queued = 0;
+
+  try {
+    const dueAppointments = await getDueReminders();
+
+    if (dueAppointments.length === 0) {
+      debug('No appointment reminders due');
+      return 0;
+    }
+
+    for (const appointment of dueAppointments) {
+      try {
+        if (await queueReminder(appointment)) {
+          queued++;
+        }
+      } catch (error) {
+        logError(`Failed to queue reminder for appointment ${appointment.id}:`, error);
+      }
+    }
+
+    info(`Reminder processing complete: ${queued} reminders queued`);
+    return queued;
+  } catch (error) {
+    logError('Error processing appointment reminders:', error);
+    return queued;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Start reminder scheduler
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    info('Reminder scheduler already running');
+    return;
+  }
+
+  info(`Starting reminder scheduler (interval: ${PROCESSING_INTERVAL}ms)`);
+
+  // Process immediately on start so reminders missed during downtime go out
+  processReminders();
+
+  schedulerTimer = setInterval(processReminders, PROCESSING_INTERVAL);
+}
+
+/**
+ * Stop reminder scheduler
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    info('Reminder scheduler stopped');
+  }
+}
+
+module.exports = {
+  getDueReminders,
+  queueReminder,
+  processReminders,
+  startScheduler,
+  stopScheduler,
+  REMINDER_HOURS_BEFORE,
+};
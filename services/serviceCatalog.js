@@ -0,0 +1,223 @@
+/**
+ * Service Catalog
+ * Bookable services with their appointment duration and buffer time
+ */
+
+const { getDb } = require('./database');
+
+const SERVICE_COLUMNS = `id, name, name_en, description, duration_minutes, buffer_minutes,
+         booking_window_days, minimum_notice_hours, slot_capacity, is_active, display_order`;
+
+/**
+ * Get all services in display order
+ * @param {object} options - { activeOnly }
+ * @returns {Promise<Array>}
+ */
+async function getServices({ activeOnly = false } = {}) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT ${SERVICE_COLUMNS}
+         FROM services
+         ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+         ORDER BY display_order ASC, id ASC`
+  );
+  return rows;
+}
+
+/**
+ * Get a service by ID
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+async function getServiceById(id) {
+  const db = getDb();
+  const [rows] = await db.query(`SELECT ${SERVICE_COLUMNS} FROM services WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Get a service by its name (the value stored in appointments.service_type)
+ * Inactive services are returned too, so existing appointments keep resolving
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+async function getServiceByName(name) {
+  const db = getDb();
+  const [rows] = await db.query(`SELECT ${SERVICE_COLUMNS} FROM services WHERE name = ?`, [name]);
+  return rows[0] || null;
+}
+
+/**
+ * Get names of services that clients can currently book
+ * @returns {Promise<Array<string>>}
+ */
+async function getActiveServiceNames() {
+  const services = await getServices({ activeOnly: true });
+  return services.map((service) => service.name);
+}
+
+/**
+ * Create a new service at the end of the display order
+ * @param {object} serviceData - Validated service fields
+ * @returns {Promise<object>}
+ */
+async function createService(serviceData) {
+  const db = getDb();
+
+  const [existing] = await db.query('SELECT id FROM services WHERE name = ?', [serviceData.name]);
+  if (existing.length > 0) {
+    throw new Error('SERVICE_NAME_EXISTS');
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO services
+         (name, name_en, description, duration_minutes, buffer_minutes,
+          booking_window_days, minimum_notice_hours, slot_capacity, is_active, display_order)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(MAX(display_order), 0) + 1 FROM services`,
+    [
+      serviceData.name,
+      serviceData.name_en || null,
+      serviceData.description || null,
+      serviceData.duration_minutes,
+      serviceData.buffer_minutes || 0,
+      serviceData.booking_window_days ?? null,
+      serviceData.minimum_notice_hours ?? null,
+      serviceData.slot_capacity ?? null,
+      serviceData.is_active !== false,
+    ]
+  );
+
+  return getServiceById(result.insertId);
+}
+
+/**
+ * Update a service
+ * Renaming also updates the service_type of its appointments, which reference services by name
+ * @param {number} id
+ * @param {object} updates - Validated service fields to change
+ * @returns {Promise<object>}
+ */
+async function updateService(id, updates) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT id, name FROM services WHERE id = ? FOR UPDATE', [
+      id,
+    ]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      throw new Error('SERVICE_NOT_FOUND');
+    }
+
+    const current = rows[0];
+    const renamed = updates.name !== undefined && updates.name !== current.name;
+
+    if (renamed) {
+      const [existing] = await connection.query(
+        'SELECT id FROM services WHERE name = ? AND id != ?',
+        [updates.name, id]
+      );
+      if (existing.length > 0) {
+        await connection.rollback();
+        throw new Error('SERVICE_NAME_EXISTS');
+      }
+    }
+
+    const fields = [];
+    const params = [];
+    [
+      'name',
+      'name_en',
+      'description',
+      'duration_minutes',
+      'buffer_minutes',
+      'booking_window_days',
+      'minimum_notice_hours',
+      'slot_capacity',
+      'is_active',
+    ].forEach((field) => {
+      if (updates[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        params.push(updates[field]);
+      }
+    });
+
+    if (fields.length > 0) {
+      params.push(id);
+      await connection.query(`UPDATE services SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    if (renamed) {
+      await connection.query('UPDATE appointments SET service_type = ? WHERE service_type = ?', [
+        updates.name,
+        current.name,
+      ]);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getServiceById(id);
+}
+
+/**
+ * Set the display order of all services
+ * @param {Array<number>} orderedIds - Every service ID, in the new order
+ * @returns {Promise<Array>} - Services in their new order
+ */
+async function reorderServices(orderedIds) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT id FROM services FOR UPDATE');
+    const knownIds = rows.map((row) => row.id);
+    const uniqueIds = new Set(orderedIds);
+
+    if (
+      uniqueIds.size !== orderedIds.length ||
+      orderedIds.length !== knownIds.length ||
+      !knownIds.every((id) => uniqueIds.has(id))
+    ) {
+      await connection.rollback();
+      throw new Error('INVALID_SERVICE_ORDER');
+    }
+
+    for (let i = 0; i < orderedIds.length; i++) {
+      await connection.query('UPDATE services SET display_order = ? WHERE id = ?', [
+        i + 1,
+        orderedIds[i],
+      ]);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getServices();
+}
+
+module.exports = {
+  getServices,
+  getServiceById,
+  getServiceByName,
+  getActiveServiceNames,
+  createService,
+  updateService,
+  reorderServices,
+};
@@ -0,0 +1,167 @@
+/**
+ * Slot Holds Service
+ * Short reservations of a slot while a client completes the booking wizard
+ * Active holds take a seat like a booking for everyone except the client holding them
+ */
+
+const { getDb } = require('./database');
+const { invalidateDates } = require('./availabilityCache');
+const { timeToMinutes, minutesToTime } = require('../utils/timezone');
+const { info, error: logError, debug } = require('../utils/logger');
+
+// Minutes a hold lasts before the slot is offered to others again
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+
+// Cleanup configuration
+const CLEANUP_INTERVAL = 60000; // 1 minute
+
+let cleanupTimer = null;
+
+/**
+ * Find active holds whose time range overlaps the given one
+ * Holds are only written under the booking lock, so they need no row locks
+ * @param {object} connection - Transaction connection
+ * @param {object} range - { date, time, durationMinutes, bufferMinutes, staffId, holdToken }
+ * (holdToken is the caller's own hold, which is left out)
+ * @returns {Promise<Array>} - Holds shaped like appointments { appointment_time, duration_minutes, buffer_minutes }
+ */
+async function findConflictingHolds(connection, range) {
+  const start = timeToMinutes(range.time);
+  const end = start + range.durationMinutes + range.bufferMinutes;
+
+  let query = `SELECT appointment_time, duration_minutes, buffer_minutes FROM slot_holds
+         WHERE appointment_date = ?
+         AND expires_at > NOW()
+         AND appointment_time < ?
+         AND ADDTIME(appointment_time, SEC_TO_TIME((duration_minutes + buffer_minutes) * 60)) > ?`;
+  const params = [range.date, minutesToTime(end), minutesToTime(start)];
+
+  if (range.staffId) {
+    query += ' AND (staff_id = ? OR staff_id IS NULL)';
+    params.push(range.staffId);
+  }
+
+  if (range.holdToken) {
+    query += ' AND hold_token != ?';
+    params.push(range.holdToken);
+  }
+
+  const [rows] = await connection.query(query, params);
+  return rows;
+}
+
+/**
+ * Store a hold
+ * @param {object} connection - Transaction connection
+ * @param {object} hold - { token, date, time, durationMinutes, bufferMinutes, serviceType, staffId }
+ * @returns {Promise<void>}
+ */
+async function insertHold(connection, hold) {
+  await connection.query(
+    `INSERT INTO slot_holds
+         (hold_token, appointment_date, appointment_time, duration_minutes, buffer_minutes,
+          service_type, staff_id, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [
+      hold.token,
+      hold.date,
+      hold.time,
+      hold.durationMinutes,
+      hold.bufferMinutes,
+      hold.serviceType || null,
+      hold.staffId || null,
+      HOLD_MINUTES,
+    ]
+  );
+}
+
+/**
+ * Remove a hold, e.g. once its booking is made
+ * @param {object} connection - Connection or transaction connection
+ * @param {string} token - Hold token
+ * @returns {Promise<string|null>} - Date of the removed hold (YYYY-MM-DD), or null if there was none
+ */
+async function deleteHold(connection, token) {
+  if (!token) {
+    return null;
+  }
+
+  const [rows] = await connection.query(
+    'SELECT appointment_date FROM slot_holds WHERE hold_token = ?',
+    [token]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  await connection.query('DELETE FROM slot_holds WHERE hold_token = ?', [token]);
+  return rows[0].appointment_date;
+}
+
+/**
+ * Remove expired holds
+ * Their slots are already free for the availability queries; this keeps the table small
+ * @returns {Promise<number>} - Number of holds removed
+ */
+async function cleanupExpiredHolds() {
+  const db = getDb();
+
+  try {
+    const [expired] = await db.query(
+      'SELECT DISTINCT appointment_date FROM slot_holds WHERE expires_at <= NOW()'
+    );
+    if (expired.length === 0) {
+      debug('No expired slot holds');
+      return 0;
+    }
+
+    const [result] = await db.query('DELETE FROM slot_holds WHERE expires_at <= NOW()');
+
+    // Cached seats of those dates still count the holds
+    await invalidateDates(...expired.map((row) => row.appointment_date));
+
+    info(`Slot hold cleanup complete: ${result.affectedRows} expired holds removed`);
+    return result.affectedRows;
+  } catch (error) {
+    logError('Error cleaning up slot holds:', error);
+    return 0;
+  }
+}
+
+/**
+ * Start the expired hold cleanup
+ */
+function startHoldCleanup() {
+  if (cleanupTimer) {
+    info('Slot hold cleanup already running');
+    return;
+  }
+
+  info(`Starting slot hold cleanup (interval: ${CLEANUP_INTERVAL}ms)`);
+
+  // Clean up immediately on start so holds from before a restart go away
+  cleanupExpiredHolds();
+
+  cleanupTimer = setInterval(cleanupExpiredHolds, CLEANUP_INTERVAL);
+}
+
+/**
+ * Stop the expired hold cleanup
+ */
+function stopHoldCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+    info('Slot hold cleanup stopped');
+  }
+}
+
+module.exports = {
+  findConflictingHolds,
+  insertHold,
+  deleteHold,
+  cleanupExpiredHolds,
+  startHoldCleanup,
+  stopHoldCleanup,
+  HOLD_MINUTES,
+};
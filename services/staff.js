@@ -0,0 +1,432 @@
+/**
+ * Staff Service
+ * Staff members with their own weekly hours, blocked dates and service skills
+ */
+
+const { getDb } = require('./database');
+const { toMySQLDate } = require('../utils/timezone');
+
+/**
+ * Get staff members in display order, with the IDs of the services they handle
+ * @param {object} options - { activeOnly }
+ * @returns {Promise<Array>}
+ */
+async function getStaff({ activeOnly = false } = {}) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT s.id, s.name, s.email, s.is_active, s.display_order,
+                GROUP_CONCAT(ss.service_id ORDER BY ss.service_id) AS service_ids
+         FROM staff s
+         LEFT JOIN staff_services ss ON ss.staff_id = s.id
+         ${activeOnly ? 'WHERE s.is_active = TRUE' : ''}
+         GROUP BY s.id
+         ORDER BY s.display_order ASC, s.id ASC`
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    service_ids: row.service_ids ? String(row.service_ids).split(',').map(Number) : [],
+  }));
+}
+
+/**
+ * Get a staff member by ID
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+async function getStaffById(id) {
+  const staff = await getStaff();
+  return staff.find((member) => member.id === Number(id)) || null;
+}
+
+/**
+ * Get active staff members who can handle a service
+ * Staff without any skills listed handle every service
+ * @param {string|null} serviceName - Service name, or null for any service
+ * @returns {Promise<Array>}
+ */
+async function getStaffForService(serviceName = null) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT s.id, s.name
+         FROM staff s
+         WHERE s.is_active = TRUE
+         AND (
+             ? IS NULL
+             OR NOT EXISTS (SELECT 1 FROM staff_services ss WHERE ss.staff_id = s.id)
+             OR EXISTS (
+                 SELECT 1 FROM staff_services ss
+                 JOIN services sv ON sv.id = ss.service_id
+                 WHERE ss.staff_id = s.id AND sv.name = ?
+             )
+         )
+         ORDER BY s.display_order ASC, s.id ASC`,
+    [serviceName, serviceName]
+  );
+  return rows;
+}
+
+/**
+ * Get weekly hours of a staff member for one day
+ * @param {number} staffId
+ * @param {number} dayOfWeek - 0=Sunday, 6=Saturday
+ * @returns {Promise<object|null>}
+ */
+async function getStaffHoursForDay(staffId, dayOfWeek) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT day_of_week, is_working_day, start_time, end_time
+         FROM staff_hours
+         WHERE staff_id = ? AND day_of_week = ?`,
+    [staffId, dayOfWeek]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get weekly hours of a staff member for all days
+ * Days without a row are returned as non-working
+ * @param {number} staffId
+ * @returns {Promise<Array>}
+ */
+async function getStaffHours(staffId) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT day_of_week, is_working_day, start_time, end_time
+         FROM staff_hours
+         WHERE staff_id = ?
+         ORDER BY day_of_week`,
+    [staffId]
+  );
+
+  const days = [];
+  for (let day = 0; day < 7; day++) {
+    const row = rows.find((r) => r.day_of_week === day);
+    days.push({
+      day_of_week: day,
+      is_working_day: row ? Boolean(row.is_working_day) : false,
+      start_time: row ? row.start_time : null,
+      end_time: row ? row.end_time : null,
+    });
+  }
+  return days;
+}
+
+/**
+ * Get weekly hours of several staff members in one query
+ * @param {Array<number>} staffIds
+ * @returns {Promise<Map>} - Staff ID to a Map of day of week to hours row
+ */
+async function getHoursForStaff(staffIds) {
+  const hours = new Map(staffIds.map((id) => [id, new Map()]));
+  if (staffIds.length === 0) {
+    return hours;
+  }
+
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT staff_id, day_of_week, is_working_day, start_time, end_time
+         FROM staff_hours
+         WHERE staff_id IN (?)`,
+    [staffIds]
+  );
+
+  rows.forEach((row) => {
+    hours.get(row.staff_id).set(row.day_of_week, row);
+  });
+  return hours;
+}
+
+/**
+ * Replace the weekly hours of a staff member
+ * @param {number} staffId
+ * @param {Array} days - Seven { day_of_week, is_working_day, start_time, end_time }
+ * @returns {Promise<void>}
+ */
+async function updateStaffHours(staffId, days) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    for (const day of days) {
+      await connection.query(
+        `INSERT INTO staff_hours (staff_id, day_of_week, is_working_day, start_time, end_time)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                 is_working_day = VALUES(is_working_day),
+                 start_time = VALUES(start_time),
+                 end_time = VALUES(end_time)`,
+        [
+          staffId,
+          day.day_of_week,
+          day.is_working_day,
+          day.is_working_day ? day.start_time : null,
+          day.is_working_day ? day.end_time : null,
+        ]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Check if a date is blocked for a staff member
+ * @param {number} staffId
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<boolean>}
+ */
+async function isStaffDateBlocked(staffId, date) {
+  const db = getDb();
+  const [rows] = await db.query(
+    'SELECT id FROM staff_blocked_dates WHERE staff_id = ? AND blocked_date = ?',
+    [staffId, date]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Get the blocked dates of several staff members within a date range, in one query
+ * @param {Array<number>} staffIds
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Map>} - Staff ID to a Set of blocked dates (YYYY-MM-DD)
+ */
+async function getBlockedDatesForStaff(staffIds, startDate, endDate) {
+  const blocked = new Map(staffIds.map((id) => [id, new Set()]));
+  if (staffIds.length === 0) {
+    return blocked;
+  }
+
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT staff_id, blocked_date
+         FROM staff_blocked_dates
+         WHERE staff_id IN (?) AND blocked_date BETWEEN ? AND ?`,
+    [staffIds, startDate, endDate]
+  );
+
+  rows.forEach((row) => {
+    blocked.get(row.staff_id).add(toMySQLDate(row.blocked_date));
+  });
+  return blocked;
+}
+
+/**
+ * Get upcoming blocked dates of a staff member
+ * @param {number} staffId
+ * @returns {Promise<Array>}
+ */
+async function getStaffBlockedDates(staffId) {
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT id, blocked_date, reason
+         FROM staff_blocked_dates
+         WHERE staff_id = ? AND blocked_date >= CURDATE()
+         ORDER BY blocked_date ASC`,
+    [staffId]
+  );
+  return rows.map((row) => ({ ...row, blocked_date: toMySQLDate(row.blocked_date) }));
+}
+
+/**
+ * Block a date for a staff member
+ * @param {number} staffId
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string|null} reason
+ * @returns {Promise<number>} - Blocked date ID
+ */
+async function addStaffBlockedDate(staffId, date, reason = null) {
+  const db = getDb();
+
+  if (await isStaffDateBlocked(staffId, date)) {
+    throw new Error('DATE_ALREADY_BLOCKED');
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO staff_blocked_dates (staff_id, blocked_date, reason) VALUES (?, ?, ?)',
+    [staffId, date, reason]
+  );
+  return result.insertId;
+}
+
+/**
+ * Remove a blocked date of a staff member
+ * @param {number} staffId
+ * @param {number} blockedDateId
+ * @returns {Promise<boolean>} - False if nothing was removed
+ */
+async function removeStaffBlockedDate(staffId, blockedDateId) {
+  const db = getDb();
+  const [result] = await db.query('DELETE FROM staff_blocked_dates WHERE id = ? AND staff_id = ?', [
+    blockedDateId,
+    staffId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Replace the service skills of a staff member
+ * @param {object} connection - Transaction connection
+ * @param {number} staffId
+ * @param {Array<number>} serviceIds
+ * @returns {Promise<void>}
+ */
+async function setStaffServices(connection, staffId, serviceIds) {
+  await connection.query('DELETE FROM staff_services WHERE staff_id = ?', [staffId]);
+
+  for (const serviceId of serviceIds) {
+    await connection.query('INSERT INTO staff_services (staff_id, service_id) VALUES (?, ?)', [
+      staffId,
+      serviceId,
+    ]);
+  }
+}
+
+/**
+ * Create a staff member at the end of the display order
+ * New staff start with a copy of the office weekly hours
+ * @param {object} staffData - { name, email, service_ids }
+ * @returns {Promise<object>}
+ */
+async function createStaff(staffData) {
+  const db = getDb();
+  const connection = await db.getConnection();
+  let staffId;
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      `INSERT INTO staff (name, email, is_active, display_order)
+           SELECT ?, ?, ?, COALESCE(MAX(display_order), 0) + 1 FROM staff`,
+      [staffData.name, staffData.email || null, staffData.is_active !== false]
+    );
+    staffId = result.insertId;
+
+    await connection.query(
+      `INSERT INTO staff_hours (staff_id, day_of_week, is_working_day, start_time, end_time)
+           SELECT ?, day_of_week, is_working_day, start_time, end_time FROM availability_settings`,
+      [staffId]
+    );
+
+    await setStaffServices(connection, staffId, staffData.service_ids || []);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getStaffById(staffId);
+}
+
+/**
+ * Update a staff member
+ * Deactivated staff keep their appointments but receive no new bookings
+ * @param {number} id
+ * @param {object} updates - { name, email, is_active, service_ids }
+ * @returns {Promise<object>}
+ */
+async function updateStaff(id, updates) {
+  const db = getDb();
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT id FROM staff WHERE id = ? FOR UPDATE', [id]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      throw new Error('STAFF_NOT_FOUND');
+    }
+
+    const fields = [];
+    const params = [];
+    ['name', 'email', 'is_active'].forEach((field) => {
+      if (updates[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        params.push(updates[field]);
+      }
+    });
+
+    if (fields.length > 0) {
+      params.push(id);
+      await connection.query(`UPDATE staff SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    if (updates.service_ids !== undefined) {
+      await setStaffServices(connection, id, updates.service_ids);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getStaffById(id);
+}
+
+/**
+ * Order staff IDs for round-robin assignment
+ * Staff who were assigned a booking least recently come first; never-assigned staff lead
+ * @param {Array<number>} staffIds - Candidate staff IDs in display order
+ * @returns {Promise<Array<number>>}
+ */
+async function orderByRoundRobin(staffIds) {
+  if (staffIds.length <= 1) {
+    return staffIds;
+  }
+
+  const db = getDb();
+  const [rows] = await db.query(
+    `SELECT staff_id, MAX(id) AS last_appointment_id
+         FROM appointments
+         WHERE staff_id IN (?)
+         GROUP BY staff_id`,
+    [staffIds]
+  );
+
+  const lastAssigned = new Map(rows.map((row) => [row.staff_id, row.last_appointment_id]));
+
+  // Array.prototype.sort is stable, so ties keep display order
+  return [...staffIds].sort((a, b) => (lastAssigned.get(a) || 0) - (lastAssigned.get(b) || 0));
+}
+
+module.exports = {
+  // Staff members
+  getStaff,
+  getStaffById,
+  getStaffForService,
+  createStaff,
+  updateStaff,
+
+  // Weekly hours
+  getStaffHours,
+  getStaffHoursForDay,
+  getHoursForStaff,
+  updateStaffHours,
+
+  // Blocked dates
+  isStaffDateBlocked,
+  getBlockedDatesForStaff,
+  getStaffBlockedDates,
+  addStaffBlockedDate,
+  removeStaffBlockedDate,
+
+  // Assignment
+  orderByRoundRobin,
+};
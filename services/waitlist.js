@@ -0,0 +1,289 @@
+/**
+ * Waitlist Service
+ * Clients who found no free slot wait for one on the dates they prefer.
+ * When a slot opens, the earliest waiting entries that fit in it get an offer email
+ * with a booking link; whoever books first takes the slot.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./database');
+const { queueEmail } = require('./emailQueue');
+const { getBookingPolicy } = require('./bookingPolicy');
+const { getAvailableSlotsForDate, filterNoticeSlots } = require('./availability');
+const { toMySQLDate } = require('../utils/timezone');
+const { info, debug } = require('../utils/logger');
+
+// Entries offered each opened slot, so one slow reply does not leave it empty
+const NOTIFY_LIMIT = parseInt(process.env.WAITLIST_NOTIFY_LIMIT, 10) || 3;
+
+const WAITLIST_STATUSES = ['waiting', 'notified', 'booked', 'removed'];
+
+/**
+ * Attach the preferred dates to waitlist rows
+ * @param {Array} rows - Waitlist rows
+ * @returns {Promise<Array>} - Rows with preferred_dates (YYYY-MM-DD, ascending)
+ */
+async function withPreferredDates(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const db = getDb();
+  const [dateRows] = await db.query(
+    `SELECT waitlist_id, preferred_date FROM waitlist_dates
+         WHERE waitlist_id IN (?)
+         ORDER BY preferred_date`,
+    [rows.map((row) => row.id)]
+  );
+
+  const datesById = new Map();
+  dateRows.forEach((row) => {
+    if (!datesById.has(row.waitlist_id)) {
+      datesById.set(row.waitlist_id, []);
+    }
+    datesById.get(row.waitlist_id).push(toMySQLDate(row.preferred_date));
+  });
+
+  return rows.map((row) => ({ ...row, preferred_dates: datesById.get(row.id) || [] }));
+}
+
+/**
+ * Add a client to the waitlist
+ * @param {object} entry - { client_name, client_email, client_phone, service_type, preferred_dates }
+ * @returns {Promise<object>} - Created entry
+ */
+async function addToWaitlist(entry) {
+  const db = getDb();
+  const connection = await db.getConnection();
+  const preferredDates = [...new Set(entry.preferred_dates)].sort();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      `INSERT INTO waitlist (client_name, client_email, client_phone, service_type)
+             VALUES (?, ?, ?, ?)`,
+      [entry.client_name, entry.client_email, entry.client_phone || null, entry.service_type]
+    );
+
+    await connection.query('INSERT INTO waitlist_dates (waitlist_id, preferred_date) VALUES ?', [
+      preferredDates.map((date) => [result.insertId, date]),
+    ]);
+
+    await connection.commit();
+
+    info(`Waitlist entry added for ${preferredDates.join(', ')}`);
+
+    return {
+      id: result.insertId,
+      client_name: entry.client_name,
+      client_email: entry.client_email,
+      client_phone: entry.client_phone || null,
+      service_type: entry.service_type,
+      preferred_dates: preferredDates,
+      status: 'waiting',
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Get waitlist entries, oldest first (admin)
+ * @param {object} filters - { status, date }
+ * @returns {Promise<Array>} - Entries with preferred_dates
+ */
+async function getWaitlist(filters = {}) {
+  const db = getDb();
+  let query = 'SELECT * FROM waitlist WHERE 1=1';
+  const params = [];
+
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+
+  if (filters.date) {
+    query +=
+      ' AND EXISTS (SELECT 1 FROM waitlist_dates d WHERE d.waitlist_id = waitlist.id AND d.preferred_date = ?)';
+    params.push(filters.date);
+  }
+
+  query += ' ORDER BY created_at ASC, id ASC';
+
+  const [rows] = await db.query(query, params);
+  return withPreferredDates(rows);
+}
+
+/**
+ * Get a waitlist entry by ID
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+async function getWaitlistEntryById(id) {
+  const db = getDb();
+  const [rows] = await db.query('SELECT * FROM waitlist WHERE id = ?', [id]);
+  const [entry] = await withPreferredDates(rows);
+  return entry || null;
+}
+
+/**
+ * Get the entry behind a booking link
+ * @param {string} offerToken
+ * @returns {Promise<object|null>}
+ */
+async function getWaitlistOffer(offerToken) {
+  const db = getDb();
+  const [rows] = await db.query('SELECT * FROM waitlist WHERE offer_token = ?', [offerToken]);
+  return rows[0] || null;
+}
+
+/**
+ * Set the status of an entry (admin), e.g. put a notified client back in line
+ * Back to waiting clears the previous offer
+ * @param {number} id
+ * @param {string} status - One of WAITLIST_STATUSES
+ * @returns {Promise<boolean>} - False if the entry does not exist
+ */
+async function updateWaitlistStatus(id, status) {
+  const db = getDb();
+  const clearOffer =
+    status === 'waiting'
+      ? ', offer_token = NULL, offered_date = NULL, offered_time = NULL, notified_at = NULL'
+      : '';
+
+  const [result] = await db.query(`UPDATE waitlist SET status = ?${clearOffer} WHERE id = ?`, [
+    status,
+    id,
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete an entry (admin)
+ * @param {number} id
+ * @returns {Promise<boolean>} - False if the entry does not exist
+ */
+async function deleteWaitlistEntry(id) {
+  const db = getDb();
+  const [result] = await db.query('DELETE FROM waitlist WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Close an offer once its client booked
+ * @param {string} offerToken
+ * @param {number} appointmentId
+ * @returns {Promise<void>}
+ */
+async function markWaitlistBooked(offerToken, appointmentId) {
+  const db = getDb();
+  await db.query(
+    `UPDATE waitlist SET status = 'booked', appointment_id = ?
+         WHERE offer_token = ? AND status = 'notified'`,
+    [appointmentId, offerToken]
+  );
+}
+
+/**
+ * Offer an opened slot to the earliest waiting entries for its date
+ * Entries whose service no longer fits anywhere that day are skipped; the rest are offered
+ * the opened time when it fits their service, or the first free time otherwise
+ * @param {string|Date} date - Date of the opened slot
+ * @param {string} [openedTime] - Start time of the opened slot (HH:mm:ss)
+ * @returns {Promise<number>} - Number of entries notified
+ */
+async function notifyWaitlist(date, openedTime = null) {
+  const db = getDb();
+  const dateStr = toMySQLDate(date);
+
+  const [entries] = await db.query(
+    `SELECT w.* FROM waitlist w
+         JOIN waitlist_dates d ON d.waitlist_id = w.id
+         WHERE d.preferred_date = ?
+         AND w.status = 'waiting'
+         ORDER BY w.created_at ASC, w.id ASC`,
+    [dateStr]
+  );
+
+  let notified = 0;
+
+  for (const entry of entries) {
+    if (notified >= NOTIFY_LIMIT) {
+      break;
+    }
+
+    const policy = await getBookingPolicy(entry.service_type);
+    const slots = filterNoticeSlots(
+      dateStr,
+      await getAvailableSlotsForDate(dateStr, entry.service_type),
+      policy
+    );
+
+    if (slots.length === 0) {
+      debug('Waitlist entry does not fit the opened day', { id: entry.id, date: dateStr });
+      continue;
+    }
+
+    const offer = {
+      offer_token: uuidv4(),
+      offered_date: dateStr,
+      offered_time: slots.includes(openedTime) ? openedTime : slots[0],
+    };
+
+    // The offer email is only queued if the entry is still waiting
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `UPDATE waitlist
+             SET status = 'notified', offer_token = ?, offered_date = ?, offered_time = ?,
+                 notified_at = NOW()
+             WHERE id = ? AND status = 'waiting'`,
+        [offer.offer_token, offer.offered_date, offer.offered_time, entry.id]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      await queueEmail(
+        'waitlist-slot-available',
+        entry.client_email,
+        { ...entry, ...offer },
+        connection
+      );
+
+      await connection.commit();
+      notified++;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  if (notified > 0) {
+    info(`Waitlist notified: ${notified} entries for ${dateStr}`);
+  }
+
+  return notified;
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  addToWaitlist,
+  getWaitlist,
+  getWaitlistEntryById,
+  getWaitlistOffer,
+  updateWaitlistStatus,
+  deleteWaitlistEntry,
+  markWaitlistBooked,
+  notifyWaitlist,
+};
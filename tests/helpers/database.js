@@ -4,8 +4,8 @@
  */
 
 const mysql = require('mysql2/promise');
-const fs = require('fs').promises;
-const path = require('path');
+const { migrate } = require('../../database/migrator');
+const { clearAvailabilityCache } = require('../../services/availabilityCache');
 
 /**
  * Create a test database connection (bypassing the pool)
@@ -52,7 +52,7 @@ async function dropTestDatabase() {
 }
 
 /**
- * Initialize test database schema
+ * Initialize test database schema from the migrations
  * @returns {Promise<void>}
  */
 async function initializeTestSchema() {
@@ -62,16 +62,10 @@ async function initializeTestSchema() {
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
-    multipleStatements: true,
   });
 
   try {
-    // Read schema file
-    const schemaPath = path.join(__dirname, '../../database/schema.sql');
-    const schema = await fs.readFile(schemaPath, 'utf8');
-
-    // Execute schema
-    await connection.query(schema);
+    await migrate(connection);
     console.log('✓ Test database schema initialized');
   } finally {
     await connection.end();
@@ -96,14 +90,34 @@ async function clearTestDatabase(pool = null) {
     // Truncate all tables
     await connection.query('TRUNCATE TABLE email_queue');
     await connection.query('TRUNCATE TABLE appointment_history');
+    await connection.query('TRUNCATE TABLE appointment_changes');
     await connection.query('TRUNCATE TABLE appointments');
+    await connection.query('TRUNCATE TABLE appointment_series');
+    await connection.query('TRUNCATE TABLE slot_holds');
+    await connection.query('TRUNCATE TABLE waitlist_dates');
+    await connection.query('TRUNCATE TABLE waitlist');
     await connection.query('TRUNCATE TABLE blocked_dates');
+    await connection.query('TRUNCATE TABLE blocked_times');
+    await connection.query('TRUNCATE TABLE holiday_settings');
+    await connection.query('TRUNCATE TABLE local_holidays');
+    await connection.query('TRUNCATE TABLE booking_settings');
+    await connection.query('TRUNCATE TABLE availability_intervals');
+    await connection.query('TRUNCATE TABLE availability_override_intervals');
+    await connection.query('TRUNCATE TABLE availability_overrides');
     await connection.query('TRUNCATE TABLE availability_settings');
+    await connection.query('TRUNCATE TABLE services');
+    await connection.query('TRUNCATE TABLE staff_services');
+    await connection.query('TRUNCATE TABLE staff_blocked_dates');
+    await connection.query('TRUNCATE TABLE staff_hours');
+    await connection.query('TRUNCATE TABLE staff');
     await connection.query('TRUNCATE TABLE admin_users');
 
     // Re-enable foreign key checks
     await connection.query('SET FOREIGN_KEY_CHECKS = 1');
 
+    // Cached slots belong to the data just removed
+    await clearAvailabilityCache();
+
     // Re-insert default availability settings
     await connection.query(`
             INSERT INTO availability_settings (day_of_week, is_working_day, start_time, end_time) VALUES
@@ -115,6 +129,21 @@ async function clearTestDatabase(pool = null) {
             (5, TRUE, '09:00:00', '17:00:00'),  -- Friday
             (6, FALSE, NULL, NULL)   -- Saturday
         `);
+
+    // Re-insert the default booking policy
+    await connection.query(
+      'INSERT INTO booking_settings (id, booking_window_days, minimum_notice_hours) VALUES (1, 60, 24)'
+    );
+
+    // Re-insert default services
+    await connection.query(`
+            INSERT INTO services (name, name_en, duration_minutes, buffer_minutes, display_order) VALUES
+            ('Φορολογική Δήλωση', 'Tax Return', 60, 0, 1),
+            ('Λογιστική Υποστήριξη', 'Accounting Support', 60, 0, 2),
+            ('Έναρξη Επιχείρησης', 'Business Startup', 90, 0, 3),
+            ('Μισθοδοσία', 'Payroll', 30, 0, 4),
+            ('Γενική Συμβουλευτική', 'General Consultation', 45, 15, 5)
+        `);
   } finally {
     // Release connection back to pool instead of closing it
     connection.release();
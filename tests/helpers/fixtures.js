@@ -5,6 +5,7 @@
 
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const { getNationalHolidaysForDate } = require('../../utils/holidays');
 
 /**
  * Generate a valid appointment data object
@@ -158,16 +159,19 @@ function getFutureWorkingDate(daysAhead = 1) {
   const date = new Date();
   date.setDate(date.getDate() + daysAhead);
 
-  // Skip weekends
-  while (date.getDay() === 0 || date.getDay() === 6) {
+  const format = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+  // Skip weekends and national holidays (the office is closed on both)
+  while (
+    date.getDay() === 0 ||
+    date.getDay() === 6 ||
+    getNationalHolidaysForDate(format(date)).length > 0
+  ) {
     date.setDate(date.getDate() + 1);
   }
 
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-
-  return `${year}-${month}-${day}`;
+  return format(date);
 }
 
 /**
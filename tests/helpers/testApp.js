@@ -34,9 +34,15 @@ function createTestApp() {
   // Mount API routes
   app.use('/api/appointments', require('../../routes/api/appointments'));
   app.use('/api/availability', require('../../routes/api/availability'));
+  app.use('/api/services', require('../../routes/api/services'));
+  app.use('/api/staff', require('../../routes/api/staff'));
+  app.use('/api/waitlist', require('../../routes/api/waitlist'));
   app.use('/api/admin', require('../../routes/admin/auth'));
   app.use('/api/admin/appointments', require('../../routes/admin/appointments'));
   app.use('/api/admin/availability', require('../../routes/admin/availability'));
+  app.use('/api/admin/services', require('../../routes/admin/services'));
+  app.use('/api/admin/staff', require('../../routes/admin/staff'));
+  app.use('/api/admin/waitlist', require('../../routes/admin/waitlist'));
 
   // Error handling middleware
   app.use((err, req, res, next) => {
@@ -7,9 +7,11 @@ const request = require('supertest');
 const { clearTestDatabase } = require('../../helpers/database');
 const { createTestApp } = require('../../helpers/testApp');
 const { getDb } = require('../../../services/database');
-const { toMySQLDate } = require('../../../utils/timezone');
+const { toMySQLDate, now, parseDate } = require('../../../utils/timezone');
 const { getTestDatabase } = require('../../helpers/testDatabase');
 const { seedAdminUser } = require('../../helpers/seeders');
+const { createAppointmentData, getFutureWorkingDate } = require('../../helpers/fixtures');
+const { queueEmail } = require('../../../services/emailQueue');
 
 jest.mock('../../../services/emailQueue');
 
@@ -88,6 +90,11 @@ describe('Admin Appointments API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.appointments).toHaveLength(1);
       expect(response.body.data.appointments[0].status).toBe('pending');
+      expect(response.body.data.appointments[0].allowed_statuses).toEqual([
+        'confirmed',
+        'declined',
+        'cancelled',
+      ]);
     });
 
     test('should filter appointments by date range', async () => {
@@ -152,6 +159,142 @@ describe('Admin Appointments API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/admin/appointments/export', () => {
+    beforeEach(async () => {
+      const db = getDb();
+      await db.query(
+        `INSERT INTO appointments (client_name, client_email, client_phone,
+                 appointment_date, appointment_time, service_type, status, notes, created_at)
+                VALUES
+                ('Γιάννης Παπαδόπουλος', 'john@example.com', '6912345678', '2025-12-10', '10:00:00', 'Φορολογική Δήλωση', 'pending', 'Φέρτε Ε1, Ε9', NOW()),
+                ('Jane Smith', 'jane@example.com', '0987654321', '2025-12-11', '11:00:00', 'Μισθοδοσία', 'confirmed', NULL, NOW())`
+      );
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/admin/appointments/export').expect(401);
+    });
+
+    test('should export CSV with a UTF-8 BOM and Greek headers', async () => {
+      const response = await agent.get('/api/admin/appointments/export').expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename=".*\.csv"/);
+      expect(response.text.charCodeAt(0)).toBe(0xfeff);
+
+      const lines = response.text.slice(1).trim().split('\r\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toContain('Ημερομηνία,Ώρα');
+      expect(lines[1]).toContain('2025-12-10,10:00,60,Γιάννης Παπαδόπουλος');
+      expect(lines[1]).toContain('"Φέρτε Ε1, Ε9"');
+    });
+
+    test('should honor the list filters', async () => {
+      const response = await agent
+        .get('/api/admin/appointments/export?status=confirmed&search=jane')
+        .expect(200);
+
+      const lines = response.text.slice(1).trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('Jane Smith');
+    });
+
+    test('should export an iCalendar file', async () => {
+      const response = await agent.get('/api/admin/appointments/export?format=ics').expect(200);
+
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(response.text).toContain('SUMMARY:Μισθοδοσία - Jane Smith');
+      expect(response.text.trim().endsWith('END:VCALENDAR')).toBe(true);
+    });
+
+    test('should reject unknown formats', async () => {
+      await agent.get('/api/admin/appointments/export?format=pdf').expect(400);
+    });
+  });
+
+  describe('POST /api/admin/appointments', () => {
+    const phoneBooking = (overrides = {}) =>
+      createAppointmentData({ appointment_date: getFutureWorkingDate(3), ...overrides });
+
+    test('should create a confirmed appointment without emailing the client', async () => {
+      queueEmail.mockClear();
+
+      const response = await agent
+        .post('/api/admin/appointments')
+        .send(phoneBooking({ status: 'confirmed', send_email: false }))
+        .expect(201);
+
+      expect(response.body.data.status).toBe('confirmed');
+      expect(queueEmail).not.toHaveBeenCalled();
+
+      const [history] = await getDb().query(
+        'SELECT old_status, new_status, changed_by FROM appointment_history WHERE appointment_id = ?',
+        [response.body.data.id]
+      );
+      expect(history).toEqual([{ old_status: null, new_status: 'confirmed', changed_by: 'admin' }]);
+    });
+
+    test('should reject a time outside working hours without an override', async () => {
+      const response = await agent
+        .post('/api/admin/appointments')
+        .send(phoneBooking({ appointment_time: '21:00:00' }))
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should book outside working hours with a recorded reason', async () => {
+      const response = await agent
+        .post('/api/admin/appointments')
+        .send(
+          phoneBooking({
+            appointment_time: '21:00:00',
+            override_hours: true,
+            override_reason: 'Deadline tomorrow',
+          })
+        )
+        .expect(201);
+
+      const [history] = await getDb().query(
+        'SELECT notes FROM appointment_history WHERE appointment_id = ?',
+        [response.body.data.id]
+      );
+      expect(history[0].notes).toContain('working hours');
+      expect(history[0].notes).toContain('Deadline tomorrow');
+    });
+
+    test('should book within the minimum notice only when overridden', async () => {
+      const soon = now().add(1, 'hours');
+      const booking = createAppointmentData({
+        appointment_date: soon.format('YYYY-MM-DD'),
+        appointment_time: soon.format('HH:mm:00'),
+      });
+
+      let response = await agent
+        .post('/api/admin/appointments')
+        .send({ ...booking, override_notice: true })
+        .expect(400);
+      expect(response.body.errors).toHaveProperty('override_reason');
+
+      response = await agent
+        .post('/api/admin/appointments')
+        .send({
+          ...booking,
+          override_notice: true,
+          override_hours: true,
+          override_reason: 'Walk-in client',
+        })
+        .expect(201);
+      expect(response.body.data.status).toBe('pending');
+    });
+
+    test('should require authentication', async () => {
+      await request(app).post('/api/admin/appointments').send(phoneBooking()).expect(401);
+    });
+  });
+
   describe('GET /api/admin/appointments/stats', () => {
     beforeEach(async () => {
       const db = getDb();
@@ -290,6 +433,11 @@ describe('Admin Appointments API Integration Tests', () => {
     });
 
     test('should complete appointment successfully', async () => {
+      await getDb().query('UPDATE appointments SET status = ? WHERE id = ?', [
+        'confirmed',
+        appointmentId,
+      ]);
+
       const response = await agent
         .put(`/api/admin/appointments/${appointmentId}/status`)
         .send({ status: 'completed' })
@@ -336,6 +484,65 @@ describe('Admin Appointments API Integration Tests', () => {
       expect(history[0].changed_by).toBe('admin');
     });
 
+    test('should mark a completed appointment as a no-show', async () => {
+      await getDb().query('UPDATE appointments SET status = ? WHERE id = ?', [
+        'completed',
+        appointmentId,
+      ]);
+
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}/status`)
+        .send({ status: 'no_show' })
+        .expect(200);
+
+      expect(response.body.data.newStatus).toBe('no_show');
+
+      const details = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      expect(details.body.data.appointment.no_show_count).toBe(1);
+    });
+
+    test('should not mark an upcoming appointment as a no-show', async () => {
+      await getDb().query('UPDATE appointments SET status = ?, appointment_date = ? WHERE id = ?', [
+        'confirmed',
+        '2099-12-10',
+        appointmentId,
+      ]);
+
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}/status`)
+        .send({ status: 'no_show' })
+        .expect(409);
+
+      expect(response.body.message).toContain('δεν έχει ξεκινήσει');
+
+      const details = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      expect(details.body.data.appointment.no_show_count).toBe(0);
+    });
+
+    test('should not mark a pending appointment as a no-show', async () => {
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}/status`)
+        .send({ status: 'no_show' })
+        .expect(409);
+
+      expect(response.body.message).toContain('Δεν προσήλθε');
+    });
+
+    test('should not reopen a completed appointment', async () => {
+      await getDb().query('UPDATE appointments SET status = ? WHERE id = ?', [
+        'completed',
+        appointmentId,
+      ]);
+
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}/status`)
+        .send({ status: 'confirmed' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Ολοκληρωμένο');
+    });
+
     test('should not allow status change for cancelled appointments', async () => {
       const db = getDb();
       await db.query('UPDATE appointments SET status = ? WHERE id = ?', [
@@ -346,10 +553,10 @@ describe('Admin Appointments API Integration Tests', () => {
       const response = await agent
         .put(`/api/admin/appointments/${appointmentId}/status`)
         .send({ status: 'confirmed' })
-        .expect(400);
+        .expect(409);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('ακυρωμένου');
+      expect(response.body.message).toContain('Ακυρωμένο');
     });
 
     test('should require authentication', async () => {
@@ -360,6 +567,139 @@ describe('Admin Appointments API Integration Tests', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    test("should cancel on the client's behalf and email the client", async () => {
+      queueEmail.mockClear();
+
+      await agent
+        .put(`/api/admin/appointments/${appointmentId}/status`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      expect(queueEmail).toHaveBeenCalledWith(
+        'cancellation-confirmation',
+        'john@example.com',
+        expect.objectContaining({ status: 'cancelled' })
+      );
+    });
+  });
+
+  describe('Recurring series', () => {
+    const firstDate = getFutureWorkingDate(3);
+    const weeksLater = (weeks) => parseDate(firstDate).add(weeks, 'weeks').format('YYYY-MM-DD');
+    let appointmentId;
+
+    /**
+     * Create a weekly series of three from the confirmed appointment
+     * @returns {Promise<object>} - Response body data
+     */
+    async function createWeeklySeries() {
+      const response = await agent
+        .post(`/api/admin/appointments/${appointmentId}/series`)
+        .send({ pattern: 'weekly', occurrences: 3 })
+        .expect(201);
+      return response.body.data;
+    }
+
+    beforeEach(async () => {
+      const response = await agent
+        .post('/api/admin/appointments')
+        .send(
+          createAppointmentData({
+            appointment_date: firstDate,
+            appointment_time: '10:00:00',
+            status: 'confirmed',
+            send_email: false,
+          })
+        )
+        .expect(201);
+      appointmentId = response.body.data.id;
+    });
+
+    test('should book the following dates and report the closed ones', async () => {
+      await getDb().query('INSERT INTO blocked_dates (blocked_date, reason) VALUES (?, ?)', [
+        weeksLater(1),
+        'Office closed',
+      ]);
+
+      const series = await createWeeklySeries();
+
+      expect(series.skipped).toContainEqual({ appointment_date: weeksLater(1), reason: 'closed' });
+      expect(series.created.length + series.skipped.length).toBe(2);
+
+      const [rows] = await getDb().query(
+        "SELECT id FROM appointments WHERE series_id = ? AND status = 'confirmed'",
+        [series.series_id]
+      );
+      expect(rows).toHaveLength(series.created.length + 1);
+    });
+
+    test('should only repeat confirmed appointments once', async () => {
+      await createWeeklySeries();
+
+      const response = await agent
+        .post(`/api/admin/appointments/${appointmentId}/series`)
+        .send({ pattern: 'weekly', occurrences: 3 })
+        .expect(409);
+      expect(response.body.message).toContain('σειρά');
+    });
+
+    test('should require how the series ends', async () => {
+      const response = await agent
+        .post(`/api/admin/appointments/${appointmentId}/series`)
+        .send({ pattern: 'monthly_date' })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('occurrences');
+    });
+
+    test('should move this and the following appointments', async () => {
+      const series = await createWeeklySeries();
+
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}/series`)
+        .send({ scope: 'following', appointment_time: '12:00:00' })
+        .expect(200);
+
+      expect(response.body.data.updated).toHaveLength(series.created.length + 1);
+
+      const [rows] = await getDb().query(
+        'SELECT DISTINCT appointment_time FROM appointments WHERE series_id = ?',
+        [series.series_id]
+      );
+      expect(rows).toEqual([{ appointment_time: '12:00:00' }]);
+    });
+
+    test('should cancel one appointment or it and the following ones', async () => {
+      const series = await createWeeklySeries();
+      const [last] = series.created.slice(-1);
+
+      await agent
+        .post(`/api/admin/appointments/${last.id}/series/cancel`)
+        .send({ scope: 'this' })
+        .expect(200);
+
+      const response = await agent
+        .post(`/api/admin/appointments/${appointmentId}/series/cancel`)
+        .send({ scope: 'following' })
+        .expect(200);
+      expect(response.body.data.cancelled).toHaveLength(series.created.length);
+
+      const [rows] = await getDb().query(
+        "SELECT COUNT(*) AS count FROM appointments WHERE series_id = ? AND status = 'cancelled'",
+        [series.series_id]
+      );
+      expect(rows[0].count).toBe(series.created.length + 1);
+    });
+
+    test('should require a series to cancel the following appointments', async () => {
+      const response = await agent
+        .post(`/api/admin/appointments/${appointmentId}/series/cancel`)
+        .send({ scope: 'following' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('PUT /api/admin/appointments/:id', () => {
@@ -374,6 +714,7 @@ describe('Admin Appointments API Integration Tests', () => {
                 '10:00:00', 'tax_declaration', 'pending', NOW())`
       );
       appointmentId = result.insertId;
+      queueEmail.mockClear();
     });
 
     test('should update appointment details successfully', async () => {
@@ -413,6 +754,83 @@ describe('Admin Appointments API Integration Tests', () => {
       expect(rows[0].appointment_time).toBe('14:00:00');
     });
 
+    test('should record the move and notify the client', async () => {
+      await agent
+        .put(`/api/admin/appointments/${appointmentId}`)
+        .send({
+          appointment_date: '2025-12-15',
+          appointment_time: '14:00:00',
+        })
+        .expect(200);
+
+      expect(queueEmail).toHaveBeenCalledWith(
+        'appointment-rescheduled',
+        'john@example.com',
+        expect.objectContaining({
+          appointment_date: '2025-12-15',
+          appointment_time: '14:00:00',
+          previous_date: '2025-12-10',
+          previous_time: '10:00:00',
+        })
+      );
+
+      const detail = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      expect(detail.body.data.history[0]).toMatchObject({
+        changed_by: 'admin',
+        old_date: '2025-12-10',
+        old_time: '10:00:00',
+        new_date: '2025-12-15',
+        new_time: '14:00:00',
+      });
+    });
+
+    test('should send the new length when the service changes with the time', async () => {
+      await agent
+        .put(`/api/admin/appointments/${appointmentId}`)
+        .send({
+          appointment_time: '14:00:00',
+          service_type: 'Έναρξη Επιχείρησης',
+        })
+        .expect(200);
+
+      expect(queueEmail).toHaveBeenCalledWith(
+        'appointment-rescheduled',
+        'john@example.com',
+        expect.objectContaining({
+          service_type: 'Έναρξη Επιχείρησης',
+          duration_minutes: 90,
+        })
+      );
+    });
+
+    test('should not notify the client when only details change', async () => {
+      await agent
+        .put(`/api/admin/appointments/${appointmentId}`)
+        .send({ notes: 'Updated notes' })
+        .expect(200);
+
+      expect(queueEmail).not.toHaveBeenCalled();
+    });
+
+    test('should record who changed which field with before and after values', async () => {
+      await agent
+        .put(`/api/admin/appointments/${appointmentId}`)
+        .send({ client_name: 'John Doe', client_phone: '6912345678', notes: 'Νέες σημειώσεις' })
+        .expect(200);
+
+      const response = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      const { changes } = response.body.data;
+
+      // Unchanged name is not recorded
+      expect(changes).toHaveLength(2);
+      expect(changes.map((change) => change.field_name).sort()).toEqual(['client_phone', 'notes']);
+      expect(changes.find((change) => change.field_name === 'client_phone')).toMatchObject({
+        admin_username: adminCredentials.username,
+        old_value: '1234567890',
+        new_value: '6912345678',
+      });
+    });
+
     test('should reject update if new time slot is taken', async () => {
       const db = getDb();
       // Create another appointment at target time
@@ -435,6 +853,25 @@ describe('Admin Appointments API Integration Tests', () => {
       expect(response.body.message).toContain('δεν είναι διαθέσιμη');
     });
 
+    test('should reject moving into a slot a client is holding', async () => {
+      await getDb().query(
+        `INSERT INTO slot_holds (hold_token, appointment_date, appointment_time,
+                 duration_minutes, expires_at)
+                VALUES ('123e4567-e89b-42d3-a456-426614174000', '2025-12-15', '14:00:00',
+                60, DATE_ADD(NOW(), INTERVAL 10 MINUTE))`
+      );
+
+      const response = await agent
+        .put(`/api/admin/appointments/${appointmentId}`)
+        .send({
+          appointment_date: '2025-12-15',
+          appointment_time: '14:00:00',
+        })
+        .expect(409);
+
+      expect(response.body.message).toContain('δεν είναι διαθέσιμη');
+    });
+
     test('should return 400 if no changes provided', async () => {
       const response = await agent
         .put(`/api/admin/appointments/${appointmentId}`)
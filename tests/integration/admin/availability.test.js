@@ -9,7 +9,9 @@ const { createTestApp } = require('../../helpers/testApp');
 const { getDb } = require('../../../services/database');
 const { toMySQLDate } = require('../../../utils/timezone');
 const { getTestDatabase } = require('../../helpers/testDatabase');
-const { seedAdminUser } = require('../../helpers/seeders');
+const { seedAdminUser, seedAppointments } = require('../../helpers/seeders');
+const { getFutureWorkingDate } = require('../../helpers/fixtures');
+const { processExpiredAppointments } = require('../../../services/pendingExpiry');
 
 jest.mock('../../../services/emailQueue');
 
@@ -115,6 +117,54 @@ describe('Admin Availability API Integration Tests', () => {
       expect(rows[0].end_time).toBe('17:00:00');
     });
 
+    test('should store several intervals for a day', async () => {
+      const days = Array(7)
+        .fill(null)
+        .map((_, i) => ({ day_of_week: i, is_working_day: false, intervals: [] }));
+      days[1] = {
+        day_of_week: 1,
+        is_working_day: true,
+        intervals: [
+          { start_time: '15:00', end_time: '17:00' },
+          { start_time: '09:00', end_time: '14:00' },
+        ],
+      };
+
+      await agent.put('/api/admin/availability/settings').send({ days }).expect(200);
+
+      const response = await agent.get('/api/admin/availability/settings').expect(200);
+      const monday = response.body.data.days[1];
+      expect(monday.intervals).toEqual([
+        { start_time: '09:00:00', end_time: '14:00:00' },
+        { start_time: '15:00:00', end_time: '17:00:00' },
+      ]);
+      expect(monday.start_time).toBe('09:00:00');
+      expect(monday.end_time).toBe('17:00:00');
+      expect(response.body.data.days[2].intervals).toEqual([]);
+    });
+
+    test('should reject overlapping intervals', async () => {
+      const days = Array(7)
+        .fill(null)
+        .map((_, i) => ({ day_of_week: i, is_working_day: false, intervals: [] }));
+      days[1] = {
+        day_of_week: 1,
+        is_working_day: true,
+        intervals: [
+          { start_time: '09:00:00', end_time: '14:00:00' },
+          { start_time: '13:00:00', end_time: '17:00:00' },
+        ],
+      };
+
+      const response = await agent
+        .put('/api/admin/availability/settings')
+        .send({ days })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('επικαλύπτονται');
+    });
+
     test('should require all 7 days', async () => {
       const settings = {
         days: [
@@ -240,6 +290,384 @@ describe('Admin Availability API Integration Tests', () => {
     });
   });
 
+  describe('Availability overrides', () => {
+    test('should replace the weekly hours of a date', async () => {
+      const date = getFutureWorkingDate(5);
+
+      const createResponse = await agent
+        .post('/api/admin/availability/overrides')
+        .send({
+          start_date: date,
+          reason: 'Φορολογική περίοδος',
+          intervals: [{ start_time: '11:00', end_time: '13:00' }],
+        })
+        .expect(201);
+
+      expect(createResponse.body.success).toBe(true);
+      expect(createResponse.body.data.end_date).toBe(date);
+
+      const listResponse = await agent.get('/api/admin/availability/overrides').expect(200);
+      expect(listResponse.body.data).toHaveLength(1);
+      expect(listResponse.body.data[0]).toMatchObject({
+        start_date: date,
+        end_date: date,
+        reason: 'Φορολογική περίοδος',
+        intervals: [{ start_time: '11:00:00', end_time: '13:00:00' }],
+      });
+
+      const slotsResponse = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      expect(slotsResponse.body.data.slots).toEqual(['11:00:00', '11:30:00', '12:00:00']);
+    });
+
+    test('should reject overlapping overrides', async () => {
+      const date = getFutureWorkingDate(5);
+      const override = {
+        start_date: date,
+        end_date: date,
+        intervals: [{ start_time: '09:00', end_time: '12:00' }],
+      };
+
+      await agent.post('/api/admin/availability/overrides').send(override).expect(201);
+      const response = await agent
+        .post('/api/admin/availability/overrides')
+        .send(override)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject an end date before the start date', async () => {
+      const response = await agent
+        .post('/api/admin/availability/overrides')
+        .send({
+          start_date: getFutureWorkingDate(6),
+          end_date: getFutureWorkingDate(2),
+          intervals: [{ start_time: '09:00', end_time: '12:00' }],
+        })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('end_date');
+    });
+
+    test('should remove an override', async () => {
+      const createResponse = await agent
+        .post('/api/admin/availability/overrides')
+        .send({
+          start_date: getFutureWorkingDate(5),
+          intervals: [{ start_time: '09:00', end_time: '12:00' }],
+        })
+        .expect(201);
+
+      await agent
+        .delete(`/api/admin/availability/overrides/${createResponse.body.data.id}`)
+        .expect(200);
+      await agent
+        .delete(`/api/admin/availability/overrides/${createResponse.body.data.id}`)
+        .expect(404);
+
+      const listResponse = await agent.get('/api/admin/availability/overrides').expect(200);
+      expect(listResponse.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('Blocked times', () => {
+    test('should block part of a day and remove its slots', async () => {
+      const date = getFutureWorkingDate(5);
+
+      const response = await agent
+        .post('/api/admin/availability/blocked-times')
+        .send({ blocked_date: date, start_time: '10:00', end_time: '12:00', reason: 'Σύσκεψη' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.conflicts).toEqual([]);
+      expect(response.body.warning).toBeUndefined();
+
+      const slotsResponse = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      const { slots } = slotsResponse.body.data;
+      expect(slots).toContain('09:00:00');
+      expect(slots).not.toContain('09:30:00');
+      expect(slots).not.toContain('11:00:00');
+      expect(slots).toContain('12:00:00');
+
+      const listResponse = await agent.get('/api/admin/availability/blocked-times').expect(200);
+      expect(listResponse.body.data[0]).toMatchObject({
+        blocked_date: date,
+        start_time: '10:00:00',
+        end_time: '12:00:00',
+        reason: 'Σύσκεψη',
+      });
+    });
+
+    test('should warn about appointments inside the block', async () => {
+      const date = getFutureWorkingDate(5);
+      const [appointmentId] = await seedAppointments(1, {
+        appointment_date: date,
+        appointment_time: '11:00:00',
+      });
+
+      const response = await agent
+        .post('/api/admin/availability/blocked-times')
+        .send({ blocked_date: date, start_time: '10:00', end_time: '12:00' })
+        .expect(201);
+
+      expect(response.body.data.conflicts).toHaveLength(1);
+      expect(response.body.data.conflicts[0].id).toBe(appointmentId);
+      expect(response.body.warning).toContain('11:00');
+    });
+
+    test('should reject a block that ends before it starts', async () => {
+      const response = await agent
+        .post('/api/admin/availability/blocked-times')
+        .send({ blocked_date: getFutureWorkingDate(5), start_time: '12:00', end_time: '10:00' })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('time_range');
+    });
+
+    test('should remove a block', async () => {
+      const createResponse = await agent
+        .post('/api/admin/availability/blocked-times')
+        .send({ blocked_date: getFutureWorkingDate(5), start_time: '10:00', end_time: '12:00' })
+        .expect(201);
+
+      await agent
+        .delete(`/api/admin/availability/blocked-times/${createResponse.body.data.id}`)
+        .expect(200);
+      await agent
+        .delete(`/api/admin/availability/blocked-times/${createResponse.body.data.id}`)
+        .expect(404);
+    });
+  });
+
+  describe('Booking policy', () => {
+    test('should return the default office policy', async () => {
+      const response = await agent.get('/api/admin/availability/booking-policy').expect(200);
+
+      expect(response.body.data).toEqual({
+        booking_window_days: 60,
+        minimum_notice_hours: 24,
+        slot_capacity: 1,
+      });
+    });
+
+    test('should update the office policy', async () => {
+      await agent
+        .put('/api/admin/availability/booking-policy')
+        .send({ booking_window_days: 90, minimum_notice_hours: 4, slot_capacity: 3 })
+        .expect(200);
+
+      const response = await request(app).get('/api/availability/policy').expect(200);
+      expect(response.body.data).toEqual({
+        booking_window_days: 90,
+        minimum_notice_hours: 4,
+        slot_capacity: 3,
+      });
+    });
+
+    test('should reject a policy out of range', async () => {
+      const response = await agent
+        .put('/api/admin/availability/booking-policy')
+        .send({ booking_window_days: 3, minimum_notice_hours: 24, slot_capacity: 1 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('booking_window_days');
+    });
+  });
+
+  describe('Pending expiry', () => {
+    test('should return the default threshold', async () => {
+      const response = await agent.get('/api/admin/availability/pending-expiry').expect(200);
+
+      expect(response.body.data).toEqual({ pending_expiry_hours: 48 });
+    });
+
+    test('should reject a threshold out of range', async () => {
+      const response = await agent
+        .put('/api/admin/availability/pending-expiry')
+        .send({ pending_expiry_hours: 0 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('pending_expiry_hours');
+    });
+
+    test('should expire pending appointments older than the stored threshold', async () => {
+      await agent
+        .put('/api/admin/availability/pending-expiry')
+        .send({ pending_expiry_hours: 6 })
+        .expect(200);
+
+      const [staleId, freshId] = await seedAppointments(2, {
+        appointment_date: getFutureWorkingDate(5),
+      });
+      await getDb().query(
+        'UPDATE appointments SET created_at = DATE_SUB(NOW(), INTERVAL 7 HOUR) WHERE id = ?',
+        [staleId]
+      );
+
+      expect(await processExpiredAppointments()).toBe(1);
+
+      const [rows] = await getDb().query(
+        'SELECT id, status FROM appointments WHERE id IN (?, ?) ORDER BY id',
+        [staleId, freshId]
+      );
+      expect(rows.map((row) => row.status)).toEqual(
+        staleId < freshId ? ['expired', 'pending'] : ['pending', 'expired']
+      );
+
+      const [history] = await getDb().query(
+        'SELECT changed_by, new_status FROM appointment_history WHERE appointment_id = ?',
+        [staleId]
+      );
+      expect(history).toEqual([{ changed_by: 'system', new_status: 'expired' }]);
+    });
+  });
+
+  describe('No-show rule', () => {
+    test('should be off by default', async () => {
+      const response = await agent.get('/api/admin/availability/no-show-rule').expect(200);
+
+      expect(response.body.data).toEqual({ no_show_approval_threshold: null });
+    });
+
+    test('should store a threshold and turn it off again', async () => {
+      await agent
+        .put('/api/admin/availability/no-show-rule')
+        .send({ no_show_approval_threshold: 2 })
+        .expect(200);
+      let response = await agent.get('/api/admin/availability/no-show-rule').expect(200);
+      expect(response.body.data.no_show_approval_threshold).toBe(2);
+
+      await agent
+        .put('/api/admin/availability/no-show-rule')
+        .send({ no_show_approval_threshold: null })
+        .expect(200);
+      response = await agent.get('/api/admin/availability/no-show-rule').expect(200);
+      expect(response.body.data.no_show_approval_threshold).toBeNull();
+    });
+
+    test('should reject a threshold out of range', async () => {
+      const response = await agent
+        .put('/api/admin/availability/no-show-rule')
+        .send({ no_show_approval_threshold: 0 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('no_show_approval_threshold');
+    });
+  });
+
+  describe('Availability cache', () => {
+    test('should serve repeated slot requests from the cache', async () => {
+      const date = getFutureWorkingDate(5);
+
+      await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      const before = await agent.get('/api/admin/availability/cache').expect(200);
+
+      const response = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      const after = await agent.get('/api/admin/availability/cache').expect(200);
+
+      expect(response.body.data.slots.length).toBeGreaterThan(0);
+      expect(after.body.data.hits).toBe(before.body.data.hits + 1);
+      expect(after.body.data.misses).toBe(before.body.data.misses);
+    });
+
+    test('should drop a cached date when it is blocked', async () => {
+      const date = getFutureWorkingDate(5);
+
+      await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      await agent
+        .post('/api/admin/availability/blocked-dates')
+        .send({ blocked_date: date, reason: 'Απογραφή' })
+        .expect(201);
+
+      const response = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      expect(response.body.data.slots).toEqual([]);
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/admin/availability/cache').expect(401);
+    });
+  });
+
+  describe('Holidays', () => {
+    test('should list the national holidays of a year', async () => {
+      const response = await agent.get('/api/admin/availability/holidays?year=2026').expect(200);
+
+      expect(response.body.data.year).toBe(2026);
+      expect(response.body.data.holidays).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            type: 'national',
+            key: 'clean_monday',
+            date: '2026-02-23',
+            is_enabled: true,
+          }),
+        ])
+      );
+    });
+
+    test('should switch a national holiday off and on', async () => {
+      await agent
+        .put('/api/admin/availability/holidays/national/ochi_day')
+        .send({ is_enabled: false })
+        .expect(200);
+
+      let response = await agent.get('/api/admin/availability/holidays?year=2026').expect(200);
+      let ochiDay = response.body.data.holidays.find((holiday) => holiday.key === 'ochi_day');
+      expect(ochiDay.is_enabled).toBe(false);
+
+      await agent
+        .put('/api/admin/availability/holidays/national/ochi_day')
+        .send({ is_enabled: true })
+        .expect(200);
+
+      response = await agent.get('/api/admin/availability/holidays?year=2026').expect(200);
+      ochiDay = response.body.data.holidays.find((holiday) => holiday.key === 'ochi_day');
+      expect(ochiDay.is_enabled).toBe(true);
+    });
+
+    test('should return 404 for an unknown national holiday', async () => {
+      await agent
+        .put('/api/admin/availability/holidays/national/unknown')
+        .send({ is_enabled: false })
+        .expect(404);
+    });
+
+    test('should close the office on a local holiday', async () => {
+      const date = getFutureWorkingDate(5);
+      const [, month, day] = date.split('-').map(Number);
+
+      const createResponse = await agent
+        .post('/api/admin/availability/holidays/local')
+        .send({ name: 'Πολιούχος', month, day })
+        .expect(201);
+
+      let slotsResponse = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      expect(slotsResponse.body.data.slots).toEqual([]);
+
+      await agent
+        .post('/api/admin/availability/holidays/local')
+        .send({ name: 'Δεύτερη γιορτή', month, day })
+        .expect(409);
+
+      await agent
+        .delete(`/api/admin/availability/holidays/local/${createResponse.body.data.id}`)
+        .expect(200);
+
+      slotsResponse = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+      expect(slotsResponse.body.data.slots.length).toBeGreaterThan(0);
+    });
+
+    test('should reject an invalid local holiday', async () => {
+      const response = await agent
+        .post('/api/admin/availability/holidays/local')
+        .send({ name: 'Πολιούχος', month: 2, day: 30 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('day');
+    });
+  });
+
   describe('GET /api/admin/availability/blocked-dates', () => {
     beforeEach(async () => {
       const db = getDb();
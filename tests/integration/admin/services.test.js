@@ -0,0 +1,181 @@
+/**
+ * Integration Tests - Admin Services API
+ * Tests for service catalog management and the public services list
+ */
+
+const request = require('supertest');
+const { clearTestDatabase } = require('../../helpers/database');
+const { createTestApp } = require('../../helpers/testApp');
+const { getTestDatabase } = require('../../helpers/testDatabase');
+const { seedAdminUser, seedAppointments } = require('../../helpers/seeders');
+const { getDb } = require('../../../services/database');
+
+jest.mock('../../../services/emailQueue');
+
+describe('Admin Services API Integration Tests', () => {
+  let app;
+  let agent;
+  let adminCredentials;
+
+  beforeAll(async () => {
+    await getTestDatabase();
+    app = createTestApp();
+
+    adminCredentials = await seedAdminUser({
+      username: 'admin_services',
+      password: 'SecurePass123!',
+      email: 'admin_services@example.com',
+    });
+
+    agent = request.agent(app);
+    await agent.post('/api/admin/login').send({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+    });
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+
+    await seedAdminUser({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+      email: adminCredentials.email,
+    });
+  });
+
+  describe('GET /api/services', () => {
+    test('should list active services in display order without authentication', async () => {
+      const response = await request(app).get('/api/services').expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(5);
+      expect(response.body.data[0]).toMatchObject({
+        name: 'Φορολογική Δήλωση',
+        name_en: 'Tax Return',
+        duration_minutes: 60,
+      });
+    });
+
+    test('should hide deactivated services', async () => {
+      const db = getDb();
+      await db.query("UPDATE services SET is_active = FALSE WHERE name = 'Μισθοδοσία'");
+
+      const response = await request(app).get('/api/services').expect(200);
+
+      const names = response.body.data.map((service) => service.name);
+      expect(names).not.toContain('Μισθοδοσία');
+    });
+  });
+
+  describe('GET /api/admin/services', () => {
+    test('should require authentication', async () => {
+      await request(app).get('/api/admin/services').expect(401);
+    });
+
+    test('should include inactive services', async () => {
+      const db = getDb();
+      await db.query("UPDATE services SET is_active = FALSE WHERE name = 'Μισθοδοσία'");
+
+      const response = await agent.get('/api/admin/services').expect(200);
+
+      expect(response.body.data).toHaveLength(5);
+    });
+  });
+
+  describe('POST /api/admin/services', () => {
+    test('should create a service at the end of the list', async () => {
+      const response = await agent
+        .post('/api/admin/services')
+        .send({
+          name: 'Κληρονομιές',
+          name_en: 'Inheritance',
+          description: 'Δηλώσεις φόρου κληρονομιάς',
+          duration_minutes: 60,
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        name: 'Κληρονομιές',
+        name_en: 'Inheritance',
+        buffer_minutes: 0,
+        display_order: 6,
+      });
+    });
+
+    test('should reject invalid data', async () => {
+      const response = await agent
+        .post('/api/admin/services')
+        .send({ name: 'Κληρονομιές', duration_minutes: 0 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('duration_minutes');
+    });
+
+    test('should reject a duplicate name', async () => {
+      await agent
+        .post('/api/admin/services')
+        .send({ name: 'Μισθοδοσία', duration_minutes: 30 })
+        .expect(409);
+    });
+  });
+
+  describe('PUT /api/admin/services/:id', () => {
+    test('should deactivate a service without touching its appointments', async () => {
+      const [appointmentId] = await seedAppointments(1, { service_type: 'Μισθοδοσία' });
+      const { body } = await agent.get('/api/admin/services');
+      const payroll = body.data.find((service) => service.name === 'Μισθοδοσία');
+
+      const response = await agent
+        .put(`/api/admin/services/${payroll.id}`)
+        .send({ is_active: false })
+        .expect(200);
+
+      expect(response.body.data.is_active).toBeFalsy();
+
+      const detail = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      expect(detail.body.data.service_type).toBe('Μισθοδοσία');
+    });
+
+    test('should carry a rename over to existing appointments', async () => {
+      const [appointmentId] = await seedAppointments(1, { service_type: 'Μισθοδοσία' });
+      const { body } = await agent.get('/api/admin/services');
+      const payroll = body.data.find((service) => service.name === 'Μισθοδοσία');
+
+      await agent
+        .put(`/api/admin/services/${payroll.id}`)
+        .send({ name: 'Μισθοδοσία & ΕΦΚΑ' })
+        .expect(200);
+
+      const detail = await agent.get(`/api/admin/appointments/${appointmentId}`).expect(200);
+      expect(detail.body.data.service_type).toBe('Μισθοδοσία & ΕΦΚΑ');
+    });
+
+    test('should return 404 for unknown service', async () => {
+      await agent.put('/api/admin/services/9999').send({ is_active: false }).expect(404);
+    });
+  });
+
+  describe('PUT /api/admin/services/reorder', () => {
+    test('should apply the new order', async () => {
+      const { body } = await agent.get('/api/admin/services');
+      const reversed = body.data.map((service) => service.id).reverse();
+
+      const response = await agent
+        .put('/api/admin/services/reorder')
+        .send({ order: reversed })
+        .expect(200);
+
+      expect(response.body.data.map((service) => service.id)).toEqual(reversed);
+    });
+
+    test('should reject an order missing services', async () => {
+      const { body } = await agent.get('/api/admin/services');
+
+      await agent
+        .put('/api/admin/services/reorder')
+        .send({ order: [body.data[0].id] })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Integration Tests - Admin Staff API
+ * Tests for staff management, staff schedules and the public staff list
+ */
+
+const request = require('supertest');
+const { clearTestDatabase } = require('../../helpers/database');
+const { createTestApp } = require('../../helpers/testApp');
+const { getTestDatabase } = require('../../helpers/testDatabase');
+const { seedAdminUser } = require('../../helpers/seeders');
+const { getFutureWorkingDate } = require('../../helpers/fixtures');
+
+jest.mock('../../../services/emailQueue');
+
+describe('Admin Staff API Integration Tests', () => {
+  let app;
+  let agent;
+  let adminCredentials;
+
+  beforeAll(async () => {
+    await getTestDatabase();
+    app = createTestApp();
+
+    adminCredentials = await seedAdminUser({
+      username: 'admin_staff',
+      password: 'SecurePass123!',
+      email: 'admin_staff@example.com',
+    });
+
+    agent = request.agent(app);
+    await agent.post('/api/admin/login').send({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+    });
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+
+    await seedAdminUser({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+      email: adminCredentials.email,
+    });
+  });
+
+  /**
+   * Create a staff member through the admin API
+   */
+  async function createStaffMember(data = {}) {
+    const response = await agent
+      .post('/api/admin/staff')
+      .send({ name: 'Μαρία Παπαδοπούλου', ...data })
+      .expect(201);
+    return response.body.data;
+  }
+
+  describe('POST /api/admin/staff', () => {
+    test('should require authentication', async () => {
+      await request(app).post('/api/admin/staff').send({ name: 'Μαρία' }).expect(401);
+    });
+
+    test('should create a staff member with the office hours', async () => {
+      const member = await createStaffMember({ email: 'maria@example.com' });
+
+      expect(member).toMatchObject({
+        name: 'Μαρία Παπαδοπούλου',
+        email: 'maria@example.com',
+        service_ids: [],
+      });
+
+      const hours = await agent.get(`/api/admin/staff/${member.id}/hours`).expect(200);
+      expect(hours.body.data.days).toHaveLength(7);
+      expect(hours.body.data.days[1].is_working_day).toBe(true);
+    });
+
+    test('should reject invalid data', async () => {
+      const response = await agent.post('/api/admin/staff').send({ name: '' }).expect(400);
+
+      expect(response.body.errors).toHaveProperty('name');
+    });
+  });
+
+  describe('PUT /api/admin/staff/:id', () => {
+    test('should update skills', async () => {
+      const member = await createStaffMember();
+      const { body } = await agent.get('/api/admin/services');
+
+      const response = await agent
+        .put(`/api/admin/staff/${member.id}`)
+        .send({ service_ids: [body.data[0].id] })
+        .expect(200);
+
+      expect(response.body.data.service_ids).toEqual([body.data[0].id]);
+    });
+
+    test('should return 404 for unknown staff member', async () => {
+      await agent.put('/api/admin/staff/9999').send({ is_active: false }).expect(404);
+    });
+  });
+
+  describe('Staff blocked dates', () => {
+    test('should block and unblock a date', async () => {
+      const member = await createStaffMember();
+      const date = getFutureWorkingDate(5);
+
+      const created = await agent
+        .post(`/api/admin/staff/${member.id}/blocked-dates`)
+        .send({ blocked_date: date, reason: 'Άδεια' })
+        .expect(201);
+
+      await agent
+        .post(`/api/admin/staff/${member.id}/blocked-dates`)
+        .send({ blocked_date: date })
+        .expect(409);
+
+      await agent
+        .delete(`/api/admin/staff/${member.id}/blocked-dates/${created.body.data.id}`)
+        .expect(200);
+    });
+  });
+
+  describe('Public staff availability', () => {
+    test('should list staff who handle a service', async () => {
+      const { body } = await agent.get('/api/admin/services');
+      await createStaffMember({ name: 'Μαρία', service_ids: [body.data[0].id] });
+      await createStaffMember({ name: 'Γιώργος', service_ids: [body.data[1].id] });
+
+      const response = await request(app)
+        .get('/api/staff')
+        .query({ service: body.data[0].name })
+        .expect(200);
+
+      expect(response.body.data.map((member) => member.name)).toEqual(['Μαρία']);
+    });
+
+    test('should hide slots on a date the only staff member is away', async () => {
+      const member = await createStaffMember();
+      const date = getFutureWorkingDate(5);
+
+      await agent
+        .post(`/api/admin/staff/${member.id}/blocked-dates`)
+        .send({ blocked_date: date })
+        .expect(201);
+
+      const response = await request(app).get(`/api/availability/slots/${date}`).expect(200);
+
+      expect(response.body.data.slots).toEqual([]);
+    });
+  });
+});
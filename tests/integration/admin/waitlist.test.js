@@ -0,0 +1,145 @@
+/**
+ * Integration Tests - Admin Waitlist API
+ * Tests for listing, notifying and managing waitlist entries
+ */
+
+const request = require('supertest');
+const { clearTestDatabase, query } = require('../../helpers/database');
+const { createTestApp } = require('../../helpers/testApp');
+const { getTestDatabase } = require('../../helpers/testDatabase');
+const { seedAdminUser } = require('../../helpers/seeders');
+const { getFutureWorkingDate } = require('../../helpers/fixtures');
+
+jest.mock('../../../services/emailQueue');
+
+describe('Admin Waitlist API Integration Tests', () => {
+  let app;
+  let agent;
+  let adminCredentials;
+
+  beforeAll(async () => {
+    await getTestDatabase();
+    app = createTestApp();
+
+    adminCredentials = await seedAdminUser({
+      username: 'admin_waitlist',
+      password: 'SecurePass123!',
+      email: 'admin_waitlist@example.com',
+    });
+
+    agent = request.agent(app);
+    await agent.post('/api/admin/login').send({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+    });
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+
+    await seedAdminUser({
+      username: adminCredentials.username,
+      password: adminCredentials.password,
+      email: adminCredentials.email,
+    });
+  });
+
+  /**
+   * Join the waitlist through the public API
+   */
+  async function joinWaitlist(dates = [getFutureWorkingDate(3)]) {
+    const response = await request(app)
+      .post('/api/waitlist')
+      .send({
+        client_name: 'Μαρία Παπαδοπούλου',
+        client_email: 'maria@example.com',
+        service_type: 'Φορολογική Δήλωση',
+        preferred_dates: dates,
+      })
+      .expect(201);
+    return response.body.data;
+  }
+
+  describe('GET /api/admin/waitlist', () => {
+    test('should require authentication', async () => {
+      await request(app).get('/api/admin/waitlist').expect(401);
+    });
+
+    test('should filter by preferred date', async () => {
+      await joinWaitlist([getFutureWorkingDate(3)]);
+      await joinWaitlist([getFutureWorkingDate(8)]);
+
+      const response = await agent
+        .get(`/api/admin/waitlist?date=${getFutureWorkingDate(8)}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].preferred_dates).toEqual([getFutureWorkingDate(8)]);
+    });
+
+    test('should reject an unknown status', async () => {
+      await agent.get('/api/admin/waitlist?status=unknown').expect(400);
+    });
+  });
+
+  describe('POST /api/admin/waitlist/notify', () => {
+    test('should offer the free slots of the date', async () => {
+      const entry = await joinWaitlist();
+
+      const response = await agent
+        .post('/api/admin/waitlist/notify')
+        .send({ date: getFutureWorkingDate(3) })
+        .expect(200);
+
+      expect(response.body.data.notified).toBe(1);
+
+      const [[row]] = await query('SELECT status, offer_token FROM waitlist WHERE id = ?', [
+        entry.id,
+      ]);
+      expect(row.status).toBe('notified');
+      expect(row.offer_token).toHaveLength(36);
+    });
+
+    test('should reject an invalid date', async () => {
+      await agent.post('/api/admin/waitlist/notify').send({ date: '02/11/2026' }).expect(400);
+    });
+  });
+
+  describe('PUT /api/admin/waitlist/:id/status', () => {
+    test('should put a notified entry back in line', async () => {
+      const entry = await joinWaitlist();
+      await agent.post('/api/admin/waitlist/notify').send({ date: getFutureWorkingDate(3) });
+
+      const response = await agent
+        .put(`/api/admin/waitlist/${entry.id}/status`)
+        .send({ status: 'waiting' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ status: 'waiting', offer_token: null });
+    });
+
+    test('should not allow setting booked by hand', async () => {
+      const entry = await joinWaitlist();
+
+      await agent
+        .put(`/api/admin/waitlist/${entry.id}/status`)
+        .send({ status: 'booked' })
+        .expect(400);
+    });
+
+    test('should return 404 for an unknown entry', async () => {
+      await agent.put('/api/admin/waitlist/9999/status').send({ status: 'removed' }).expect(404);
+    });
+  });
+
+  describe('DELETE /api/admin/waitlist/:id', () => {
+    test('should delete the entry and its dates', async () => {
+      const entry = await joinWaitlist();
+
+      await agent.delete(`/api/admin/waitlist/${entry.id}`).expect(200);
+
+      const [rows] = await query('SELECT * FROM waitlist_dates WHERE waitlist_id = ?', [entry.id]);
+      expect(rows).toHaveLength(0);
+    });
+  });
+});
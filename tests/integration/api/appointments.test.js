@@ -109,6 +109,62 @@ describe('Appointments API Integration Tests', () => {
       expect(response.body.message).toBeDefined();
     });
 
+    test('should fill a shared slot up to its capacity', async () => {
+      await query("UPDATE services SET slot_capacity = 2 WHERE name = 'Φορολογική Δήλωση'");
+      const appointmentData = createAppointmentData({
+        appointment_date: getFutureWorkingDate(2),
+        appointment_time: '10:00:00',
+      });
+
+      await request(app).post('/api/appointments/book').send(appointmentData).expect(201);
+
+      const slotsResponse = await request(app)
+        .get(`/api/availability/slots/${appointmentData.appointment_date}`)
+        .query({ service: 'Φορολογική Δήλωση' })
+        .expect(200);
+      expect(slotsResponse.body.data.capacity).toBe(2);
+      expect(slotsResponse.body.data.seats_left['10:00:00']).toBe(1);
+
+      await request(app)
+        .post('/api/appointments/book')
+        .send({ ...appointmentData, client_email: 'second@example.com' })
+        .expect(201);
+      await request(app)
+        .post('/api/appointments/book')
+        .send({ ...appointmentData, client_email: 'third@example.com' })
+        .expect(409);
+    });
+
+    test('should book a held slot and consume the hold', async () => {
+      const appointmentData = createAppointmentData({
+        appointment_date: getFutureWorkingDate(2),
+        appointment_time: '10:00:00',
+      });
+
+      const holdResponse = await request(app)
+        .post('/api/availability/hold')
+        .send({
+          date: appointmentData.appointment_date,
+          time: appointmentData.appointment_time,
+          service_type: appointmentData.service_type,
+        })
+        .expect(201);
+
+      // Someone else cannot take the held slot
+      await request(app)
+        .post('/api/appointments/book')
+        .send({ ...appointmentData, client_email: 'other@example.com' })
+        .expect(409);
+
+      await request(app)
+        .post('/api/appointments/book')
+        .send({ ...appointmentData, hold_token: holdResponse.body.data.hold_token })
+        .expect(201);
+
+      const [holds] = await query('SELECT id FROM slot_holds');
+      expect(holds).toHaveLength(0);
+    });
+
     test('should reject missing required fields', async () => {
       const response = await request(app).post('/api/appointments/book').send({}).expect(400);
 
@@ -139,6 +195,7 @@ describe('Appointments API Integration Tests', () => {
       expect(response.body.data).toMatchObject({
         client_email: appointmentData.client_email,
         status: 'pending',
+        can_cancel: true,
       });
     });
 
@@ -208,10 +265,88 @@ describe('Appointments API Integration Tests', () => {
       await request(app).post(`/api/appointments/${token}/cancel`).expect(200);
 
       // Try to cancel again
-      const response = await request(app).post(`/api/appointments/${token}/cancel`).expect(400);
+      const response = await request(app).post(`/api/appointments/${token}/cancel`).expect(409);
 
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBeDefined();
     });
   });
+
+  describe('POST /api/appointments/:token/reschedule', () => {
+    /**
+     * Book an appointment and return its cancellation token
+     */
+    async function bookAppointment(overrides = {}) {
+      const response = await request(app)
+        .post('/api/appointments/book')
+        .send(
+          createAppointmentData({
+            appointment_date: getFutureWorkingDate(2),
+            appointment_time: '10:00:00',
+            ...overrides,
+          })
+        )
+        .expect(201);
+      return response.body.data.cancellation_token;
+    }
+
+    test('should move appointment to a free slot', async () => {
+      const token = await bookAppointment();
+      const newDate = getFutureWorkingDate(3);
+
+      const response = await request(app)
+        .post(`/api/appointments/${token}/reschedule`)
+        .send({ appointment_date: newDate, appointment_time: '14:00:00' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        appointment_date: newDate,
+        appointment_time: '14:00:00',
+        previous_time: '10:00:00',
+      });
+
+      const [rows] = await query('SELECT * FROM appointments WHERE cancellation_token = ?', [
+        token,
+      ]);
+      expect(rows[0].appointment_time).toBe('14:00:00');
+      expect(rows[0].version).toBe(2);
+
+      const [history] = await query(
+        "SELECT * FROM appointment_history WHERE appointment_id = ? AND changed_by = 'client' AND new_time IS NOT NULL",
+        [rows[0].id]
+      );
+      expect(history.length).toBe(1);
+      expect(history[0].old_time).toBe('10:00:00');
+      expect(history[0].new_time).toBe('14:00:00');
+    });
+
+    test('should reject a slot that is already booked', async () => {
+      const date = getFutureWorkingDate(2);
+      await bookAppointment({ client_email: 'other@example.com', appointment_time: '12:00:00' });
+      const token = await bookAppointment();
+
+      const response = await request(app)
+        .post(`/api/appointments/${token}/reschedule`)
+        .send({ appointment_date: date, appointment_time: '12:00:00' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should not reschedule a cancelled appointment', async () => {
+      const token = await bookAppointment();
+      await request(app).post(`/api/appointments/${token}/cancel`).expect(200);
+
+      await request(app)
+        .post(`/api/appointments/${token}/reschedule`)
+        .send({ appointment_date: getFutureWorkingDate(3), appointment_time: '14:00:00' })
+        .expect(400);
+    });
+
+    test('should reject missing date and time', async () => {
+      const token = await bookAppointment();
+
+      await request(app).post(`/api/appointments/${token}/reschedule`).send({}).expect(400);
+    });
+  });
 });
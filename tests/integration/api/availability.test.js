@@ -8,6 +8,7 @@ const { clearTestDatabase } = require('../../helpers/database');
 const { createTestApp } = require('../../helpers/testApp');
 const { getFutureWorkingDate } = require('../../helpers/fixtures');
 const { getTestDatabase } = require('../../helpers/testDatabase');
+const { getDb } = require('../../../services/database');
 
 // Mock email queue
 jest.mock('../../../services/emailQueue');
@@ -206,6 +207,96 @@ describe('Public Availability API Integration Tests', () => {
     });
   });
 
+  describe('POST /api/availability/hold', () => {
+    const holdRequest = (date, extra = {}) => ({
+      date,
+      time: '10:00:00',
+      service_type: 'Φορολογική Δήλωση',
+      ...extra,
+    });
+
+    test('should hold a slot and hide it from other visitors', async () => {
+      const futureDate = getFutureWorkingDate(5);
+
+      const response = await request(app)
+        .post('/api/availability/hold')
+        .send(holdRequest(futureDate))
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        appointment_date: futureDate,
+        appointment_time: '10:00:00',
+        expires_in_seconds: expect.any(Number),
+      });
+      const holdToken = response.body.data.hold_token;
+      expect(holdToken).toHaveLength(36);
+
+      const others = await request(app)
+        .get(`/api/availability/slots/${futureDate}`)
+        .query({ service: 'Φορολογική Δήλωση' })
+        .expect(200);
+      expect(others.body.data.slots).not.toContain('10:00:00');
+
+      const holder = await request(app)
+        .get(`/api/availability/slots/${futureDate}`)
+        .query({ service: 'Φορολογική Δήλωση', hold: holdToken })
+        .expect(200);
+      expect(holder.body.data.slots).toContain('10:00:00');
+    });
+
+    test('should reject a slot another client holds', async () => {
+      const futureDate = getFutureWorkingDate(5);
+
+      await request(app).post('/api/availability/hold').send(holdRequest(futureDate)).expect(201);
+
+      const response = await request(app)
+        .post('/api/availability/hold')
+        .send(holdRequest(futureDate))
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should replace the previous hold of the client', async () => {
+      const futureDate = getFutureWorkingDate(5);
+
+      const first = await request(app)
+        .post('/api/availability/hold')
+        .send(holdRequest(futureDate))
+        .expect(201);
+
+      await request(app)
+        .post('/api/availability/hold')
+        .send(holdRequest(futureDate, { time: '11:00:00', hold_token: first.body.data.hold_token }))
+        .expect(201);
+
+      const [rows] = await getDb().query('SELECT appointment_time FROM slot_holds');
+      expect(rows).toEqual([{ appointment_time: '11:00:00' }]);
+    });
+
+    test('should free the slot once the hold expires', async () => {
+      const futureDate = getFutureWorkingDate(5);
+
+      await request(app).post('/api/availability/hold').send(holdRequest(futureDate)).expect(201);
+      await getDb().query('UPDATE slot_holds SET expires_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE)');
+
+      const response = await request(app)
+        .get(`/api/availability/slots/${futureDate}`)
+        .query({ service: 'Φορολογική Δήλωση' })
+        .expect(200);
+      expect(response.body.data.slots).toContain('10:00:00');
+    });
+
+    test('should reject an unknown service', async () => {
+      const response = await request(app)
+        .post('/api/availability/hold')
+        .send(holdRequest(getFutureWorkingDate(5), { service_type: 'Άγνωστη' }))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/availability/next', () => {
     test('should return next available slot', async () => {
       const response = await request(app).get('/api/availability/next').expect(200);
@@ -244,4 +335,35 @@ describe('Public Availability API Integration Tests', () => {
       }
     });
   });
+
+  describe('GET /api/availability/policy', () => {
+    test('should return the office booking policy', async () => {
+      const response = await request(app).get('/api/availability/policy').expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({
+        booking_window_days: 60,
+        minimum_notice_hours: 24,
+        slot_capacity: 1,
+      });
+    });
+
+    test('should apply the overrides of a service', async () => {
+      const db = getDb();
+      await db.query(
+        "UPDATE services SET minimum_notice_hours = 2 WHERE name = 'Φορολογική Δήλωση'"
+      );
+
+      const response = await request(app)
+        .get('/api/availability/policy')
+        .query({ service: 'Φορολογική Δήλωση' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        booking_window_days: 60,
+        minimum_notice_hours: 2,
+        slot_capacity: 1,
+      });
+    });
+  });
 });
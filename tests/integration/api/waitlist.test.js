@@ -0,0 +1,136 @@
+/**
+ * Integration Tests - Waitlist API
+ * Tests for joining the waitlist and booking through a waitlist offer
+ */
+
+const request = require('supertest');
+const { clearTestDatabase, query } = require('../../helpers/database');
+const { createAppointmentData, getFutureWorkingDate } = require('../../helpers/fixtures');
+const { createTestApp } = require('../../helpers/testApp');
+const { getTestDatabase } = require('../../helpers/testDatabase');
+const { notifyWaitlist } = require('../../../services/waitlist');
+
+jest.mock('../../../services/emailQueue');
+
+const { queueEmail } = require('../../../services/emailQueue');
+
+describe('Waitlist API Integration Tests', () => {
+  let app;
+
+  const waitlistData = (overrides = {}) => ({
+    client_name: 'Μαρία Παπαδοπούλου',
+    client_email: 'maria@example.com',
+    service_type: 'Φορολογική Δήλωση',
+    preferred_dates: [getFutureWorkingDate(3)],
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    await getTestDatabase();
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    queueEmail.mockClear();
+  });
+
+  describe('POST /api/waitlist', () => {
+    test('should add the client for each preferred date', async () => {
+      const dates = [getFutureWorkingDate(3), getFutureWorkingDate(6)];
+
+      const response = await request(app)
+        .post('/api/waitlist')
+        .send(waitlistData({ preferred_dates: dates }))
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ preferred_dates: dates, status: 'waiting' });
+
+      const [rows] = await query('SELECT * FROM waitlist_dates WHERE waitlist_id = ?', [
+        response.body.data.id,
+      ]);
+      expect(rows).toHaveLength(2);
+    });
+
+    test('should reject a request without dates', async () => {
+      const response = await request(app)
+        .post('/api/waitlist')
+        .send(waitlistData({ preferred_dates: [] }))
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('preferred_dates');
+    });
+
+    test('should reject an unknown service', async () => {
+      const response = await request(app)
+        .post('/api/waitlist')
+        .send(waitlistData({ service_type: 'Άγνωστη' }))
+        .expect(400);
+
+      expect(response.body.errors).toHaveProperty('service_type');
+    });
+  });
+
+  describe('GET /api/waitlist/offer/:token', () => {
+    test('should reject a malformed token', async () => {
+      await request(app).get('/api/waitlist/offer/short').expect(400);
+    });
+
+    test('should return 404 for an unknown token', async () => {
+      await request(app)
+        .get('/api/waitlist/offer/123e4567-e89b-42d3-a456-426614174000')
+        .expect(404);
+    });
+  });
+
+  describe('Booking through an offer', () => {
+    test('should email the offer and mark the entry booked once used', async () => {
+      const date = getFutureWorkingDate(3);
+      await request(app).post('/api/waitlist').send(waitlistData()).expect(201);
+
+      expect(await notifyWaitlist(date, '10:00:00')).toBe(1);
+      expect(queueEmail).toHaveBeenCalledWith(
+        'waitlist-slot-available',
+        'maria@example.com',
+        expect.objectContaining({ offered_date: date, offered_time: '10:00:00' }),
+        expect.anything()
+      );
+
+      const [[entry]] = await query('SELECT * FROM waitlist');
+      const offer = await request(app).get(`/api/waitlist/offer/${entry.offer_token}`).expect(200);
+
+      expect(offer.body.data).toMatchObject({
+        client_email: 'maria@example.com',
+        appointment_date: date,
+        appointment_time: '10:00:00',
+        status: 'notified',
+        available: true,
+      });
+
+      const booking = await request(app)
+        .post('/api/appointments/book')
+        .send(
+          createAppointmentData({
+            client_email: 'maria@example.com',
+            appointment_date: date,
+            appointment_time: '10:00:00',
+            waitlist_token: entry.offer_token,
+          })
+        )
+        .expect(201);
+
+      const [[booked]] = await query('SELECT * FROM waitlist WHERE id = ?', [entry.id]);
+      expect(booked.status).toBe('booked');
+      expect(booked.appointment_id).toBe(booking.body.data.id);
+    });
+
+    test('should not notify the same entry twice', async () => {
+      const date = getFutureWorkingDate(3);
+      await request(app).post('/api/waitlist').send(waitlistData()).expect(201);
+
+      await notifyWaitlist(date, '10:00:00');
+
+      expect(await notifyWaitlist(date, '11:00:00')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit Tests - Migration Runner
+ * Tests for migration file discovery, locking, applying and rolling back
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrator = require('../../../database/migrator');
+
+describe('Migration Runner', () => {
+  let dir;
+  let connection;
+  let appliedRows;
+
+  /**
+   * Write a migration file into the temporary migrations directory
+   */
+  function writeMigration(file, sql) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration('001_create_things.up.sql', '-- Things\nCREATE TABLE things (id INT);\n');
+    writeMigration('001_create_things.down.sql', 'DROP TABLE things;\n');
+    writeMigration(
+      '002_add_name.up.sql',
+      'ALTER TABLE things ADD COLUMN name TEXT;\nCREATE INDEX idx_name ON things (id);\n'
+    );
+    writeMigration('002_add_name.down.sql', 'ALTER TABLE things DROP COLUMN name;\n');
+
+    appliedRows = [];
+    connection = {
+      query: jest.fn(async (sql) => {
+        if (sql.startsWith('SELECT GET_LOCK')) return [[{ acquired: 1 }]];
+        if (sql.startsWith('SELECT version')) return [appliedRows];
+        return [{}];
+      }),
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * SQL statements sent to the connection, without the bookkeeping queries
+   */
+  function executedStatements() {
+    return connection.query.mock.calls
+      .map(([sql]) => sql)
+      .filter((sql) => !/GET_LOCK|RELEASE_LOCK|schema_migrations/.test(sql));
+  }
+
+  describe('splitStatements', () => {
+    test('should drop comment lines and split on semicolons', () => {
+      const result = migrator.splitStatements('-- Comment\nSELECT 1;\n\nSELECT 2;\n');
+
+      expect(result).toEqual(['SELECT 1', 'SELECT 2']);
+    });
+  });
+
+  describe('loadMigrations', () => {
+    test('should order migrations by version', () => {
+      writeMigration('010_later.up.sql', 'SELECT 1;');
+      writeMigration('010_later.down.sql', 'SELECT 1;');
+
+      const result = migrator.loadMigrations(dir);
+
+      expect(result.map((migration) => migration.version)).toEqual(['001', '002', '010']);
+      expect(result[0].name).toBe('create_things');
+    });
+
+    test('should reject a migration without a down file', () => {
+      writeMigration('003_one_way.up.sql', 'SELECT 1;');
+
+      expect(() => migrator.loadMigrations(dir)).toThrow('needs both up and down files');
+    });
+
+    test('should have an up and down file for every bundled migration', () => {
+      const result = migrator.loadMigrations();
+
+      expect(result.length).toBeGreaterThan(0);
+      expect(result[0].version).toBe('001');
+    });
+  });
+
+  describe('migrate', () => {
+    test('should apply pending migrations in order and record them', async () => {
+      appliedRows = [{ version: '001', name: 'create_things' }];
+
+      const result = await migrator.migrate(connection, { dir });
+
+      expect(result.map((migration) => migration.version)).toEqual(['002']);
+      expect(executedStatements()).toEqual([
+        'ALTER TABLE things ADD COLUMN name TEXT',
+        'CREATE INDEX idx_name ON things (id)',
+      ]);
+      expect(connection.query).toHaveBeenCalledWith(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        ['002', 'add_name']
+      );
+    });
+
+    test('should release the lock when a migration fails', async () => {
+      connection.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT GET_LOCK')) return [[{ acquired: 1 }]];
+        if (sql.startsWith('SELECT version')) return [[]];
+        if (sql.startsWith('CREATE TABLE things')) throw new Error('Table exists');
+        return [{}];
+      });
+
+      await expect(migrator.migrate(connection, { dir })).rejects.toThrow('Table exists');
+
+      const lastCall = connection.query.mock.calls[connection.query.mock.calls.length - 1];
+      expect(lastCall[0]).toBe('SELECT RELEASE_LOCK(?)');
+      expect(connection.query).not.toHaveBeenCalledWith(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        expect.anything()
+      );
+    });
+
+    test('should throw MIGRATION_LOCKED when another instance holds the lock', async () => {
+      connection.query.mockResolvedValueOnce([[{ acquired: 0 }]]);
+
+      await expect(migrator.migrate(connection, { dir })).rejects.toThrow('MIGRATION_LOCKED');
+
+      expect(connection.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rollback', () => {
+    test('should revert the latest migrations newest first', async () => {
+      appliedRows = [
+        { version: '001', name: 'create_things' },
+        { version: '002', name: 'add_name' },
+      ];
+
+      const result = await migrator.rollback(connection, { dir, steps: 2 });
+
+      expect(result.map((migration) => migration.version)).toEqual(['002', '001']);
+      expect(executedStatements()).toEqual([
+        'ALTER TABLE things DROP COLUMN name',
+        'DROP TABLE things',
+      ]);
+      expect(connection.query).toHaveBeenCalledWith(
+        'DELETE FROM schema_migrations WHERE version = ?',
+        ['002']
+      );
+    });
+
+    test('should do nothing when no migrations are applied', async () => {
+      const result = await migrator.rollback(connection, { dir });
+
+      expect(result).toEqual([]);
+      expect(executedStatements()).toEqual([]);
+    });
+  });
+
+  describe('getStatus', () => {
+    test('should mark applied and pending migrations', async () => {
+      const appliedAt = new Date('2025-12-01T10:00:00Z');
+      appliedRows = [{ version: '001', name: 'create_things', applied_at: appliedAt }];
+
+      const result = await migrator.getStatus(connection, { dir });
+
+      expect(result).toEqual([
+        { version: '001', name: 'create_things', applied: true, applied_at: appliedAt },
+        { version: '002', name: 'add_name', applied: false, applied_at: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests - Appointment Completion Service
+ * Tests for completing confirmed appointments that ended and the nightly schedule
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const appointmentCompletion = require('../../../services/appointmentCompletion');
+
+describe('Appointment Completion Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  describe('completePastAppointments', () => {
+    test('should complete ended appointments and record system history', async () => {
+      mockConnection.query.mockResolvedValueOnce([
+        [
+          { id: 3, status: 'confirmed', version: 1 },
+          { id: 4, status: 'confirmed', version: 2 },
+        ],
+      ]);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const completed = await appointmentCompletion.completePastAppointments();
+
+      expect(completed).toBe(2);
+
+      const [selectSql, selectParams] = mockConnection.query.mock.calls[0];
+      expect(selectSql).toContain("status = 'confirmed'");
+      expect(selectSql).toContain('INTERVAL duration_minutes MINUTE');
+      expect(selectSql).toContain('FOR UPDATE');
+      expect(selectParams[0]).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+      // Each appointment goes through the status change with optimistic locking
+      expect(mockConnection.query.mock.calls[1][1]).toEqual(['completed', null, 3, 1]);
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([
+        3,
+        'confirmed',
+        'completed',
+        'system',
+        'Completed automatically',
+      ]);
+      expect(mockConnection.query.mock.calls[3][1]).toEqual(['completed', null, 4, 2]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    test('should skip rows the transition table does not allow', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 3, status: 'cancelled', version: 1 }]]);
+
+      expect(await appointmentCompletion.completePastAppointments()).toBe(0);
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should return 0 when nothing ended', async () => {
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      expect(await appointmentCompletion.completePastAppointments()).toBe(0);
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    test('should rollback and return 0 on a database error', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 3, status: 'confirmed', version: 1 }]]);
+      mockConnection.query.mockRejectedValueOnce(new Error('Database error'));
+
+      expect(await appointmentCompletion.completePastAppointments()).toBe(0);
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('getDelayUntilNextRun', () => {
+    test('should wait at most one day', () => {
+      const delay = appointmentCompletion.getDelayUntilNextRun();
+
+      expect(delay).toBeGreaterThan(0);
+      expect(delay).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,373 @@
+/**
+ * Unit Tests - Appointment Series Service
+ * Tests for recurring dates, booking the occurrences and changing or cancelling them by scope
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/availability');
+jest.mock('../../../services/holidays');
+jest.mock('../../../services/serviceCatalog');
+jest.mock('../../../services/bookingPolicy');
+jest.mock('../../../services/slotHolds');
+jest.mock('../../../services/availabilityCache');
+jest.mock('../../../services/waitlist');
+jest.mock('../../../services/emailQueue', () => ({
+  queueEmail: jest.fn().mockResolvedValue({ id: 1 }),
+}));
+jest.mock('../../../services/appointments', () => ({
+  ...jest.requireActual('../../../services/appointments'),
+  createAppointment: jest.fn(),
+}));
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const availability = require('../../../services/availability');
+const holidays = require('../../../services/holidays');
+const bookingPolicy = require('../../../services/bookingPolicy');
+const slotHolds = require('../../../services/slotHolds');
+const availabilityCache = require('../../../services/availabilityCache');
+const waitlist = require('../../../services/waitlist');
+const emailQueue = require('../../../services/emailQueue');
+const appointments = require('../../../services/appointments');
+const appointmentSeries = require('../../../services/appointmentSeries');
+
+describe('Appointment Series Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  const appointment = {
+    id: 5,
+    client_name: 'Test Client',
+    client_email: 'client@example.com',
+    client_phone: '6912345678',
+    appointment_date: '2099-01-13',
+    appointment_time: '10:00:00',
+    service_type: 'Λογιστική Υποστήριξη',
+    staff_id: 2,
+    duration_minutes: 60,
+    buffer_minutes: 0,
+    notes: null,
+    status: 'confirmed',
+    series_id: null,
+    version: 1,
+  };
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+    availability.getOpeningHoursForDate.mockResolvedValue({ is_working_day: true });
+    availability.isDateBlocked.mockResolvedValue(false);
+    availability.isSlotAvailable.mockResolvedValue(true);
+    holidays.getHolidayForDate.mockResolvedValue(null);
+    bookingPolicy.getSlotCapacity.mockResolvedValue(1);
+    slotHolds.findConflictingHolds.mockResolvedValue([]);
+    waitlist.notifyWaitlist.mockResolvedValue(0);
+  });
+
+  describe('getSeriesDates', () => {
+    test('should repeat weekly for the number of occurrences', () => {
+      expect(
+        appointmentSeries.getSeriesDates('2099-01-13', {
+          pattern: 'weekly',
+          occurrences: 4,
+          end_date: null,
+        })
+      ).toEqual(['2099-01-20', '2099-01-27', '2099-02-03']);
+    });
+
+    test('should keep the weekday position in the month', () => {
+      // 13 January 2099 is the 2nd Tuesday
+      expect(
+        appointmentSeries.getSeriesDates('2099-01-13', {
+          pattern: 'monthly_weekday',
+          occurrences: 3,
+          end_date: null,
+        })
+      ).toEqual(['2099-02-10', '2099-03-10']);
+    });
+
+    test('should use the last weekday when a month has no 5th one', () => {
+      // 29 January 2099 is the 5th Thursday; February has four
+      expect(
+        appointmentSeries.getSeriesDates('2099-01-29', {
+          pattern: 'monthly_weekday',
+          occurrences: 2,
+          end_date: null,
+        })
+      ).toEqual(['2099-02-26']);
+    });
+
+    test('should move the date to the end of shorter months', () => {
+      expect(
+        appointmentSeries.getSeriesDates('2099-01-31', {
+          pattern: 'monthly_date',
+          occurrences: 3,
+          end_date: null,
+        })
+      ).toEqual(['2099-02-28', '2099-03-31']);
+    });
+
+    test('should stop at the end date', () => {
+      expect(
+        appointmentSeries.getSeriesDates('2099-01-13', {
+          pattern: 'monthly_date',
+          occurrences: null,
+          end_date: '2099-04-12',
+        })
+      ).toEqual(['2099-02-13', '2099-03-13']);
+    });
+  });
+
+  describe('createSeries', () => {
+    const recurrence = { pattern: 'weekly', occurrences: 4, end_date: null };
+
+    test('should book the free dates and report the others', async () => {
+      mockPool.query.mockResolvedValueOnce([{ insertId: 9 }]); // Series
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]); // Link the first appointment
+      availability.isDateBlocked.mockImplementation(async (date) => date === '2099-01-27');
+      availability.isSlotAvailable.mockImplementation(async (date) => date !== '2099-02-03');
+      appointments.createAppointment.mockResolvedValueOnce({ id: 6 });
+
+      const result = await appointmentSeries.createSeries(appointment, recurrence, 'admin');
+
+      expect(result).toEqual({
+        series_id: 9,
+        created: [{ id: 6, appointment_date: '2099-01-20' }],
+        skipped: [
+          { appointment_date: '2099-01-27', reason: 'closed' },
+          { appointment_date: '2099-02-03', reason: 'unavailable' },
+        ],
+      });
+      expect(availability.isSlotAvailable).toHaveBeenCalledWith(
+        '2099-01-20',
+        '10:00:00',
+        'Λογιστική Υποστήριξη',
+        2,
+        null,
+        null
+      );
+      expect(appointments.createAppointment).toHaveBeenCalledWith(
+        expect.objectContaining({ appointment_date: '2099-01-20', staff_id: 2 }),
+        expect.objectContaining({
+          createdBy: 'admin',
+          status: 'confirmed',
+          sendEmail: false,
+          seriesId: 9,
+        })
+      );
+    });
+
+    test('should report a date taken while the series was booked', async () => {
+      mockPool.query.mockResolvedValueOnce([{ insertId: 9 }]);
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      appointments.createAppointment
+        .mockResolvedValueOnce({ id: 6 })
+        .mockRejectedValueOnce(new Error('SLOT_ALREADY_BOOKED'))
+        .mockResolvedValueOnce({ id: 7 });
+
+      const result = await appointmentSeries.createSeries(appointment, recurrence, 'admin');
+
+      expect(result.created).toHaveLength(2);
+      expect(result.skipped).toEqual([{ appointment_date: '2099-01-27', reason: 'unavailable' }]);
+    });
+
+    test('should remove the series when no date could be booked', async () => {
+      mockPool.query.mockResolvedValueOnce([{ insertId: 9 }]);
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockPool.query.mockResolvedValue([{}]);
+      availability.isSlotAvailable.mockResolvedValue(false);
+
+      const error = await appointmentSeries
+        .createSeries(appointment, recurrence, 'admin')
+        .catch((err) => err);
+
+      expect(error.message).toBe('SERIES_NOT_BOOKED');
+      expect(error.skipped).toHaveLength(3);
+      expect(mockPool.query.mock.calls[2][1]).toEqual([5]);
+      expect(mockPool.query.mock.calls[3][0]).toContain('DELETE FROM appointment_series');
+    });
+
+    test('should only repeat confirmed appointments', async () => {
+      await expect(
+        appointmentSeries.createSeries({ ...appointment, status: 'pending' }, recurrence, 'admin')
+      ).rejects.toThrow('NOT_CONFIRMED');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should not start a second series from the same appointment', async () => {
+      mockPool.query.mockResolvedValueOnce([{ insertId: 9 }]);
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+      mockPool.query.mockResolvedValueOnce([{}]);
+
+      await expect(
+        appointmentSeries.createSeries(appointment, recurrence, 'admin')
+      ).rejects.toThrow('ALREADY_IN_SERIES');
+      expect(appointments.createAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSeries', () => {
+    const seriesAppointment = { ...appointment, series_id: 9 };
+
+    test('should move this and the following appointments where the time is free', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[seriesAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([
+        [seriesAppointment, { ...seriesAppointment, id: 6, appointment_date: '2099-02-10' }],
+      ]);
+      mockConnection.query.mockResolvedValueOnce([[]]); // 13 January is free
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]); // Reschedule history
+      mockConnection.query.mockResolvedValueOnce([{}]); // Field change
+      mockConnection.query.mockResolvedValueOnce([[{ id: 40 }]]); // 10 February is taken
+
+      const result = await appointmentSeries.updateSeries(
+        5,
+        'following',
+        { appointment_time: '12:00' },
+        { id: 1, username: 'admin' }
+      );
+
+      expect(result).toEqual({
+        updated: [5],
+        skipped: [{ id: 6, appointment_date: '2099-02-10', reason: 'unavailable' }],
+      });
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([9, '2099-01-13']);
+      expect(availability.isSlotAvailable).toHaveBeenCalledWith(
+        '2099-01-13',
+        '12:00:00',
+        'Λογιστική Υποστήριξη',
+        2,
+        null,
+        5
+      );
+      expect(slotHolds.findConflictingHolds).toHaveBeenCalledWith(
+        mockConnection,
+        expect.objectContaining({ date: '2099-01-13', time: '12:00:00', excludeId: 5 })
+      );
+      const [updateSql, updateParams] = mockConnection.query.mock.calls[4];
+      expect(updateSql).toContain('reminder_queued_at = NULL');
+      expect(updateParams).toEqual(['12:00:00', 5, 1]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(availabilityCache.invalidateDates).toHaveBeenCalledWith('2099-01-13');
+      expect(emailQueue.queueEmail).toHaveBeenCalledTimes(1);
+      expect(emailQueue.queueEmail).toHaveBeenCalledWith(
+        'appointment-rescheduled',
+        'client@example.com',
+        expect.objectContaining({
+          id: 5,
+          appointment_date: '2099-01-13',
+          appointment_time: '12:00:00',
+          previous_date: '2099-01-13',
+          previous_time: '10:00:00',
+        })
+      );
+    });
+
+    test('should keep the time on dates the office is closed or the time is blocked', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[seriesAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([
+        [seriesAppointment, { ...seriesAppointment, id: 6, appointment_date: '2099-02-10' }],
+      ]);
+      holidays.getHolidayForDate.mockImplementation(async (date) =>
+        date === '2099-01-13' ? { name: 'Holiday' } : null
+      );
+      availability.isSlotAvailable.mockResolvedValue(false); // 12:00 is in a time block
+
+      const result = await appointmentSeries.updateSeries(
+        5,
+        'following',
+        { appointment_time: '12:00:00' },
+        { id: 1, username: 'admin' }
+      );
+
+      expect(result).toEqual({
+        updated: [],
+        skipped: [
+          { id: 5, appointment_date: '2099-01-13', reason: 'closed' },
+          { id: 6, appointment_date: '2099-02-10', reason: 'unavailable' },
+        ],
+      });
+      expect(mockConnection.query).toHaveBeenCalledTimes(3);
+      expect(availabilityCache.invalidateDates).not.toHaveBeenCalled();
+      expect(emailQueue.queueEmail).not.toHaveBeenCalled();
+    });
+
+    test('should not change an appointment that is no longer active', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]);
+      mockConnection.query.mockResolvedValueOnce([[{ ...seriesAppointment, status: 'completed' }]]);
+
+      await expect(
+        appointmentSeries.updateSeries(5, 'this', { notes: 'x' }, { id: 1 })
+      ).rejects.toThrow('NOT_ACTIVE');
+      expect(mockConnection.query).toHaveBeenCalledTimes(2);
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should require a series for the following appointments', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]);
+      mockConnection.query.mockResolvedValueOnce([[appointment]]);
+
+      await expect(
+        appointmentSeries.updateSeries(5, 'following', { notes: 'x' }, { id: 1 })
+      ).rejects.toThrow('NOT_IN_SERIES');
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelSeries', () => {
+    const seriesAppointment = { ...appointment, series_id: 9 };
+
+    test('should cancel this and the following appointments', async () => {
+      mockConnection.query.mockResolvedValueOnce([[seriesAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([
+        [seriesAppointment, { ...seriesAppointment, id: 6, appointment_date: '2099-02-10' }],
+      ]);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const cancelled = await appointmentSeries.cancelSeries(5, 'following', 'admin');
+
+      expect(cancelled.map((item) => item.id)).toEqual([5, 6]);
+      expect(cancelled[1].status).toBe('cancelled');
+      expect(mockConnection.query.mock.calls[3][1]).toEqual([
+        5,
+        'confirmed',
+        'cancelled',
+        'admin',
+        'Cancelled by admin',
+      ]);
+      expect(availabilityCache.invalidateDates).toHaveBeenCalledWith('2099-01-13', '2099-02-10');
+      expect(waitlist.notifyWaitlist).toHaveBeenCalledTimes(2);
+      expect(emailQueue.queueEmail).toHaveBeenCalledTimes(2);
+      expect(emailQueue.queueEmail).toHaveBeenCalledWith(
+        'cancellation-confirmation',
+        'client@example.com',
+        expect.objectContaining({ id: 6, status: 'cancelled' })
+      );
+    });
+
+    test('should reject cancelling a cancelled appointment', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ ...appointment, status: 'cancelled' }]]);
+
+      await expect(appointmentSeries.cancelSeries(5, 'this', 'admin')).rejects.toThrow(
+        'NOT_ACTIVE'
+      );
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(waitlist.notifyWaitlist).not.toHaveBeenCalled();
+    });
+
+    test('should report a series with nothing left to cancel', async () => {
+      mockConnection.query.mockResolvedValueOnce([[seriesAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      await expect(appointmentSeries.cancelSeries(5, 'following', 'admin')).rejects.toThrow(
+        'NO_ACTIVE_APPOINTMENTS'
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests - Appointment Status Service
+ * Tests for the status transition table and the status change it guards
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+const appointmentStatus = require('../../../services/appointmentStatus');
+
+describe('Appointment Status Service', () => {
+  let mockConnection;
+
+  const appointment = { id: 7, status: 'pending', version: 2 };
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockConnection = createMockDbPool()._mockConnection;
+  });
+
+  describe('canTransition', () => {
+    test('should allow moves listed for the actor', () => {
+      expect(appointmentStatus.canTransition('pending', 'confirmed', 'admin')).toBe(true);
+      expect(appointmentStatus.canTransition('confirmed', 'cancelled', 'client')).toBe(true);
+      expect(appointmentStatus.canTransition('confirmed', 'completed', 'system')).toBe(true);
+      expect(appointmentStatus.canTransition('completed', 'no_show', 'admin')).toBe(true);
+    });
+
+    test("should let the office cancel on the client's behalf", () => {
+      expect(appointmentStatus.canTransition('pending', 'cancelled', 'admin')).toBe(true);
+      expect(appointmentStatus.canTransition('confirmed', 'cancelled', 'admin')).toBe(true);
+      expect(appointmentStatus.canTransition('completed', 'cancelled', 'admin')).toBe(false);
+    });
+
+    test('should reject moves out of final statuses', () => {
+      expect(appointmentStatus.canTransition('completed', 'confirmed', 'admin')).toBe(false);
+      expect(appointmentStatus.canTransition('declined', 'confirmed', 'admin')).toBe(false);
+      expect(appointmentStatus.canTransition('cancelled', 'cancelled', 'client')).toBe(false);
+    });
+
+    test('should reject moves the actor may not make', () => {
+      expect(appointmentStatus.canTransition('pending', 'confirmed', 'client')).toBe(false);
+      expect(appointmentStatus.canTransition('pending', 'expired', 'admin')).toBe(false);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(appointmentStatus.canTransition('unknown', 'confirmed', 'admin')).toBe(false);
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    test('should list the statuses the actor may move to', () => {
+      expect(appointmentStatus.getAllowedTransitions('confirmed', 'admin')).toEqual([
+        'completed',
+        'declined',
+        'cancelled',
+        'no_show',
+      ]);
+      expect(appointmentStatus.getAllowedTransitions('expired', 'admin')).toEqual([]);
+    });
+  });
+
+  describe('getTransitionMessage', () => {
+    test('should name both statuses in Greek', () => {
+      expect(appointmentStatus.getTransitionMessage('completed', 'confirmed')).toBe(
+        'Δεν επιτρέπεται η αλλαγή κατάστασης από «Ολοκληρωμένο» σε «Επιβεβαιωμένο».'
+      );
+    });
+
+    test('should explain a repeated move', () => {
+      expect(appointmentStatus.getTransitionMessage('cancelled', 'cancelled')).toContain('ήδη');
+    });
+  });
+
+  describe('changeStatus', () => {
+    test('should update with optimistic locking and record the history', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointmentStatus.changeStatus(
+        mockConnection,
+        appointment,
+        'declined',
+        'admin',
+        { notes: 'Fully booked', declineReason: 'Fully booked' }
+      );
+
+      expect(result).toMatchObject({
+        status: 'declined',
+        decline_reason: 'Fully booked',
+        version: 3,
+        previous_status: 'pending',
+      });
+      expect(mockConnection.query.mock.calls[0][1]).toEqual(['declined', 'Fully booked', 7, 2]);
+      expect(mockConnection.query.mock.calls[1][1]).toEqual([
+        7,
+        'pending',
+        'declined',
+        'admin',
+        'Fully booked',
+      ]);
+    });
+
+    test('should reject a move the table does not allow without writing', async () => {
+      await expect(
+        appointmentStatus.changeStatus(mockConnection, appointment, 'completed', 'admin')
+      ).rejects.toMatchObject({
+        message: 'INVALID_TRANSITION',
+        fromStatus: 'pending',
+        toStatus: 'completed',
+      });
+
+      expect(mockConnection.query).not.toHaveBeenCalled();
+    });
+
+    test('should not flag a no-show before the appointment starts', async () => {
+      const upcoming = {
+        id: 7,
+        status: 'confirmed',
+        version: 2,
+        appointment_date: '2099-12-15',
+        appointment_time: '10:00:00',
+      };
+
+      await expect(
+        appointmentStatus.changeStatus(mockConnection, upcoming, 'no_show', 'admin')
+      ).rejects.toThrow('NOT_STARTED');
+
+      expect(mockConnection.query).not.toHaveBeenCalled();
+    });
+
+    test('should flag a no-show once the appointment has started', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+      const past = {
+        id: 7,
+        status: 'confirmed',
+        version: 2,
+        appointment_date: '2020-01-10',
+        appointment_time: '10:00:00',
+      };
+
+      const result = await appointmentStatus.changeStatus(mockConnection, past, 'no_show', 'admin');
+
+      expect(result.status).toBe('no_show');
+    });
+
+    test('should detect a concurrent modification', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      await expect(
+        appointmentStatus.changeStatus(mockConnection, appointment, 'cancelled', 'client')
+      ).rejects.toThrow('CONCURRENT_MODIFICATION');
+
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
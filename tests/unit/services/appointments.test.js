@@ -9,6 +9,10 @@ const { createAppointmentData } = require('../../helpers/fixtures');
 // Mock dependencies before requiring the module
 jest.mock('../../../services/database');
 jest.mock('../../../services/availability');
+jest.mock('../../../services/serviceCatalog');
+jest.mock('../../../services/bookingPolicy');
+jest.mock('../../../services/slotHolds');
+jest.mock('../../../services/waitlist');
 jest.mock('../../../services/emailQueue', () => ({
   queueEmail: jest.fn().mockResolvedValue({ id: 1 }),
 }));
@@ -16,6 +20,10 @@ jest.mock('../../../utils/logger');
 
 const database = require('../../../services/database');
 const availability = require('../../../services/availability');
+const serviceCatalog = require('../../../services/serviceCatalog');
+const bookingPolicy = require('../../../services/bookingPolicy');
+const slotHolds = require('../../../services/slotHolds');
+const waitlist = require('../../../services/waitlist');
 const emailQueue = require('../../../services/emailQueue');
 const appointments = require('../../../services/appointments');
 
@@ -28,12 +36,24 @@ describe('Appointments Service', () => {
     mockPool = createMockDbPool();
     mockConnection = mockPool._mockConnection;
     database.getDb.mockReturnValue(mockPool);
+    serviceCatalog.getServiceByName.mockResolvedValue({
+      id: 1,
+      name: 'Φορολογική Δήλωση',
+      duration_minutes: 60,
+      buffer_minutes: 0,
+    });
+    bookingPolicy.getSlotCapacity.mockResolvedValue(1);
+    slotHolds.findConflictingHolds.mockResolvedValue([]);
+    slotHolds.deleteHold.mockResolvedValue(null);
+    waitlist.notifyWaitlist.mockResolvedValue(0);
   });
 
   describe('createAppointment', () => {
     test('should create appointment successfully', async () => {
       const appointmentData = createAppointmentData();
 
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+
       // Mock SELECT FOR UPDATE - no existing appointment
       mockConnection.query.mockResolvedValueOnce([[]]); // No conflict
 
@@ -59,6 +79,8 @@ describe('Appointments Service', () => {
     test('should rollback and throw error if slot already booked', async () => {
       const appointmentData = createAppointmentData();
 
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+
       // Mock SELECT FOR UPDATE - existing appointment found
       mockConnection.query.mockResolvedValueOnce([[{ id: 999 }]]);
 
@@ -72,6 +94,218 @@ describe('Appointments Service', () => {
       expect(mockConnection.release).toHaveBeenCalled();
     });
 
+    test('should store the service duration and buffer on the appointment', async () => {
+      const appointmentData = createAppointmentData();
+      serviceCatalog.getServiceByName.mockResolvedValueOnce({
+        id: 5,
+        name: 'Γενική Συμβουλευτική',
+        duration_minutes: 45,
+        buffer_minutes: 15,
+      });
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]);
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 2 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(appointmentData);
+
+      expect(result.duration_minutes).toBe(45);
+      expect(result.buffer_minutes).toBe(15);
+
+      // Conflict check covers the whole 60-minute range including buffer
+      const [conflictSql, conflictParams] = mockConnection.query.mock.calls[1];
+      expect(conflictSql).toContain('FOR UPDATE');
+      expect(conflictParams).toEqual([appointmentData.appointment_date, '11:00:00', '10:00:00']);
+
+      const insertParams = mockConnection.query.mock.calls[2][1];
+      expect(insertParams).toEqual(expect.arrayContaining([45, 15]));
+    });
+
+    test('should hold the booking for approval after repeated no-shows', async () => {
+      bookingPolicy.getNoShowApprovalThreshold.mockResolvedValueOnce(2);
+      mockPool.query.mockResolvedValueOnce([[{ count: 2 }]]); // No-shows of this client
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]);
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 4 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(createAppointmentData());
+
+      expect(result.requires_approval).toBe(true);
+      expect(result.status).toBe('pending');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['test@example.com']);
+      expect(mockConnection.query.mock.calls[2][0]).toContain('requires_approval');
+    });
+
+    test('should not hold the booking when the no-show rule is off', async () => {
+      bookingPolicy.getNoShowApprovalThreshold.mockResolvedValueOnce(null);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]);
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 5 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(createAppointmentData());
+
+      expect(result.requires_approval).toBe(false);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should create an admin booking as confirmed without emails', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]);
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 6 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(createAppointmentData(), {
+        createdBy: 'admin',
+        status: 'confirmed',
+        sendEmail: false,
+        notes: 'Booked by admin',
+      });
+
+      expect(result.status).toBe('confirmed');
+      expect(result.requires_approval).toBe(false);
+      expect(bookingPolicy.getNoShowApprovalThreshold).not.toHaveBeenCalled();
+      expect(mockConnection.query.mock.calls[2][1]).toEqual(expect.arrayContaining(['confirmed']));
+      expect(mockConnection.query.mock.calls[3][1]).toEqual([
+        6,
+        'confirmed',
+        'admin',
+        'Booked by admin',
+      ]);
+      expect(emailQueue.queueEmail).not.toHaveBeenCalled();
+    });
+
+    test('should take any staff member of the service outside working hours', async () => {
+      availability.getServiceStaffIds.mockResolvedValueOnce([4]);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]); // Staff 4 is free
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 7 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(createAppointmentData(), {
+        createdBy: 'admin',
+        overrideHours: true,
+      });
+
+      expect(result.staff_id).toBe(4);
+      expect(availability.getAvailableStaffForSlot).not.toHaveBeenCalled();
+      expect(emailQueue.queueEmail).toHaveBeenCalledTimes(1);
+      expect(emailQueue.queueEmail.mock.calls[0][0]).toBe('booking-confirmation');
+    });
+
+    test('should assign the first free staff member', async () => {
+      const appointmentData = createAppointmentData();
+      availability.getAvailableStaffForSlot.mockResolvedValueOnce([2, 3]);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[{ id: 50 }]]); // Staff 2 was just booked
+      mockConnection.query.mockResolvedValueOnce([[]]); // Staff 3 is free
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 3 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(appointmentData);
+
+      expect(result.staff_id).toBe(3);
+      expect(mockConnection.query.mock.calls[3][1]).toEqual(expect.arrayContaining([3]));
+      expect(mockConnection.query.mock.calls[4][1]).toEqual(expect.arrayContaining([3]));
+    });
+
+    test('should book a shared slot while seats are left', async () => {
+      const appointmentData = createAppointmentData();
+      bookingPolicy.getSlotCapacity.mockResolvedValueOnce(3);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([
+        [
+          { id: 7, appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 },
+          { id: 8, appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 },
+        ],
+      ]);
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 9 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.createAppointment(appointmentData);
+
+      expect(result.id).toBe(9);
+      expect(mockConnection.query.mock.calls[0][0]).toContain('booking_settings');
+      expect(mockConnection.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    });
+
+    test('should throw SLOT_ALREADY_BOOKED when the bookings fill every seat', async () => {
+      const appointmentData = createAppointmentData();
+      bookingPolicy.getSlotCapacity.mockResolvedValueOnce(2);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([
+        [
+          { id: 7, appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 },
+          { id: 8, appointment_time: '10:30:00', duration_minutes: 60, buffer_minutes: 0 },
+        ],
+      ]);
+
+      await expect(appointments.createAppointment(appointmentData)).rejects.toThrow(
+        'SLOT_ALREADY_BOOKED'
+      );
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should throw SLOT_ALREADY_BOOKED when no staff member is free', async () => {
+      const appointmentData = createAppointmentData();
+      availability.getAvailableStaffForSlot.mockResolvedValueOnce([]);
+
+      await expect(appointments.createAppointment(appointmentData)).rejects.toThrow(
+        'SLOT_ALREADY_BOOKED'
+      );
+
+      expect(mockPool.getConnection).not.toHaveBeenCalled();
+    });
+
+    test('should take over the client hold without counting it', async () => {
+      const holdToken = '123e4567-e89b-42d3-a456-426614174000';
+      const appointmentData = createAppointmentData({ hold_token: holdToken });
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]); // No conflict
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 4 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      await appointments.createAppointment(appointmentData);
+
+      expect(availability.getAvailableStaffForSlot).toHaveBeenCalledWith(
+        appointmentData.appointment_date,
+        '10:00:00',
+        appointmentData.service_type,
+        null,
+        holdToken
+      );
+      expect(slotHolds.findConflictingHolds).toHaveBeenCalledWith(
+        mockConnection,
+        expect.objectContaining({ holdToken })
+      );
+      expect(slotHolds.deleteHold).toHaveBeenCalledWith(mockConnection, holdToken);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should throw SLOT_ALREADY_BOOKED when another client holds the slot', async () => {
+      const appointmentData = createAppointmentData();
+      slotHolds.findConflictingHolds.mockResolvedValueOnce([
+        { appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 },
+      ]);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]); // No appointment
+
+      await expect(appointments.createAppointment(appointmentData)).rejects.toThrow(
+        'SLOT_ALREADY_BOOKED'
+      );
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
     test('should rollback on database error', async () => {
       const appointmentData = createAppointmentData();
 
@@ -87,6 +321,76 @@ describe('Appointments Service', () => {
     });
   });
 
+  describe('holdSlot', () => {
+    const holdData = {
+      appointment_date: '2026-11-02',
+      appointment_time: '10:00:00',
+      service_type: 'Φορολογική Δήλωση',
+      staff_id: null,
+    };
+
+    test('should hold a free slot', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]); // No conflict
+
+      const result = await appointments.holdSlot(holdData);
+
+      expect(result).toMatchObject({
+        appointment_date: '2026-11-02',
+        appointment_time: '10:00:00',
+        staff_id: null,
+        expires_in_seconds: slotHolds.HOLD_MINUTES * 60,
+      });
+      expect(result.hold_token).toHaveLength(36);
+      expect(slotHolds.insertHold).toHaveBeenCalledWith(
+        mockConnection,
+        expect.objectContaining({
+          token: result.hold_token,
+          date: '2026-11-02',
+          time: '10:00:00',
+          durationMinutes: 60,
+          bufferMinutes: 0,
+        })
+      );
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should replace the previous hold of the client', async () => {
+      const previousToken = '123e4567-e89b-42d3-a456-426614174000';
+      availability.getAvailableStaffForSlot.mockResolvedValueOnce([2]);
+      slotHolds.deleteHold.mockResolvedValueOnce('2026-11-03');
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[]]); // Staff 2 is free
+
+      const result = await appointments.holdSlot({ ...holdData, hold_token: previousToken });
+
+      expect(result.staff_id).toBe(2);
+      expect(result.hold_token).not.toBe(previousToken);
+      expect(slotHolds.findConflictingHolds).toHaveBeenCalledWith(
+        mockConnection,
+        expect.objectContaining({ staffId: 2, holdToken: previousToken })
+      );
+      expect(slotHolds.deleteHold).toHaveBeenCalledWith(mockConnection, previousToken);
+      expect(slotHolds.insertHold).toHaveBeenCalledWith(
+        mockConnection,
+        expect.objectContaining({ staffId: 2 })
+      );
+    });
+
+    test('should throw SLOT_ALREADY_BOOKED when the slot is taken', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([
+        [{ id: 7, appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 }],
+      ]);
+
+      await expect(appointments.holdSlot(holdData)).rejects.toThrow('SLOT_ALREADY_BOOKED');
+      expect(slotHolds.insertHold).not.toHaveBeenCalled();
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
   describe('getAppointmentById', () => {
     test('should return appointment if found', async () => {
       const mockAppointment = {
@@ -149,6 +453,8 @@ describe('Appointments Service', () => {
       const mockAppointment = {
         id: 1,
         cancellation_token: 'test-token-123',
+        appointment_date: '2026-11-02',
+        appointment_time: '10:00:00',
         status: 'pending',
         version: 1,
       };
@@ -171,6 +477,7 @@ describe('Appointments Service', () => {
       expect(mockConnection.beginTransaction).toHaveBeenCalled();
       expect(mockConnection.commit).toHaveBeenCalled();
       expect(mockConnection.release).toHaveBeenCalled();
+      expect(waitlist.notifyWaitlist).toHaveBeenCalledWith('2026-11-02', '10:00:00');
     });
 
     test('should throw error if appointment not found', async () => {
@@ -193,11 +500,181 @@ describe('Appointments Service', () => {
       mockConnection.query.mockResolvedValueOnce([[mockAppointment]]);
 
       await expect(appointments.cancelAppointment('test-token-123')).rejects.toThrow(
-        'ALREADY_CANCELLED'
+        'INVALID_TRANSITION'
       );
 
       expect(mockConnection.rollback).toHaveBeenCalled();
     });
+
+    test('should not cancel an appointment marked as a no-show', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1, status: 'no_show', version: 3 }]]);
+
+      await expect(appointments.cancelAppointment('test-token-123')).rejects.toThrow(
+        'INVALID_TRANSITION'
+      );
+    });
+
+    test('should not cancel an expired appointment', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1, status: 'expired', version: 2 }]]);
+
+      await expect(appointments.cancelAppointment('test-token-123')).rejects.toThrow(
+        'INVALID_TRANSITION'
+      );
+    });
+  });
+
+  describe('rescheduleAppointment', () => {
+    const mockAppointment = {
+      id: 1,
+      client_email: 'client@example.com',
+      cancellation_token: 'test-token-123',
+      appointment_date: '2025-12-15',
+      appointment_time: '10:00:00',
+      service_type: 'Φορολογική Δήλωση',
+      staff_id: null,
+      duration_minutes: 60,
+      buffer_minutes: 0,
+      status: 'confirmed',
+      version: 2,
+    };
+
+    test('should move appointment to the new slot', async () => {
+      mockPool.query.mockResolvedValueOnce([[mockAppointment]]); // Lookup by token
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[mockAppointment]]); // SELECT FOR UPDATE
+      mockConnection.query.mockResolvedValueOnce([[]]); // No conflict
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]); // UPDATE
+      mockConnection.query.mockResolvedValueOnce([{}]); // History INSERT
+
+      const result = await appointments.rescheduleAppointment(
+        'test-token-123',
+        '2025-12-16',
+        '11:00:00'
+      );
+
+      expect(result).toMatchObject({
+        appointment_date: '2025-12-16',
+        appointment_time: '11:00:00',
+        previous_date: '2025-12-15',
+        previous_time: '10:00:00',
+        version: 3,
+      });
+
+      // Conflict check ignores the appointment's own booking
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([
+        '2025-12-16',
+        '12:00:00',
+        '11:00:00',
+        1,
+      ]);
+      expect(mockConnection.query.mock.calls[4][1].slice(3)).toEqual([
+        'client',
+        'Rescheduled by client',
+        '2025-12-15',
+        '10:00:00',
+        '2025-12-16',
+        '11:00:00',
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(emailQueue.queueEmail).toHaveBeenCalledWith(
+        'reschedule-confirmation',
+        'client@example.com',
+        expect.objectContaining({ previous_date: '2025-12-15' })
+      );
+    });
+
+    test('should keep the current staff member when free', async () => {
+      const withStaff = { ...mockAppointment, staff_id: 3 };
+      availability.getAvailableStaffForSlot.mockResolvedValueOnce([2, 3]);
+      mockPool.query.mockResolvedValueOnce([[withStaff]]);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[withStaff]]);
+      mockConnection.query.mockResolvedValueOnce([[]]); // Staff 3 is free
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.rescheduleAppointment(
+        'test-token-123',
+        '2025-12-16',
+        '11:00:00'
+      );
+
+      expect(result.staff_id).toBe(3);
+    });
+
+    test('should move the appointment within its own time range', async () => {
+      const withStaff = { ...mockAppointment, staff_id: 3 };
+      availability.getAvailableStaffForSlot.mockResolvedValueOnce([3]);
+      mockPool.query.mockResolvedValueOnce([[withStaff]]);
+
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[withStaff]]);
+      mockConnection.query.mockResolvedValueOnce([[]]); // Only its own 10:00 booking, left out
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockConnection.query.mockResolvedValueOnce([{}]);
+
+      const result = await appointments.rescheduleAppointment(
+        'test-token-123',
+        '2025-12-15',
+        '10:30:00'
+      );
+
+      expect(result).toMatchObject({ appointment_time: '10:30:00', staff_id: 3 });
+      expect(availability.getAvailableStaffForSlot).toHaveBeenCalledWith(
+        '2025-12-15',
+        '10:30:00',
+        'Φορολογική Δήλωση',
+        null,
+        null,
+        1
+      );
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([
+        '2025-12-15',
+        '11:30:00',
+        '10:30:00',
+        3,
+        1,
+      ]);
+    });
+
+    test('should throw SLOT_ALREADY_BOOKED if the new slot is taken', async () => {
+      mockPool.query.mockResolvedValueOnce([[mockAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[mockAppointment]]);
+      mockConnection.query.mockResolvedValueOnce([[{ id: 99 }]]);
+
+      await expect(
+        appointments.rescheduleAppointment('test-token-123', '2025-12-16', '11:00:00')
+      ).rejects.toThrow('SLOT_ALREADY_BOOKED');
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    test('should throw CANNOT_RESCHEDULE for a cancelled appointment', async () => {
+      const cancelled = { ...mockAppointment, status: 'cancelled' };
+      mockPool.query.mockResolvedValueOnce([[cancelled]]);
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }]]); // Booking lock
+      mockConnection.query.mockResolvedValueOnce([[cancelled]]);
+
+      await expect(
+        appointments.rescheduleAppointment('test-token-123', '2025-12-16', '11:00:00')
+      ).rejects.toThrow('CANNOT_RESCHEDULE');
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should throw APPOINTMENT_NOT_FOUND for unknown token', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      await expect(
+        appointments.rescheduleAppointment('invalid-token', '2025-12-16', '11:00:00')
+      ).rejects.toThrow('APPOINTMENT_NOT_FOUND');
+
+      expect(mockPool.getConnection).not.toHaveBeenCalled();
+    });
   });
 
   describe('updateAppointmentStatus', () => {
@@ -226,6 +703,19 @@ describe('Appointments Service', () => {
       expect(mockConnection.commit).toHaveBeenCalled();
     });
 
+    test('should reject a move the transition table does not allow', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1, status: 'completed', version: 2 }]]);
+
+      await expect(appointments.updateAppointmentStatus(1, 'confirmed')).rejects.toMatchObject({
+        message: 'INVALID_TRANSITION',
+        fromStatus: 'completed',
+        toStatus: 'confirmed',
+      });
+
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
     test('should throw error for invalid status', async () => {
       await expect(appointments.updateAppointmentStatus(1, 'invalid_status')).rejects.toThrow();
     });
@@ -314,6 +804,17 @@ describe('Appointments Service', () => {
 
       expect(result.status).toBe('declined');
       expect(mockConnection.commit).toHaveBeenCalled();
+      expect(waitlist.notifyWaitlist).toHaveBeenCalled();
+    });
+
+    test('should not decline a completed appointment', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1, status: 'completed', version: 1 }]]);
+
+      await expect(appointments.declineAppointment(1, 'Entered by mistake')).rejects.toThrow(
+        'INVALID_TRANSITION'
+      );
+
+      expect(waitlist.notifyWaitlist).not.toHaveBeenCalled();
     });
 
     test('should handle concurrent modification', async () => {
@@ -333,4 +834,55 @@ describe('Appointments Service', () => {
       expect(mockConnection.rollback).toHaveBeenCalled();
     });
   });
+
+  describe('collectFieldChanges', () => {
+    test('should return only the fields whose value changed', () => {
+      const appointment = {
+        appointment_date: new Date('2025-12-15T00:00:00'),
+        client_name: 'Γιάννης Παπαδόπουλος',
+        client_phone: '6912345678',
+        notes: null,
+      };
+
+      const result = appointments.collectFieldChanges(appointment, {
+        appointment_date: '2025-12-15',
+        client_name: 'Γιάννης Παπαδόπουλος',
+        client_phone: '6987654321',
+        client_email: undefined,
+        notes: 'Φέρτε τα έντυπα',
+      });
+
+      expect(result).toEqual([
+        { field: 'client_phone', oldValue: '6912345678', newValue: '6987654321' },
+        { field: 'notes', oldValue: null, newValue: 'Φέρτε τα έντυπα' },
+      ]);
+    });
+  });
+
+  describe('recordFieldChanges', () => {
+    test('should insert one audit row per changed field', async () => {
+      mockConnection.query.mockResolvedValue([{ insertId: 1 }]);
+
+      await appointments.recordFieldChanges(
+        mockConnection,
+        7,
+        [
+          { field: 'client_email', oldValue: 'old@example.com', newValue: 'new@example.com' },
+          { field: 'staff_id', oldValue: '1', newValue: null },
+        ],
+        { id: 2, username: 'admin' }
+      );
+
+      expect(mockConnection.query).toHaveBeenCalledTimes(2);
+      expect(mockConnection.query.mock.calls[0][0]).toContain('INSERT INTO appointment_changes');
+      expect(mockConnection.query.mock.calls[0][1]).toEqual([
+        7,
+        2,
+        'admin',
+        'client_email',
+        'old@example.com',
+        'new@example.com',
+      ]);
+    });
+  });
 });
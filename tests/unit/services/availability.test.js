@@ -8,8 +8,16 @@ const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
 // Mock dependencies
 jest.mock('../../../services/database');
 jest.mock('../../../utils/logger');
+jest.mock('../../../services/staff');
+jest.mock('../../../services/holidays');
+jest.mock('../../../services/bookingPolicy');
+jest.mock('../../../services/availabilityCache');
 
 const database = require('../../../services/database');
+const staff = require('../../../services/staff');
+const holidays = require('../../../services/holidays');
+const bookingPolicy = require('../../../services/bookingPolicy');
+const availabilityCache = require('../../../services/availabilityCache');
 const availability = require('../../../services/availability');
 
 describe('Availability Service', () => {
@@ -19,6 +27,21 @@ describe('Availability Service', () => {
     resetAllMocks();
     mockPool = createMockDbPool();
     database.getDb.mockReturnValue(mockPool);
+
+    // No staff configured: the office hours form a single calendar
+    staff.getStaffForService.mockResolvedValue([]);
+    staff.isStaffDateBlocked.mockResolvedValue(false);
+    staff.orderByRoundRobin.mockImplementation(async (ids) => ids);
+
+    // No holidays unless a test sets one
+    holidays.getHolidayForDate.mockResolvedValue(null);
+
+    // One appointment per slot unless a test sets a capacity
+    bookingPolicy.getSlotCapacity.mockResolvedValue(1);
+
+    // Every lookup is a cache miss unless a test fills the cache
+    availabilityCache.getCachedSeats.mockResolvedValue(null);
+    availabilityCache.getCacheVersion.mockReturnValue(0);
   });
 
   describe('getAvailabilitySettings', () => {
@@ -33,11 +56,36 @@ describe('Availability Service', () => {
 
       const result = await availability.getAvailabilitySettings();
 
-      expect(result).toEqual(mockSettings);
+      expect(result).toEqual([
+        { ...mockSettings[0], intervals: [] },
+        { ...mockSettings[1], intervals: [{ start_time: '09:00:00', end_time: '17:00:00' }] },
+        { ...mockSettings[2], intervals: [{ start_time: '09:00:00', end_time: '17:00:00' }] },
+      ]);
       expect(mockPool.query).toHaveBeenCalledWith(
         expect.stringContaining('SELECT day_of_week, is_working_day, start_time, end_time')
       );
     });
+
+    test('should split the open intervals of each day', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          {
+            day_of_week: 1,
+            is_working_day: true,
+            start_time: '09:00:00',
+            end_time: '17:00:00',
+            intervals: '09:00:00-14:00:00,15:00:00-17:00:00',
+          },
+        ],
+      ]);
+
+      const [monday] = await availability.getAvailabilitySettings();
+
+      expect(monday.intervals).toEqual([
+        { start_time: '09:00:00', end_time: '14:00:00' },
+        { start_time: '15:00:00', end_time: '17:00:00' },
+      ]);
+    });
   });
 
   describe('getAvailabilityForDay', () => {
@@ -53,7 +101,10 @@ describe('Availability Service', () => {
 
       const result = await availability.getAvailabilityForDay(1);
 
-      expect(result).toEqual(mockDay);
+      expect(result).toEqual({
+        ...mockDay,
+        intervals: [{ start_time: '09:00:00', end_time: '17:00:00' }],
+      });
       expect(mockPool.query).toHaveBeenCalledWith(
         expect.stringContaining('WHERE day_of_week = ?'),
         [1]
@@ -172,16 +223,107 @@ describe('Availability Service', () => {
 
       expect(slots).toEqual(['09:00:00']);
     });
+
+    test('should only generate slots whose full duration fits', () => {
+      const slots = availability.generateTimeSlots('09:00:00', '11:00:00', 90, 30);
+
+      expect(slots).toEqual(['09:00:00', '09:30:00']);
+    });
+
+    test('should generate short slots on the given interval', () => {
+      const slots = availability.generateTimeSlots('09:00:00', '10:00:00', 30, 30);
+
+      expect(slots).toEqual(['09:00:00', '09:30:00']);
+    });
+  });
+
+  describe('generateIntervalSlots', () => {
+    test('should only generate slots inside the open intervals', () => {
+      const slots = availability.generateIntervalSlots(
+        [
+          { start_time: '09:00:00', end_time: '11:00:00' },
+          { start_time: '12:00:00', end_time: '13:00:00' },
+        ],
+        60,
+        30
+      );
+
+      expect(slots).toEqual(['09:00:00', '09:30:00', '10:00:00', '12:00:00']);
+    });
+
+    test('should return empty array without intervals', () => {
+      expect(availability.generateIntervalSlots([])).toEqual([]);
+    });
+  });
+
+  describe('clipIntervals', () => {
+    test('should limit intervals to a time range and drop empty ones', () => {
+      const result = availability.clipIntervals(
+        [
+          { start_time: '09:00:00', end_time: '14:00:00' },
+          { start_time: '15:00:00', end_time: '17:00:00' },
+        ],
+        '10:00:00',
+        '14:30:00'
+      );
+
+      expect(result).toEqual([{ start_time: '10:00:00', end_time: '14:00:00' }]);
+    });
+  });
+
+  describe('rangesOverlap', () => {
+    test('should detect overlapping ranges', () => {
+      expect(availability.rangesOverlap({ start: 540, end: 600 }, { start: 570, end: 630 })).toBe(
+        true
+      );
+    });
+
+    test('should treat back-to-back ranges as free', () => {
+      expect(availability.rangesOverlap({ start: 540, end: 600 }, { start: 600, end: 660 })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('filterNoticeSlots', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should drop slots inside the minimum notice', () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T06:00:00Z') });
+
+      const slots = ['09:00:00', '10:00:00', '11:00:00', '12:00:00'];
+      const result = availability.filterNoticeSlots('2025-06-16', slots, {
+        minimum_notice_hours: 2,
+      });
+
+      expect(result).toEqual(['11:00:00', '12:00:00']);
+    });
+
+    test('should keep every slot without a notice period', () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T06:00:00Z') });
+
+      const result = availability.filterNoticeSlots('2025-06-16', ['10:00:00'], {
+        minimum_notice_hours: 0,
+      });
+
+      expect(result).toEqual(['10:00:00']);
+    });
   });
 
   describe('isSlotAvailable', () => {
     test('should return true for available slot', async () => {
-      // Queries are called in this order: isDateBlocked, getAvailabilityForDay, getBookedTimesForDate
+      // Queries are called in this order: isDateBlocked, getOverrideForDate,
+      // getAvailabilityForDay, getBlockedRangesForDate, getBookedTimesForDate
 
       // Mock blocked dates - not blocked (called first)
       mockPool.query.mockResolvedValueOnce([[]]);
 
-      // Mock day settings - working day (called second)
+      // Mock date override - none
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      // Mock day settings - working day (called third)
       mockPool.query.mockResolvedValueOnce([
         [
           {
@@ -193,7 +335,10 @@ describe('Availability Service', () => {
         ],
       ]);
 
-      // Mock booked times - no bookings (called third)
+      // Mock time blocks - none
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      // Mock booked times - no bookings (called last)
       mockPool.query.mockResolvedValueOnce([[]]);
 
       const result = await availability.isSlotAvailable('2025-12-15', '10:00:00');
@@ -201,6 +346,33 @@ describe('Availability Service', () => {
       expect(result).toBe(true);
     });
 
+    test('should leave out the appointment being moved, bypassing the cache', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([
+          [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]); // Only the appointment's own 09:00 booking, left out
+
+      // Moving 09:00 to 09:30 overlaps the appointment's own range
+      const result = await availability.isSlotAvailable(
+        '2025-12-15',
+        '09:30:00',
+        null,
+        null,
+        null,
+        42
+      );
+
+      expect(result).toBe(true);
+      const [sql, params] = mockPool.query.mock.calls[4];
+      expect(sql).toContain('AND id != ?');
+      expect(params).toEqual(['2025-12-15', 42, '2025-12-15']);
+      expect(availabilityCache.getCachedSeats).not.toHaveBeenCalled();
+    });
+
     test('should return false for non-working day', async () => {
       // Mock day settings - non-working day
       mockPool.query.mockResolvedValueOnce([
@@ -267,12 +439,16 @@ describe('Availability Service', () => {
 
   describe('getAvailableSlotsForDate', () => {
     test('should return available slots for working day', async () => {
-      // Queries are called in this order: isDateBlocked, getAvailabilityForDay, getBookedTimesForDate
+      // Queries are called in this order: isDateBlocked, getOverrideForDate,
+      // getAvailabilityForDay, getBlockedRangesForDate, getBookedTimesForDate
 
       // Mock blocked dates - not blocked (called first)
       mockPool.query.mockResolvedValueOnce([[]]);
 
-      // Mock day settings (called second)
+      // Mock date override - none
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      // Mock day settings (called third)
       mockPool.query.mockResolvedValueOnce([
         [
           {
@@ -284,14 +460,70 @@ describe('Availability Service', () => {
         ],
       ]);
 
-      // Mock booked times - one slot booked (called third)
-      mockPool.query.mockResolvedValueOnce([[{ appointment_time: '10:00:00' }]]);
+      // Mock time blocks - none
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      // Mock booked ranges - one 60-minute slot booked (called last)
+      mockPool.query.mockResolvedValueOnce([
+        [{ appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 }],
+      ]);
 
       const result = await availability.getAvailableSlotsForDate('2025-12-15');
 
       expect(result).toEqual(['09:00:00', '11:00:00']);
     });
 
+    test('should size slots by service duration and buffer', async () => {
+      // Not blocked, no override, working day 09:00-12:00
+      mockPool.query.mockResolvedValueOnce([[]]);
+      mockPool.query.mockResolvedValueOnce([[]]);
+      mockPool.query.mockResolvedValueOnce([
+        [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '12:00:00' }],
+      ]);
+      mockPool.query.mockResolvedValueOnce([[]]); // No time blocks
+
+      // Service lookup - 45 minutes plus 15 minute buffer
+      mockPool.query.mockResolvedValueOnce([
+        [{ id: 5, name: 'Γενική Συμβουλευτική', duration_minutes: 45, buffer_minutes: 15 }],
+      ]);
+
+      // Existing 90-minute booking at 10:30
+      mockPool.query.mockResolvedValueOnce([
+        [{ appointment_time: '10:30:00', duration_minutes: 90, buffer_minutes: 0 }],
+      ]);
+
+      const result = await availability.getAvailableSlotsForDate(
+        '2025-12-15',
+        'Γενική Συμβουλευτική'
+      );
+
+      // 09:30 + 45 + 15 ends exactly at 10:30, so it is still free
+      expect(result).toEqual(['09:00:00', '09:30:00']);
+    });
+
+    test('should not offer slots during a lunch break', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+      mockPool.query.mockResolvedValueOnce([[]]);
+      mockPool.query.mockResolvedValueOnce([
+        [
+          {
+            day_of_week: 1,
+            is_working_day: true,
+            start_time: '12:00:00',
+            end_time: '16:00:00',
+            intervals: '12:00:00-14:00:00,15:00:00-16:00:00',
+          },
+        ],
+      ]);
+      mockPool.query.mockResolvedValueOnce([[]]); // No time blocks
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-15');
+
+      // 13:30 would run into the break, 14:00 and 14:30 start during it
+      expect(result).toEqual(['12:00:00', '12:30:00', '13:00:00', '15:00:00']);
+    });
+
     test('should return empty array for non-working day', async () => {
       // Mock day settings - non-working
       mockPool.query.mockResolvedValueOnce([
@@ -330,5 +562,694 @@ describe('Availability Service', () => {
 
       expect(result).toEqual([]);
     });
+
+    test('should return empty array on a holiday', async () => {
+      // Mock blocked dates - not blocked
+      mockPool.query.mockResolvedValueOnce([[]]);
+      holidays.getHolidayForDate.mockResolvedValueOnce({
+        type: 'national',
+        key: 'clean_monday',
+        name: 'Καθαρά Δευτέρα',
+      });
+
+      const result = await availability.getAvailableSlotsForDate('2026-02-23');
+
+      expect(result).toEqual([]);
+      expect(holidays.getHolidayForDate).toHaveBeenCalledWith('2026-02-23');
+      // The weekly hours are not loaded
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('slot capacity', () => {
+    const workingDay = {
+      day_of_week: 1,
+      is_working_day: true,
+      start_time: '09:00:00',
+      end_time: '11:00:00',
+    };
+
+    test('should count the seats left around overlapping bookings', async () => {
+      bookingPolicy.getSlotCapacity.mockResolvedValue(2);
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([
+          [
+            { appointment_time: '09:00:00', duration_minutes: 60, buffer_minutes: 0 },
+            { appointment_time: '09:00:00', duration_minutes: 30, buffer_minutes: 0 },
+          ],
+        ]);
+
+      const result = await availability.getSlotSeatsForDate('2025-12-15');
+
+      // 09:00 is full, from 09:30 only the 60-minute booking is still running
+      expect(result).toEqual({ '09:30:00': 1, '10:00:00': 2 });
+    });
+
+    test('should leave out slots that touch a time block whatever the capacity', async () => {
+      bookingPolicy.getSlotCapacity.mockResolvedValue(5);
+      mockPool.query
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[{ start_time: '09:00:00', end_time: '09:30:00' }]])
+        .mockResolvedValueOnce([[]]);
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-15');
+
+      expect(result).toEqual(['09:30:00', '10:00:00']);
+    });
+  });
+
+  describe('time blocks', () => {
+    const workingDay = {
+      day_of_week: 2,
+      is_working_day: true,
+      start_time: '09:00:00',
+      end_time: '13:00:00',
+    };
+
+    test('should remove slots that overlap a time block', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[{ start_time: '10:00:00', end_time: '12:00:00' }]])
+        .mockResolvedValueOnce([[]]); // No bookings
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-16');
+
+      // 09:30 would run into the block
+      expect(result).toEqual(['09:00:00', '12:00:00']);
+    });
+
+    test('should reject a time inside a block', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[{ start_time: '10:00:00', end_time: '12:00:00' }]])
+        .mockResolvedValueOnce([[]]);
+
+      const result = await availability.isSlotAvailable('2025-12-16', '10:30:00');
+
+      expect(result).toBe(false);
+    });
+
+    test('should find pending and confirmed appointments overlapping a range', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { id: 1, appointment_time: '09:00:00', duration_minutes: 60, status: 'confirmed' },
+          { id: 2, appointment_time: '09:30:00', duration_minutes: 60, status: 'pending' },
+          { id: 3, appointment_time: '12:00:00', duration_minutes: 30, status: 'confirmed' },
+        ],
+      ]);
+
+      const result = await availability.getAppointmentsInTimeRange(
+        '2025-12-16',
+        '10:00:00',
+        '12:00:00'
+      );
+
+      expect(result.map((appointment) => appointment.id)).toEqual([2]);
+      expect(mockPool.query.mock.calls[0][0]).toContain("status IN ('pending', 'confirmed')");
+    });
+
+    test('should create a block and return conflicting appointments', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([{ insertId: 5 }])
+        .mockResolvedValueOnce([
+          [{ id: 7, appointment_time: '10:00:00', duration_minutes: 60, status: 'confirmed' }],
+        ]);
+
+      const result = await availability.createBlockedTime({
+        blocked_date: '2025-12-16',
+        start_time: '10:00',
+        end_time: '12:00',
+        reason: 'Σύσκεψη',
+      });
+
+      expect(result.id).toBe(5);
+      expect(result.conflicts).toHaveLength(1);
+      expect(mockPool.query.mock.calls[0][1]).toEqual([
+        '2025-12-16',
+        '10:00:00',
+        '12:00:00',
+        'Σύσκεψη',
+      ]);
+    });
+  });
+
+  describe('date overrides', () => {
+    test('should use override intervals instead of the weekly hours', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([
+          [
+            {
+              id: 3,
+              start_date: '2025-12-24',
+              end_date: '2025-12-24',
+              reason: 'Παραμονή',
+              intervals: '09:00:00-11:00:00',
+            },
+          ],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]); // No bookings
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-24');
+
+      expect(result).toEqual(['09:00:00', '09:30:00', '10:00:00']);
+      // The weekly settings are not loaded
+      expect(mockPool.query).toHaveBeenCalledTimes(4);
+      expect(mockPool.query.mock.calls[1][0]).toContain('availability_overrides');
+      expect(mockPool.query.mock.calls[1][1]).toEqual(['2025-12-24']);
+    });
+
+    test('should open a non-working weekday', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          {
+            id: 4,
+            start_date: '2025-12-13',
+            end_date: '2025-12-14',
+            intervals: '10:00:00-12:00:00',
+          },
+        ],
+      ]);
+
+      const result = await availability.getOpeningHoursForDate('2025-12-14');
+
+      expect(result).toMatchObject({
+        is_working_day: true,
+        start_time: '10:00:00',
+        end_time: '12:00:00',
+        intervals: [{ start_time: '10:00:00', end_time: '12:00:00' }],
+      });
+    });
+
+    test('should reject an override that overlaps another', async () => {
+      const connection = mockPool._mockConnection;
+      connection.query.mockResolvedValueOnce([[{ id: 1 }]]);
+
+      await expect(
+        availability.createOverride({
+          start_date: '2025-12-20',
+          end_date: '2025-12-24',
+          intervals: [{ start_time: '09:00', end_time: '12:00' }],
+        })
+      ).rejects.toThrow('OVERRIDE_OVERLAP');
+
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('should store an override with its intervals', async () => {
+      const connection = mockPool._mockConnection;
+      connection.query
+        .mockResolvedValueOnce([[]]) // No overlap
+        .mockResolvedValueOnce([{ insertId: 9 }])
+        .mockResolvedValue([{}]);
+
+      const id = await availability.createOverride({
+        start_date: '2025-12-24',
+        end_date: '2025-12-24',
+        reason: 'Παραμονή',
+        intervals: [{ start_time: '09:00', end_time: '13:00' }],
+      });
+
+      expect(id).toBe(9);
+      expect(connection.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO availability_override_intervals'),
+        [9, '09:00:00', '13:00:00']
+      );
+      expect(connection.commit).toHaveBeenCalled();
+    });
+  });
+
+  describe('with staff', () => {
+    const workingDay = {
+      day_of_week: 1,
+      is_working_day: true,
+      start_time: '09:00:00',
+      end_time: '12:00:00',
+    };
+
+    beforeEach(() => {
+      staff.getStaffForService.mockResolvedValue([
+        { id: 1, name: 'Μαρία' },
+        { id: 2, name: 'Γιώργος' },
+      ]);
+      staff.getStaffHoursForDay.mockImplementation(async (staffId) =>
+        staffId === 1
+          ? { is_working_day: true, start_time: '08:00:00', end_time: '10:00:00' }
+          : { is_working_day: true, start_time: '10:00:00', end_time: '14:00:00' }
+      );
+    });
+
+    test('should pool slots of staff members within office hours', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]) // Staff 1 has no bookings
+        .mockResolvedValueOnce([
+          [{ appointment_time: '10:00:00', duration_minutes: 60, buffer_minutes: 0 }],
+        ]); // Staff 2 is booked at 10:00
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-15');
+
+      // Staff 1: 09:00 (08:00 is before office opening), staff 2: 11:00
+      expect(result).toEqual(['09:00:00', '11:00:00']);
+      expect(mockPool.query.mock.calls[5][1]).toEqual(['2025-12-15', 2, '2025-12-15', 2]);
+    });
+
+    test('should keep staff slots inside the office intervals', async () => {
+      staff.getStaffForService.mockResolvedValue([{ id: 2, name: 'Γιώργος' }]);
+      mockPool.query
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([
+          [{ ...workingDay, intervals: '09:00:00-10:30:00,11:00:00-12:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]);
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-15');
+
+      // Staff 2 starts at 10:00, the office is closed 10:30-11:00
+      expect(result).toEqual(['11:00:00']);
+    });
+
+    test('should skip staff members with a blocked date', async () => {
+      staff.isStaffDateBlocked.mockImplementation(async (staffId) => staffId === 1);
+      mockPool.query
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]);
+
+      const result = await availability.getStaffSlotsForDate('2025-12-15');
+
+      expect(result).toEqual([
+        { staff_id: 1, staff_name: 'Μαρία', slots: [], seats_left: {} },
+        {
+          staff_id: 2,
+          staff_name: 'Γιώργος',
+          slots: ['10:00:00', '10:30:00', '11:00:00'],
+          seats_left: { '10:00:00': 1, '10:30:00': 1, '11:00:00': 1 },
+        },
+      ]);
+    });
+
+    test('should return staff free at a time in round-robin order', async () => {
+      staff.orderByRoundRobin.mockImplementation(async (ids) => [...ids].reverse());
+      staff.getStaffHoursForDay.mockResolvedValue({
+        is_working_day: true,
+        start_time: '09:00:00',
+        end_time: '12:00:00',
+      });
+      mockPool.query
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[workingDay]])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]])
+        .mockResolvedValueOnce([[]]);
+
+      const result = await availability.getAvailableStaffForSlot('2025-12-15', '10:00:00');
+
+      expect(result).toEqual([2, 1]);
+    });
+
+    test('should return null when no staff are configured', async () => {
+      staff.getStaffForService.mockResolvedValue([]);
+
+      const result = await availability.getAvailableStaffForSlot('2025-12-15', '10:00:00');
+
+      expect(result).toBeNull();
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('date range calculation', () => {
+    const monday = {
+      day_of_week: 1,
+      is_working_day: true,
+      intervals: [{ start_time: '09:00:00', end_time: '11:00:00' }],
+    };
+
+    const buildWindow = (overrides = {}) => ({
+      weekly: [monday],
+      overrides: [],
+      blockedDates: new Set(),
+      holidayDates: new Set(),
+      blockedRanges: new Map(),
+      bookings: new Map(),
+      timing: { durationMinutes: 60, bufferMinutes: 0, capacity: 1 },
+      staff: null,
+      ...overrides,
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should close blocked dates and holidays', () => {
+      const window = buildWindow({
+        blockedDates: new Set(['2025-06-16']),
+        holidayDates: new Set(['2025-06-23']),
+      });
+
+      expect(availability.getDayHours('2025-06-16', window)).toBeNull();
+      expect(availability.getDayHours('2025-06-23', window)).toBeNull();
+      expect(availability.getDayHours('2025-06-30', window)).toBe(monday);
+    });
+
+    test('should prefer an override to the weekly hours', () => {
+      const override = {
+        is_working_day: true,
+        start_date: '2025-06-20',
+        end_date: '2025-06-30',
+        intervals: [{ start_time: '10:00:00', end_time: '12:00:00' }],
+      };
+      const window = buildWindow({ overrides: [override] });
+
+      expect(availability.getDayHours('2025-06-23', window)).toBe(override);
+      // Sunday has no weekly hours, but the override opens it
+      expect(availability.getDayHours('2025-06-22', window)).toBe(override);
+      expect(availability.getDayHours('2025-06-16', window)).toBe(monday);
+    });
+
+    test('should calculate the seats of a day without the database', () => {
+      const window = buildWindow({
+        bookings: new Map([['2025-06-16', [{ start: 540, end: 600, staff_id: null }]]]),
+      });
+
+      expect(availability.getDaySeats('2025-06-16', window)).toEqual({ '10:00:00': 1 });
+      expect(availability.getDaySeats('2025-06-17', window)).toEqual({});
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should pool the seats of staff members with their own bookings', () => {
+      const window = buildWindow({
+        staff: [
+          { id: 1, name: 'Μαρία' },
+          { id: 2, name: 'Γιώργος' },
+        ],
+        staffHours: new Map([
+          [
+            1,
+            new Map([[1, { is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' }]]),
+          ],
+          [
+            2,
+            new Map([[1, { is_working_day: true, start_time: '10:00:00', end_time: '11:00:00' }]]),
+          ],
+        ]),
+        staffBlockedDates: new Map([
+          [1, new Set()],
+          [2, new Set(['2025-06-23'])],
+        ]),
+        bookings: new Map([
+          ['2025-06-16', [{ start: 540, end: 600, staff_id: 1 }]],
+          ['2025-06-23', [{ start: 600, end: 660, staff_id: null }]],
+        ]),
+      });
+
+      // Staff 1 is booked at 09:00, staff 2 only works from 10:00
+      expect(availability.getDaySeats('2025-06-16', window)).toEqual({ '10:00:00': 2 });
+      // Staff 2 is off and the unassigned booking occupies staff 1
+      expect(availability.getDaySeats('2025-06-23', window)).toEqual({ '09:00:00': 1 });
+    });
+
+    test('should load the whole window with one query per table', async () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T04:00:00Z') });
+      bookingPolicy.getBookingPolicy.mockResolvedValue({
+        booking_window_days: 60,
+        minimum_notice_hours: 0,
+        slot_capacity: 1,
+      });
+      holidays.getHolidayDatesInRange.mockResolvedValue(new Set());
+
+      const weekday = (day) => ({
+        day_of_week: day,
+        is_working_day: true,
+        start_time: '09:00:00',
+        end_time: '10:00:00',
+        intervals: null,
+      });
+
+      mockPool.query
+        .mockResolvedValueOnce([[weekday(1), weekday(2), weekday(3)]])
+        .mockResolvedValueOnce([[]]) // No overrides
+        .mockResolvedValueOnce([[{ blocked_date: '2025-06-17' }]])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([
+          [
+            {
+              appointment_date: '2025-06-18',
+              appointment_time: '09:00:00',
+              duration_minutes: 60,
+              buffer_minutes: 0,
+              staff_id: null,
+            },
+          ],
+        ]);
+
+      const result = await availability.getAvailableDatesAndSlots();
+
+      expect(result).toEqual([
+        { date: '2025-06-16', dayOfWeek: 1, availableSlots: ['09:00:00'] },
+        { date: '2025-06-23', dayOfWeek: 1, availableSlots: ['09:00:00'] },
+        { date: '2025-06-24', dayOfWeek: 2, availableSlots: ['09:00:00'] },
+        { date: '2025-06-25', dayOfWeek: 3, availableSlots: ['09:00:00'] },
+        ...result.slice(4),
+      ]);
+      expect(mockPool.query).toHaveBeenCalledTimes(5);
+      expect(mockPool.query.mock.calls[4][1]).toEqual([
+        '2025-06-16',
+        '2025-08-14',
+        '2025-06-16',
+        '2025-08-14',
+      ]);
+    });
+
+    test('should count stats from the loaded window', async () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T04:00:00Z') });
+      bookingPolicy.getBookingPolicy.mockResolvedValue({
+        booking_window_days: 2,
+        minimum_notice_hours: 0,
+        slot_capacity: 1,
+      });
+      holidays.getHolidayDatesInRange.mockResolvedValue(new Set());
+
+      mockPool.query
+        .mockResolvedValueOnce([
+          [
+            { day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' },
+            { day_of_week: 2, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' },
+          ],
+        ])
+        .mockResolvedValueOnce([[]]) // No overrides
+        .mockResolvedValueOnce([[]]) // No blocked dates
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([
+          [
+            {
+              appointment_date: '2025-06-16',
+              appointment_time: '09:00:00',
+              duration_minutes: 60,
+              buffer_minutes: 0,
+              staff_id: null,
+            },
+          ],
+        ]);
+
+      const result = await availability.getAvailabilityStats();
+
+      expect(result).toEqual({
+        totalSlots: 4,
+        availableSlots: 3,
+        bookedSlots: 1,
+        utilizationRate: '25.00',
+      });
+      expect(mockPool.query).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('slot holds', () => {
+    const holdToken = '123e4567-e89b-42d3-a456-426614174000';
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should hide slots held by other clients', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([
+          [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([
+          [{ appointment_time: '09:00:00', duration_minutes: 60, buffer_minutes: 0 }],
+        ]); // Held by another client
+
+      const result = await availability.getAvailableSlotsForDate('2025-12-15');
+
+      expect(result).toEqual(['10:00:00']);
+      const [sql, params] = mockPool.query.mock.calls[4];
+      expect(sql).toContain('FROM slot_holds');
+      expect(sql).toContain('expires_at > NOW()');
+      expect(params).toEqual(['2025-12-15', '2025-12-15']);
+    });
+
+    test('should leave out the hold of the client asking, bypassing the cache', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([
+          [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]); // Only the client's own hold, left out
+
+      const result = await availability.getAvailableSlotsForDate(
+        '2025-12-15',
+        null,
+        null,
+        holdToken
+      );
+
+      expect(result).toEqual(['09:00:00', '09:30:00', '10:00:00']);
+      const [sql, params] = mockPool.query.mock.calls[4];
+      expect(sql).toContain('hold_token != ?');
+      expect(params).toEqual(['2025-12-15', '2025-12-15', holdToken]);
+      expect(availabilityCache.getCachedSeats).not.toHaveBeenCalled();
+      expect(availabilityCache.setCachedSeats).not.toHaveBeenCalled();
+    });
+
+    test('should not count holds as bookings in the stats', async () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T04:00:00Z') });
+      bookingPolicy.getBookingPolicy.mockResolvedValue({
+        booking_window_days: 1,
+        minimum_notice_hours: 0,
+        slot_capacity: 1,
+      });
+      holidays.getHolidayDatesInRange.mockResolvedValue(new Set());
+
+      mockPool.query
+        .mockResolvedValueOnce([
+          [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '11:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No overrides
+        .mockResolvedValueOnce([[]]) // No blocked dates
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([
+          [
+            {
+              appointment_date: '2025-06-16',
+              appointment_time: '09:00:00',
+              duration_minutes: 60,
+              buffer_minutes: 0,
+              staff_id: null,
+              is_hold: 0,
+            },
+            {
+              appointment_date: '2025-06-16',
+              appointment_time: '10:00:00',
+              duration_minutes: 60,
+              buffer_minutes: 0,
+              staff_id: null,
+              is_hold: 1,
+            },
+          ],
+        ]);
+
+      const result = await availability.getAvailabilityStats();
+
+      expect(result.bookedSlots).toBe(1);
+    });
+  });
+
+  describe('caching', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should return cached seats without querying', async () => {
+      availabilityCache.getCachedSeats.mockResolvedValueOnce({ '10:00:00': 2 });
+
+      const result = await availability.getSlotSeatsForDate('2025-12-15', 'Λογιστική', 3);
+
+      expect(result).toEqual({ '10:00:00': 2 });
+      expect(availabilityCache.getCachedSeats).toHaveBeenCalledWith('2025-12-15', 'Λογιστική', 3);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should cache the seats it calculates', async () => {
+      availabilityCache.getCacheVersion.mockReturnValue(4);
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Not blocked
+        .mockResolvedValueOnce([[]]) // No override
+        .mockResolvedValueOnce([
+          [{ day_of_week: 1, is_working_day: true, start_time: '09:00:00', end_time: '10:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]); // No bookings
+
+      await availability.getSlotSeatsForDate('2025-12-15');
+
+      expect(availabilityCache.setCachedSeats).toHaveBeenCalledWith(
+        '2025-12-15',
+        null,
+        null,
+        { '09:00:00': 1 },
+        4
+      );
+    });
+
+    test('should load the window only from the first uncached date', async () => {
+      jest.useFakeTimers({ now: new Date('2025-06-16T04:00:00Z') });
+      bookingPolicy.getBookingPolicy.mockResolvedValue({
+        booking_window_days: 3,
+        minimum_notice_hours: 0,
+        slot_capacity: 1,
+      });
+      holidays.getHolidayDatesInRange.mockResolvedValue(new Set());
+
+      // Monday is cached, Tuesday and Wednesday are not
+      availabilityCache.getCachedSeats
+        .mockResolvedValueOnce({ '09:00:00': 1 })
+        .mockResolvedValue(null);
+
+      mockPool.query
+        .mockResolvedValueOnce([
+          [{ day_of_week: 2, is_working_day: true, start_time: '09:00:00', end_time: '10:00:00' }],
+        ])
+        .mockResolvedValueOnce([[]]) // No overrides
+        .mockResolvedValueOnce([[]]) // No blocked dates
+        .mockResolvedValueOnce([[]]) // No time blocks
+        .mockResolvedValueOnce([[]]); // No bookings
+
+      const result = await availability.getAvailableDatesAndSlots();
+
+      expect(result.map((day) => day.date)).toEqual(['2025-06-16', '2025-06-17']);
+      expect(mockPool.query.mock.calls[4][1]).toEqual([
+        '2025-06-17',
+        '2025-06-18',
+        '2025-06-17',
+        '2025-06-18',
+      ]);
+      expect(availabilityCache.setCachedSeats).toHaveBeenCalledTimes(2);
+    });
   });
 });
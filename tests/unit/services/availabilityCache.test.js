@@ -0,0 +1,111 @@
+/**
+ * Unit Tests - Availability Cache
+ * Tests for cached slot seats, invalidation and the hit/miss counters
+ */
+
+jest.mock('../../../utils/logger');
+
+const cache = require('../../../services/availabilityCache');
+
+describe('Availability Cache', () => {
+  const seats = { '09:00:00': 1, '10:00:00': 2 };
+
+  beforeEach(async () => {
+    cache.setCacheStore(cache.createMemoryStore());
+    cache.resetCacheStats();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getCachedSeats', () => {
+    test('should count a miss, then a hit once the seats are cached', async () => {
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+
+      await cache.setCachedSeats('2026-11-02', null, null, seats, cache.getCacheVersion());
+
+      expect(await cache.getCachedSeats('2026-11-02')).toEqual(seats);
+      expect(cache.getCacheStats()).toMatchObject({ hits: 1, misses: 1, hit_rate: '50.00' });
+    });
+
+    test('should keep services and staff members apart within a date', async () => {
+      const version = cache.getCacheVersion();
+      await cache.setCachedSeats('2026-11-02', 'Φορολογική δήλωση', null, seats, version);
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+      expect(await cache.getCachedSeats('2026-11-02', 'Φορολογική δήλωση', 2)).toBeNull();
+      expect(await cache.getCachedSeats('2026-11-02', 'Φορολογική δήλωση')).toEqual(seats);
+    });
+
+    test('should expire entries after the TTL', async () => {
+      jest.useFakeTimers({ now: new Date('2026-11-02T08:00:00Z') });
+      await cache.setCachedSeats('2026-11-02', null, null, seats, cache.getCacheVersion());
+
+      jest.setSystemTime(new Date('2026-11-02T09:00:00Z'));
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+    });
+
+    test('should treat a failing store as a miss', async () => {
+      cache.setCacheStore({
+        get: jest.fn().mockRejectedValue(new Error('connection refused')),
+        set: jest.fn(),
+        delete: jest.fn(),
+        clear: jest.fn(),
+      });
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+      expect(cache.getCacheStats().misses).toBe(1);
+    });
+  });
+
+  describe('setCachedSeats', () => {
+    test('should not cache seats calculated before an invalidation', async () => {
+      const calculatedAt = cache.getCacheVersion();
+      await cache.invalidateDates('2026-11-02');
+
+      await cache.setCachedSeats('2026-11-02', null, null, seats, calculatedAt);
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+    });
+  });
+
+  describe('invalidateDates', () => {
+    test('should drop only the given dates', async () => {
+      const version = cache.getCacheVersion();
+      await cache.setCachedSeats('2026-11-02', null, null, seats, version);
+      await cache.setCachedSeats('2026-11-03', null, null, seats, version);
+
+      await cache.invalidateDates(new Date('2026-11-02T12:00:00Z'), null);
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+      expect(await cache.getCachedSeats('2026-11-03')).toEqual(seats);
+      expect(cache.getCacheStats().invalidations).toBe(1);
+    });
+
+    test('should not throw when the store fails', async () => {
+      cache.setCacheStore({
+        get: jest.fn(),
+        set: jest.fn(),
+        delete: jest.fn().mockRejectedValue(new Error('connection refused')),
+        clear: jest.fn(),
+      });
+
+      await expect(cache.invalidateDates('2026-11-02')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('clearAvailabilityCache', () => {
+    test('should drop every date', async () => {
+      const version = cache.getCacheVersion();
+      await cache.setCachedSeats('2026-11-02', null, null, seats, version);
+      await cache.setCachedSeats('2026-11-03', 'Λογιστική', 1, seats, version);
+
+      await cache.clearAvailabilityCache();
+
+      expect(await cache.getCachedSeats('2026-11-02')).toBeNull();
+      expect(await cache.getCachedSeats('2026-11-03', 'Λογιστική', 1)).toBeNull();
+    });
+  });
+});
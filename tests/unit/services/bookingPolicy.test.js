@@ -0,0 +1,187 @@
+/**
+ * Unit Tests - Booking Policy Service
+ * Tests for the office-wide booking policy and per-service overrides
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/serviceCatalog');
+
+const database = require('../../../services/database');
+const serviceCatalog = require('../../../services/serviceCatalog');
+const bookingPolicy = require('../../../services/bookingPolicy');
+
+describe('Booking Policy Service', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  describe('getOfficeBookingPolicy', () => {
+    test('should return the stored policy', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [{ booking_window_days: 90, minimum_notice_hours: 4, slot_capacity: 2 }],
+      ]);
+
+      const result = await bookingPolicy.getOfficeBookingPolicy();
+
+      expect(result).toEqual({
+        booking_window_days: 90,
+        minimum_notice_hours: 4,
+        slot_capacity: 2,
+      });
+    });
+
+    test('should fall back to the defaults when no policy is stored', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await bookingPolicy.getOfficeBookingPolicy();
+
+      expect(result).toEqual({
+        booking_window_days: 60,
+        minimum_notice_hours: 24,
+        slot_capacity: 1,
+      });
+    });
+  });
+
+  describe('getBookingPolicy', () => {
+    beforeEach(() => {
+      mockPool.query.mockResolvedValueOnce([
+        [{ booking_window_days: 60, minimum_notice_hours: 24, slot_capacity: 1 }],
+      ]);
+    });
+
+    test('should replace only the settings a service sets', async () => {
+      serviceCatalog.getServiceByName.mockResolvedValueOnce({
+        name: 'Φορολογική Δήλωση',
+        booking_window_days: 14,
+        minimum_notice_hours: null,
+        slot_capacity: 12,
+      });
+
+      const result = await bookingPolicy.getBookingPolicy('Φορολογική Δήλωση');
+
+      expect(result).toEqual({
+        booking_window_days: 14,
+        minimum_notice_hours: 24,
+        slot_capacity: 12,
+      });
+    });
+
+    test('should use the office policy for an unknown service', async () => {
+      serviceCatalog.getServiceByName.mockResolvedValueOnce(null);
+
+      const result = await bookingPolicy.getBookingPolicy('Άγνωστη');
+
+      expect(result).toEqual({
+        booking_window_days: 60,
+        minimum_notice_hours: 24,
+        slot_capacity: 1,
+      });
+    });
+
+    test('should not look up a service without a name', async () => {
+      await bookingPolicy.getBookingPolicy();
+
+      expect(serviceCatalog.getServiceByName).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSlotCapacity', () => {
+    test('should use the capacity of the service', async () => {
+      const result = await bookingPolicy.getSlotCapacity({ slot_capacity: 20 });
+
+      expect(result).toBe(20);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should inherit the office capacity', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [{ booking_window_days: 60, minimum_notice_hours: 24, slot_capacity: 2 }],
+      ]);
+
+      expect(await bookingPolicy.getSlotCapacity({ slot_capacity: null })).toBe(2);
+    });
+  });
+
+  describe('updateBookingPolicy', () => {
+    test('should store the office-wide row', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const result = await bookingPolicy.updateBookingPolicy({
+        booking_window_days: 30,
+        minimum_notice_hours: 2,
+        slot_capacity: 3,
+      });
+
+      expect(result).toEqual({
+        booking_window_days: 30,
+        minimum_notice_hours: 2,
+        slot_capacity: 3,
+      });
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON DUPLICATE KEY UPDATE'),
+        [30, 2, 3]
+      );
+    });
+  });
+
+  describe('getPendingExpiryHours', () => {
+    test('should return the stored hours', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ pending_expiry_hours: 12 }]]);
+
+      expect(await bookingPolicy.getPendingExpiryHours()).toBe(12);
+    });
+
+    test('should fall back to the default when no policy is stored', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      expect(await bookingPolicy.getPendingExpiryHours()).toBe(
+        bookingPolicy.DEFAULT_PENDING_EXPIRY_HOURS
+      );
+    });
+  });
+
+  describe('updatePendingExpiryHours', () => {
+    test('should store the hours on the office-wide row', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      expect(await bookingPolicy.updatePendingExpiryHours(24)).toBe(24);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('pending_expiry_hours = VALUES(pending_expiry_hours)'),
+        [24]
+      );
+    });
+  });
+
+  describe('getNoShowApprovalThreshold', () => {
+    test('should return the stored threshold', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ no_show_approval_threshold: 2 }]]);
+
+      expect(await bookingPolicy.getNoShowApprovalThreshold()).toBe(2);
+    });
+
+    test('should return null when no policy is stored', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      expect(await bookingPolicy.getNoShowApprovalThreshold()).toBeNull();
+    });
+  });
+
+  describe('updateNoShowApprovalThreshold', () => {
+    test('should store null to turn the rule off', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      expect(await bookingPolicy.updateNoShowApprovalThreshold(null)).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('no_show_approval_threshold = VALUES(no_show_approval_threshold)'),
+        [null]
+      );
+    });
+  });
+});
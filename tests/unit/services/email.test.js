@@ -145,6 +145,19 @@ describe('Email Service', () => {
         })
       ).rejects.toThrow('SMTP error');
     });
+
+    test('should forward attachments', async () => {
+      const attachments = [{ filename: 'test.ics', content: 'BEGIN:VCALENDAR' }];
+
+      await emailService.sendEmail({
+        to: 'client@example.com',
+        subject: 'Test',
+        text: 'Test',
+        attachments,
+      });
+
+      expect(mockSendMail.mock.calls[0][0].attachments).toEqual(attachments);
+    });
   });
 
   describe('sendBookingConfirmation', () => {
@@ -185,6 +198,30 @@ describe('Email Service', () => {
       expect(htmlContent).toContain('cancel-token-456');
     });
 
+    test('should attach a calendar event at the office address', async () => {
+      const appointment = {
+        id: 7,
+        client_name: 'Jane Doe',
+        client_email: 'jane@example.com',
+        appointment_date: '2025-12-15',
+        appointment_time: '10:00:00',
+        service_type: 'Test Service',
+        cancellation_token: 'token',
+        status: 'pending',
+      };
+
+      await emailService.sendBookingConfirmation(appointment);
+
+      const [attachment] = mockSendMail.mock.calls[0][0].attachments;
+      expect(attachment.filename).toBe('rantevou.ics');
+      expect(attachment.contentType).toContain('method=PUBLISH');
+      expect(attachment.content).toContain('METHOD:PUBLISH');
+      expect(attachment.content).toContain('UID:appointment-7@nt-taxoffice');
+      expect(attachment.content).toContain('DTSTART;TZID=Europe/Athens:20251215T100000');
+      expect(attachment.content).toContain('LOCATION:Test Address 123');
+      expect(attachment.content).toContain('mailto:admin@example.com');
+    });
+
     test('should handle template loading errors', async () => {
       fs.readFile.mockRejectedValue(new Error('Template not found'));
 
@@ -344,6 +381,27 @@ describe('Email Service', () => {
     });
   });
 
+  describe('sendAppointmentExpired', () => {
+    test('should tell the client the slot was released', async () => {
+      const appointment = {
+        client_name: 'John Doe',
+        client_email: 'john@example.com',
+        appointment_date: '2025-12-15',
+        appointment_time: '10:00:00',
+        service_type: 'Φορολογική Δήλωση',
+      };
+
+      const result = await emailService.sendAppointmentExpired(appointment);
+
+      expect(result.success).toBe(true);
+
+      const callArgs = mockSendMail.mock.calls[0][0];
+      expect(callArgs.to).toBe('john@example.com');
+      expect(callArgs.subject).toBe('Το Αίτημα Ραντεβού σας Έληξε - NT TAXOFFICE');
+      expect(callArgs.attachments[0].content).toContain('STATUS:CANCELLED');
+    });
+  });
+
   describe('sendAppointmentReminder', () => {
     test('should send reminder with appointment details', async () => {
       const appointment = {
@@ -413,6 +471,25 @@ describe('Email Service', () => {
       expect(callArgs.subject).toBe('Επιβεβαίωση Ακύρωσης Ραντεβού - NT TAXOFFICE');
     });
 
+    test('should attach a calendar cancellation', async () => {
+      const appointment = {
+        id: 7,
+        client_name: 'John Doe',
+        client_email: 'john@example.com',
+        appointment_date: '2025-12-15',
+        appointment_time: '10:00:00',
+        version: 2,
+      };
+
+      await emailService.sendCancellationConfirmation(appointment);
+
+      const [attachment] = mockSendMail.mock.calls[0][0].attachments;
+      expect(attachment.contentType).toContain('method=CANCEL');
+      expect(attachment.content).toContain('METHOD:CANCEL');
+      expect(attachment.content).toContain('STATUS:CANCELLED');
+      expect(attachment.content).toContain('SEQUENCE:2');
+    });
+
     test('should include booking URL for rebooking', async () => {
       const appointment = {
         client_name: 'Test',
@@ -442,6 +519,81 @@ describe('Email Service', () => {
     });
   });
 
+  describe('sendAppointmentRescheduled', () => {
+    test('should notify the client of the new date and time', async () => {
+      const appointment = {
+        client_name: 'John Doe',
+        client_email: 'john@example.com',
+        appointment_date: '2025-12-16',
+        appointment_time: '11:00:00',
+        previous_date: '2025-12-15',
+        previous_time: '10:00:00',
+        cancellation_token: 'token-456',
+      };
+
+      const result = await emailService.sendAppointmentRescheduled(appointment);
+
+      expect(result.success).toBe(true);
+
+      const callArgs = mockSendMail.mock.calls[0][0];
+      expect(callArgs.to).toBe('john@example.com');
+      expect(callArgs.subject).toBe('Αλλαγή στο Ραντεβού σας - NT TAXOFFICE');
+    });
+  });
+
+  describe('sendRescheduleConfirmation', () => {
+    test('should send reschedule confirmation with the previous date', async () => {
+      fs.readFile.mockImplementation(() =>
+        Promise.resolve('{{clientName}} {{appointmentDate}} {{previousDate}} {{cancellationUrl}}')
+      );
+      const appointment = {
+        client_name: 'John Doe',
+        client_email: 'john@example.com',
+        appointment_date: '2025-12-16',
+        appointment_time: '11:00:00',
+        previous_date: '2025-12-15',
+        previous_time: '10:00:00',
+        cancellation_token: 'token-456',
+      };
+
+      const result = await emailService.sendRescheduleConfirmation(appointment);
+
+      expect(result.success).toBe(true);
+
+      const callArgs = mockSendMail.mock.calls[0][0];
+      expect(callArgs.to).toBe('john@example.com');
+      expect(callArgs.subject).toBe('Αλλαγή Ραντεβού - NT TAXOFFICE');
+      expect(callArgs.html).toContain('15');
+      expect(callArgs.html).toContain('token-456');
+    });
+  });
+
+  describe('sendWaitlistSlotAvailable', () => {
+    test('should send the offered slot with a booking link', async () => {
+      fs.readFile.mockImplementation(() =>
+        Promise.resolve('{{clientName}} {{appointmentTime}} {{bookingUrl}}')
+      );
+      const entry = {
+        client_name: 'John Doe',
+        client_email: 'john@example.com',
+        service_type: 'Φορολογική Δήλωση',
+        offered_date: '2025-12-16',
+        offered_time: '11:00:00',
+        offer_token: 'offer-789',
+      };
+
+      const result = await emailService.sendWaitlistSlotAvailable(entry);
+
+      expect(result.success).toBe(true);
+
+      const callArgs = mockSendMail.mock.calls[0][0];
+      expect(callArgs.to).toBe('john@example.com');
+      expect(callArgs.subject).toBe('Ελευθερώθηκε Ώρα για Ραντεβού - NT TAXOFFICE');
+      expect(callArgs.html).toContain('11:00');
+      expect(callArgs.html).toContain('https://example.com/appointments.html?waitlist=offer-789');
+    });
+  });
+
   describe('Error handling', () => {
     test('should handle SMTP connection errors', async () => {
       mockSendMail.mockRejectedValue(new Error('Connection timeout'));
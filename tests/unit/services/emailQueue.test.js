@@ -191,8 +191,12 @@ describe('Email Queue Service', () => {
         { type: 'admin-notification', method: 'sendAdminNotification' },
         { type: 'appointment-confirmed', method: 'sendAppointmentConfirmed' },
         { type: 'appointment-declined', method: 'sendAppointmentDeclined' },
+        { type: 'appointment-expired', method: 'sendAppointmentExpired' },
         { type: 'appointment-reminder', method: 'sendAppointmentReminder' },
+        { type: 'appointment-rescheduled', method: 'sendAppointmentRescheduled' },
         { type: 'cancellation-confirmation', method: 'sendCancellationConfirmation' },
+        { type: 'reschedule-confirmation', method: 'sendRescheduleConfirmation' },
+        { type: 'waitlist-slot-available', method: 'sendWaitlistSlotAvailable' },
       ];
 
       for (const { type, method } of emailTypes) {
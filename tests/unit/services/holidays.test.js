@@ -0,0 +1,143 @@
+/**
+ * Unit Tests - Holidays Service
+ * Tests for switching national holidays and looking up the holiday of a date
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+
+const database = require('../../../services/database');
+const holidaysService = require('../../../services/holidays');
+
+describe('Holidays Service', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  describe('getHolidayForDate', () => {
+    test('should return an enabled national holiday', async () => {
+      // No setting stored: national holidays are on
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await holidaysService.getHolidayForDate('2026-02-23');
+
+      expect(result).toEqual({ type: 'national', key: 'clean_monday', name: 'Καθαρά Δευτέρα' });
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip a national holiday the admin switched off', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ holiday_key: 'clean_monday' }]]);
+      // No local holiday on the same day
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await holidaysService.getHolidayForDate('2026-02-23');
+
+      expect(result).toBeNull();
+    });
+
+    test('should stay closed while another holiday on the date is enabled', async () => {
+      // 1 May 2016 is both Easter Sunday and Labour Day
+      mockPool.query.mockResolvedValueOnce([[{ holiday_key: 'easter_sunday' }]]);
+
+      const result = await holidaysService.getHolidayForDate('2016-05-01');
+
+      expect(result).toEqual({ type: 'national', key: 'labour_day', name: 'Πρωτομαγιά' });
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return a local holiday', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ id: 3, name: 'Αγίου Δημητρίου' }]]);
+
+      const result = await holidaysService.getHolidayForDate('2026-10-26');
+
+      expect(result).toEqual({ type: 'local', id: 3, name: 'Αγίου Δημητρίου' });
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM local_holidays'),
+        [10, 26]
+      );
+    });
+  });
+
+  describe('getHolidaysForYear', () => {
+    test('should list national and local holidays in date order', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ holiday_key: 'good_friday' }]]);
+      mockPool.query.mockResolvedValueOnce([
+        [{ id: 3, name: 'Αγίου Δημητρίου', holiday_month: 10, holiday_day: 26 }],
+      ]);
+
+      const result = await holidaysService.getHolidaysForYear(2026);
+      const goodFriday = result.find((holiday) => holiday.key === 'good_friday');
+      const local = result.find((holiday) => holiday.type === 'local');
+      const dates = result.map((holiday) => holiday.date);
+
+      expect(goodFriday.is_enabled).toBe(false);
+      expect(local).toEqual({
+        type: 'local',
+        id: 3,
+        name: 'Αγίου Δημητρίου',
+        date: '2026-10-26',
+        is_enabled: true,
+      });
+      expect(dates).toEqual([...dates].sort());
+    });
+  });
+
+  describe('getHolidayDatesInRange', () => {
+    test('should leave out national holidays the admin switched off', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ holiday_key: 'good_friday' }]]);
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await holidaysService.getHolidayDatesInRange('2026-04-08', '2026-04-14');
+
+      expect([...result].sort()).toEqual(['2026-04-12', '2026-04-13']);
+    });
+
+    test('should cover ranges that cross into the next year', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+      mockPool.query.mockResolvedValueOnce([
+        [{ id: 4, name: 'Παραμονή', holiday_month: 12, holiday_day: 31 }],
+      ]);
+
+      const result = await holidaysService.getHolidayDatesInRange('2026-12-20', '2027-01-05');
+
+      expect([...result].sort()).toEqual(['2026-12-25', '2026-12-26', '2026-12-31', '2027-01-01']);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('setHolidayEnabled', () => {
+    test('should store the setting of a national holiday', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const result = await holidaysService.setHolidayEnabled('ochi_day', false);
+
+      expect(result).toBe(true);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON DUPLICATE KEY UPDATE'),
+        ['ochi_day', false]
+      );
+    });
+
+    test('should return false for an unknown holiday', async () => {
+      const result = await holidaysService.setHolidayEnabled('unknown', false);
+
+      expect(result).toBe(false);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createLocalHoliday', () => {
+    test('should reject a second holiday on the same day', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ id: 3 }]]);
+
+      await expect(
+        holidaysService.createLocalHoliday({ name: 'Πανηγύρι', month: 10, day: 26 })
+      ).rejects.toThrow('HOLIDAY_EXISTS');
+    });
+  });
+});
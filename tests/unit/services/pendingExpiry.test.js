@@ -0,0 +1,172 @@
+/**
+ * Unit Tests - Pending Expiry Service
+ * Tests for selecting stale pending appointments and releasing them exactly once
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/bookingPolicy');
+jest.mock('../../../services/availabilityCache');
+jest.mock('../../../services/waitlist');
+jest.mock('../../../services/emailQueue', () => ({
+  queueEmail: jest.fn().mockResolvedValue(1),
+}));
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const bookingPolicy = require('../../../services/bookingPolicy');
+const availabilityCache = require('../../../services/availabilityCache');
+const waitlist = require('../../../services/waitlist');
+const emailQueue = require('../../../services/emailQueue');
+const pendingExpiry = require('../../../services/pendingExpiry');
+
+describe('Pending Expiry Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  const pendingAppointment = {
+    id: 9,
+    client_name: 'Test Client',
+    client_email: 'client@example.com',
+    appointment_date: '2099-12-15',
+    appointment_time: '10:00:00',
+    status: 'pending',
+    version: 1,
+  };
+
+  /**
+   * Lock the row as selected, then let the status update and history insert succeed
+   * @param {object} row
+   */
+  function mockExpiry(row) {
+    mockConnection.query
+      .mockResolvedValueOnce([[row]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{}]);
+  }
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+    bookingPolicy.getPendingExpiryHours.mockResolvedValue(48);
+    waitlist.notifyWaitlist.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    pendingExpiry.stopScheduler();
+  });
+
+  describe('getExpiredPending', () => {
+    test('should select pending appointments past the threshold or their start', async () => {
+      mockPool.query.mockResolvedValueOnce([[pendingAppointment]]);
+
+      const result = await pendingExpiry.getExpiredPending(48);
+
+      expect(result).toEqual([pendingAppointment]);
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain("status = 'pending'");
+      expect(sql).toContain('INTERVAL ? HOUR');
+      expect(sql).toContain('requires_approval = FALSE');
+      expect(params[0]).toBe(48);
+      expect(params[1]).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    });
+  });
+
+  describe('expireAppointment', () => {
+    test('should expire, record history and queue the email in one transaction', async () => {
+      mockExpiry(pendingAppointment);
+
+      const result = await pendingExpiry.expireAppointment(pendingAppointment);
+
+      expect(result).toBe(true);
+      expect(mockConnection.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(mockConnection.query.mock.calls[1][1]).toEqual(['expired', null, 9, 1]);
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([
+        9,
+        'pending',
+        'expired',
+        'system',
+        'Expired without confirmation',
+      ]);
+      expect(emailQueue.queueEmail).toHaveBeenCalledWith(
+        'appointment-expired',
+        'client@example.com',
+        expect.objectContaining({ id: 9, status: 'expired' }),
+        mockConnection
+      );
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should leave an appointment the admin handled meanwhile', async () => {
+      mockConnection.query.mockResolvedValueOnce([
+        [{ ...pendingAppointment, status: 'confirmed' }],
+      ]);
+
+      const result = await pendingExpiry.expireAppointment(pendingAppointment);
+
+      expect(result).toBe(false);
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+      expect(emailQueue.queueEmail).not.toHaveBeenCalled();
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should rollback if queueing the email fails', async () => {
+      mockExpiry(pendingAppointment);
+      emailQueue.queueEmail.mockRejectedValueOnce(new Error('Queue error'));
+
+      await expect(pendingExpiry.expireAppointment(pendingAppointment)).rejects.toThrow(
+        'Queue error'
+      );
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('processExpiredAppointments', () => {
+    test('should use the configured threshold and release the dates', async () => {
+      bookingPolicy.getPendingExpiryHours.mockResolvedValueOnce(12);
+      mockPool.query.mockResolvedValueOnce([[pendingAppointment]]);
+      mockExpiry(pendingAppointment);
+
+      const expired = await pendingExpiry.processExpiredAppointments();
+
+      expect(expired).toBe(1);
+      expect(mockPool.query.mock.calls[0][1][0]).toBe(12);
+      expect(availabilityCache.invalidateDates).toHaveBeenCalledWith('2099-12-15');
+      expect(waitlist.notifyWaitlist).toHaveBeenCalledWith('2099-12-15', '10:00:00');
+      expect(availabilityCache.invalidateDates.mock.invocationCallOrder[0]).toBeLessThan(
+        waitlist.notifyWaitlist.mock.invocationCallOrder[0]
+      );
+    });
+
+    test('should not offer slots that already started to the waitlist', async () => {
+      const started = { ...pendingAppointment, appointment_date: '2020-01-10' };
+      mockPool.query.mockResolvedValueOnce([[started]]);
+      mockExpiry(started);
+
+      expect(await pendingExpiry.processExpiredAppointments()).toBe(1);
+      expect(waitlist.notifyWaitlist).not.toHaveBeenCalled();
+    });
+
+    test('should continue with other appointments when one fails', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [pendingAppointment, { ...pendingAppointment, id: 10 }],
+      ]);
+      mockConnection.query.mockRejectedValueOnce(new Error('Database error'));
+      mockExpiry({ ...pendingAppointment, id: 10 });
+
+      expect(await pendingExpiry.processExpiredAppointments()).toBe(1);
+    });
+
+    test('should return 0 when nothing expired', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      expect(await pendingExpiry.processExpiredAppointments()).toBe(0);
+      expect(availabilityCache.invalidateDates).not.toHaveBeenCalled();
+    });
+  });
+});
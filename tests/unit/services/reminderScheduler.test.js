@@ -0,0 +1,145 @@
+/**
+ * Unit Tests - Reminder Scheduler Service
+ * Tests for 24-hour reminder selection and exactly-once queueing
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/emailQueue', () => ({
+  queueEmail: jest.fn().mockResolvedValue(1),
+}));
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const emailQueue = require('../../../services/emailQueue');
+const reminderScheduler = require('../../../services/reminderScheduler');
+
+describe('Reminder Scheduler Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  const confirmedAppointment = {
+    id: 7,
+    client_name: 'Test Client',
+    client_email: 'client@example.com',
+    appointment_date: '2025-12-15',
+    appointment_time: '10:00:00',
+    status: 'confirmed',
+    reminder_queued_at: null,
+  };
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  afterEach(() => {
+    reminderScheduler.stopScheduler();
+  });
+
+  describe('getDueReminders', () => {
+    test('should select confirmed appointments without a reminder inside the window', async () => {
+      mockPool.query.mockResolvedValueOnce([[confirmedAppointment]]);
+
+      const result = await reminderScheduler.getDueReminders();
+
+      expect(result).toEqual([confirmedAppointment]);
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain("status = 'confirmed'");
+      expect(sql).toContain('reminder_queued_at IS NULL');
+      expect(params).toHaveLength(2);
+    });
+
+    test('should use a 24 hour window in office time', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      await reminderScheduler.getDueReminders();
+
+      const [start, end] = mockPool.query.mock.calls[0][1];
+      const diffMs = new Date(end.replace(' ', 'T')) - new Date(start.replace(' ', 'T'));
+      expect(Math.round(diffMs / 3600000)).toBe(reminderScheduler.REMINDER_HOURS_BEFORE);
+    });
+  });
+
+  describe('queueReminder', () => {
+    test('should stamp the appointment and queue the email in one transaction', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const result = await reminderScheduler.queueReminder(confirmedAppointment);
+
+      expect(result).toBe(true);
+      expect(mockConnection.query.mock.calls[0][0]).toContain('SET reminder_queued_at = NOW()');
+      expect(emailQueue.queueEmail).toHaveBeenCalledWith(
+        'appointment-reminder',
+        'client@example.com',
+        expect.objectContaining({ id: 7, appointment_date: '2025-12-15' }),
+        mockConnection
+      );
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    test('should not queue twice if the reminder was already claimed', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      const result = await reminderScheduler.queueReminder(confirmedAppointment);
+
+      expect(result).toBe(false);
+      expect(emailQueue.queueEmail).not.toHaveBeenCalled();
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    test('should rollback if queueing the email fails', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+      emailQueue.queueEmail.mockRejectedValueOnce(new Error('Queue error'));
+
+      await expect(reminderScheduler.queueReminder(confirmedAppointment)).rejects.toThrow(
+        'Queue error'
+      );
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('processReminders', () => {
+    test('should queue a reminder for each due appointment', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [confirmedAppointment, { ...confirmedAppointment, id: 8 }],
+      ]);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const queued = await reminderScheduler.processReminders();
+
+      expect(queued).toBe(2);
+      expect(emailQueue.queueEmail).toHaveBeenCalledTimes(2);
+    });
+
+    test('should continue with other appointments when one fails', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [confirmedAppointment, { ...confirmedAppointment, id: 8 }],
+      ]);
+      mockConnection.query
+        .mockRejectedValueOnce(new Error('Lock wait timeout'))
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const queued = await reminderScheduler.processReminders();
+
+      expect(queued).toBe(1);
+    });
+
+    test('should return 0 when nothing is due', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const queued = await reminderScheduler.processReminders();
+
+      expect(queued).toBe(0);
+      expect(mockPool.getConnection).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests - Service Catalog
+ * Tests for service lookups used to size appointments and catalog management
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+
+const database = require('../../../services/database');
+const serviceCatalog = require('../../../services/serviceCatalog');
+
+describe('Service Catalog', () => {
+  let mockPool;
+  let mockConnection;
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  describe('getServices', () => {
+    test('should return all services', async () => {
+      const rows = [
+        { id: 1, name: 'Φορολογική Δήλωση', duration_minutes: 60, buffer_minutes: 0 },
+        { id: 4, name: 'Μισθοδοσία', duration_minutes: 30, buffer_minutes: 0 },
+      ];
+      mockPool.query.mockResolvedValueOnce([rows]);
+
+      const result = await serviceCatalog.getServices();
+
+      expect(result).toEqual(rows);
+      expect(mockPool.query.mock.calls[0][0]).not.toContain('is_active = TRUE');
+    });
+
+    test('should filter inactive services when requested', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      await serviceCatalog.getServices({ activeOnly: true });
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('is_active = TRUE');
+    });
+  });
+
+  describe('getServiceByName', () => {
+    test('should return the matching service', async () => {
+      const service = { id: 3, name: 'Έναρξη Επιχείρησης', duration_minutes: 90 };
+      mockPool.query.mockResolvedValueOnce([[service]]);
+
+      const result = await serviceCatalog.getServiceByName('Έναρξη Επιχείρησης');
+
+      expect(result).toEqual(service);
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['Έναρξη Επιχείρησης']);
+    });
+
+    test('should return null for unknown service', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      const result = await serviceCatalog.getServiceByName('Unknown');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getActiveServiceNames', () => {
+    test('should return names of active services', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { id: 1, name: 'Φορολογική Δήλωση' },
+          { id: 4, name: 'Μισθοδοσία' },
+        ],
+      ]);
+
+      const result = await serviceCatalog.getActiveServiceNames();
+
+      expect(result).toEqual(['Φορολογική Δήλωση', 'Μισθοδοσία']);
+    });
+  });
+
+  describe('createService', () => {
+    test('should insert the service at the end of the display order', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([[]]) // Name check
+        .mockResolvedValueOnce([{ insertId: 6 }])
+        .mockResolvedValueOnce([[{ id: 6, name: 'Κληρονομιές', display_order: 6 }]]);
+
+      const result = await serviceCatalog.createService({
+        name: 'Κληρονομιές',
+        duration_minutes: 60,
+      });
+
+      expect(result).toEqual({ id: 6, name: 'Κληρονομιές', display_order: 6 });
+      const [insertSql, insertParams] = mockPool.query.mock.calls[1];
+      expect(insertSql).toContain('MAX(display_order)');
+      expect(insertParams).toEqual(['Κληρονομιές', null, null, 60, 0, null, null, null, true]);
+    });
+
+    test('should reject a duplicate name', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ id: 4 }]]);
+
+      await expect(
+        serviceCatalog.createService({ name: 'Μισθοδοσία', duration_minutes: 30 })
+      ).rejects.toThrow('SERVICE_NAME_EXISTS');
+    });
+  });
+
+  describe('updateService', () => {
+    test('should deactivate without touching appointments', async () => {
+      mockConnection.query
+        .mockResolvedValueOnce([[{ id: 4, name: 'Μισθοδοσία' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+      mockPool.query.mockResolvedValueOnce([[{ id: 4, name: 'Μισθοδοσία', is_active: 0 }]]);
+
+      await serviceCatalog.updateService(4, { is_active: false });
+
+      expect(mockConnection.query).toHaveBeenCalledTimes(2);
+      expect(mockConnection.query.mock.calls[1]).toEqual([
+        'UPDATE services SET is_active = ? WHERE id = ?',
+        [false, 4],
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should carry a rename over to appointments', async () => {
+      mockConnection.query
+        .mockResolvedValueOnce([[{ id: 4, name: 'Μισθοδοσία' }]])
+        .mockResolvedValueOnce([[]]) // Name check
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ affectedRows: 3 }]);
+      mockPool.query.mockResolvedValueOnce([[{ id: 4, name: 'Μισθοδοσία & ΕΦΚΑ' }]]);
+
+      await serviceCatalog.updateService(4, { name: 'Μισθοδοσία & ΕΦΚΑ' });
+
+      expect(mockConnection.query.mock.calls[3]).toEqual([
+        'UPDATE appointments SET service_type = ? WHERE service_type = ?',
+        ['Μισθοδοσία & ΕΦΚΑ', 'Μισθοδοσία'],
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should throw SERVICE_NOT_FOUND for unknown service', async () => {
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      await expect(serviceCatalog.updateService(99, { is_active: false })).rejects.toThrow(
+        'SERVICE_NOT_FOUND'
+      );
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('reorderServices', () => {
+    test('should renumber services in the given order', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }, { id: 2 }, { id: 3 }]]);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      await serviceCatalog.reorderServices([3, 1, 2]);
+
+      expect(mockConnection.query.mock.calls.slice(1).map((call) => call[1])).toEqual([
+        [1, 3],
+        [2, 1],
+        [3, 2],
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should reject an order that does not list every service once', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 1 }, { id: 2 }, { id: 3 }]]);
+
+      await expect(serviceCatalog.reorderServices([1, 1, 2])).rejects.toThrow(
+        'INVALID_SERVICE_ORDER'
+      );
+
+      expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit Tests - Slot Holds Service
+ * Tests for hold conflicts, removal and the expired hold cleanup
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/availabilityCache');
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const availabilityCache = require('../../../services/availabilityCache');
+const slotHolds = require('../../../services/slotHolds');
+
+describe('Slot Holds Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  const holdToken = '123e4567-e89b-42d3-a456-426614174000';
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  afterEach(() => {
+    slotHolds.stopHoldCleanup();
+  });
+
+  describe('findConflictingHolds', () => {
+    test('should select active holds overlapping the range', async () => {
+      const hold = { appointment_time: '10:30:00', duration_minutes: 30, buffer_minutes: 0 };
+      mockConnection.query.mockResolvedValueOnce([[hold]]);
+
+      const result = await slotHolds.findConflictingHolds(mockConnection, {
+        date: '2026-11-02',
+        time: '10:00:00',
+        durationMinutes: 45,
+        bufferMinutes: 15,
+      });
+
+      expect(result).toEqual([hold]);
+      const [sql, params] = mockConnection.query.mock.calls[0];
+      expect(sql).toContain('expires_at > NOW()');
+      expect(sql).not.toContain('FOR UPDATE');
+      expect(params).toEqual(['2026-11-02', '11:00:00', '10:00:00']);
+    });
+
+    test('should limit to a staff member and leave out the caller hold', async () => {
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      await slotHolds.findConflictingHolds(mockConnection, {
+        date: '2026-11-02',
+        time: '10:00:00',
+        durationMinutes: 60,
+        bufferMinutes: 0,
+        staffId: 2,
+        holdToken,
+      });
+
+      const [sql, params] = mockConnection.query.mock.calls[0];
+      expect(sql).toContain('staff_id = ?');
+      expect(sql).toContain('hold_token != ?');
+      expect(params).toEqual(['2026-11-02', '11:00:00', '10:00:00', 2, holdToken]);
+    });
+  });
+
+  describe('insertHold', () => {
+    test('should store the hold with its expiry', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 1 }]);
+
+      await slotHolds.insertHold(mockConnection, {
+        token: holdToken,
+        date: '2026-11-02',
+        time: '10:00:00',
+        durationMinutes: 60,
+        bufferMinutes: 0,
+        serviceType: 'Φορολογική Δήλωση',
+        staffId: null,
+      });
+
+      const [sql, params] = mockConnection.query.mock.calls[0];
+      expect(sql).toContain('INTERVAL ? MINUTE');
+      expect(params).toEqual([
+        holdToken,
+        '2026-11-02',
+        '10:00:00',
+        60,
+        0,
+        'Φορολογική Δήλωση',
+        null,
+        slotHolds.HOLD_MINUTES,
+      ]);
+    });
+  });
+
+  describe('deleteHold', () => {
+    test('should skip the queries without a token', async () => {
+      expect(await slotHolds.deleteHold(mockConnection, null)).toBeNull();
+      expect(mockConnection.query).not.toHaveBeenCalled();
+    });
+
+    test('should return null for an unknown or expired hold', async () => {
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      expect(await slotHolds.deleteHold(mockConnection, holdToken)).toBeNull();
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should delete the hold and return its date', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ appointment_date: '2026-11-02' }]]);
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      expect(await slotHolds.deleteHold(mockConnection, holdToken)).toBe('2026-11-02');
+      expect(mockConnection.query.mock.calls[1]).toEqual([
+        'DELETE FROM slot_holds WHERE hold_token = ?',
+        [holdToken],
+      ]);
+    });
+  });
+
+  describe('cleanupExpiredHolds', () => {
+    test('should delete expired holds and invalidate their dates', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [{ appointment_date: '2026-11-02' }, { appointment_date: '2026-11-03' }],
+      ]);
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 3 }]);
+
+      const removed = await slotHolds.cleanupExpiredHolds();
+
+      expect(removed).toBe(3);
+      expect(mockPool.query.mock.calls[1][0]).toContain('expires_at <= NOW()');
+      expect(availabilityCache.invalidateDates).toHaveBeenCalledWith('2026-11-02', '2026-11-03');
+    });
+
+    test('should do nothing when no hold expired', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      expect(await slotHolds.cleanupExpiredHolds()).toBe(0);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+      expect(availabilityCache.invalidateDates).not.toHaveBeenCalled();
+    });
+
+    test('should return 0 on database error', async () => {
+      mockPool.query.mockRejectedValueOnce(new Error('Database error'));
+
+      expect(await slotHolds.cleanupExpiredHolds()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit Tests - Staff Service
+ * Tests for staff lookups, blocked dates and round-robin assignment order
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+
+const database = require('../../../services/database');
+const staffService = require('../../../services/staff');
+
+describe('Staff Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+  });
+
+  describe('getStaff', () => {
+    test('should parse service skills into an array of IDs', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { id: 1, name: 'Μαρία Παπαδοπούλου', service_ids: '1,3' },
+          { id: 2, name: 'Γιώργος Νικολάου', service_ids: null },
+        ],
+      ]);
+
+      const result = await staffService.getStaff();
+
+      expect(result[0].service_ids).toEqual([1, 3]);
+      expect(result[1].service_ids).toEqual([]);
+    });
+
+    test('should filter inactive staff when requested', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      await staffService.getStaff({ activeOnly: true });
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('is_active = TRUE');
+    });
+  });
+
+  describe('getStaffHours', () => {
+    test('should return seven days with missing days as non-working', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [{ day_of_week: 1, is_working_day: 1, start_time: '09:00:00', end_time: '13:00:00' }],
+      ]);
+
+      const result = await staffService.getStaffHours(1);
+
+      expect(result).toHaveLength(7);
+      expect(result[1]).toEqual({
+        day_of_week: 1,
+        is_working_day: true,
+        start_time: '09:00:00',
+        end_time: '13:00:00',
+      });
+      expect(result[2].is_working_day).toBe(false);
+    });
+  });
+
+  describe('getHoursForStaff', () => {
+    test('should group the hours of several staff members by day', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          {
+            staff_id: 1,
+            day_of_week: 1,
+            is_working_day: 1,
+            start_time: '09:00:00',
+            end_time: '13:00:00',
+          },
+          {
+            staff_id: 2,
+            day_of_week: 2,
+            is_working_day: 1,
+            start_time: '10:00:00',
+            end_time: '14:00:00',
+          },
+        ],
+      ]);
+
+      const result = await staffService.getHoursForStaff([1, 2, 3]);
+
+      expect(result.get(1).get(1).start_time).toBe('09:00:00');
+      expect(result.get(2).get(2).end_time).toBe('14:00:00');
+      expect(result.get(3).size).toBe(0);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not query without staff', async () => {
+      const result = await staffService.getHoursForStaff([]);
+
+      expect(result.size).toBe(0);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBlockedDatesForStaff', () => {
+    test('should group blocked dates by staff member', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { staff_id: 1, blocked_date: '2026-11-02' },
+          { staff_id: 1, blocked_date: '2026-11-03' },
+        ],
+      ]);
+
+      const result = await staffService.getBlockedDatesForStaff([1, 2], '2026-11-01', '2026-11-30');
+
+      expect([...result.get(1)]).toEqual(['2026-11-02', '2026-11-03']);
+      expect(result.get(2).size).toBe(0);
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('BETWEEN ? AND ?'), [
+        [1, 2],
+        '2026-11-01',
+        '2026-11-30',
+      ]);
+    });
+  });
+
+  describe('addStaffBlockedDate', () => {
+    test('should insert a new blocked date', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]).mockResolvedValueOnce([{ insertId: 7 }]);
+
+      const result = await staffService.addStaffBlockedDate(2, '2025-12-24', 'Άδεια');
+
+      expect(result).toBe(7);
+      expect(mockPool.query.mock.calls[1][1]).toEqual([2, '2025-12-24', 'Άδεια']);
+    });
+
+    test('should reject a date that is already blocked', async () => {
+      mockPool.query.mockResolvedValueOnce([[{ id: 3 }]]);
+
+      await expect(staffService.addStaffBlockedDate(2, '2025-12-24')).rejects.toThrow(
+        'DATE_ALREADY_BLOCKED'
+      );
+    });
+  });
+
+  describe('updateStaff', () => {
+    test('should replace service skills', async () => {
+      mockConnection.query.mockResolvedValueOnce([[{ id: 2 }]]);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+      mockPool.query.mockResolvedValueOnce([[{ id: 2, name: 'Γιώργος', service_ids: '4' }]]);
+
+      const result = await staffService.updateStaff(2, { service_ids: [4] });
+
+      expect(mockConnection.query.mock.calls[1]).toEqual([
+        'DELETE FROM staff_services WHERE staff_id = ?',
+        [2],
+      ]);
+      expect(mockConnection.query.mock.calls[2][1]).toEqual([2, 4]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+      expect(result.service_ids).toEqual([4]);
+    });
+
+    test('should throw STAFF_NOT_FOUND for unknown staff member', async () => {
+      mockConnection.query.mockResolvedValueOnce([[]]);
+
+      await expect(staffService.updateStaff(99, { is_active: false })).rejects.toThrow(
+        'STAFF_NOT_FOUND'
+      );
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('orderByRoundRobin', () => {
+    test('should put least recently assigned staff first', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { staff_id: 1, last_appointment_id: 40 },
+          { staff_id: 2, last_appointment_id: 12 },
+        ],
+      ]);
+
+      const result = await staffService.orderByRoundRobin([1, 2, 3]);
+
+      // Staff 3 has never been assigned, so it leads
+      expect(result).toEqual([3, 2, 1]);
+    });
+
+    test('should not query for a single candidate', async () => {
+      const result = await staffService.orderByRoundRobin([5]);
+
+      expect(result).toEqual([5]);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+});
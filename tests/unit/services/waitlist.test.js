@@ -0,0 +1,184 @@
+/**
+ * Unit Tests - Waitlist Service
+ * Tests for joining the waitlist and offering opened slots
+ */
+
+const { createMockDbPool, resetAllMocks } = require('../../helpers/mocks');
+
+jest.mock('../../../services/database');
+jest.mock('../../../services/availability');
+jest.mock('../../../services/bookingPolicy');
+jest.mock('../../../services/emailQueue', () => ({
+  queueEmail: jest.fn().mockResolvedValue({ id: 1 }),
+}));
+jest.mock('../../../utils/logger');
+
+const database = require('../../../services/database');
+const availability = require('../../../services/availability');
+const bookingPolicy = require('../../../services/bookingPolicy');
+const emailQueue = require('../../../services/emailQueue');
+const waitlist = require('../../../services/waitlist');
+
+describe('Waitlist Service', () => {
+  let mockPool;
+  let mockConnection;
+
+  const entry = (id) => ({
+    id,
+    client_name: `Client ${id}`,
+    client_email: `client${id}@example.com`,
+    service_type: 'Φορολογική Δήλωση',
+    status: 'waiting',
+  });
+
+  beforeEach(() => {
+    resetAllMocks();
+    mockPool = createMockDbPool();
+    mockConnection = mockPool._mockConnection;
+    database.getDb.mockReturnValue(mockPool);
+    bookingPolicy.getBookingPolicy.mockResolvedValue({
+      booking_window_days: 60,
+      minimum_notice_hours: 24,
+    });
+    availability.filterNoticeSlots.mockImplementation((date, slots) => slots);
+  });
+
+  describe('addToWaitlist', () => {
+    test('should store the entry with its distinct dates in order', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 7 }]);
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+      const result = await waitlist.addToWaitlist({
+        client_name: 'Μαρία',
+        client_email: 'maria@example.com',
+        service_type: 'Φορολογική Δήλωση',
+        preferred_dates: ['2026-11-04', '2026-11-02', '2026-11-04'],
+      });
+
+      expect(result).toMatchObject({
+        id: 7,
+        client_phone: null,
+        preferred_dates: ['2026-11-02', '2026-11-04'],
+        status: 'waiting',
+      });
+      expect(mockConnection.query.mock.calls[1][1]).toEqual([
+        [
+          [7, '2026-11-02'],
+          [7, '2026-11-04'],
+        ],
+      ]);
+      expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    test('should roll back when the dates cannot be stored', async () => {
+      mockConnection.query.mockResolvedValueOnce([{ insertId: 7 }]);
+      mockConnection.query.mockRejectedValueOnce(new Error('Database error'));
+
+      await expect(
+        waitlist.addToWaitlist({ client_name: 'Μαρία', preferred_dates: ['2026-11-02'] })
+      ).rejects.toThrow('Database error');
+
+      expect(mockConnection.rollback).toHaveBeenCalled();
+      expect(mockConnection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('getWaitlist', () => {
+    test('should filter by status and date and attach the dates', async () => {
+      mockPool.query.mockResolvedValueOnce([[entry(1)]]);
+      mockPool.query.mockResolvedValueOnce([
+        [
+          { waitlist_id: 1, preferred_date: '2026-11-02' },
+          { waitlist_id: 1, preferred_date: '2026-11-03' },
+        ],
+      ]);
+
+      const result = await waitlist.getWaitlist({ status: 'waiting', date: '2026-11-02' });
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['waiting', '2026-11-02']);
+      expect(result[0].preferred_dates).toEqual(['2026-11-02', '2026-11-03']);
+    });
+
+    test('should skip the dates query for an empty list', async () => {
+      mockPool.query.mockResolvedValueOnce([[]]);
+
+      expect(await waitlist.getWaitlist()).toEqual([]);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('updateWaitlistStatus', () => {
+    test('should clear the previous offer when put back in line', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      expect(await waitlist.updateWaitlistStatus(1, 'waiting')).toBe(true);
+      expect(mockPool.query.mock.calls[0][0]).toContain('offer_token = NULL');
+    });
+
+    test('should return false for an unknown entry', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      expect(await waitlist.updateWaitlistStatus(99, 'removed')).toBe(false);
+    });
+  });
+
+  describe('notifyWaitlist', () => {
+    test('should offer the opened time to the earliest entries', async () => {
+      mockPool.query.mockResolvedValueOnce([[entry(1), entry(2)]]);
+      availability.getAvailableSlotsForDate.mockResolvedValue(['09:00:00', '10:00:00']);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      const notified = await waitlist.notifyWaitlist('2026-11-02', '10:00:00');
+
+      expect(notified).toBe(2);
+      expect(emailQueue.queueEmail).toHaveBeenCalledTimes(2);
+
+      const [type, recipient, data, connection] = emailQueue.queueEmail.mock.calls[0];
+      expect(type).toBe('waitlist-slot-available');
+      expect(recipient).toBe('client1@example.com');
+      expect(data).toMatchObject({ offered_date: '2026-11-02', offered_time: '10:00:00' });
+      expect(data.offer_token).toHaveLength(36);
+      expect(connection).toBe(mockConnection);
+    });
+
+    test('should offer the first free time when the opened one does not fit', async () => {
+      mockPool.query.mockResolvedValueOnce([[entry(1)]]);
+      availability.getAvailableSlotsForDate.mockResolvedValue(['11:00:00', '12:00:00']);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      await waitlist.notifyWaitlist('2026-11-02', '10:00:00');
+
+      expect(emailQueue.queueEmail.mock.calls[0][2].offered_time).toBe('11:00:00');
+    });
+
+    test('should skip entries whose service no longer fits that day', async () => {
+      mockPool.query.mockResolvedValueOnce([[entry(1), entry(2)]]);
+      availability.getAvailableSlotsForDate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(['10:00:00']);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      expect(await waitlist.notifyWaitlist('2026-11-02', '10:00:00')).toBe(1);
+      expect(emailQueue.queueEmail.mock.calls[0][1]).toBe('client2@example.com');
+    });
+
+    test('should not email entries that left the waiting state meanwhile', async () => {
+      mockPool.query.mockResolvedValueOnce([[entry(1)]]);
+      availability.getAvailableSlotsForDate.mockResolvedValue(['10:00:00']);
+      mockConnection.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      expect(await waitlist.notifyWaitlist('2026-11-02', '10:00:00')).toBe(0);
+      expect(emailQueue.queueEmail).not.toHaveBeenCalled();
+      expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    test('should stop at the notify limit', async () => {
+      const entries = [1, 2, 3, 4, 5].map(entry);
+      mockPool.query.mockResolvedValueOnce([entries]);
+      availability.getAvailableSlotsForDate.mockResolvedValue(['10:00:00']);
+      mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      expect(await waitlist.notifyWaitlist('2026-11-02', '10:00:00')).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests - Calendar Utility
+ * Tests for iCalendar event generation
+ */
+
+const calendar = require('../../../utils/calendar');
+
+describe('Calendar Utility', () => {
+  const appointment = {
+    id: 42,
+    appointment_date: '2025-12-15',
+    appointment_time: '10:00:00',
+    duration_minutes: 90,
+    service_type: 'Έναρξη Επιχείρησης',
+    status: 'confirmed',
+  };
+
+  describe('escapeText', () => {
+    test('should escape special characters', () => {
+      expect(calendar.escapeText('Α; Β, Γ\\Δ\nΕ')).toBe('Α\\; Β\\, Γ\\\\Δ\\nΕ');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'Φορολογική Δήλωση '.repeat(6)}`;
+
+      const folded = calendar.foldLine(line);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+      expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+
+    test('should leave short lines unchanged', () => {
+      expect(calendar.foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+    });
+  });
+
+  describe('buildAppointmentEvent', () => {
+    test('should use Athens local time with a TZID', () => {
+      const event = calendar.buildAppointmentEvent(appointment);
+
+      expect(event).toContain('DTSTART;TZID=Europe/Athens:20251215T100000');
+      expect(event).toContain('DTEND;TZID=Europe/Athens:20251215T113000');
+      expect(event).toContain('UID:appointment-42@nt-taxoffice');
+      expect(event).toContain('SEQUENCE:0');
+      expect(event).toContain('SUMMARY:Έναρξη Επιχείρησης');
+      expect(event).toContain('STATUS:CONFIRMED');
+    });
+
+    test('should keep the local time in summer', () => {
+      const event = calendar.buildAppointmentEvent({
+        ...appointment,
+        appointment_date: '2025-07-01',
+      });
+
+      expect(event).toContain('DTSTART;TZID=Europe/Athens:20250701T100000');
+    });
+
+    test('should use the appointment version as SEQUENCE and add the organizer', () => {
+      const event = calendar.buildAppointmentEvent(
+        { ...appointment, version: 3 },
+        { organizer: { name: 'NT TAXOFFICE', email: 'office@example.com' } }
+      );
+
+      expect(event).toContain('SEQUENCE:3');
+      expect(event).toContain('ORGANIZER;CN=NT TAXOFFICE:mailto:office@example.com');
+    });
+
+    test('should include optional details and map cancelled status', () => {
+      const event = calendar.buildAppointmentEvent(
+        { ...appointment, status: 'cancelled' },
+        { summary: 'Ραντεβού', description: 'Γραμμή 1\nΓραμμή 2', location: 'Αθήνα' }
+      );
+
+      expect(event).toContain('SUMMARY:Ραντεβού');
+      expect(event).toContain('DESCRIPTION:Γραμμή 1\\nΓραμμή 2');
+      expect(event).toContain('LOCATION:Αθήνα');
+      expect(event).toContain('STATUS:CANCELLED');
+      expect(event.startsWith('BEGIN:VEVENT\r\n')).toBe(true);
+      expect(event.endsWith('END:VEVENT\r\n')).toBe(true);
+    });
+  });
+
+  describe('buildCalendarHeader', () => {
+    test('should start a VCALENDAR with the calendar name', () => {
+      const header = calendar.buildCalendarHeader({ name: 'Ραντεβού' });
+
+      expect(header).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2.0\r\n/);
+      expect(header).toContain('X-WR-CALNAME:Ραντεβού');
+      expect(calendar.buildCalendarFooter()).toBe('END:VCALENDAR\r\n');
+    });
+
+    test('should include the method and the office timezone definition', () => {
+      const header = calendar.buildCalendarHeader({ method: 'CANCEL' });
+
+      expect(header).toContain('METHOD:CANCEL');
+      expect(header).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Athens');
+      expect(header).toContain('END:VTIMEZONE\r\n');
+    });
+  });
+
+  describe('buildAppointmentCalendar', () => {
+    test('should wrap a single event in a calendar', () => {
+      const ics = calendar.buildAppointmentCalendar(appointment, {
+        method: 'PUBLISH',
+        location: 'Αθήνα',
+      });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('METHOD:PUBLISH');
+      expect(ics).toContain('LOCATION:Αθήνα');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+  });
+
+  describe('calendar links', () => {
+    const event = { title: 'Ραντεβού', details: 'Υπηρεσία', location: 'Αθήνα' };
+
+    test('should build a Google Calendar link in the office timezone', () => {
+      const url = new URL(calendar.getGoogleCalendarUrl(appointment, event));
+
+      expect(url.origin + url.pathname).toBe('https://calendar.google.com/calendar/render');
+      expect(url.searchParams.get('action')).toBe('TEMPLATE');
+      expect(url.searchParams.get('text')).toBe('Ραντεβού');
+      expect(url.searchParams.get('dates')).toBe('20251215T100000/20251215T113000');
+      expect(url.searchParams.get('ctz')).toBe('Europe/Athens');
+      expect(url.searchParams.get('location')).toBe('Αθήνα');
+    });
+
+    test('should build an Outlook link with UTC offsets', () => {
+      const url = new URL(calendar.getOutlookCalendarUrl(appointment, event));
+
+      expect(url.hostname).toBe('outlook.live.com');
+      expect(url.searchParams.get('subject')).toBe('Ραντεβού');
+      expect(url.searchParams.get('startdt')).toBe('2025-12-15T10:00:00+02:00');
+      expect(url.searchParams.get('enddt')).toBe('2025-12-15T11:30:00+02:00');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Unit Tests - CSV Utility
+ * Tests for CSV value escaping and row formatting
+ */
+
+const csv = require('../../../utils/csv');
+
+describe('CSV Utility', () => {
+  describe('escapeCsvValue', () => {
+    test('should quote values with commas, quotes or line breaks', () => {
+      expect(csv.escapeCsvValue('Παπαδόπουλος, Γιάννης')).toBe('"Παπαδόπουλος, Γιάννης"');
+      expect(csv.escapeCsvValue('Είπε "ναι"')).toBe('"Είπε ""ναι"""');
+      expect(csv.escapeCsvValue('Γραμμή 1\nΓραμμή 2')).toBe('"Γραμμή 1\nΓραμμή 2"');
+    });
+
+    test('should return an empty string for null and undefined', () => {
+      expect(csv.escapeCsvValue(null)).toBe('');
+      expect(csv.escapeCsvValue(undefined)).toBe('');
+      expect(csv.escapeCsvValue(0)).toBe('0');
+    });
+
+    test('should neutralize spreadsheet formulas', () => {
+      expect(csv.escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(csv.escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(csv.escapeCsvValue('-cmd')).toBe("'-cmd");
+    });
+
+    test('should keep phone numbers with a leading plus', () => {
+      expect(csv.escapeCsvValue('+30 6912345678')).toBe('+30 6912345678');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    test('should join values with commas and end with CRLF', () => {
+      expect(csv.toCsvRow(['2025-12-15', '10:00', 60, null])).toBe('2025-12-15,10:00,60,\r\n');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests - Holiday Calendar Utility
+ * Tests for Orthodox Easter and the Greek national holidays derived from it
+ */
+
+const holidays = require('../../../utils/holidays');
+
+describe('Holiday Calendar Utility', () => {
+  describe('getOrthodoxEaster', () => {
+    test('should compute Orthodox Easter Sunday', () => {
+      expect(holidays.getOrthodoxEaster(2024)).toBe('2024-05-05');
+      expect(holidays.getOrthodoxEaster(2025)).toBe('2025-04-20');
+      expect(holidays.getOrthodoxEaster(2026)).toBe('2026-04-12');
+      expect(holidays.getOrthodoxEaster(2027)).toBe('2027-05-02');
+    });
+  });
+
+  describe('getNationalHolidays', () => {
+    test('should place the moveable holidays around Easter', () => {
+      const byKey = Object.fromEntries(
+        holidays.getNationalHolidays(2026).map((holiday) => [holiday.key, holiday.date])
+      );
+
+      expect(byKey.clean_monday).toBe('2026-02-23');
+      expect(byKey.good_friday).toBe('2026-04-10');
+      expect(byKey.easter_monday).toBe('2026-04-13');
+      expect(byKey.whit_monday).toBe('2026-06-01');
+    });
+
+    test('should include the fixed holidays in date order', () => {
+      const result = holidays.getNationalHolidays(2025);
+      const dates = result.map((holiday) => holiday.date);
+
+      expect(result).toHaveLength(holidays.NATIONAL_HOLIDAYS.length);
+      expect(dates).toEqual([...dates].sort());
+      expect(dates).toEqual(expect.arrayContaining(['2025-03-25', '2025-10-28', '2025-12-26']));
+    });
+  });
+
+  describe('getNationalHolidaysForDate', () => {
+    test('should return the holiday on a date', () => {
+      expect(holidays.getNationalHolidaysForDate('2025-04-21')).toEqual([
+        {
+          key: 'easter_monday',
+          name: 'Δευτέρα του Πάσχα',
+          date: '2025-04-21',
+        },
+      ]);
+    });
+
+    test('should return every holiday that falls on the same date', () => {
+      expect(
+        holidays.getNationalHolidaysForDate('2016-05-01').map((holiday) => holiday.key)
+      ).toEqual(expect.arrayContaining(['easter_sunday', 'labour_day']));
+    });
+
+    test('should return nothing on a normal day', () => {
+      expect(holidays.getNationalHolidaysForDate('2025-04-22')).toEqual([]);
+    });
+  });
+});
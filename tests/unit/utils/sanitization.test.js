@@ -183,6 +183,64 @@ describe('Sanitization Utility', () => {
     });
   });
 
+  describe('sanitizeAdminBookingRequest', () => {
+    test('should drop client tokens and default to a pending booking with email', () => {
+      const result = sanitization.sanitizeAdminBookingRequest({
+        client_name: 'John Smith',
+        hold_token: 'abc',
+        waitlist_token: 'def',
+      });
+
+      expect(result).toMatchObject({
+        client_name: 'John Smith',
+        hold_token: null,
+        waitlist_token: null,
+        status: 'pending',
+        override_notice: false,
+        override_hours: false,
+        override_reason: '',
+        send_email: true,
+      });
+    });
+
+    test('should keep the admin options', () => {
+      const result = sanitization.sanitizeAdminBookingRequest({
+        status: 'confirmed',
+        override_hours: true,
+        override_reason: '  Evening appointment  ',
+        send_email: false,
+      });
+
+      expect(result).toMatchObject({
+        status: 'confirmed',
+        override_hours: true,
+        override_reason: 'Evening appointment',
+        send_email: false,
+      });
+    });
+  });
+
+  describe('sanitizeSeriesRequest', () => {
+    test('should parse the occurrences and leave the missing end as null', () => {
+      expect(sanitization.sanitizeSeriesRequest({ pattern: 'weekly', occurrences: '12' })).toEqual({
+        pattern: 'weekly',
+        occurrences: 12,
+        end_date: null,
+      });
+      expect(
+        sanitization.sanitizeSeriesRequest({ pattern: 'monthly_date', end_date: '2099-06-30' })
+      ).toEqual({ pattern: 'monthly_date', occurrences: null, end_date: '2099-06-30' });
+    });
+  });
+
+  describe('sanitizeSeriesChange', () => {
+    test('should only return the fields sent', () => {
+      expect(
+        sanitization.sanitizeSeriesChange({ scope: 'this', appointment_time: '12:00:00' })
+      ).toEqual({ scope: 'this', appointment_time: '12:00:00' });
+    });
+  });
+
   describe('sanitizeAdminCredentials', () => {
     test('should sanitize username and email, preserve password', () => {
       const data = {
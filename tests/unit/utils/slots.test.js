@@ -0,0 +1,122 @@
+/**
+ * Unit Tests - Slot Utility
+ * Tests for time-range overlap and seat counting
+ */
+
+const slots = require('../../../utils/slots');
+
+describe('Slot Utility', () => {
+  describe('toBookedRange', () => {
+    test('should cover the duration and the buffer', () => {
+      expect(
+        slots.toBookedRange({
+          appointment_time: '10:30:00',
+          duration_minutes: 45,
+          buffer_minutes: 15,
+        })
+      ).toEqual({ start: 630, end: 690 });
+    });
+  });
+
+  describe('getPeakOverlap', () => {
+    const range = { start: 540, end: 660 }; // 09:00-11:00
+
+    test('should return 0 without overlapping bookings', () => {
+      expect(slots.getPeakOverlap(range, [{ start: 660, end: 720 }])).toBe(0);
+    });
+
+    test('should count bookings running at the same time', () => {
+      const booked = [
+        { start: 540, end: 600 },
+        { start: 570, end: 630 },
+        { start: 600, end: 660 },
+      ];
+
+      // 09:30-10:00 and 10:00-10:30 each have two bookings running
+      expect(slots.getPeakOverlap(range, booked)).toBe(2);
+    });
+
+    test('should count a booking that started before the range', () => {
+      expect(slots.getPeakOverlap(range, [{ start: 480, end: 570 }])).toBe(1);
+    });
+  });
+
+  describe('getSeatsLeft', () => {
+    test('should subtract the peak from the capacity', () => {
+      const booked = [
+        { start: 540, end: 600 },
+        { start: 540, end: 600 },
+      ];
+
+      expect(slots.getSeatsLeft({ start: 540, end: 600 }, booked, 5)).toBe(3);
+      expect(slots.getSeatsLeft({ start: 540, end: 600 }, booked, 1)).toBe(0);
+    });
+  });
+
+  describe('calculateSlotSeats', () => {
+    const timing = { durationMinutes: 60, bufferMinutes: 0, capacity: 1 };
+    const intervals = [{ start_time: '09:00:00', end_time: '12:00:00' }];
+
+    test('should offer every start time that fits in an empty day', () => {
+      const seats = slots.calculateSlotSeats(
+        { intervals, bookedRanges: [], blockedRanges: [] },
+        timing,
+        60
+      );
+
+      expect(seats).toEqual({ '09:00:00': 1, '10:00:00': 1, '11:00:00': 1 });
+    });
+
+    test('should leave out booked and blocked start times', () => {
+      const seats = slots.calculateSlotSeats(
+        {
+          intervals,
+          bookedRanges: [{ start: 540, end: 600 }],
+          blockedRanges: [{ start: 660, end: 720 }],
+        },
+        timing,
+        60
+      );
+
+      expect(seats).toEqual({ '10:00:00': 1 });
+    });
+
+    test('should count the seats left with a larger capacity', () => {
+      const seats = slots.calculateSlotSeats(
+        { intervals, bookedRanges: [{ start: 540, end: 600 }], blockedRanges: [] },
+        { ...timing, capacity: 3 },
+        60
+      );
+
+      expect(seats['09:00:00']).toBe(2);
+      expect(seats['10:00:00']).toBe(3);
+    });
+
+    test('should keep the buffer clear of the next booking', () => {
+      const seats = slots.calculateSlotSeats(
+        { intervals, bookedRanges: [{ start: 630, end: 690 }], blockedRanges: [] },
+        { ...timing, bufferMinutes: 30 },
+        30
+      );
+
+      // 09:00 + 60 + 30 ends at 10:30, exactly when the booking starts
+      expect(Object.keys(seats)).toEqual(['09:00:00']);
+    });
+  });
+
+  describe('poolSeats', () => {
+    test('should add up seats per start time in time order', () => {
+      const pooled = slots.poolSeats([
+        { '10:00:00': 1, '09:00:00': 1 },
+        { '09:00:00': 2, '11:00:00': 1 },
+      ]);
+
+      expect(pooled).toEqual({ '09:00:00': 3, '10:00:00': 1, '11:00:00': 1 });
+      expect(Object.keys(pooled)).toEqual(['09:00:00', '10:00:00', '11:00:00']);
+    });
+
+    test('should return an empty object without calendars', () => {
+      expect(slots.poolSeats([])).toEqual({});
+    });
+  });
+});
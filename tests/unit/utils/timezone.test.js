@@ -200,6 +200,11 @@ describe('Timezone Utility', () => {
       expect(timezone.isBeyondBookingWindow('2025-08-20')).toBe(true);
       expect(timezone.isBeyondBookingWindow('2025-09-01')).toBe(true);
     });
+
+    test('should use a custom booking window', () => {
+      expect(timezone.isBeyondBookingWindow('2025-07-15', 14)).toBe(true);
+      expect(timezone.isBeyondBookingWindow('2025-09-01', 90)).toBe(false);
+    });
   });
 
   describe('isWithinMinimumNotice', () => {
@@ -214,6 +219,11 @@ describe('Timezone Utility', () => {
       expect(timezone.isWithinMinimumNotice('2025-06-16', '11:00:00')).toBe(false);
       expect(timezone.isWithinMinimumNotice('2025-06-17', '10:00:00')).toBe(false);
     });
+
+    test('should use a custom notice period', () => {
+      expect(timezone.isWithinMinimumNotice('2025-06-15', '18:00:00', 2)).toBe(false);
+      expect(timezone.isWithinMinimumNotice('2025-06-17', '09:00:00', 48)).toBe(true);
+    });
   });
 
   describe('isValidDate', () => {
@@ -248,6 +258,13 @@ describe('Timezone Utility', () => {
     });
   });
 
+  describe('normalizeTime', () => {
+    test('should add the seconds to HH:mm times', () => {
+      expect(timezone.normalizeTime('09:30')).toBe('09:30:00');
+      expect(timezone.normalizeTime('14:30:00')).toBe('14:30:00');
+    });
+  });
+
   describe('startOfDay', () => {
     test('should return start of day', () => {
       const result = timezone.startOfDay('2025-12-25');
@@ -4,6 +4,16 @@
  */
 
 const validation = require('../../../utils/validation');
+const { now } = require('../../../utils/timezone');
+
+// Service names as seeded into the services table
+const serviceNames = [
+  'Φορολογική Δήλωση',
+  'Λογιστική Υποστήριξη',
+  'Έναρξη Επιχείρησης',
+  'Μισθοδοσία',
+  'Γενική Συμβουλευτική',
+];
 
 describe('Validation Utility', () => {
   describe('isValidEmail', () => {
@@ -103,17 +113,22 @@ describe('Validation Utility', () => {
 
   describe('isValidServiceType', () => {
     test('should return true for valid service types', () => {
-      expect(validation.isValidServiceType('Φορολογική Δήλωση')).toBe(true);
-      expect(validation.isValidServiceType('Λογιστική Υποστήριξη')).toBe(true);
-      expect(validation.isValidServiceType('Έναρξη Επιχείρησης')).toBe(true);
-      expect(validation.isValidServiceType('Μισθοδοσία')).toBe(true);
-      expect(validation.isValidServiceType('Γενική Συμβουλευτική')).toBe(true);
+      expect(validation.isValidServiceType('Φορολογική Δήλωση', serviceNames)).toBe(true);
+      expect(validation.isValidServiceType('Λογιστική Υποστήριξη', serviceNames)).toBe(true);
+      expect(validation.isValidServiceType('Έναρξη Επιχείρησης', serviceNames)).toBe(true);
+      expect(validation.isValidServiceType('Μισθοδοσία', serviceNames)).toBe(true);
+      expect(validation.isValidServiceType('Γενική Συμβουλευτική', serviceNames)).toBe(true);
     });
 
     test('should return false for invalid service types', () => {
-      expect(validation.isValidServiceType('Invalid Service')).toBe(false);
-      expect(validation.isValidServiceType('')).toBe(false);
-      expect(validation.isValidServiceType(null)).toBe(false);
+      expect(validation.isValidServiceType('Invalid Service', serviceNames)).toBe(false);
+      expect(validation.isValidServiceType('', serviceNames)).toBe(false);
+      expect(validation.isValidServiceType(null, serviceNames)).toBe(false);
+    });
+
+    test('should return false when no services are bookable', () => {
+      expect(validation.isValidServiceType('Φορολογική Δήλωση')).toBe(false);
+      expect(validation.isValidServiceType('Φορολογική Δήλωση', [])).toBe(false);
     });
   });
 
@@ -124,6 +139,8 @@ describe('Validation Utility', () => {
       expect(validation.isValidStatus('declined')).toBe(true);
       expect(validation.isValidStatus('cancelled')).toBe(true);
       expect(validation.isValidStatus('completed')).toBe(true);
+      expect(validation.isValidStatus('expired')).toBe(true);
+      expect(validation.isValidStatus('no_show')).toBe(true);
     });
 
     test('should return false for invalid statuses', () => {
@@ -151,57 +168,290 @@ describe('Validation Utility', () => {
     };
 
     test('should validate correct booking request', () => {
-      const result = validation.validateBookingRequest(validBookingData);
+      const result = validation.validateBookingRequest(validBookingData, serviceNames);
       expect(result.valid).toBe(true);
       expect(result.errors).toEqual({});
     });
 
     test('should reject request with invalid client name', () => {
       const data = { ...validBookingData, client_name: 'A' };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.client_name).toBeDefined();
     });
 
     test('should reject request with invalid email', () => {
       const data = { ...validBookingData, client_email: 'invalid-email' };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.client_email).toBeDefined();
     });
 
     test('should reject request with invalid phone', () => {
       const data = { ...validBookingData, client_phone: '123' };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.client_phone).toBeDefined();
     });
 
     test('should reject request with invalid service type', () => {
       const data = { ...validBookingData, service_type: 'Invalid' };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.service_type).toBeDefined();
     });
 
     test('should reject request with missing date or time', () => {
       const data = { ...validBookingData, appointment_date: '' };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.appointment).toBeDefined();
     });
 
     test('should reject request with notes too long', () => {
       const data = { ...validBookingData, notes: 'A'.repeat(1001) };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
       expect(result.valid).toBe(false);
       expect(result.errors.notes).toBeDefined();
     });
 
     test('should accept request without notes', () => {
       const data = { ...validBookingData, notes: undefined };
-      const result = validation.validateBookingRequest(data);
+      const result = validation.validateBookingRequest(data, serviceNames);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should apply the booking window of the policy', () => {
+      const result = validation.validateBookingRequest(validBookingData, serviceNames, {
+        booking_window_days: 3,
+        minimum_notice_hours: 24,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors.appointment).toBe('Η ημερομηνία ξεπερνά το όριο κράτησης των 3 ημερών.');
+    });
+
+    test('should apply the minimum notice of the policy', () => {
+      const result = validation.validateBookingRequest(validBookingData, serviceNames, {
+        booking_window_days: 60,
+        minimum_notice_hours: 720,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors.appointment).toBe(
+        'Απαιτείται τουλάχιστον 720 ώρες προειδοποίηση για κράτηση ραντεβού.'
+      );
+    });
+  });
+
+  describe('validateBookingPolicy', () => {
+    test('should accept a window and notice within range', () => {
+      const result = validation.validateBookingPolicy({
+        booking_window_days: 90,
+        minimum_notice_hours: 0,
+        slot_capacity: 12,
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject out-of-range and missing values', () => {
+      const result = validation.validateBookingPolicy({
+        booking_window_days: 400,
+        slot_capacity: 0,
+      });
+      expect(result.errors).toHaveProperty('booking_window_days');
+      expect(result.errors).toHaveProperty('minimum_notice_hours');
+      expect(result.errors).toHaveProperty('slot_capacity');
+    });
+
+    test('should accept null only when the office policy can be inherited', () => {
+      const data = { booking_window_days: null, minimum_notice_hours: null, slot_capacity: null };
+      expect(validation.validateBookingPolicy(data).valid).toBe(false);
+      expect(validation.validateBookingPolicy(data, { allowDefault: true }).valid).toBe(true);
+    });
+  });
+
+  describe('validatePendingExpiry', () => {
+    test('should accept whole hours within range', () => {
+      expect(validation.validatePendingExpiry({ pending_expiry_hours: 48 }).valid).toBe(true);
+    });
+
+    test('should reject zero, fractions and missing values', () => {
+      expect(validation.validatePendingExpiry({ pending_expiry_hours: 0 }).valid).toBe(false);
+      expect(validation.validatePendingExpiry({ pending_expiry_hours: 1.5 }).valid).toBe(false);
+      expect(validation.validatePendingExpiry({}).errors).toHaveProperty('pending_expiry_hours');
+    });
+  });
+
+  describe('validateAdminBookingRequest', () => {
+    // Two hours from now, inside the default 24-hour notice
+    const soon = now().add(2, 'hours');
+
+    const adminBooking = {
+      client_name: 'John Smith',
+      client_email: 'test@example.com',
+      client_phone: '6912345678',
+      service_type: 'Φορολογική Δήλωση',
+      appointment_date: soon.format('YYYY-MM-DD'),
+      appointment_time: soon.format('HH:mm:00'),
+      status: 'pending',
+      override_notice: false,
+      override_hours: false,
+      override_reason: '',
+    };
+
+    test('should apply the minimum notice unless overridden', () => {
+      expect(
+        validation.validateAdminBookingRequest(adminBooking, serviceNames).errors
+      ).toHaveProperty('appointment');
+
+      const result = validation.validateAdminBookingRequest(
+        { ...adminBooking, override_notice: true, override_reason: 'Walk-in client' },
+        serviceNames
+      );
+      expect(result.valid).toBe(true);
+    });
+
+    test('should require a reason for any override', () => {
+      const result = validation.validateAdminBookingRequest(
+        { ...adminBooking, override_notice: true, override_hours: true },
+        serviceNames
+      );
+      expect(result.errors).toHaveProperty('override_reason');
+    });
+
+    test('should only create pending or confirmed appointments', () => {
+      const result = validation.validateAdminBookingRequest(
+        { ...adminBooking, status: 'completed' },
+        serviceNames
+      );
+      expect(result.errors).toHaveProperty('status');
+    });
+  });
+
+  describe('validateSeriesRequest', () => {
+    test('should accept a number of occurrences or an end date', () => {
+      expect(
+        validation.validateSeriesRequest(
+          { pattern: 'weekly', occurrences: 12, end_date: null },
+          '2099-01-13'
+        ).valid
+      ).toBe(true);
+      expect(
+        validation.validateSeriesRequest(
+          { pattern: 'monthly_weekday', occurrences: null, end_date: '2099-12-31' },
+          '2099-01-13'
+        ).valid
+      ).toBe(true);
+    });
+
+    test('should require exactly one way to end the series', () => {
+      expect(
+        validation.validateSeriesRequest(
+          { pattern: 'weekly', occurrences: null, end_date: null },
+          '2099-01-13'
+        ).errors
+      ).toHaveProperty('occurrences');
+      expect(
+        validation.validateSeriesRequest(
+          { pattern: 'weekly', occurrences: 4, end_date: '2099-03-01' },
+          '2099-01-13'
+        ).errors
+      ).toHaveProperty('occurrences');
+    });
+
+    test('should limit the pattern, occurrences and end date', () => {
+      const check = (data) =>
+        validation.validateSeriesRequest(
+          { pattern: 'weekly', occurrences: null, end_date: null, ...data },
+          '2099-01-13'
+        ).errors;
+
+      expect(check({ pattern: 'daily', occurrences: 4 })).toHaveProperty('pattern');
+      expect(check({ occurrences: 1 })).toHaveProperty('occurrences');
+      expect(check({ occurrences: 53 })).toHaveProperty('occurrences');
+      expect(check({ end_date: '2099-01-13' })).toHaveProperty('end_date');
+      expect(check({ end_date: '2100-01-14' })).toHaveProperty('end_date');
+    });
+  });
+
+  describe('validateSeriesChange', () => {
+    test('should require the scope and check the fields sent', () => {
+      expect(
+        validation.validateSeriesChange({ scope: 'following', appointment_time: '12:00:00' }).valid
+      ).toBe(true);
+      expect(
+        validation.validateSeriesChange({ appointment_time: '12:00:00' }).errors
+      ).toHaveProperty('scope');
+      expect(
+        validation.validateSeriesChange({ scope: 'this', client_email: 'invalid' }).errors
+      ).toHaveProperty('client_email');
+    });
+  });
+
+  describe('validateNoShowRule', () => {
+    test('should accept a threshold within range or null', () => {
+      expect(validation.validateNoShowRule({ no_show_approval_threshold: 2 }).valid).toBe(true);
+      expect(validation.validateNoShowRule({ no_show_approval_threshold: null }).valid).toBe(true);
+    });
+
+    test('should reject zero, out of range and missing values', () => {
+      expect(validation.validateNoShowRule({ no_show_approval_threshold: 0 }).valid).toBe(false);
+      expect(validation.validateNoShowRule({ no_show_approval_threshold: 21 }).valid).toBe(false);
+      expect(validation.validateNoShowRule({}).errors).toHaveProperty('no_show_approval_threshold');
+    });
+  });
+
+  describe('validateWaitlistRequest', () => {
+    const inDays = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+
+    const validWaitlistData = {
+      client_name: 'John Smith',
+      client_email: 'test@example.com',
+      service_type: 'Φορολογική Δήλωση',
+      preferred_dates: [inDays(7), inDays(8)],
+    };
+
+    test('should accept a request without a phone', () => {
+      const result = validation.validateWaitlistRequest(validWaitlistData, serviceNames);
       expect(result.valid).toBe(true);
+      expect(result.errors).toEqual({});
+    });
+
+    test('should reject an invalid phone when given', () => {
+      const data = { ...validWaitlistData, client_phone: '123' };
+      const result = validation.validateWaitlistRequest(data, serviceNames);
+      expect(result.errors.client_phone).toBeDefined();
+    });
+
+    test('should require at least one date', () => {
+      const data = { ...validWaitlistData, preferred_dates: [] };
+      const result = validation.validateWaitlistRequest(data, serviceNames);
+      expect(result.valid).toBe(false);
+      expect(result.errors.preferred_dates).toBeDefined();
+    });
+
+    test('should limit the number of dates', () => {
+      const dates = Array.from({ length: 11 }, (_, i) => inDays(i + 2));
+      const data = { ...validWaitlistData, preferred_dates: dates };
+      const result = validation.validateWaitlistRequest(data, serviceNames);
+      expect(result.errors.preferred_dates).toContain('10');
+    });
+
+    test('should reject past dates and dates beyond the booking window', () => {
+      const past = validation.validateWaitlistRequest(
+        { ...validWaitlistData, preferred_dates: [inDays(-2)] },
+        serviceNames
+      );
+      const beyond = validation.validateWaitlistRequest(
+        { ...validWaitlistData, preferred_dates: [inDays(90)] },
+        serviceNames
+      );
+
+      expect(past.errors.preferred_dates).toBeDefined();
+      expect(beyond.errors.preferred_dates).toBeDefined();
     });
   });
 
@@ -234,6 +484,42 @@ describe('Validation Utility', () => {
     });
   });
 
+  describe('validateWorkingIntervals', () => {
+    test('should accept touching intervals in any order', () => {
+      const result = validation.validateWorkingIntervals([
+        { start_time: '15:00', end_time: '17:00' },
+        { start_time: '09:00:00', end_time: '15:00:00' },
+      ]);
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject overlapping intervals', () => {
+      const result = validation.validateWorkingIntervals([
+        { start_time: '09:00:00', end_time: '14:00:00' },
+        { start_time: '13:30:00', end_time: '17:00:00' },
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('επικαλύπτονται');
+    });
+
+    test('should reject an interval that ends before it starts', () => {
+      const result = validation.validateWorkingIntervals([
+        { start_time: '14:00:00', end_time: '09:00:00' },
+      ]);
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject missing or invalid times', () => {
+      expect(validation.validateWorkingIntervals([]).valid).toBe(false);
+      expect(
+        validation.validateWorkingIntervals([{ start_time: '25:00', end_time: '26:00' }]).valid
+      ).toBe(false);
+    });
+  });
+
   describe('validateAvailabilitySettings', () => {
     test('should validate correct working day settings', () => {
       const data = {
@@ -294,6 +580,106 @@ describe('Validation Utility', () => {
     });
   });
 
+  describe('validateBlockedTime', () => {
+    test('should accept a valid time block', () => {
+      const result = validation.validateBlockedTime({
+        blocked_date: '2025-12-16',
+        start_time: '10:00',
+        end_time: '12:00:00',
+        reason: 'Σύσκεψη',
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject an end time before the start time', () => {
+      const result = validation.validateBlockedTime({
+        blocked_date: '2025-12-16',
+        start_time: '12:00',
+        end_time: '10:00',
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.time_range).toBeDefined();
+    });
+
+    test('should require a date and times', () => {
+      const result = validation.validateBlockedTime({});
+
+      expect(result.errors).toHaveProperty('blocked_date');
+      expect(result.errors).toHaveProperty('start_time');
+      expect(result.errors).toHaveProperty('end_time');
+    });
+  });
+
+  describe('validateLocalHoliday', () => {
+    test('should accept a name with a valid month and day', () => {
+      const result = validation.validateLocalHoliday({
+        name: 'Αγίου Δημητρίου',
+        month: 10,
+        day: 26,
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept 29 February', () => {
+      expect(
+        validation.validateLocalHoliday({ name: 'Τοπική γιορτή', month: 2, day: 29 }).valid
+      ).toBe(true);
+    });
+
+    test('should reject a day the month does not have', () => {
+      const result = validation.validateLocalHoliday({ name: 'Τοπική γιορτή', month: 4, day: 31 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveProperty('day');
+    });
+
+    test('should reject a missing name and month', () => {
+      const result = validation.validateLocalHoliday({ name: ' ', month: 13, day: 1 });
+
+      expect(result.errors).toHaveProperty('name');
+      expect(result.errors).toHaveProperty('month');
+    });
+  });
+
+  describe('validateAvailabilityOverride', () => {
+    const intervals = [{ start_time: '10:00', end_time: '14:00' }];
+
+    test('should accept a date range with intervals', () => {
+      const result = validation.validateAvailabilityOverride({
+        start_date: '2025-12-22',
+        end_date: '2025-12-24',
+        intervals,
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject an end date before the start date', () => {
+      const result = validation.validateAvailabilityOverride({
+        start_date: '2025-12-24',
+        end_date: '2025-12-22',
+        intervals,
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.end_date).toBeDefined();
+    });
+
+    test('should require intervals', () => {
+      const result = validation.validateAvailabilityOverride({
+        start_date: '2025-12-24',
+        end_date: '2025-12-24',
+        intervals: [],
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.intervals).toBeDefined();
+    });
+  });
+
   describe('validateBlockedDate', () => {
     test('should validate correct blocked date', () => {
       const data = {
@@ -416,4 +802,94 @@ describe('Validation Utility', () => {
       expect(validation.sanitizeString({})).toBe('');
     });
   });
+
+  describe('validateServiceData', () => {
+    test('should accept a complete service', () => {
+      const result = validation.validateServiceData({
+        name: 'Κληρονομιές',
+        name_en: 'Inheritance',
+        description: 'Δηλώσεις φόρου κληρονομιάς',
+        duration_minutes: 60,
+        buffer_minutes: 10,
+        is_active: true,
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should require name and duration on create', () => {
+      const result = validation.validateServiceData({});
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveProperty('name');
+      expect(result.errors).toHaveProperty('duration_minutes');
+    });
+
+    test('should only check provided fields on partial updates', () => {
+      const result = validation.validateServiceData({ is_active: false }, { partial: true });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject out-of-range durations and buffers', () => {
+      const result = validation.validateServiceData({
+        name: 'Κληρονομιές',
+        duration_minutes: 1000,
+        buffer_minutes: -5,
+      });
+
+      expect(result.errors).toHaveProperty('duration_minutes');
+      expect(result.errors).toHaveProperty('buffer_minutes');
+    });
+
+    test('should validate the service booking policy', () => {
+      const inherited = validation.validateServiceData(
+        { booking_window_days: null, minimum_notice_hours: 2 },
+        { partial: true }
+      );
+      const invalid = validation.validateServiceData(
+        { booking_window_days: 1.5 },
+        { partial: true }
+      );
+
+      expect(inherited.valid).toBe(true);
+      expect(invalid.errors).toHaveProperty('booking_window_days');
+    });
+  });
+
+  describe('validateStaffData', () => {
+    test('should accept valid staff data', () => {
+      const result = validation.validateStaffData({
+        name: 'Μαρία Παπαδοπούλου',
+        email: 'maria@example.com',
+        service_ids: [1, 3],
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should require a name on create', () => {
+      const result = validation.validateStaffData({});
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveProperty('name');
+    });
+
+    test('should only check provided fields on partial updates', () => {
+      const result = validation.validateStaffData({ is_active: false }, { partial: true });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject invalid email and service IDs', () => {
+      const result = validation.validateStaffData({
+        name: 'Μαρία',
+        email: 'not-an-email',
+        service_ids: ['1'],
+      });
+
+      expect(result.errors).toHaveProperty('email');
+      expect(result.errors).toHaveProperty('service_ids');
+    });
+  });
 });
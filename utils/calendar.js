@@ -0,0 +1,250 @@
+/**
+ * Calendar Utility
+ * Builds iCalendar (.ics, RFC 5545) documents and "add to calendar" links for appointments
+ */
+
+const { TIMEZONE, parseDateTime, now, toMySQLDate } = require('./timezone');
+
+const PRODUCT_ID = '-//NT TAXOFFICE//Appointments//EL';
+const UID_DOMAIN = 'nt-taxoffice';
+const MAX_LINE_OCTETS = 75;
+
+// Timezone definition for the office timezone (EET/EEST, EU daylight saving rules)
+// Other TIMEZONE values rely on calendar apps knowing the IANA name
+const VTIMEZONES = {
+  'Europe/Athens': [
+    'BEGIN:VTIMEZONE',
+    'TZID:Europe/Athens',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:EEST',
+    'DTSTART:19700329T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:EET',
+    'DTSTART:19701025T040000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+  ],
+};
+
+// Appointment status to iCalendar VEVENT STATUS
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  declined: 'CANCELLED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED',
+};
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, without splitting multi-byte characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a moment as an iCalendar UTC date-time (YYYYMMDDTHHmmssZ)
+ * @param {moment.Moment} moment
+ * @returns {string}
+ */
+function formatUtc(moment) {
+  return moment.clone().utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+/**
+ * Format a moment as an iCalendar local date-time in the office timezone (YYYYMMDDTHHmmss)
+ * @param {moment.Moment} moment
+ * @returns {string}
+ */
+function formatLocal(moment) {
+  return moment.clone().tz(TIMEZONE).format('YYYYMMDD[T]HHmmss');
+}
+
+/**
+ * Get the start and end of an appointment in the office timezone
+ * @param {object} appointment - { appointment_date, appointment_time, duration_minutes }
+ * @returns {object} - { start, end } moments
+ */
+function getAppointmentTimes(appointment) {
+  const start = parseDateTime(
+    toMySQLDate(appointment.appointment_date),
+    appointment.appointment_time
+  );
+  const end = start.clone().add(appointment.duration_minutes || 60, 'minutes');
+  return { start, end };
+}
+
+/**
+ * Build the calendar header (up to the first event)
+ * @param {object} [options] - { name, method } (method: PUBLISH or CANCEL for emailed events)
+ * @returns {string}
+ */
+function buildCalendarHeader({ name, method } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  lines.push(...(VTIMEZONES[TIMEZONE] || []));
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Build the calendar footer
+ * @returns {string}
+ */
+function buildCalendarFooter() {
+  return 'END:VCALENDAR\r\n';
+}
+
+/**
+ * Build a VEVENT for an appointment
+ * The UID stays the same for the life of the appointment, so calendar apps update the event
+ * when it is moved or cancelled. SEQUENCE follows the appointment version.
+ * @param {object} appointment - Appointment row
+ * @param {object} [options] - { summary, description, location, organizer: { name, email } }
+ * @returns {string}
+ */
+function buildAppointmentEvent(appointment, { summary, description, location, organizer } = {}) {
+  const { start, end } = getAppointmentTimes(appointment);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment.id}@${UID_DOMAIN}`,
+    `SEQUENCE:${appointment.version || 0}`,
+    `DTSTAMP:${formatUtc(now())}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(summary || appointment.service_type)}`,
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (organizer && organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`);
+  }
+
+  lines.push(`STATUS:${EVENT_STATUS[appointment.status] || 'CONFIRMED'}`, 'END:VEVENT');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Build a complete calendar with a single appointment event
+ * @param {object} appointment - Appointment row
+ * @param {object} [options] - { method } plus the buildAppointmentEvent options
+ * @returns {string}
+ */
+function buildAppointmentCalendar(appointment, { method, ...eventOptions } = {}) {
+  return (
+    buildCalendarHeader({ method }) +
+    buildAppointmentEvent(appointment, eventOptions) +
+    buildCalendarFooter()
+  );
+}
+
+/**
+ * Google Calendar "add event" link
+ * @param {object} appointment - Appointment row
+ * @param {object} event - { title, details, location }
+ * @returns {string}
+ */
+function getGoogleCalendarUrl(appointment, { title, details, location }) {
+  const { start, end } = getAppointmentTimes(appointment);
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: title,
+    dates: `${formatLocal(start)}/${formatLocal(end)}`,
+    ctz: TIMEZONE,
+    details: details || '',
+    location: location || '',
+  });
+
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Outlook.com "add event" link
+ * @param {object} appointment - Appointment row
+ * @param {object} event - { title, details, location }
+ * @returns {string}
+ */
+function getOutlookCalendarUrl(appointment, { title, details, location }) {
+  const { start, end } = getAppointmentTimes(appointment);
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: title,
+    startdt: start.format(),
+    enddt: end.format(),
+    body: details || '',
+    location: location || '',
+  });
+
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  getAppointmentTimes,
+  buildCalendarHeader,
+  buildCalendarFooter,
+  buildAppointmentEvent,
+  buildAppointmentCalendar,
+  getGoogleCalendarUrl,
+  getOutlookCalendarUrl,
+};
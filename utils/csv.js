@@ -0,0 +1,45 @@
+/**
+ * CSV Utility
+ * Formats rows for CSV exports that open correctly in Excel
+ */
+
+// Byte order mark so Excel reads the file as UTF-8 (Greek text)
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Escape a single CSV value
+ * Values that spreadsheets would run as formulas are prefixed with an apostrophe,
+ * except signed numbers such as +30 phone numbers
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()]*$)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a CSV row (CRLF terminated)
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+  UTF8_BOM,
+  escapeCsvValue,
+  toCsvRow,
+};
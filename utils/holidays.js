@@ -0,0 +1,89 @@
+/**
+ * Holiday Calendar Utility
+ * Computes the Greek national public holidays, including the moveable feasts of Orthodox Easter
+ */
+
+const { parseDate, addDays, toMySQLDate } = require('./timezone');
+
+// National holidays: fixed by month/day, or moveable by days from Orthodox Easter Sunday
+const NATIONAL_HOLIDAYS = [
+  { key: 'new_year', name: 'Πρωτοχρονιά', month: 1, day: 1 },
+  { key: 'epiphany', name: 'Θεοφάνεια', month: 1, day: 6 },
+  { key: 'clean_monday', name: 'Καθαρά Δευτέρα', easterOffset: -48 },
+  { key: 'independence_day', name: 'Εθνική Επέτειος 25ης Μαρτίου', month: 3, day: 25 },
+  { key: 'good_friday', name: 'Μεγάλη Παρασκευή', easterOffset: -2 },
+  { key: 'easter_sunday', name: 'Κυριακή του Πάσχα', easterOffset: 0 },
+  { key: 'easter_monday', name: 'Δευτέρα του Πάσχα', easterOffset: 1 },
+  { key: 'labour_day', name: 'Πρωτομαγιά', month: 5, day: 1 },
+  { key: 'whit_monday', name: 'Αγίου Πνεύματος', easterOffset: 50 },
+  { key: 'assumption', name: 'Κοίμηση της Θεοτόκου', month: 8, day: 15 },
+  { key: 'ochi_day', name: 'Επέτειος του Όχι', month: 10, day: 28 },
+  { key: 'christmas', name: 'Χριστούγεννα', month: 12, day: 25 },
+  { key: 'christmas_second_day', name: 'Σύναξη της Θεοτόκου', month: 12, day: 26 },
+];
+
+/**
+ * Format a year, month and day as YYYY-MM-DD
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string}
+ */
+function formatDateParts(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the date of Orthodox Easter Sunday
+ * Meeus' Julian algorithm, shifted to the Gregorian calendar (13 days for 1900-2099)
+ * @param {number} year
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getOrthodoxEaster(year) {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+
+  return toMySQLDate(addDays(formatDateParts(year, month, day), 13));
+}
+
+/**
+ * Get the national holidays of a year, in date order
+ * @param {number} year
+ * @returns {Array} - Array of { key, name, date }
+ */
+function getNationalHolidays(year) {
+  const easter = parseDate(getOrthodoxEaster(year));
+
+  return NATIONAL_HOLIDAYS.map((holiday) => ({
+    key: holiday.key,
+    name: holiday.name,
+    date:
+      holiday.easterOffset === undefined
+        ? formatDateParts(year, holiday.month, holiday.day)
+        : toMySQLDate(addDays(easter, holiday.easterOffset)),
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the national holidays that fall on a date
+ * A moveable feast can land on a fixed holiday (e.g. Easter Sunday on 1 May 2016)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array} - Array of { key, name, date }, empty on a normal day
+ */
+function getNationalHolidaysForDate(date) {
+  const year = Number(date.substring(0, 4));
+  return getNationalHolidays(year).filter((holiday) => holiday.date === date);
+}
+
+module.exports = {
+  NATIONAL_HOLIDAYS,
+  formatDateParts,
+  getOrthodoxEaster,
+  getNationalHolidays,
+  getNationalHolidaysForDate,
+};
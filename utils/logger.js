@@ -227,6 +227,22 @@ function logAppointmentStatusChange(appointmentId, oldStatus, newStatus, changed
   });
 }
 
+/**
+ * Log appointment moved to another date or time
+ * @param {number} appointmentId
+ * @param {string} oldDate
+ * @param {string} oldTime
+ * @param {string} newDate
+ * @param {string} newTime
+ */
+function logAppointmentRescheduled(appointmentId, oldDate, oldTime, newDate, newTime) {
+  info('Appointment Rescheduled', {
+    id: appointmentId,
+    from: `${oldDate} ${oldTime}`,
+    to: `${newDate} ${newTime}`,
+  });
+}
+
 /**
  * Log admin login
  * @param {string} username
@@ -287,6 +303,7 @@ module.exports = {
   logEmail,
   logAppointmentCreated,
   logAppointmentStatusChange,
+  logAppointmentRescheduled,
   logAdminLogin,
   logSecurityEvent,
 
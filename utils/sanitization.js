@@ -203,10 +203,85 @@ function sanitizeBookingRequest(data) {
     appointment_date: sanitizeString(data.appointment_date || ''),
     appointment_time: sanitizeString(data.appointment_time || ''),
     service_type: sanitizeString(data.service_type || ''),
+    staff_id: parseInt(data.staff_id, 10) || null,
     notes: sanitizeNotes(data.notes || ''),
+    hold_token: sanitizeString(data.hold_token || '') || null,
+    waitlist_token: sanitizeString(data.waitlist_token || '') || null,
   };
 }
 
+/**
+ * Sanitize admin booking request (phone and walk-in clients)
+ * Same fields as a client booking, without hold or waitlist tokens, plus the admin options
+ * @param {object} data
+ * @returns {object}
+ */
+function sanitizeAdminBookingRequest(data) {
+  return {
+    ...sanitizeBookingRequest(data),
+    hold_token: null,
+    waitlist_token: null,
+    status: sanitizeString(data.status || '') || 'pending',
+    override_notice: sanitizeBoolean(data.override_notice),
+    override_hours: sanitizeBoolean(data.override_hours),
+    override_reason: sanitizeNotes(data.override_reason || ''),
+    // The client is emailed unless the admin opts out
+    send_email: data.send_email === undefined ? true : sanitizeBoolean(data.send_email),
+  };
+}
+
+/**
+ * Sanitize waitlist request
+ * @param {object} data
+ * @returns {object}
+ */
+function sanitizeWaitlistRequest(data) {
+  const dates = Array.isArray(data.preferred_dates) ? data.preferred_dates : [];
+
+  return {
+    client_name: sanitizeName(data.client_name || ''),
+    client_email: sanitizeEmail(data.client_email || ''),
+    client_phone: sanitizePhone(data.client_phone || ''),
+    service_type: sanitizeString(data.service_type || ''),
+    preferred_dates: dates.map((date) => sanitizeString(date)),
+  };
+}
+
+/**
+ * Sanitize a recurring series request
+ * The series ends after occurrences or at end_date; the one not given is null
+ * @param {object} data
+ * @returns {object}
+ */
+function sanitizeSeriesRequest(data) {
+  const hasOccurrences =
+    data.occurrences !== undefined && data.occurrences !== null && data.occurrences !== '';
+
+  return {
+    pattern: sanitizeString(data.pattern || ''),
+    occurrences: hasOccurrences ? sanitizeInteger(data.occurrences, NaN) : null,
+    end_date: sanitizeString(data.end_date || '') || null,
+  };
+}
+
+/**
+ * Sanitize a change to appointments of a series
+ * Only the fields sent are returned, so the rest stay unchanged
+ * @param {object} data
+ * @returns {object}
+ */
+function sanitizeSeriesChange(data) {
+  const sanitized = { scope: sanitizeString(data.scope || '') };
+
+  if (data.appointment_time) sanitized.appointment_time = sanitizeString(data.appointment_time);
+  if (data.client_name) sanitized.client_name = sanitizeName(data.client_name);
+  if (data.client_email) sanitized.client_email = sanitizeEmail(data.client_email);
+  if (data.client_phone) sanitized.client_phone = sanitizePhone(data.client_phone);
+  if (data.notes !== undefined) sanitized.notes = sanitizeNotes(data.notes || '');
+
+  return sanitized;
+}
+
 /**
  * Sanitize admin credentials
  * @param {object} data
@@ -336,6 +411,10 @@ module.exports = {
 
   // Complex object sanitization
   sanitizeBookingRequest,
+  sanitizeAdminBookingRequest,
+  sanitizeWaitlistRequest,
+  sanitizeSeriesRequest,
+  sanitizeSeriesChange,
   sanitizeAdminCredentials,
   sanitizeAvailabilitySettings,
   sanitizeBlockedDate,
@@ -0,0 +1,189 @@
+/**
+ * Slot Utility
+ * Pure slot calculation: start times inside the open hours and the seats left in them.
+ * Callers load hours, blocks and bookings; nothing here touches the database.
+ */
+
+const { timeToMinutes, minutesToTime } = require('./timezone');
+
+// Default appointment duration in minutes, used when no service is given
+const SLOT_DURATION = 60;
+
+/**
+ * Generate time slots for a given time range
+ * A slot is only generated if the whole appointment fits before the end time
+ * @param {string} startTime - Start time (HH:mm:ss)
+ * @param {string} endTime - End time (HH:mm:ss)
+ * @param {number} durationMinutes - Appointment duration
+ * @param {number} intervalMinutes - Minutes between consecutive slot start times
+ * @returns {Array} - Array of time slot strings (HH:mm:ss)
+ */
+function generateTimeSlots(
+  startTime,
+  endTime,
+  durationMinutes = SLOT_DURATION,
+  intervalMinutes = durationMinutes
+) {
+  const slots = [];
+  const end = timeToMinutes(endTime);
+
+  for (
+    let current = timeToMinutes(startTime);
+    current + durationMinutes <= end;
+    current += intervalMinutes
+  ) {
+    slots.push(minutesToTime(current));
+  }
+
+  return slots;
+}
+
+/**
+ * Generate time slots inside a day's open intervals
+ * An appointment never spans the gap between two intervals (e.g. a lunch break)
+ * @param {Array} intervals - Array of { start_time, end_time }
+ * @param {number} durationMinutes - Appointment duration
+ * @param {number} intervalMinutes - Minutes between consecutive slot start times
+ * @returns {Array} - Array of time slot strings (HH:mm:ss)
+ */
+function generateIntervalSlots(
+  intervals,
+  durationMinutes = SLOT_DURATION,
+  intervalMinutes = durationMinutes
+) {
+  return intervals.flatMap((interval) =>
+    generateTimeSlots(interval.start_time, interval.end_time, durationMinutes, intervalMinutes)
+  );
+}
+
+/**
+ * Limit open intervals to a time range (e.g. a staff member's hours)
+ * @param {Array} intervals - Array of { start_time, end_time }
+ * @param {string} startTime - Range start (HH:mm:ss)
+ * @param {string} endTime - Range end (HH:mm:ss)
+ * @returns {Array} - Non-empty intervals within the range
+ */
+function clipIntervals(intervals, startTime, endTime) {
+  const rangeStart = timeToMinutes(startTime);
+  const rangeEnd = timeToMinutes(endTime);
+
+  return intervals
+    .map((interval) => ({
+      start: Math.max(timeToMinutes(interval.start_time), rangeStart),
+      end: Math.min(timeToMinutes(interval.end_time), rangeEnd),
+    }))
+    .filter((interval) => interval.start < interval.end)
+    .map((interval) => ({
+      start_time: minutesToTime(interval.start),
+      end_time: minutesToTime(interval.end),
+    }));
+}
+
+/**
+ * Check if two half-open time ranges [start, end) overlap
+ * @param {object} a - { start, end } in minutes
+ * @param {object} b - { start, end } in minutes
+ * @returns {boolean}
+ */
+function rangesOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Time range an appointment occupies, including its buffer
+ * @param {object} row - { appointment_time, duration_minutes, buffer_minutes }
+ * @returns {object} - { start, end } in minutes since midnight
+ */
+function toBookedRange(row) {
+  const start = timeToMinutes(row.appointment_time);
+  return { start, end: start + row.duration_minutes + row.buffer_minutes };
+}
+
+/**
+ * Get the largest number of booked ranges running at the same time within a range
+ * @param {object} range - { start, end } in minutes
+ * @param {Array} bookedRanges - Array of { start, end } in minutes
+ * @returns {number}
+ */
+function getPeakOverlap(range, bookedRanges) {
+  const overlapping = bookedRanges.filter((booked) => rangesOverlap(range, booked));
+
+  // The count only goes up where a booking starts, so the peak is at one of those points
+  const points = [range.start, ...overlapping.map((booked) => Math.max(booked.start, range.start))];
+
+  return Math.max(
+    ...points.map(
+      (point) => overlapping.filter((booked) => booked.start <= point && point < booked.end).length
+    )
+  );
+}
+
+/**
+ * Get how many more appointments fit in a range
+ * @param {object} range - { start, end } in minutes
+ * @param {Array} bookedRanges - Array of { start, end } in minutes
+ * @param {number} capacity - Appointments allowed at the same time
+ * @returns {number}
+ */
+function getSeatsLeft(range, bookedRanges, capacity) {
+  return Math.max(0, capacity - getPeakOverlap(range, bookedRanges));
+}
+
+/**
+ * Calculate the seats left in each slot of one calendar on one day
+ * A slot is offered when the appointment and its buffer fit inside an open interval,
+ * avoid every blocked range and still have a seat next to the overlapping bookings
+ * @param {object} day - { intervals, bookedRanges, blockedRanges }
+ * @param {object} timing - { durationMinutes, bufferMinutes, capacity }
+ * @param {number} intervalMinutes - Minutes between consecutive slot start times
+ * @returns {object} - Start time (HH:mm:ss) to seats left, in time order
+ */
+function calculateSlotSeats({ intervals, bookedRanges, blockedRanges }, timing, intervalMinutes) {
+  const seats = {};
+
+  generateIntervalSlots(intervals, timing.durationMinutes, intervalMinutes).forEach((slot) => {
+    const start = timeToMinutes(slot);
+    const candidate = { start, end: start + timing.durationMinutes + timing.bufferMinutes };
+
+    if (blockedRanges.some((blocked) => rangesOverlap(candidate, blocked))) {
+      return;
+    }
+
+    const seatsLeft = getSeatsLeft(candidate, bookedRanges, timing.capacity);
+    if (seatsLeft > 0) {
+      seats[slot] = seatsLeft;
+    }
+  });
+
+  return seats;
+}
+
+/**
+ * Add up the seats of several calendars (e.g. staff members) per start time
+ * @param {Array<object>} seatsList - Start time to seats left, one object per calendar
+ * @returns {object} - Start time to total seats left, in time order
+ */
+function poolSeats(seatsList) {
+  const pooled = {};
+
+  seatsList.forEach((seats) => {
+    Object.entries(seats).forEach(([slot, seatsLeft]) => {
+      pooled[slot] = (pooled[slot] || 0) + seatsLeft;
+    });
+  });
+
+  return Object.fromEntries(Object.entries(pooled).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+module.exports = {
+  SLOT_DURATION,
+  generateTimeSlots,
+  generateIntervalSlots,
+  clipIntervals,
+  rangesOverlap,
+  toBookedRange,
+  getPeakOverlap,
+  getSeatsLeft,
+  calculateSlotSeats,
+  poolSeats,
+};
@@ -7,6 +7,7 @@ const moment = require('moment-timezone');
 require('dotenv').config();
 
 const TIMEZONE = process.env.TIMEZONE || 'Europe/Athens';
+// Booking policy defaults, used until the admin saves a policy (see services/bookingPolicy.js)
 const BOOKING_WINDOW_DAYS = 60; // How far in advance can clients book
 const MINIMUM_NOTICE_HOURS = 24; // Minimum notice required for booking
 
@@ -173,25 +174,27 @@ function isInPast(dateString, timeString) {
 }
 
 /**
- * Check if date is beyond the booking window (60 days)
+ * Check if date is beyond the booking window
  * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} [windowDays] - Booking window in days (default: BOOKING_WINDOW_DAYS)
  * @returns {boolean}
  */
-function isBeyondBookingWindow(dateString) {
+function isBeyondBookingWindow(dateString, windowDays = BOOKING_WINDOW_DAYS) {
   const appointmentDate = parseDate(dateString);
-  const maxBookingDate = now().add(BOOKING_WINDOW_DAYS, 'days');
+  const maxBookingDate = now().add(windowDays, 'days');
   return appointmentDate.isAfter(maxBookingDate);
 }
 
 /**
- * Check if appointment is within minimum notice period (24 hours)
+ * Check if appointment is within minimum notice period
  * @param {string} dateString - Date (YYYY-MM-DD)
  * @param {string} timeString - Time (HH:mm:ss)
+ * @param {number} [noticeHours] - Minimum notice in hours (default: MINIMUM_NOTICE_HOURS)
  * @returns {boolean}
  */
-function isWithinMinimumNotice(dateString, timeString) {
+function isWithinMinimumNotice(dateString, timeString, noticeHours = MINIMUM_NOTICE_HOURS) {
   const appointmentDateTime = parseDateTime(dateString, timeString);
-  const minimumDateTime = now().add(MINIMUM_NOTICE_HOURS, 'hours');
+  const minimumDateTime = now().add(noticeHours, 'hours');
   return appointmentDateTime.isBefore(minimumDateTime);
 }
 
@@ -242,6 +245,27 @@ function addDays(date, days) {
   return moment.tz(date, TIMEZONE).add(days, 'days');
 }
 
+/**
+ * Convert time of day to minutes since midnight
+ * @param {string} timeString - Time (HH:mm:ss or HH:mm)
+ * @returns {number}
+ */
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to time of day
+ * @param {number} totalMinutes
+ * @returns {string} - Time (HH:mm:ss)
+ */
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
+}
+
 /**
  * Get current date as YYYY-MM-DD
  * @returns {string}
@@ -276,6 +300,15 @@ function isValidTime(timeString) {
   return moment(timeString, ['HH:mm:ss', 'HH:mm'], true).isValid();
 }
 
+/**
+ * Convert a valid HH:mm or HH:mm:ss time to the HH:mm:ss format MySQL returns
+ * @param {string} timeString
+ * @returns {string}
+ */
+function normalizeTime(timeString) {
+  return moment(timeString, ['HH:mm:ss', 'HH:mm'], true).format('HH:mm:ss');
+}
+
 module.exports = {
   // Constants
   TIMEZONE,
@@ -307,6 +340,7 @@ module.exports = {
   isWithinMinimumNotice,
   isValidDate,
   isValidTime,
+  normalizeTime,
 
   // Date manipulation
   startOfDay,
@@ -314,6 +348,8 @@ module.exports = {
   isSameDay,
   getDayOfWeek,
   addDays,
+  timeToMinutes,
+  minutesToTime,
 
   // Current values
   getCurrentDate,
@@ -9,8 +9,18 @@ const {
   isInPast,
   isBeyondBookingWindow,
   isWithinMinimumNotice,
+  timeToMinutes,
+  parseDate,
+  BOOKING_WINDOW_DAYS,
+  MINIMUM_NOTICE_HOURS,
 } = require('./timezone');
 
+// Booking policy used when the caller does not pass the stored one
+const DEFAULT_BOOKING_POLICY = {
+  booking_window_days: BOOKING_WINDOW_DAYS,
+  minimum_notice_hours: MINIMUM_NOTICE_HOURS,
+};
+
 /**
  * Validate email format
  * @param {string} email
@@ -70,17 +80,11 @@ function isValidName(name) {
 /**
  * Validate service type
  * @param {string} serviceType
+ * @param {Array<string>} validServices - Names of bookable services (from the services table)
  * @returns {boolean}
  */
-function isValidServiceType(serviceType) {
-  const validServices = [
-    'Φορολογική Δήλωση',
-    'Λογιστική Υποστήριξη',
-    'Έναρξη Επιχείρησης',
-    'Μισθοδοσία',
-    'Γενική Συμβουλευτική',
-  ];
-
+function isValidServiceType(serviceType, validServices = []) {
+  if (!serviceType || typeof serviceType !== 'string') return false;
   return validServices.includes(serviceType);
 }
 
@@ -90,16 +94,25 @@ function isValidServiceType(serviceType) {
  * @returns {boolean}
  */
 function isValidStatus(status) {
-  const validStatuses = ['pending', 'confirmed', 'declined', 'cancelled', 'completed'];
+  const validStatuses = [
+    'pending',
+    'confirmed',
+    'declined',
+    'cancelled',
+    'completed',
+    'expired',
+    'no_show',
+  ];
   return validStatuses.includes(status);
 }
 
 /**
  * Validate appointment date
  * @param {string} dateString - YYYY-MM-DD format
+ * @param {object} [policy] - { booking_window_days, minimum_notice_hours }
  * @returns {object} { valid: boolean, error: string }
  */
-function validateAppointmentDate(dateString) {
+function validateAppointmentDate(dateString, policy = DEFAULT_BOOKING_POLICY) {
   // Check format
   if (!isValidDate(dateString)) {
     return {
@@ -108,11 +121,11 @@ function validateAppointmentDate(dateString) {
     };
   }
 
-  // Check if beyond booking window (60 days)
-  if (isBeyondBookingWindow(dateString)) {
+  // Check if beyond booking window
+  if (isBeyondBookingWindow(dateString, policy.booking_window_days)) {
     return {
       valid: false,
-      error: 'Η ημερομηνία ξεπερνά το όριο κράτησης των 60 ημερών.',
+      error: `Η ημερομηνία ξεπερνά το όριο κράτησης των ${policy.booking_window_days} ημερών.`,
     };
   }
 
@@ -140,11 +153,12 @@ function validateAppointmentTime(timeString) {
  * Validate appointment date and time together
  * @param {string} dateString - YYYY-MM-DD format
  * @param {string} timeString - HH:mm:ss format
+ * @param {object} [policy] - { booking_window_days, minimum_notice_hours }
  * @returns {object} { valid: boolean, error: string }
  */
-function validateAppointmentDateTime(dateString, timeString) {
+function validateAppointmentDateTime(dateString, timeString, policy = DEFAULT_BOOKING_POLICY) {
   // Validate date
-  const dateValidation = validateAppointmentDate(dateString);
+  const dateValidation = validateAppointmentDate(dateString, policy);
   if (!dateValidation.valid) {
     return dateValidation;
   }
@@ -163,11 +177,12 @@ function validateAppointmentDateTime(dateString, timeString) {
     };
   }
 
-  // Check minimum notice (24 hours)
-  if (isWithinMinimumNotice(dateString, timeString)) {
+  // Check minimum notice
+  const noticeHours = policy.minimum_notice_hours;
+  if (isWithinMinimumNotice(dateString, timeString, noticeHours)) {
     return {
       valid: false,
-      error: 'Απαιτείται τουλάχιστον 24 ώρες προειδοποίηση για κράτηση ραντεβού.',
+      error: `Απαιτείται τουλάχιστον ${noticeHours === 1 ? '1 ώρα' : `${noticeHours} ώρες`} προειδοποίηση για κράτηση ραντεβού.`,
     };
   }
 
@@ -177,9 +192,11 @@ function validateAppointmentDateTime(dateString, timeString) {
 /**
  * Validate appointment booking request
  * @param {object} data - Appointment data
+ * @param {Array<string>} validServices - Names of bookable services
+ * @param {object} [policy] - Booking policy of the requested service
  * @returns {object} { valid: boolean, errors: object }
  */
-function validateBookingRequest(data) {
+function validateBookingRequest(data, validServices = [], policy = DEFAULT_BOOKING_POLICY) {
   const errors = {};
 
   // Validate client name
@@ -198,7 +215,7 @@ function validateBookingRequest(data) {
   }
 
   // Validate service type
-  if (!data.service_type || !isValidServiceType(data.service_type)) {
+  if (!data.service_type || !isValidServiceType(data.service_type, validServices)) {
     errors.service_type = 'Παρακαλώ επιλέξτε έγκυρο τύπο υπηρεσίας.';
   }
 
@@ -208,7 +225,8 @@ function validateBookingRequest(data) {
   } else {
     const dateTimeValidation = validateAppointmentDateTime(
       data.appointment_date,
-      data.appointment_time
+      data.appointment_time,
+      policy
     );
     if (!dateTimeValidation.valid) {
       errors.appointment = dateTimeValidation.error;
@@ -226,6 +244,177 @@ function validateBookingRequest(data) {
   };
 }
 
+/**
+ * Validate an admin booking request
+ * Checked like a client booking, except that override_notice lifts the minimum notice.
+ * Any override needs a reason; working hours are checked by the caller unless overridden.
+ * @param {object} data - Sanitized booking plus { status, override_notice, override_hours, override_reason }
+ * @param {Array<string>} validServices - Names of bookable services
+ * @param {object} [policy] - Booking policy of the requested service
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateAdminBookingRequest(data, validServices = [], policy = DEFAULT_BOOKING_POLICY) {
+  const { errors } = validateBookingRequest(
+    data,
+    validServices,
+    data.override_notice ? { ...policy, minimum_notice_hours: 0 } : policy
+  );
+
+  if (!['pending', 'confirmed'].includes(data.status)) {
+    errors.status = 'Το ραντεβού μπορεί να δημιουργηθεί ως εκκρεμές ή επιβεβαιωμένο.';
+  }
+
+  if ((data.override_notice || data.override_hours) && !data.override_reason) {
+    errors.override_reason = 'Παρακαλώ εισάγετε λόγο για την παράκαμψη των κανόνων κράτησης.';
+  } else if (data.override_reason && data.override_reason.length > 500) {
+    errors.override_reason = 'Ο λόγος δεν μπορεί να υπερβαίνει τους 500 χαρακτήρες.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// Dates a client can list on one waitlist entry
+const MAX_WAITLIST_DATES = 10;
+
+/**
+ * Validate a waitlist request
+ * @param {object} data - { client_name, client_email, client_phone, service_type, preferred_dates }
+ * @param {Array<string>} validServices - Names of bookable services
+ * @param {object} [policy] - Booking policy of the requested service
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateWaitlistRequest(data, validServices = [], policy = DEFAULT_BOOKING_POLICY) {
+  const errors = {};
+
+  if (!data.client_name || !isValidName(data.client_name)) {
+    errors.client_name = 'Παρακαλώ εισάγετε έγκυρο όνομα (2-255 χαρακτήρες).';
+  }
+
+  if (!data.client_email || !isValidEmail(data.client_email)) {
+    errors.client_email = 'Παρακαλώ εισάγετε έγκυρη διεύθυνση email.';
+  }
+
+  // Phone is optional on the waitlist, the booking asks for it
+  if (data.client_phone && !isValidPhone(data.client_phone)) {
+    errors.client_phone = 'Παρακαλώ εισάγετε έγκυρο ελληνικό τηλέφωνο.';
+  }
+
+  if (!data.service_type || !isValidServiceType(data.service_type, validServices)) {
+    errors.service_type = 'Παρακαλώ επιλέξτε έγκυρο τύπο υπηρεσίας.';
+  }
+
+  const dates = data.preferred_dates;
+  if (!Array.isArray(dates) || dates.length === 0) {
+    errors.preferred_dates = 'Παρακαλώ επιλέξτε τουλάχιστον μία ημερομηνία.';
+  } else if (dates.length > MAX_WAITLIST_DATES) {
+    errors.preferred_dates = `Μπορείτε να επιλέξετε έως ${MAX_WAITLIST_DATES} ημερομηνίες.`;
+  } else {
+    for (const date of dates) {
+      const dateValidation = validateAppointmentDate(date, policy);
+      if (!dateValidation.valid) {
+        errors.preferred_dates = dateValidation.error;
+        break;
+      }
+      if (isInPast(date, '23:59:59')) {
+        errors.preferred_dates = 'Δεν μπορείτε να επιλέξετε παρελθούσα ημερομηνία.';
+        break;
+      }
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// Recurring series: weekly, monthly on the same weekday (e.g. 2nd Tuesday) or on the same date
+const SERIES_PATTERNS = ['weekly', 'monthly_weekday', 'monthly_date'];
+const SERIES_OCCURRENCES_RANGE = { min: 2, max: 52 };
+const SERIES_MAX_MONTHS = 12;
+
+/**
+ * Validate a recurring series created from an appointment
+ * The series ends after a number of occurrences (the appointment counts as the first) or at a date
+ * @param {object} data - { pattern, occurrences, end_date }
+ * @param {string} startDate - Date of the appointment the series starts from (YYYY-MM-DD)
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateSeriesRequest(data, startDate) {
+  const errors = {};
+
+  if (!SERIES_PATTERNS.includes(data.pattern)) {
+    errors.pattern = 'Παρακαλώ επιλέξτε έγκυρο τρόπο επανάληψης.';
+  }
+
+  if ((data.occurrences === null) === (data.end_date === null)) {
+    errors.occurrences = 'Ορίστε είτε αριθμό επαναλήψεων είτε ημερομηνία λήξης.';
+  } else if (data.occurrences !== null) {
+    if (
+      !Number.isInteger(data.occurrences) ||
+      data.occurrences < SERIES_OCCURRENCES_RANGE.min ||
+      data.occurrences > SERIES_OCCURRENCES_RANGE.max
+    ) {
+      errors.occurrences = `Ο αριθμός επαναλήψεων πρέπει να είναι ${SERIES_OCCURRENCES_RANGE.min}-${SERIES_OCCURRENCES_RANGE.max}.`;
+    }
+  } else if (!isValidDate(data.end_date)) {
+    errors.end_date = 'Μη έγκυρη μορφή ημερομηνίας. Χρησιμοποιήστε YYYY-MM-DD.';
+  } else if (data.end_date <= startDate) {
+    errors.end_date = 'Η ημερομηνία λήξης πρέπει να είναι μετά το ραντεβού.';
+  } else if (
+    data.end_date > parseDate(startDate).add(SERIES_MAX_MONTHS, 'months').format('YYYY-MM-DD')
+  ) {
+    errors.end_date = `Η σειρά μπορεί να διαρκέσει έως ${SERIES_MAX_MONTHS} μήνες.`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate a change to one appointment of a series or to it and the following ones
+ * @param {object} data - { scope, appointment_time, client_name, client_email, client_phone, notes }
+ * (fields left undefined are not changed)
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateSeriesChange(data) {
+  const errors = {};
+
+  if (!['this', 'following'].includes(data.scope)) {
+    errors.scope = 'Επιλέξτε αν η αλλαγή αφορά μόνο αυτό ή και τα επόμενα ραντεβού.';
+  }
+
+  if (data.appointment_time !== undefined && !isValidTime(data.appointment_time)) {
+    errors.appointment_time = 'Μη έγκυρη μορφή ώρας. Χρησιμοποιήστε HH:mm.';
+  }
+
+  if (data.client_name !== undefined && !isValidName(data.client_name)) {
+    errors.client_name = 'Παρακαλώ εισάγετε έγκυρο όνομα (2-255 χαρακτήρες).';
+  }
+
+  if (data.client_email !== undefined && !isValidEmail(data.client_email)) {
+    errors.client_email = 'Παρακαλώ εισάγετε έγκυρη διεύθυνση email.';
+  }
+
+  if (data.client_phone !== undefined && !isValidPhone(data.client_phone)) {
+    errors.client_phone = 'Παρακαλώ εισάγετε έγκυρο ελληνικό τηλέφωνο.';
+  }
+
+  if (data.notes !== undefined && data.notes.length > 1000) {
+    errors.notes = 'Οι σημειώσεις δεν μπορούν να υπερβαίνουν τους 1000 χαρακτήρες.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
 /**
  * Validate admin decline request
  * @param {object} data - Decline data
@@ -289,6 +478,45 @@ function validateAvailabilitySettings(data) {
   };
 }
 
+/**
+ * Validate the open intervals of a working day
+ * Intervals may touch (09:00-14:00, 14:00-17:00) but not overlap
+ * @param {Array} intervals - Array of { start_time, end_time }
+ * @returns {object} { valid: boolean, error: string }
+ */
+function validateWorkingIntervals(intervals) {
+  if (!Array.isArray(intervals) || intervals.length === 0) {
+    return { valid: false, error: 'Προσθέστε τουλάχιστον ένα διάστημα λειτουργίας.' };
+  }
+
+  for (const interval of intervals) {
+    if (
+      !interval ||
+      !interval.start_time ||
+      !interval.end_time ||
+      !isValidTime(interval.start_time) ||
+      !isValidTime(interval.end_time)
+    ) {
+      return { valid: false, error: 'Παρακαλώ εισάγετε έγκυρες ώρες λειτουργίας.' };
+    }
+
+    if (timeToMinutes(interval.start_time) >= timeToMinutes(interval.end_time)) {
+      return { valid: false, error: 'Η ώρα λήξης πρέπει να είναι μετά την ώρα έναρξης.' };
+    }
+  }
+
+  const sorted = [...intervals].sort(
+    (a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time)
+  );
+  for (let i = 1; i < sorted.length; i++) {
+    if (timeToMinutes(sorted[i].start_time) < timeToMinutes(sorted[i - 1].end_time)) {
+      return { valid: false, error: 'Τα διαστήματα λειτουργίας δεν μπορούν να επικαλύπτονται.' };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate blocked date
  * @param {object} data - Blocked date data
@@ -313,6 +541,307 @@ function validateBlockedDate(data) {
   };
 }
 
+/**
+ * Validate a time block (part of a day closed for a meeting or an absence)
+ * @param {object} data - { blocked_date, start_time, end_time, reason }
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateBlockedTime(data) {
+  const errors = {};
+
+  if (!data.blocked_date || !isValidDate(data.blocked_date)) {
+    errors.blocked_date = 'Παρακαλώ εισάγετε έγκυρη ημερομηνία.';
+  }
+
+  if (!data.start_time || !isValidTime(data.start_time)) {
+    errors.start_time = 'Παρακαλώ εισάγετε έγκυρη ώρα έναρξης.';
+  }
+
+  if (!data.end_time || !isValidTime(data.end_time)) {
+    errors.end_time = 'Παρακαλώ εισάγετε έγκυρη ώρα λήξης.';
+  }
+
+  if (
+    !errors.start_time &&
+    !errors.end_time &&
+    timeToMinutes(data.start_time) >= timeToMinutes(data.end_time)
+  ) {
+    errors.time_range = 'Η ώρα λήξης πρέπει να είναι μετά την ώρα έναρξης.';
+  }
+
+  if (data.reason && data.reason.length > 255) {
+    errors.reason = 'Ο λόγος δεν μπορεί να υπερβαίνει τους 255 χαρακτήρες.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate an opening-hours override for a date or a date range
+ * @param {object} data - { start_date, end_date, reason, intervals }
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateAvailabilityOverride(data) {
+  const errors = {};
+
+  if (!data.start_date || !isValidDate(data.start_date)) {
+    errors.start_date = 'Παρακαλώ εισάγετε έγκυρη ημερομηνία έναρξης.';
+  }
+
+  if (!data.end_date || !isValidDate(data.end_date)) {
+    errors.end_date = 'Παρακαλώ εισάγετε έγκυρη ημερομηνία λήξης.';
+  } else if (!errors.start_date && data.end_date < data.start_date) {
+    errors.end_date = 'Η ημερομηνία λήξης δεν μπορεί να είναι πριν την ημερομηνία έναρξης.';
+  }
+
+  const intervalsValidation = validateWorkingIntervals(data.intervals);
+  if (!intervalsValidation.valid) {
+    errors.intervals = intervalsValidation.error;
+  }
+
+  if (data.reason && data.reason.length > 255) {
+    errors.reason = 'Ο λόγος δεν μπορεί να υπερβαίνει τους 255 χαρακτήρες.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// Allowed ranges of the booking policy settings
+const BOOKING_WINDOW_RANGE = { min: 7, max: 365 };
+const MINIMUM_NOTICE_RANGE = { min: 0, max: 720 };
+const SLOT_CAPACITY_RANGE = { min: 1, max: 50 };
+const PENDING_EXPIRY_RANGE = { min: 1, max: 720 };
+const NO_SHOW_THRESHOLD_RANGE = { min: 1, max: 20 };
+
+/**
+ * Validate booking policy settings
+ * With allowDefault (service policies), null means "use the office policy"
+ * @param {object} data - { booking_window_days, minimum_notice_hours, slot_capacity }
+ * @param {object} options - { allowDefault, partial }
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateBookingPolicy(data, { allowDefault = false, partial = false } = {}) {
+  const errors = {};
+  const isValidSetting = (value, { min, max }) =>
+    (allowDefault && value === null) || (Number.isInteger(value) && value >= min && value <= max);
+
+  if (
+    (!partial || data.booking_window_days !== undefined) &&
+    !isValidSetting(data.booking_window_days, BOOKING_WINDOW_RANGE)
+  ) {
+    errors.booking_window_days = `Το όριο κράτησης πρέπει να είναι ${BOOKING_WINDOW_RANGE.min}-${BOOKING_WINDOW_RANGE.max} ημέρες.`;
+  }
+
+  if (
+    (!partial || data.minimum_notice_hours !== undefined) &&
+    !isValidSetting(data.minimum_notice_hours, MINIMUM_NOTICE_RANGE)
+  ) {
+    errors.minimum_notice_hours = `Η ελάχιστη προειδοποίηση πρέπει να είναι ${MINIMUM_NOTICE_RANGE.min}-${MINIMUM_NOTICE_RANGE.max} ώρες.`;
+  }
+
+  if (
+    (!partial || data.slot_capacity !== undefined) &&
+    !isValidSetting(data.slot_capacity, SLOT_CAPACITY_RANGE)
+  ) {
+    errors.slot_capacity = `Οι θέσεις ανά ώρα πρέπει να είναι ${SLOT_CAPACITY_RANGE.min}-${SLOT_CAPACITY_RANGE.max}.`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate how long pending appointments wait for confirmation
+ * @param {object} data - { pending_expiry_hours }
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validatePendingExpiry(data) {
+  const errors = {};
+  const hours = data.pending_expiry_hours;
+
+  if (
+    !Number.isInteger(hours) ||
+    hours < PENDING_EXPIRY_RANGE.min ||
+    hours > PENDING_EXPIRY_RANGE.max
+  ) {
+    errors.pending_expiry_hours = `Η λήξη εκκρεμών ραντεβού πρέπει να είναι ${PENDING_EXPIRY_RANGE.min}-${PENDING_EXPIRY_RANGE.max} ώρες.`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate the no-show rule
+ * @param {object} data - { no_show_approval_threshold } (null turns the rule off)
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateNoShowRule(data) {
+  const errors = {};
+  const threshold = data.no_show_approval_threshold;
+
+  if (
+    threshold !== null &&
+    (!Number.isInteger(threshold) ||
+      threshold < NO_SHOW_THRESHOLD_RANGE.min ||
+      threshold > NO_SHOW_THRESHOLD_RANGE.max)
+  ) {
+    errors.no_show_approval_threshold = `Το όριο μη προσελεύσεων πρέπει να είναι ${NO_SHOW_THRESHOLD_RANGE.min}-${NO_SHOW_THRESHOLD_RANGE.max} ή κενό.`;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+// Days per month in a leap year, so local holidays on 29 February are accepted
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Validate a local holiday that repeats every year
+ * @param {object} data - { name, month, day }
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateLocalHoliday(data) {
+  const errors = {};
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  const month = Number(data.month);
+  const day = Number(data.day);
+
+  if (name.length < 2 || name.length > 255) {
+    errors.name = 'Το όνομα της αργίας πρέπει να έχει 2 έως 255 χαρακτήρες.';
+  }
+
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    errors.month = 'Παρακαλώ επιλέξτε έγκυρο μήνα.';
+  } else if (!Number.isInteger(day) || day < 1 || day > DAYS_IN_MONTH[month - 1]) {
+    errors.day = 'Παρακαλώ επιλέξτε έγκυρη ημέρα του μήνα.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate service catalog data
+ * @param {object} data - Service data
+ * @param {object} options - { partial } to validate only the fields present (updates)
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateServiceData(data, { partial = false } = {}) {
+  const errors = {};
+  const isSet = (field) => data[field] !== undefined;
+
+  // Validate Greek name (required on create)
+  if (!partial || isSet('name')) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length < 2) {
+      errors.name = 'Παρακαλώ εισάγετε όνομα υπηρεσίας (τουλάχιστον 2 χαρακτήρες).';
+    } else if (data.name.trim().length > 255) {
+      errors.name = 'Το όνομα υπηρεσίας δεν μπορεί να υπερβαίνει τους 255 χαρακτήρες.';
+    }
+  }
+
+  // Validate English name (optional)
+  if (data.name_en && (typeof data.name_en !== 'string' || data.name_en.length > 255)) {
+    errors.name_en = 'Το αγγλικό όνομα δεν μπορεί να υπερβαίνει τους 255 χαρακτήρες.';
+  }
+
+  // Validate description (optional)
+  if (
+    data.description &&
+    (typeof data.description !== 'string' || data.description.length > 1000)
+  ) {
+    errors.description = 'Η περιγραφή δεν μπορεί να υπερβαίνει τους 1000 χαρακτήρες.';
+  }
+
+  // Validate duration (required on create)
+  if (!partial || isSet('duration_minutes')) {
+    const duration = data.duration_minutes;
+    if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+      errors.duration_minutes = 'Η διάρκεια πρέπει να είναι ακέραιος αριθμός λεπτών (5-480).';
+    }
+  }
+
+  // Validate buffer (optional)
+  if (isSet('buffer_minutes')) {
+    const buffer = data.buffer_minutes;
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > 120) {
+      errors.buffer_minutes = 'Ο χρόνος προετοιμασίας πρέπει να είναι 0-120 λεπτά.';
+    }
+  }
+
+  // Validate active flag (optional)
+  if (isSet('is_active') && typeof data.is_active !== 'boolean') {
+    errors.is_active = 'Το πεδίο ενεργής υπηρεσίας πρέπει να είναι boolean.';
+  }
+
+  // Validate the service's own booking policy (optional, null uses the office policy)
+  Object.assign(errors, validateBookingPolicy(data, { allowDefault: true, partial: true }).errors);
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate staff member data
+ * @param {object} data - Staff data
+ * @param {object} options - { partial } to validate only the fields present (updates)
+ * @returns {object} { valid: boolean, errors: object }
+ */
+function validateStaffData(data, { partial = false } = {}) {
+  const errors = {};
+
+  // Validate name (required on create)
+  if (!partial || data.name !== undefined) {
+    if (
+      !data.name ||
+      typeof data.name !== 'string' ||
+      data.name.trim().length < 2 ||
+      data.name.trim().length > 255
+    ) {
+      errors.name = 'Παρακαλώ εισάγετε έγκυρο όνομα (2-255 χαρακτήρες).';
+    }
+  }
+
+  // Validate email (optional)
+  if (data.email && !isValidEmail(data.email)) {
+    errors.email = 'Παρακαλώ εισάγετε έγκυρη διεύθυνση email.';
+  }
+
+  // Validate skills (optional list of service IDs)
+  if (
+    data.service_ids !== undefined &&
+    (!Array.isArray(data.service_ids) || !data.service_ids.every(Number.isInteger))
+  ) {
+    errors.service_ids = 'Οι υπηρεσίες πρέπει να είναι λίστα αναγνωριστικών.';
+  }
+
+  // Validate active flag (optional)
+  if (data.is_active !== undefined && typeof data.is_active !== 'boolean') {
+    errors.is_active = 'Το πεδίο ενεργού μέλους πρέπει να είναι boolean.';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
 /**
  * Validate admin credentials
  * @param {object} data - Admin credentials
@@ -375,9 +904,22 @@ module.exports = {
 
   // Complex validation
   validateBookingRequest,
+  validateAdminBookingRequest,
+  validateWaitlistRequest,
+  validateSeriesRequest,
+  validateSeriesChange,
   validateDeclineRequest,
   validateAvailabilitySettings,
+  validateWorkingIntervals,
+  validateAvailabilityOverride,
   validateBlockedDate,
+  validateBlockedTime,
+  validateLocalHoliday,
+  validateBookingPolicy,
+  validatePendingExpiry,
+  validateNoShowRule,
+  validateServiceData,
+  validateStaffData,
   validateAdminCredentials,
 
   // Utilities